@@ -0,0 +1,108 @@
+"""
+LexMap Scanner Detectors
+
+Feature flag and permission detectors for the PHP and Python scanners,
+with the same format and matching as ts_scanner.ts:
+
+    "detectors": {
+      "feature_flags": [{ "call": "flags.isOn" }, { "call": "gate", "arg": 1 }],
+      "permissions": [{ "call": "*.can" }]
+    }
+
+`call` is matched against the end of the callee's member path (`*` matches
+any one segment), `arg` is the index of the argument holding the name
+(default 0). A kind the config doesn't list keeps the scanner's defaults.
+
+Author: LexMap Scanner Plugin
+License: MIT
+"""
+
+import json
+import os
+import re
+from typing import Any, Dict, List
+
+KINDS = ("feature_flags", "permissions")
+
+CALL_FORMAT = re.compile(r'^(\*|[\w$]+)(\.(\*|[\w$]+))*$')
+
+
+def check_detectors(detectors: Any, source: str) -> Dict[str, List[Dict[str, Any]]]:
+    """
+    Validate a detectors section; raises ValueError on a malformed entry.
+    """
+    if detectors is None:
+        return {}
+    if not isinstance(detectors, dict):
+        raise ValueError(f"{source}: $.detectors must be an object")
+
+    for kind in KINDS:
+        for index, detector in enumerate(detectors.get(kind) or []):
+            arg = detector.get("arg", 0) if isinstance(detector, dict) else None
+            if (
+                not isinstance(detector, dict)
+                or not isinstance(detector.get("call"), str)
+                or not CALL_FORMAT.match(detector["call"])
+                or not isinstance(arg, int)
+                or isinstance(arg, bool)
+                or arg < 0
+            ):
+                raise ValueError(
+                    f'{source}: $.detectors.{kind}[{index}] needs a "call" like "flags.isOn" '
+                    f'and an optional non-negative "arg"'
+                )
+
+    return {kind: detectors[kind] for kind in KINDS if kind in detectors}
+
+
+def load_detectors(config_file: str, _seen: tuple = ()) -> Dict[str, List[Dict[str, Any]]]:
+    """
+    The detectors section of a policy or scanner config file, following
+    `extends` like the policy composer: the parents' lists are combined and
+    the file's own lists replace them.
+    """
+    path = os.path.abspath(config_file)
+    if path in _seen:
+        raise ValueError(f"{config_file}: extends cycle")
+
+    try:
+        with open(path, "r", encoding="utf-8") as f:
+            data = json.load(f)
+    except (OSError, ValueError) as e:
+        raise ValueError(f"{config_file}: {e}")
+
+    parents = data.get("extends") or []
+    if isinstance(parents, str):
+        parents = [parents]
+
+    inherited: Dict[str, List[Dict[str, Any]]] = {}
+    for parent in parents:
+        parent_path = os.path.join(os.path.dirname(path), parent)
+        for kind, entries in load_detectors(parent_path, _seen + (path,)).items():
+            combined = inherited.setdefault(kind, [])
+            combined.extend(entry for entry in entries if entry not in combined)
+
+    return {**inherited, **check_detectors(data.get("detectors"), config_file)}
+
+
+def with_defaults(
+    detectors: Dict[str, List[Dict[str, Any]]],
+    defaults: Dict[str, List[Dict[str, Any]]]
+) -> Dict[str, List[Dict[str, Any]]]:
+    """The configured detectors, with the defaults for kinds they don't list."""
+    return {kind: detectors.get(kind, defaults[kind]) for kind in KINDS}
+
+
+def matching(detectors: Dict[str, List[Dict[str, Any]]], callee: List[str]):
+    """
+    (kind, detector) pairs whose call the callee path ends with, kind being
+    "feature_flag" or "permission".
+    """
+    for kind, gate_kind in (("feature_flags", "feature_flag"), ("permissions", "permission")):
+        for detector in detectors[kind]:
+            segments = detector["call"].split(".")
+            if len(segments) > len(callee):
+                continue
+            tail = callee[len(callee) - len(segments):]
+            if all(s == "*" or s == t for s, t in zip(segments, tail)):
+                yield gate_kind, detector
@@ -0,0 +1,75 @@
+/**
+ * LexMap fact extraction for single files
+ *
+ * Runs the matching scanner over in-memory source, e.g. an editor buffer or
+ * a proposed change that hasn't been written to disk yet. TypeScript/JS goes
+ * through TypeScriptScanner.scanSource; PHP through `php_scanner.py --stdin`.
+ *
+ * Author: LexMap
+ * License: MIT
+ */
+
+import { spawn } from "child_process";
+import * as path from "path";
+import { fileURLToPath } from "url";
+import { TypeScriptScanner } from "./ts_scanner.ts";
+import type { Detectors, FileData } from "./ts_scanner.ts";
+
+const scanDir = path.dirname(fileURLToPath(import.meta.url));
+
+export const TS_FILE = /\.(ts|tsx|js|jsx|mjs|cjs)$/;
+export const PHP_FILE = /\.php$/;
+
+function scanPhp(relativePath: string, content: string, detectors: Detectors): Promise<FileData> {
+  return new Promise((resolve, reject) => {
+    const child = spawn("python3", [
+      path.join(scanDir, "php_scanner.py"),
+      "--stdin",
+      relativePath,
+      ...(Object.keys(detectors).length > 0 ? ["--detectors", JSON.stringify(detectors)] : []),
+    ]);
+    let stdout = "";
+    let stderr = "";
+
+    child.stdout.on("data", (chunk) => (stdout += chunk));
+    child.stderr.on("data", (chunk) => (stderr += chunk));
+    child.on("error", (err) =>
+      reject(new Error(`PHP scanner failed to start: ${err.message}`))
+    );
+    child.on("close", (code) => {
+      if (code !== 0) {
+        reject(new Error(`PHP scanner exited with ${code}: ${stderr.trim()}`));
+        return;
+      }
+      try {
+        resolve(JSON.parse(stdout));
+      } catch (err: any) {
+        const output = (stderr.trim() || stdout.trim()).slice(0, 500);
+        reject(new Error(`PHP scanner printed invalid JSON (${err.message})${output ? `: ${output}` : ""}`));
+      }
+    });
+
+    child.stdin.end(content);
+  });
+}
+
+/**
+ * Extract scanner facts for a file, or null if no scanner handles it.
+ * relativePath is the repo-relative path the facts are reported under;
+ * detectors (the policy's) configure flag and permission detection.
+ */
+export async function extractFacts(
+  relativePath: string,
+  content: string,
+  detectors: Detectors = {}
+): Promise<FileData | null> {
+  if (TS_FILE.test(relativePath)) {
+    return new TypeScriptScanner(".", detectors).scanSource(relativePath, content);
+  }
+
+  if (PHP_FILE.test(relativePath)) {
+    return scanPhp(relativePath, content, detectors);
+  }
+
+  return null;
+}
@@ -0,0 +1,128 @@
+import { test } from "node:test";
+import * as assert from "node:assert/strict";
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import {
+  compareToBaseline,
+  createBaseline,
+  fingerprint,
+  readBaseline,
+  shrinkBaseline,
+  writeBaseline,
+} from "./lexmap-baseline.ts";
+import { LexMapChecker } from "./lexmap-check.ts";
+import type { Policy, SuppressionFact, Violation } from "./lexmap-check.ts";
+
+function violation(overrides: Partial<Violation> = {}): Violation {
+  return {
+    file: "ui/admin/Panel.ts",
+    module: "ui/user-admin",
+    type: "forbidden_caller",
+    message: "Module ui/user-admin imports services/auth-core but is forbidden",
+    details: "Policy forbids: ui/**",
+    import: "services/auth/session",
+    imported_module: "services/auth-core",
+    line: 3,
+    column: 1,
+    ...overrides,
+  };
+}
+
+test("fingerprints ignore positions but not what the violation is about", () => {
+  assert.equal(fingerprint(violation()), fingerprint(violation({ line: 40, column: 9 })));
+  assert.notEqual(fingerprint(violation()), fingerprint(violation({ file: "ui/admin/Other.ts" })));
+  assert.notEqual(fingerprint(violation()), fingerprint(violation({ symbol: "Token" })));
+  assert.notEqual(
+    fingerprint(violation({ type: "kill_pattern", import: undefined, message: "Kill pattern detected: a" })),
+    fingerprint(violation({ type: "kill_pattern", import: undefined, message: "Kill pattern detected: b" }))
+  );
+});
+
+test("the baseline counts identical violations and only covers that many", () => {
+  const baseline = createBaseline([violation(), violation({ line: 9 })]);
+  assert.equal(baseline.violations.length, 1);
+  assert.equal(baseline.violations[0].count, 2);
+
+  const comparison = compareToBaseline(
+    [violation(), violation({ line: 9 }), violation({ line: 20 }), violation({ file: "ui/admin/New.ts" })],
+    baseline
+  );
+  assert.equal(comparison.baselined.length, 2);
+  assert.deepEqual(
+    comparison.added.map((v) => [v.file, v.line]),
+    [
+      ["ui/admin/Panel.ts", 20],
+      ["ui/admin/New.ts", 3],
+    ]
+  );
+  assert.deepEqual(comparison.fixed, []);
+});
+
+test("fixed violations are reported and the ratchet only ever shrinks", () => {
+  const baseline = createBaseline([violation(), violation({ line: 9 }), violation({ symbol: "Token" })]);
+
+  const { fixed } = compareToBaseline([violation()], baseline);
+  assert.deepEqual(
+    fixed.map((entry) => [entry.symbol ?? null, entry.count]).sort(),
+    [
+      [null, 1],
+      ["Token", 1],
+    ]
+  );
+
+  const shrunk = shrinkBaseline(baseline, [violation(), violation({ file: "ui/admin/New.ts" })]);
+  assert.deepEqual(
+    shrunk.violations.map((entry) => [entry.file, entry.symbol, entry.count]),
+    [["ui/admin/Panel.ts", undefined, 1]]
+  );
+});
+
+test("baselines round-trip through a file and other JSON is rejected", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "lexmap-baseline-"));
+  try {
+    const baselinePath = path.join(dir, "baseline.json");
+    const baseline = createBaseline([violation()]);
+    writeBaseline(baselinePath, baseline);
+    assert.deepEqual(readBaseline(baselinePath), baseline);
+
+    fs.writeFileSync(baselinePath, JSON.stringify({ violations: [] }));
+    assert.throws(() => readBaseline(baselinePath), /is not a LexMap baseline/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("suppression problems stay baselined when the comment moves", () => {
+  const policy: Policy = { modules: { "ui/user-admin": { owns_paths: ["ui/admin/"] } }, global_kill_patterns: [] };
+  const check = (suppressions: SuppressionFact[]) => {
+    const checker = new LexMapChecker(policy, { root: os.tmpdir(), today: "2026-10-19" });
+    checker.checkFile({
+      path: "ui/admin/Panel.ts",
+      declarations: [],
+      imports: [],
+      feature_flags: [],
+      permissions: [],
+      warnings: [],
+      suppressions,
+    });
+    return checker.getViolations();
+  };
+  const suppressions = (shift: number): SuppressionFact[] => [
+    { line: 2 + shift, target_line: 3 + shift, directive: "forbidden_caller -- WEB-1 until 2026-01-31" },
+    { line: 5 + shift, target_line: 6 + shift, directive: "kill_pattern -- nothing here" },
+    { line: 8 + shift, target_line: 9 + shift, directive: "forbidden_caller" },
+  ];
+
+  const before = check(suppressions(0));
+  assert.deepEqual(
+    before.map((v) => v.type),
+    ["expired_suppression", "unused_suppression", "invalid_suppression"]
+  );
+
+  const after = check(suppressions(1));
+  assert.deepEqual(after.map((v) => v.line), [3, 6, 9]);
+  const { added, fixed } = compareToBaseline(after, createBaseline(before));
+  assert.deepEqual(added, []);
+  assert.deepEqual(fixed, []);
+});
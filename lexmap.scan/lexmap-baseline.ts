@@ -0,0 +1,153 @@
+/**
+ * LexMap Violation Baseline
+ *
+ * Records the violations a codebase already has so `lexmap check` can gate
+ * only on new ones. Fingerprints leave out line numbers, so edits that shift
+ * code around don't turn baselined violations into new ones:
+ *     type + file + importing module + imported module + import target (+ symbol)
+ *
+ * The baseline is a ratchet: fixed violations are reported, and
+ * `--update-baseline` drops them, but nothing is ever added back except by
+ * writing a fresh baseline on purpose.
+ *
+ * Author: LexMap
+ * License: MIT
+ */
+
+import { createHash } from "crypto";
+import * as fs from "fs";
+import type { Violation } from "./lexmap-check.ts";
+
+export interface BaselineEntry {
+  fingerprint: string;
+  type: Violation["type"];
+  file: string;
+  module: string;
+  imported_module?: string;
+  import?: string;
+  symbol?: string;
+  message: string;
+  /** How many identical violations the baseline allows */
+  count: number;
+}
+
+export interface Baseline {
+  version: 1;
+  generated_at: string;
+  violations: BaselineEntry[];
+}
+
+export interface BaselineComparison {
+  /** Violations not covered by the baseline */
+  added: Violation[];
+  /** Violations the baseline covers */
+  baselined: Violation[];
+  /** Baseline entries (with the count no longer seen) that are now fixed */
+  fixed: BaselineEntry[];
+}
+
+export function fingerprint(violation: Violation): string {
+  const key = [
+    violation.type,
+    violation.file,
+    violation.module,
+    violation.imported_module ?? "",
+    // Kill patterns have no import; their message names the pattern
+    violation.import ?? violation.message,
+    violation.symbol ?? "",
+  ].join("\n");
+  return createHash("sha256").update(key).digest("hex").slice(0, 16);
+}
+
+function toEntry(violation: Violation, count: number): BaselineEntry {
+  return {
+    fingerprint: fingerprint(violation),
+    type: violation.type,
+    file: violation.file,
+    module: violation.module,
+    ...(violation.imported_module ? { imported_module: violation.imported_module } : {}),
+    ...(violation.import ? { import: violation.import } : {}),
+    ...(violation.symbol ? { symbol: violation.symbol } : {}),
+    message: violation.message,
+    count,
+  };
+}
+
+function groupByFingerprint(violations: Violation[]): Map<string, Violation[]> {
+  const groups = new Map<string, Violation[]>();
+  for (const violation of violations) {
+    const key = fingerprint(violation);
+    groups.set(key, [...(groups.get(key) || []), violation]);
+  }
+  return groups;
+}
+
+export function createBaseline(violations: Violation[]): Baseline {
+  const entries = [...groupByFingerprint(violations).values()].map((group) =>
+    toEntry(group[0], group.length)
+  );
+  entries.sort((a, b) => a.file.localeCompare(b.file) || a.fingerprint.localeCompare(b.fingerprint));
+
+  return {
+    version: 1,
+    generated_at: new Date().toISOString(),
+    violations: entries,
+  };
+}
+
+export function compareToBaseline(
+  violations: Violation[],
+  baseline: Baseline
+): BaselineComparison {
+  const allowed = new Map(baseline.violations.map((entry) => [entry.fingerprint, entry]));
+  const groups = groupByFingerprint(violations);
+  const added: Violation[] = [];
+  const baselined: Violation[] = [];
+
+  for (const [key, group] of groups) {
+    const limit = allowed.get(key)?.count ?? 0;
+    baselined.push(...group.slice(0, limit));
+    added.push(...group.slice(limit));
+  }
+
+  const fixed: BaselineEntry[] = [];
+  for (const entry of baseline.violations) {
+    const seen = groups.get(entry.fingerprint)?.length ?? 0;
+    if (seen < entry.count) {
+      fixed.push({ ...entry, count: entry.count - seen });
+    }
+  }
+
+  return { added, baselined, fixed };
+}
+
+/**
+ * Lower each entry's count to what is still present; never raises a count or
+ * adds an entry
+ */
+export function shrinkBaseline(baseline: Baseline, violations: Violation[]): Baseline {
+  const groups = groupByFingerprint(violations);
+
+  return {
+    version: 1,
+    generated_at: new Date().toISOString(),
+    violations: baseline.violations
+      .map((entry) => ({
+        ...entry,
+        count: Math.min(entry.count, groups.get(entry.fingerprint)?.length ?? 0),
+      }))
+      .filter((entry) => entry.count > 0),
+  };
+}
+
+export function readBaseline(baselinePath: string): Baseline {
+  const baseline = JSON.parse(fs.readFileSync(baselinePath, "utf-8"));
+  if (baseline?.version !== 1 || !Array.isArray(baseline.violations)) {
+    throw new Error(`${baselinePath} is not a LexMap baseline (version 1)`);
+  }
+  return baseline;
+}
+
+export function writeBaseline(baselinePath: string, baseline: Baseline): void {
+  fs.writeFileSync(baselinePath, JSON.stringify(baseline, null, 2) + "\n");
+}
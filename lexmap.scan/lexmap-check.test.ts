@@ -0,0 +1,260 @@
+import { after, test } from "node:test";
+import * as assert from "node:assert/strict";
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import { LexMapChecker } from "./lexmap-check.ts";
+import type { FileData, ImportFact, Policy } from "./lexmap-check.ts";
+
+const policy: Policy = {
+  modules: {
+    "ui/user-admin": { owns_paths: ["ui/admin/"] },
+    "ui/reports": { owns_paths: ["ui/reports/"] },
+    "api/user-access": {
+      owns_paths: ["api/user-access/"],
+      exposes: ["UserAccessService", "api/user-access/public/"],
+    },
+    "services/auth-core": {
+      owns_paths: ["services/auth/"],
+      allowed_callers: ["api/*"],
+      forbidden_callers: ["ui/**"],
+      exposes: ["AuthService"],
+    },
+    "services/billing": { owns_paths: ["services/billing/"], allowed_callers: ["api/*"] },
+  },
+  global_kill_patterns: [],
+};
+
+// Imports are resolved against the root; an empty one resolves nothing
+const emptyRoot = fs.mkdtempSync(path.join(os.tmpdir(), "lexmap-check-"));
+after(() => fs.rmSync(emptyRoot, { recursive: true, force: true }));
+
+function file(filePath: string, imports: ImportFact[]): FileData {
+  return { path: filePath, declarations: [], imports, feature_flags: [], permissions: [], warnings: [] };
+}
+
+function violations(files: FileData[], options: { root?: string } = {}) {
+  const checker = new LexMapChecker(policy, { root: options.root ?? emptyRoot });
+  checker.check({ sources: ["test"], files });
+  return checker.getViolations();
+}
+
+test("forbidden_callers wins over allowed_callers and carries a route hint", () => {
+  const [violation, ...rest] = violations([
+    file("ui/admin/Panel.ts", [
+      { from: "services/auth/session", type: "import", imported: ["AuthService"], line: 3, column: 1 },
+    ]),
+  ]);
+
+  assert.deepEqual(rest, []);
+  assert.equal(violation.type, "forbidden_caller");
+  assert.equal(violation.imported_module, "services/auth-core");
+  assert.equal(violation.policy_rule, '$.modules["services/auth-core"].forbidden_callers[0]');
+  assert.equal(violation.line, 3);
+  assert.equal(violation.fix, "Use api/user-access (UserAccessService, api/user-access/public/) instead");
+});
+
+test("a module outside allowed_callers is reported, one inside is not", () => {
+  const found = violations([
+    file("services/auth/token.ts", [{ from: "services/billing/invoice", type: "import" }]),
+    file("api/user-access/service.ts", [{ from: "services/billing/invoice", type: "import" }]),
+  ]);
+
+  assert.deepEqual(
+    found.map((v) => [v.file, v.type]),
+    [["services/auth/token.ts", "not_allowed_caller"]]
+  );
+  assert.equal(found[0].details, "Policy allows only: api/*");
+});
+
+test("only exposed symbols may be imported from another module", () => {
+  const found = violations([
+    file("ui/reports/Summary.ts", [
+      { from: "api/user-access/internal", type: "import", imported: ["UserAccessService", "Cache"] },
+      { from: "api/user-access/internal", type: "import", imported: ["*"] },
+    ]),
+    // Within a module everything is visible
+    file("api/user-access/service.ts", [
+      { from: "api/user-access/internal", type: "import", imported: ["Cache"] },
+    ]),
+  ]);
+
+  assert.deepEqual(
+    found.map((v) => [v.file, v.type, v.symbol]),
+    [["ui/reports/Summary.ts", "non_exposed_symbol", "Cache"]]
+  );
+  assert.equal(found[0].policy_rule, '$.modules["api/user-access"].exposes');
+});
+
+test("an exposed entry point is matched by the file the import resolves to", () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "lexmap-check-"));
+  try {
+    fs.mkdirSync(path.join(root, "api/user-access/public"), { recursive: true });
+    fs.mkdirSync(path.join(root, "ui/reports"), { recursive: true });
+    fs.writeFileSync(path.join(root, "api/user-access/public/index.ts"), "export class Grant {}\n");
+    fs.writeFileSync(path.join(root, "api/user-access/internal.ts"), "export class Cache {}\n");
+
+    const found = violations(
+      [
+        file("ui/reports/Summary.ts", [
+          { from: "../../api/user-access/public", type: "import", imported: ["Grant"] },
+          { from: "../../api/user-access/internal", type: "import", imported: ["Cache"] },
+        ]),
+      ],
+      { root }
+    );
+
+    assert.deepEqual(
+      found.map((v) => [v.import, v.symbol]),
+      [["../../api/user-access/internal", "Cache"]]
+    );
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test("lexmap-ignore suppresses the named violation on its target line", () => {
+  const checker = new LexMapChecker(policy, { root: emptyRoot, today: "2026-10-19" });
+  checker.check({
+    sources: ["test"],
+    files: [
+      {
+        ...file("ui/admin/Panel.ts", [
+          { from: "services/auth/session", type: "import", line: 3, column: 1 },
+          { from: "services/auth/token", type: "import", line: 8, column: 1 },
+        ]),
+        suppressions: [
+          { line: 2, target_line: 3, directive: "forbidden_caller -- WEB-1234 until 2026-12-31" },
+        ],
+      },
+    ],
+  });
+
+  assert.deepEqual(
+    checker.getViolations().map((v) => [v.type, v.line]),
+    [["forbidden_caller", 8]]
+  );
+  assert.deepEqual(checker.getSuppressions(), [
+    {
+      file: "ui/admin/Panel.ts",
+      module: "ui/user-admin",
+      line: 2,
+      target_line: 3,
+      scope: "line",
+      types: ["forbidden_caller"],
+      reason: "WEB-1234",
+      until: "2026-12-31",
+      status: "active",
+      suppressed: 1,
+    },
+  ]);
+});
+
+test("invalid, expired and unused suppressions are reported and suppress nothing", () => {
+  const checker = new LexMapChecker(policy, { root: emptyRoot, today: "2026-10-19" });
+  checker.check({
+    sources: ["test"],
+    files: [
+      {
+        ...file("ui/admin/Panel.ts", [{ from: "services/auth/session", type: "import", line: 3, column: 1 }]),
+        suppressions: [
+          { line: 2, target_line: 3, directive: "forbidden_caller" },
+          { line: 2, target_line: 3, directive: "no_such_rule -- typo" },
+          { line: 2, target_line: 3, directive: "forbidden_caller -- WEB-1 until 2026-01-31" },
+          { line: 2, target_line: 3, directive: "forbidden_caller -- WEB-2 until soon" },
+          { line: 9, target_line: 10, directive: "forbidden_caller -- nothing here" },
+        ],
+      },
+    ],
+  });
+
+  assert.deepEqual(
+    checker.getSuppressions().map((s) => [s.status, s.problem]),
+    [
+      ["invalid", "has no reason (add `-- <reason>`)"],
+      ["invalid", "unknown violation type no_such_rule"],
+      ["expired", "expired on 2026-01-31"],
+      ["invalid", "until soon is not a YYYY-MM-DD date"],
+      ["unused", "No forbidden_caller violation on the line it covers"],
+    ]
+  );
+  assert.deepEqual(
+    checker.getViolations().map((v) => [v.type, v.line]),
+    [
+      ["forbidden_caller", 3],
+      ["invalid_suppression", 2],
+      ["invalid_suppression", 2],
+      ["expired_suppression", 2],
+      ["invalid_suppression", 2],
+      ["unused_suppression", 9],
+    ]
+  );
+});
+
+test("lexmap-ignore-file covers only violations without a line", () => {
+  const checker = new LexMapChecker(policy, { root: emptyRoot });
+  checker.check({
+    sources: ["test"],
+    files: [
+      {
+        ...file("ui/admin/Panel.ts", [{ from: "services/auth/session", type: "import", line: 3, column: 1 }]),
+        warnings: ["eval_usage"],
+        suppressions: [
+          { line: 1, target_line: 1, directive: "kill_pattern,forbidden_caller -- legacy", scope: "file" },
+        ],
+      },
+    ],
+  });
+
+  assert.deepEqual(
+    checker.getViolations().map((v) => v.type),
+    ["forbidden_caller"]
+  );
+  assert.equal(checker.getSuppressions()[0].scope, "file");
+  assert.equal(checker.getSuppressions()[0].suppressed, 1);
+});
+
+test("gates must be declared by the module, and required ones must be checked", () => {
+  const gated: Policy = {
+    modules: {
+      "ui/user-admin": {
+        owns_paths: ["ui/admin/"],
+        feature_flags: ["new_admin"],
+        require_feature_flag: true,
+        requires_permissions: ["users.admin"],
+      },
+      "ui/reports": { owns_paths: ["ui/reports/"], feature_flags: ["reports_v2"] },
+    },
+    global_kill_patterns: [],
+  };
+  const checker = new LexMapChecker(gated, { root: emptyRoot });
+  checker.check({
+    sources: ["test"],
+    files: [
+      {
+        ...file("ui/admin/Panel.ts", []),
+        feature_flags: ["reports_v2"],
+        permissions: ["users.delete"],
+        gates: [
+          { kind: "feature_flag", name: "reports_v2", line: 4, column: 16 },
+          { kind: "permission", name: "users.delete", line: 9, column: 10 },
+        ],
+      },
+      { ...file("ui/admin/Checked.ts", []), feature_flags: ["new_admin"], permissions: ["users.admin"] },
+    ],
+  });
+
+  assert.deepEqual(
+    checker.getViolations().map((v) => [v.file, v.type, v.symbol, v.line, v.details]),
+    [
+      ["ui/admin/Panel.ts", "missing_permission", undefined, undefined, "Policy requires one of: users.admin"],
+      ["ui/admin/Panel.ts", "undeclared_permission", "users.delete", 9, "Add it to ui/user-admin.requires_permissions"],
+      ["ui/admin/Panel.ts", "missing_feature_flag", undefined, undefined, "Policy requires one of: new_admin"],
+      ["ui/admin/Panel.ts", "undeclared_feature_flag", "reports_v2", 4, "Declared by: ui/reports"],
+    ]
+  );
+  assert.equal(
+    checker.getViolations()[2].policy_rule,
+    '$.modules["ui/user-admin"].feature_flags'
+  );
+});
@@ -5,20 +5,34 @@
  * Enforces architectural policy by checking scanner output against lexmap.policy.json.
  *
  * Usage:
- *     lexmap check <merged.json> <policy.json> [--ticket WEB-23621]
+ *     lexmap check <merged.json> <policy.json> [--format text|json|sarif|junit] [--ticket WEB-23621]
+ *                  [--write-baseline <baseline.json> | --baseline <baseline.json> [--update-baseline]]
+ *                  [--list-suppressions] [--root <repo-dir>]
  *
  * What it does:
  *     1. Loads merged scanner output (from lexmap merge)
  *     2. Loads policy file (lexmap.policy.json)
  *     3. For each file:
- *        - Resolves file path → module_scope using owns_paths
- *        - Checks imports against allowed_callers/forbidden_callers
- *        - Detects kill_patterns in code
- *     4. Reports violations
+ *        - Resolves file path → module_scope using owns_paths (prefixes, globs,
+ *          braces, ! negation; the most specific entry wins, see `lexmap which`)
+ *        - Resolves TS/JS imports to files (relative paths, tsconfig paths,
+ *          workspace packages; --root, default cwd) before matching modules
+ *        - Checks imports against allowed_callers/forbidden_callers (type-only
+ *          imports as the policy's type_imports says)
+ *        - Checks imported symbols against the imported module's exposes
+ *        - Checks permissions/feature flags against requires_permissions/feature_flags
+ *        - Evaluates kill patterns defined as rules (source regex, imports,
+ *          declarations outside their owner, duplicates of exposed names)
+ *        - Honors `lexmap-ignore <type> -- <reason> [until YYYY-MM-DD]` comments
+ *          (`lexmap-ignore-file` for violations without a line, such as
+ *          missing_permission), reporting ones that are invalid, expired or
+ *          match nothing
+ *     4. Reports violations (--format: text, json, SARIF 2.1.0 or JUnit XML);
+ *        with --baseline, only those not recorded in the baseline
  *
  * Exit codes:
- *     0 - No violations
- *     1 - Violations found
+ *     0 - No violations (with --baseline: no new violations)
+ *     1 - Violations found (with --baseline: new violations found)
  *     2 - Error (file not found, schema invalid, etc.)
  *
  * Example:
@@ -38,174 +52,726 @@
 
 import * as fs from "fs";
 import * as path from "path";
-
-interface PolicyModule {
-  owns_namespaces: string[];
-  owns_paths: string[];
-  exposes: string[];
-  allowed_callers: string[];
-  forbidden_callers: string[];
-  feature_flags: string[];
-  requires_permissions: string[];
-  kill_patterns: string[];
+import { pathToFileURL } from "url";
+import { formatReport, formatSuppressions, REPORT_FORMATS, RULES } from "./lexmap-report.ts";
+import type { ReportFormat } from "./lexmap-report.ts";
+import {
+  compareToBaseline,
+  createBaseline,
+  readBaseline,
+  shrinkBaseline,
+  writeBaseline,
+} from "./lexmap-baseline.ts";
+import type { Baseline } from "./lexmap-baseline.ts";
+import { ImportResolver } from "./resolve.ts";
+import {
+  matchesPattern,
+  matchPatterns,
+  resolveOwner,
+} from "../packages/codemap-indexer/src/paths.ts";
+import type { Ownership } from "../packages/codemap-indexer/src/paths.ts";
+import { resolvePolicyFile } from "../packages/codemap-indexer/src/policy-compose.ts";
+import { KillPatternRules } from "./lexmap-kill.ts";
+import type { KillContext, KillPattern } from "./lexmap-kill.ts";
+import type { Detectors } from "./ts_scanner.ts";
+
+export interface PolicyModule {
+  description?: string;
+  owns_namespaces?: string[];
+  owns_paths?: string[];
+  exposes?: string[];
+  allowed_callers?: string[];
+  forbidden_callers?: string[];
+  feature_flags?: string[];
+  /** Every file must check one of feature_flags (missing_feature_flag) */
+  require_feature_flag?: boolean;
+  requires_permissions?: string[];
+  /** How type-only imports of this module are checked; overrides the policy's */
+  type_imports?: TypeImportMode;
+  /** Names of global kill patterns, or rules limited to this module */
+  kill_patterns?: Array<string | KillPattern>;
+  notes?: string;
 }
 
-interface Policy {
+export interface Policy {
   modules: Record<string, PolicyModule>;
-  global_kill_patterns: Array<{
-    pattern: string;
-    description: string;
-  }>;
+  global_kill_patterns: KillPattern[];
+  /** Calls the TS scanner reports as feature flag and permission checks */
+  detectors?: Detectors;
+  /** How type-only imports are checked; default "enforce" */
+  type_imports?: TypeImportMode;
+  /** Ordered layers, top first (see lexmap-graph.ts) */
+  layers?: Array<string | { name: string; modules: string[] }>;
+}
+
+/**
+ * enforce: like runtime imports. exposes: only the imported module's exposes
+ * applies, not its allowed/forbidden callers. ignore: not checked.
+ */
+export type TypeImportMode = "enforce" | "exposes" | "ignore";
+
+// Import types the scanners report for imports erased at runtime
+export const TYPE_ONLY_IMPORTS = new Set(["import_type", "re_export_type"]);
+
+export interface ImportFact {
+  from: string;
+  type: string;
+  imported?: string[];
+  line?: number;
+  column?: number;
+}
+
+export interface SuppressionFact {
+  line: number;
+  target_line: number;
+  directive: string;
+  /** "file": covers the file's violations that have no line */
+  scope?: "file";
 }
 
-interface FileData {
+export interface FileData {
   path: string;
   declarations: Array<{ type: string; name: string; namespace?: string }>;
-  imports: Array<{ from: string; type: string }>;
+  imports: ImportFact[];
   feature_flags: string[];
   permissions: string[];
+  /** Where the scanner found each flag and permission, when it reports it */
+  gates?: Array<{ kind: "feature_flag" | "permission"; name: string; line: number; column: number }>;
+  suppressions?: SuppressionFact[];
   warnings: string[];
 }
 
-interface MergedScannerOutput {
+export interface MergedScannerOutput {
   sources: string[];
   files: FileData[];
 }
 
-interface Violation {
+export interface Violation {
   file: string;
   module: string;
-  type: "forbidden_caller" | "kill_pattern" | "missing_permission";
+  type:
+    | "forbidden_caller"
+    | "not_allowed_caller"
+    | "non_exposed_symbol"
+    | "kill_pattern"
+    | "missing_permission"
+    | "missing_feature_flag"
+    | "undeclared_permission"
+    | "undeclared_feature_flag"
+    | "deleted_exposed_symbol"
+    | "dependency_cycle"
+    | "upward_dependency"
+    | "skipped_layer"
+    | "invalid_suppression"
+    | "expired_suppression"
+    | "unused_suppression";
   message: string;
   details: string;
+  import?: string;
+  /** Module the offending import resolves to */
+  imported_module?: string;
+  /** Symbol the violation is about (non-exposed or deleted) */
+  symbol?: string;
+  fix?: string;
+  /** 1-based position of the offending import, when the scanner reports it */
+  line?: number;
+  column?: number;
+  /** JSON path of the policy entry that triggered the violation */
+  policy_rule?: string;
 }
 
-class LexMapChecker {
+/**
+ * A `lexmap-ignore` comment as interpreted by the checker
+ */
+export interface Suppression {
+  file: string;
+  module: string;
+  line: number;
+  target_line: number;
+  /** "file" for lexmap-ignore-file */
+  scope: "line" | "file";
+  types: string[];
+  reason: string | null;
+  until: string | null;
+  /** active: valid and in use; unused, expired and invalid are reported */
+  status: "active" | "unused" | "expired" | "invalid";
+  problem?: string;
+  /** Violations it suppressed */
+  suppressed: number;
+}
+
+export interface CheckerOptions {
+  /** Date (YYYY-MM-DD) suppression expiry is measured against; defaults to today */
+  today?: string;
+  /** Repository root that file paths are relative to; defaults to cwd */
+  root?: string;
+}
+
+export interface RouteHop {
+  module: string;
+  exposes: string[];
+}
+
+export interface Route {
+  from: string;
+  to: string;
+  /** Modules from caller to callee, inclusive */
+  path: string[];
+  /** Intermediary modules to go through, with the symbols they expose */
+  via: RouteHop[];
+}
+
+export class LexMapChecker {
   private policy: Policy;
   private violations: Violation[] = [];
+  private checkedFiles: string[] = [];
+  private suppressions: Suppression[] = [];
+  private today: string;
+  private root: string;
+  private resolver: ImportResolver | null = null;
+  private killRules: KillPatternRules | null = null;
+  private exposedNames: Map<string, string[]> | null = null;
+
+  constructor(policy: string | Policy, options: CheckerOptions = {}) {
+    this.policy = typeof policy === "string" ? loadPolicyFile(policy) : policy;
+    this.today = options.today ?? new Date().toISOString().slice(0, 10);
+    this.root = options.root ?? process.cwd();
+  }
 
-  constructor(policyPath: string) {
-    const content = fs.readFileSync(policyPath, "utf-8");
-    this.policy = JSON.parse(content);
+  private importResolver(): ImportResolver {
+    this.resolver ??= new ImportResolver(this.root);
+    return this.resolver;
   }
 
   check(scannerOutput: MergedScannerOutput): void {
     for (const file of scannerOutput.files) {
-      const moduleId = this.resolveFileToModule(file.path);
+      this.checkFile(file);
+    }
+  }
+
+  /**
+   * Check one file; text is its source when it differs from disk (an
+   * unsaved editor buffer), for source_regex kill patterns
+   */
+  checkFile(file: FileData, text?: string): void {
+    const moduleId = this.resolveFileToModule(file.path);
+
+    if (!moduleId) {
+      // File doesn't belong to any known module - skip
+      return;
+    }
+    this.checkedFiles.push(file.path);
+    const firstViolation = this.violations.length;
+
+    // Check imports against forbidden_callers, allowed_callers and exposes
+    for (const imp of file.imports || []) {
+      const importedModuleId = this.resolveImportToModule(imp.from, file.path);
+
+      if (importedModuleId) {
+        const importedModule = this.policy.modules[importedModuleId];
+        const typeImports = this.typeImportMode(imp, importedModuleId);
+        if (typeImports === "ignore") continue;
+        let permitted = true;
+
+        // Check if current module matches the forbidden_callers patterns
+        const forbidden =
+          importedModule &&
+          typeImports === "enforce" &&
+          matchPatterns(moduleId, importedModule.forbidden_callers || [], { ids: true });
+        if (forbidden) {
+          permitted = false;
+          this.violations.push({
+            file: file.path,
+            module: moduleId,
+            type: "forbidden_caller",
+            message: `Module ${moduleId} imports ${importedModuleId} but is forbidden`,
+            details: `Policy forbids: ${forbidden.pattern}`,
+            import: imp.from,
+            imported_module: importedModuleId,
+            ...this.fixFor(moduleId, importedModuleId),
+            ...location(imp),
+            policy_rule: rulePath(importedModuleId, "forbidden_callers", forbidden.index),
+          });
+        }
 
-      if (!moduleId) {
-        // File doesn't belong to any known module - skip
-        continue;
+        // Within a module, the whitelist and public surface don't apply
+        if (!importedModule || importedModuleId === moduleId || !permitted) {
+          continue;
+        }
+
+        const allowed = typeImports === "enforce" ? importedModule.allowed_callers || [] : [];
+        if (allowed.length > 0 && !matchPatterns(moduleId, allowed, { ids: true })) {
+          this.violations.push({
+            file: file.path,
+            module: moduleId,
+            type: "not_allowed_caller",
+            message: `Module ${moduleId} imports ${importedModuleId} but is not an allowed caller`,
+            details: `Policy allows only: ${allowed.join(", ")}`,
+            import: imp.from,
+            imported_module: importedModuleId,
+            ...this.fixFor(moduleId, importedModuleId),
+            ...location(imp),
+            policy_rule: rulePath(importedModuleId, "allowed_callers"),
+          });
+          continue;
+        }
+
+        const exposes = importedModule.exposes || [];
+        if (exposes.length === 0) continue;
+
+        // An exposed entry point (a file or directory) lets every symbol through.
+        // TS/JS imports are compared by the file they resolve to, whatever the
+        // specifier (relative, tsconfig alias, workspace package).
+        const resolved = this.importResolver().resolve(imp.from, file.path);
+        const viaEntryPoint = resolved
+          ? exposes.some((entry) => entry.includes("/") && matchesPattern(resolved, entry))
+          : exposes.includes(imp.from);
+        if (viaEntryPoint) continue;
+
+        for (const symbol of this.importedSymbols(imp)) {
+          if (!exposes.includes(symbol)) {
+            this.violations.push({
+              file: file.path,
+              module: moduleId,
+              type: "non_exposed_symbol",
+              message: `Module ${moduleId} imports ${symbol} from ${importedModuleId}, which does not expose it`,
+              details: `Policy exposes: ${exposes.join(", ")}`,
+              import: imp.from,
+              imported_module: importedModuleId,
+              symbol,
+              ...location(imp),
+              policy_rule: rulePath(importedModuleId, "exposes"),
+            });
+          }
+        }
       }
+    }
 
-      const module = this.policy.modules[moduleId];
-
-      // Check imports against forbidden_callers
-      for (const imp of file.imports) {
-        const importedModuleId = this.resolveImportToModule(imp.from);
-
-        if (importedModuleId) {
-          const importedModule = this.policy.modules[importedModuleId];
-
-          if (importedModule && importedModule.forbidden_callers) {
-            // Check if current module matches any forbidden_caller pattern
-            for (const forbidden of importedModule.forbidden_callers) {
-              if (this.matchPattern(moduleId, forbidden)) {
-                this.violations.push({
-                  file: file.path,
-                  module: moduleId,
-                  type: "forbidden_caller",
-                  message: `Module ${moduleId} imports ${importedModuleId} but is forbidden`,
-                  details: `Policy forbids: ${forbidden}`,
-                });
-              }
+    this.checkGates(file, moduleId);
+
+    // Kill patterns defined as rules, then any a scanner reported itself
+    this.violations.push(...this.killPatternRules().check(file, moduleId, this.killContext(file, text)));
+    for (const warning of file.warnings || []) {
+      this.violations.push({
+        file: file.path,
+        module: moduleId,
+        type: "kill_pattern",
+        message: `Kill pattern detected: ${warning}`,
+        details: "",
+      });
+    }
+
+    this.applySuppressions(file, moduleId, firstViolation);
+  }
+
+  /**
+   * How an import is checked: "enforce" for runtime imports, otherwise the
+   * imported module's type_imports, then the policy's
+   */
+  typeImportMode(imp: ImportFact, importedModuleId: string): TypeImportMode {
+    if (!TYPE_ONLY_IMPORTS.has(imp.type)) return "enforce";
+    return (
+      this.policy.modules[importedModuleId]?.type_imports ?? this.policy.type_imports ?? "enforce"
+    );
+  }
+
+  /**
+   * Rules of the policy's kill patterns, compiled on first use; throws on an
+   * invalid rule
+   */
+  private killPatternRules(): KillPatternRules {
+    this.killRules ??= new KillPatternRules(this.policy.global_kill_patterns, this.modules());
+    return this.killRules;
+  }
+
+  private killContext(file: FileData, text?: string): KillContext {
+    return {
+      importedModule: (imp, from) => this.resolveImportToModule(imp.from, from.path),
+      source: (filePath) => {
+        if (text !== undefined && filePath === file.path) return text;
+        try {
+          return fs.readFileSync(path.resolve(this.root, filePath), "utf-8");
+        } catch {
+          return null;
+        }
+      },
+      exposedBy: (name) => {
+        if (!this.exposedNames) {
+          this.exposedNames = new Map();
+          for (const [moduleId, module] of this.modules()) {
+            for (const symbol of module.exposes || []) {
+              this.exposedNames.set(symbol, [...(this.exposedNames.get(symbol) || []), moduleId]);
             }
           }
         }
+        return this.exposedNames.get(name) || [];
+      },
+    };
+  }
+
+  /**
+   * Check the permissions and feature flags the file references against its
+   * module: a module with requires_permissions (or feature_flags and
+   * require_feature_flag) needs each file to check at least one of them, and
+   * a file may only reference ones its module declares.
+   */
+  private checkGates(file: FileData, moduleId: string): void {
+    const module = this.policy.modules[moduleId];
+    const gates = [
+      {
+        property: "requires_permissions" as const,
+        kind: "permission",
+        gate: "permission",
+        found: file.permissions || [],
+        required: true,
+        missing: "missing_permission" as const,
+        undeclared: "undeclared_permission" as const,
+      },
+      {
+        property: "feature_flags" as const,
+        kind: "feature flag",
+        gate: "feature_flag",
+        found: file.feature_flags || [],
+        required: module.require_feature_flag === true,
+        missing: "missing_feature_flag" as const,
+        undeclared: "undeclared_feature_flag" as const,
+      },
+    ];
+
+    for (const gate of gates) {
+      const declared = module[gate.property] || [];
+
+      if (gate.required && declared.length > 0 && !gate.found.some((name) => declared.includes(name))) {
+        this.violations.push({
+          file: file.path,
+          module: moduleId,
+          type: gate.missing,
+          message: `${file.path} never checks a ${gate.kind} ${moduleId} requires`,
+          details: `Policy requires one of: ${declared.join(", ")}`,
+          policy_rule: rulePath(moduleId, gate.property),
+        });
       }
 
-      // Check for kill patterns
-      for (const warning of file.warnings) {
+      for (const name of gate.found) {
+        if (declared.includes(name)) continue;
+
+        const declaredBy = this.moduleIds().filter((id) =>
+          (this.policy.modules[id][gate.property] || []).includes(name)
+        );
+        const found = (file.gates || []).find((g) => g.kind === gate.gate && g.name === name);
         this.violations.push({
           file: file.path,
           module: moduleId,
-          type: "kill_pattern",
-          message: `Kill pattern detected: ${warning}`,
-          details: "",
+          type: gate.undeclared,
+          message:
+            declaredBy.length > 0
+              ? `${file.path} references ${gate.kind} ${name}, which ${moduleId} does not declare`
+              : `${file.path} references ${gate.kind} ${name}, which is not declared anywhere in the policy`,
+          details:
+            declaredBy.length > 0
+              ? `Declared by: ${declaredBy.join(", ")}`
+              : `Add it to ${moduleId}.${gate.property}`,
+          symbol: name,
+          ...(found ? { line: found.line, column: found.column } : {}),
+          policy_rule: rulePath(moduleId, gate.property),
         });
       }
     }
   }
 
-  private resolveFileToModule(filePath: string): string | null {
-    // Find which module owns this file path
-    for (const [moduleId, module] of Object.entries(this.policy.modules)) {
-      for (const pathPattern of module.owns_paths) {
-        if (this.matchPath(filePath, pathPattern)) {
-          return moduleId;
+  /**
+   * Drop this file's violations (from index `first` on) that a valid,
+   * unexpired `lexmap-ignore` on their line names (or a `lexmap-ignore-file`,
+   * for violations without a line), and report suppressions that are
+   * invalid, expired or match nothing.
+   */
+  private applySuppressions(file: FileData, moduleId: string, first: number): void {
+    const facts = file.suppressions || [];
+    if (facts.length === 0) return;
+
+    const fileViolations = this.violations.splice(first);
+    const problems: Violation[] = [];
+
+    for (const fact of facts) {
+      const suppression = this.parseSuppression(file.path, moduleId, fact);
+      this.suppressions.push(suppression);
+
+      if (suppression.status === "active") {
+        const line = suppression.scope === "file" ? undefined : fact.target_line;
+        const remaining = fileViolations.filter(
+          (v) => !(v.line === line && suppression.types.includes(v.type))
+        );
+        suppression.suppressed = fileViolations.length - remaining.length;
+        fileViolations.splice(0, fileViolations.length, ...remaining);
+
+        if (suppression.suppressed === 0) {
+          suppression.status = "unused";
+          suppression.problem =
+            line === undefined
+              ? `No file-level ${suppression.types.join("/")} violation`
+              : `No ${suppression.types.join("/")} violation on the line it covers`;
         }
       }
+
+      // The message leaves out line numbers, so a baseline fingerprint
+      // (which falls back to it) survives the comment moving
+      if (suppression.status !== "active") {
+        const directive = suppression.scope === "file" ? "lexmap-ignore-file" : "lexmap-ignore";
+        problems.push({
+          file: file.path,
+          module: moduleId,
+          type: `${suppression.status}_suppression` as Violation["type"],
+          message: `${directive} is ${suppression.status}: ${suppression.problem}`,
+          details:
+            `Directive on line ${fact.line}: ${directive} ${fact.directive}` +
+            (suppression.scope === "file" ? "" : ` (covers line ${fact.target_line})`),
+          line: fact.line,
+          column: 1,
+        });
+      }
+    }
+
+    this.violations.push(...fileViolations, ...problems);
+  }
+
+  /**
+   * Interpret "<type>[,<type>...] -- <reason> [until YYYY-MM-DD]"
+   */
+  private parseSuppression(
+    filePath: string,
+    moduleId: string,
+    fact: SuppressionFact
+  ): Suppression {
+    const [head, ...rest] = fact.directive.split("--");
+    const types = head.split(/[\s,]+/).filter(Boolean);
+    let reason = rest.join("--").trim();
+    let until: string | null = null;
+
+    const untilMatch = reason.match(/(?:^|\s)until\s+(\S+)$/);
+    if (untilMatch) {
+      until = untilMatch[1];
+      reason = reason.slice(0, untilMatch.index).trim();
     }
-    return null;
+
+    const suppression: Suppression = {
+      file: filePath,
+      module: moduleId,
+      line: fact.line,
+      target_line: fact.target_line,
+      scope: fact.scope === "file" ? "file" : "line",
+      types,
+      reason: reason || null,
+      until,
+      status: "active",
+      suppressed: 0,
+    };
+
+    const unknown = types.filter((type) => !SUPPRESSIBLE_TYPES.includes(type));
+    const invalid = (problem: string) => ({ ...suppression, status: "invalid" as const, problem });
+
+    if (types.length === 0) return invalid("names no violation type");
+    if (unknown.length > 0) return invalid(`unknown violation type ${unknown.join(", ")}`);
+    if (!reason) return invalid("has no reason (add `-- <reason>`)");
+    if (until !== null && !isDate(until)) return invalid(`until ${until} is not a YYYY-MM-DD date`);
+    if (until !== null && until < this.today) {
+      return { ...suppression, status: "expired", problem: `expired on ${until}` };
+    }
+
+    return suppression;
   }
 
-  private resolveImportToModule(importPath: string): string | null {
-    // Try to match by namespace first (PHP style)
-    for (const [moduleId, module] of Object.entries(this.policy.modules)) {
-      for (const namespace of module.owns_namespaces) {
-        if (importPath.startsWith(namespace)) {
-          return moduleId;
-        }
+  /**
+   * Check removal of a file: deleting the declaration of a symbol its module
+   * exposes breaks every caller relying on that public surface.
+   */
+  checkDeletion(file: FileData): void {
+    const moduleId = this.resolveFileToModule(file.path);
+    if (!moduleId) return;
+    this.checkedFiles.push(file.path);
+
+    const exposes = this.policy.modules[moduleId].exposes || [];
+
+    for (const decl of file.declarations || []) {
+      if (exposes.includes(decl.name)) {
+        this.violations.push({
+          file: file.path,
+          module: moduleId,
+          type: "deleted_exposed_symbol",
+          message: `Deleting ${file.path} removes ${decl.name}, which ${moduleId} exposes`,
+          details: `Policy exposes: ${decl.name}`,
+          symbol: decl.name,
+          policy_rule: rulePath(moduleId, "exposes", exposes.indexOf(decl.name)),
+        });
       }
     }
+  }
+
+  /**
+   * Names an import takes from the imported module: the TS scanner's
+   * `imported` names ("*" for a namespace import names no single symbol), or
+   * the class name of a PHP `use` statement.
+   */
+  private importedSymbols(imp: ImportFact): string[] {
+    if (imp.imported) {
+      return imp.imported.filter((name) => name !== "*");
+    }
+    if (imp.type === "use_statement") {
+      return [imp.from.split("\\").pop()!];
+    }
+    return [];
+  }
 
-    // Try to match by file path pattern (TypeScript/JS style)
-    for (const [moduleId, module] of Object.entries(this.policy.modules)) {
-      for (const pathPattern of module.owns_paths) {
-        if (this.matchPath(importPath, pathPattern)) {
+  /**
+   * The route hint for a dependency the policy rules out, if one exists
+   */
+  private fixFor(callerId: string, calleeId: string): { fix?: string } {
+    const route = this.suggestRoute(callerId, calleeId);
+    return route && route.via.length > 0 ? { fix: formatFix(route) } : {};
+  }
+
+  getViolations(): Violation[] {
+    return this.violations;
+  }
+
+  /**
+   * Every `lexmap-ignore` seen so far, with its status, for review
+   */
+  getSuppressions(): Suppression[] {
+    return this.suppressions;
+  }
+
+  /**
+   * Paths of the files checked so far (those owned by a module)
+   */
+  getCheckedFiles(): string[] {
+    return this.checkedFiles;
+  }
+
+  /**
+   * Module entries of the policy, skipping anything that isn't a module object
+   */
+  private modules(): Array<[string, PolicyModule]> {
+    return Object.entries(this.policy.modules || {}).filter(
+      ([, module]) =>
+        module !== null && typeof module === "object" && !Array.isArray(module)
+    );
+  }
+
+  resolveFileToModule(filePath: string): string | null {
+    return this.ownersOf(filePath).winner?.owner ?? null;
+  }
+
+  /**
+   * Every module whose owns_paths match a path, most specific first; the
+   * first (the winner) owns it
+   */
+  ownersOf(filePath: string): Ownership<string> {
+    return resolveOwner(
+      filePath,
+      this.modules().map(([moduleId, module]) => ({
+        owner: moduleId,
+        patterns: module.owns_paths || [],
+      }))
+    );
+  }
+
+  /**
+   * Module an import refers to. Given the importing file, TS/JS specifiers
+   * are first resolved to the file they import (relative paths, tsconfig
+   * paths/baseUrl, workspace packages) and matched by owns_paths.
+   */
+  resolveImportToModule(importPath: string, fromFile?: string): string | null {
+    if (fromFile) {
+      const resolved = this.importResolver().resolve(importPath, fromFile);
+      const owner = resolved && this.resolveFileToModule(resolved);
+      if (owner) return owner;
+    }
+
+    // Try to match by namespace (PHP style)
+    for (const [moduleId, module] of this.modules()) {
+      for (const namespace of module.owns_namespaces || []) {
+        if (importPath.startsWith(namespace)) {
           return moduleId;
         }
       }
     }
 
-    return null;
+    // Try to match by file path pattern (TypeScript/JS style)
+    return this.resolveFileToModule(importPath);
   }
 
-  private matchPath(filePath: string, pattern: string): boolean {
-    // Simple glob matching (** means any nested path)
-    const regexPattern = pattern
-      .replace(/\*\*/g, ".*")
-      .replace(/\*/g, "[^/]*")
-      .replace(/\//g, "\\/");
-    const regex = new RegExp(`^${regexPattern}$`);
-    return regex.test(filePath);
-  }
+  /**
+   * Whether the policy lets callerId depend on calleeId: not matched by the
+   * callee's forbidden_callers and, when the callee lists allowed_callers,
+   * matched by one of them. A module may always use itself.
+   */
+  canCall(callerId: string, calleeId: string): boolean {
+    if (callerId === calleeId) return true;
 
-  private matchPattern(value: string, pattern: string): boolean {
-    // Simple pattern matching (supports ** and * wildcards)
-    const regexPattern = pattern.replace(/\*\*/g, ".*").replace(/\*/g, "[^/]*");
-    const regex = new RegExp(`^${regexPattern}$`);
-    return regex.test(value);
-  }
+    const callee = this.policy.modules[calleeId];
+    if (!callee) return true;
 
-  report(): void {
-    if (this.violations.length === 0) {
-      console.log("✅ No violations found");
-      return;
+    if (matchPatterns(callerId, callee.forbidden_callers || [], { ids: true })) {
+      return false;
     }
 
-    console.log(`❌ Found ${this.violations.length} violation(s):\n`);
+    const allowed = callee.allowed_callers || [];
+    return allowed.length === 0 || matchPatterns(callerId, allowed, { ids: true }) !== null;
+  }
 
-    for (const violation of this.violations) {
-      console.log(`File: ${violation.file}`);
-      console.log(`Module: ${violation.module}`);
-      console.log(`Type: ${violation.type}`);
-      console.log(`Message: ${violation.message}`);
-      if (violation.details) {
-        console.log(`Details: ${violation.details}`);
+  /**
+   * Shortest legal route from callerId to calleeId: each step is allowed by
+   * canCall. Among routes of equal length, intermediaries that expose symbols
+   * are preferred. Returns null when no route exists; a route with no
+   * intermediaries means the direct dependency is already allowed.
+   */
+  suggestRoute(callerId: string, calleeId: string): Route | null {
+    const ids = this.moduleIds();
+    if (!ids.includes(callerId) || !ids.includes(calleeId)) return null;
+
+    const exposes = (id: string) => this.policy.modules[id].exposes || [];
+    const candidates = [
+      ...ids.filter((id) => exposes(id).length > 0),
+      ...ids.filter((id) => exposes(id).length === 0),
+    ];
+
+    // Breadth-first search over the "may call" graph
+    const previous = new Map<string, string | null>([[callerId, null]]);
+    const queue = [callerId];
+    while (queue.length > 0 && !previous.has(calleeId)) {
+      const current = queue.shift()!;
+      for (const next of candidates) {
+        if (previous.has(next) || !this.canCall(current, next)) continue;
+        previous.set(next, current);
+        if (next === calleeId) break;
+        queue.push(next);
       }
-      console.log("");
     }
+
+    if (!previous.has(calleeId)) return null;
+
+    const path: string[] = [];
+    for (let id: string | null = calleeId; id !== null; id = previous.get(id)!) {
+      path.unshift(id);
+    }
+
+    return {
+      from: callerId,
+      to: calleeId,
+      path,
+      via: path.slice(1, -1).map((module) => ({ module, exposes: exposes(module) })),
+    };
+  }
+
+  /**
+   * IDs of all module entries in the policy
+   */
+  moduleIds(): string[] {
+    return this.modules().map(([moduleId]) => moduleId);
+  }
+
+  report(format: ReportFormat = "text"): void {
+    process.stdout.write(formatReport(format, this.violations, this.checkedFiles));
   }
 
   hasViolations(): boolean {
@@ -213,24 +779,108 @@ class LexMapChecker {
   }
 }
 
-function main() {
-  const args = process.argv.slice(2);
+/**
+ * The effective policy of a policy file: what it extends and the package
+ * policies below it, merged. Throws listing the conflicts, if any.
+ */
+export function loadPolicyFile(policyFile: string): Policy {
+  const { policy, errors } = resolvePolicyFile(policyFile);
+  if (errors.length > 0 || !policy) {
+    throw new Error(
+      `Invalid policy ${policyFile}:\n` +
+        errors.map((error) => `  ${error.path}: ${error.message}`).join("\n")
+    );
+  }
+  return policy;
+}
+
+// Violation types a lexmap-ignore may name (not the suppression checks themselves)
+const SUPPRESSIBLE_TYPES: string[] = Object.keys(RULES).filter(
+  (type) => !type.endsWith("_suppression")
+);
+
+function isDate(value: string): boolean {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value));
+}
+
+/**
+ * Position fields for a violation raised by an import
+ */
+function location(imp: ImportFact): { line?: number; column?: number } {
+  return imp.line ? { line: imp.line, column: imp.column } : {};
+}
+
+/**
+ * JSON path of a policy entry, e.g. $.modules["services/auth-core"].forbidden_callers[0]
+ */
+export function rulePath(moduleId: string, property: string, index?: number): string {
+  const base = `$.modules[${JSON.stringify(moduleId)}].${property}`;
+  return index === undefined ? base : `${base}[${index}]`;
+}
 
-  if (args.length < 2) {
+/**
+ * One-line fix hint for a route, e.g.
+ * "Use api/user-access-service (UserAccessService) instead"
+ */
+export function formatFix(route: Route): string {
+  const hops = route.via.map((hop) =>
+    hop.exposes.length > 0 ? `${hop.module} (${hop.exposes.join(", ")})` : hop.module
+  );
+  return `Use ${hops.join(" → ")} instead`;
+}
+
+export function main(args: string[] = process.argv.slice(2)) {
+  const positional: string[] = [];
+  const options: Record<string, string> = {};
+  let updateBaseline = false;
+  let listSuppressions = false;
+
+  // --name value or --name=value
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const match = arg.match(/^--(format|baseline|write-baseline|root|ticket)(?:=(.*))?$/);
+    if (match) {
+      options[match[1]] = match[2] ?? args[++i];
+    } else if (arg === "--update-baseline") {
+      updateBaseline = true;
+    } else if (arg === "--list-suppressions") {
+      listSuppressions = true;
+    } else {
+      positional.push(arg);
+    }
+  }
+
+  const format = (options.format ?? "text") as ReportFormat;
+  if (!REPORT_FORMATS.includes(format)) {
+    console.error(`Error: Unknown format: ${format} (expected ${REPORT_FORMATS.join(", ")})`);
+    process.exit(2);
+  }
+
+  if (positional.length < 2) {
     console.error(
-      "Usage: lexmap check <merged.json> <policy.json> [--ticket WEB-23621]"
+      "Usage: lexmap check <merged.json> <policy.json> [--format text|json|sarif|junit] [--ticket WEB-23621]"
     );
+    console.error(
+      "                    [--write-baseline <baseline.json> | --baseline <baseline.json> [--update-baseline]]"
+    );
+    console.error("                    [--list-suppressions] [--root <repo-dir>]");
     console.error("");
     console.error("Checks scanner output against architectural policy.");
     console.error("");
     console.error("Example:");
     console.error("  lexmap merge php.json ts.json > merged.json");
     console.error("  lexmap check merged.json lexmap.policy.json");
+    console.error("  lexmap check merged.json lexmap.policy.json --format sarif > lexmap.sarif");
+    console.error("  lexmap check merged.json lexmap.policy.json --baseline lexmap.baseline.json");
+    process.exit(2);
+  }
+
+  if (updateBaseline && !options.baseline) {
+    console.error("Error: --update-baseline requires --baseline <baseline.json>");
     process.exit(2);
   }
 
-  const scannerFile = args[0];
-  const policyFile = args[1];
+  const [scannerFile, policyFile] = positional;
 
   if (!fs.existsSync(scannerFile)) {
     console.error(`Error: Scanner output not found: ${scannerFile}`);
@@ -247,14 +897,75 @@ function main() {
   const scannerOutput: MergedScannerOutput = JSON.parse(scannerContent);
 
   // Create checker and run
-  const checker = new LexMapChecker(policyFile);
-  checker.check(scannerOutput);
+  let checker: LexMapChecker;
+  try {
+    checker = new LexMapChecker(policyFile, { root: options.root });
+    checker.check(scannerOutput);
+  } catch (error: any) {
+    console.error(`Error: ${error.message}`);
+    process.exit(2);
+  }
 
-  // Report results
-  checker.report();
+  if (listSuppressions) {
+    // Review mode: list every lexmap-ignore instead of the violations
+    process.stdout.write(formatSuppressions(checker.getSuppressions(), format));
+    process.exit(0);
+  }
 
-  // Exit with appropriate code
-  process.exit(checker.hasViolations() ? 1 : 0);
+  if (options["write-baseline"]) {
+    const baseline = createBaseline(checker.getViolations());
+    writeBaseline(options["write-baseline"], baseline);
+    console.error(
+      `Wrote baseline of ${checker.getViolations().length} violation(s) to ${options["write-baseline"]}`
+    );
+    process.exit(0);
+  }
+
+  if (!options.baseline) {
+    // Report results
+    checker.report(format);
+
+    // Exit with appropriate code
+    process.exit(checker.hasViolations() ? 1 : 0);
+  }
+
+  let baseline: Baseline;
+  try {
+    baseline = readBaseline(options.baseline);
+  } catch (error: any) {
+    console.error(`Error: Could not read baseline: ${error.message}`);
+    process.exit(2);
+  }
+
+  // Only violations missing from the baseline fail the check
+  const { added, baselined, fixed } = compareToBaseline(checker.getViolations(), baseline);
+  process.stdout.write(formatReport(format, added, checker.getCheckedFiles()));
+
+  // Summary goes to stderr so json/sarif/junit output stays parseable
+  console.error(
+    `Baseline ${options.baseline}: ${added.length} new, ${baselined.length} baselined violation(s)`
+  );
+
+  if (fixed.length > 0) {
+    const fixedCount = fixed.reduce((sum, entry) => sum + entry.count, 0);
+    console.error(`Fixed since the baseline: ${fixedCount} violation(s)`);
+    for (const entry of fixed) {
+      console.error(`  - ${entry.file} (${entry.module}): [${entry.type}] ${entry.message}`);
+    }
+
+    if (updateBaseline) {
+      const shrunk = shrinkBaseline(baseline, checker.getViolations());
+      writeBaseline(options.baseline, shrunk);
+      console.error(`Baseline shrunk: ${fixedCount} fixed violation(s) removed`);
+    } else {
+      console.error("Run again with --update-baseline to remove them from the baseline.");
+    }
+  }
+
+  process.exit(added.length > 0 ? 1 : 0);
 }
 
-main();
+// Run only when invoked directly, not when imported by the MCP server or CLI
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main();
+}
@@ -0,0 +1,121 @@
+import { after, test } from "node:test";
+import * as assert from "node:assert/strict";
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import { checkGraph, layerOf, policyLayers, shortestCycle, stronglyConnected } from "./lexmap-graph.ts";
+import type { FileData, ImportFact, Policy } from "./lexmap-check.ts";
+
+const policy: Policy = {
+  modules: {
+    "ui/admin": { owns_paths: ["ui/admin/"] },
+    "api/user": { owns_paths: ["api/user/"] },
+    "services/auth": { owns_paths: ["services/auth/"] },
+    "services/billing": { owns_paths: ["services/billing/"], allowed_callers: ["api/**"] },
+    "adapters/db": { owns_paths: ["adapters/db/"], type_imports: "ignore" },
+  },
+  global_kill_patterns: [],
+  layers: ["ui", { name: "api", modules: ["api/**"] }, "services", "adapters"],
+};
+
+// Imports are resolved against the root; an empty one resolves nothing
+const emptyRoot = fs.mkdtempSync(path.join(os.tmpdir(), "lexmap-graph-"));
+after(() => fs.rmSync(emptyRoot, { recursive: true, force: true }));
+
+function file(filePath: string, imports: ImportFact[]): FileData {
+  return { path: filePath, declarations: [], imports, feature_flags: [], permissions: [], warnings: [] };
+}
+
+const files = [
+  file("ui/admin/Panel.ts", [
+    { from: "api/user/client", type: "import", line: 1, column: 1 },
+    { from: "services/auth/token", type: "import", line: 2, column: 1 },
+    { from: "adapters/db/types", type: "import_type", line: 3, column: 1 },
+  ]),
+  file("api/user/client.ts", [{ from: "services/auth/token", type: "import" }]),
+  file("services/auth/Session.ts", [
+    { from: "services/billing/plans", type: "import", line: 3, column: 1 },
+    { from: "services/auth/token", type: "import", line: 4, column: 1 },
+  ]),
+  file("services/billing/plans.ts", [{ from: "services/auth/token", type: "import", line: 1, column: 1 }]),
+  file("adapters/db/conn.ts", [
+    { from: "api/user/client", type: "import", line: 7, column: 1 },
+    { from: "api/user/other", type: "import", line: 8, column: 1 },
+  ]),
+];
+
+test("finds strongly connected components and their shortest cycle", () => {
+  const edges: Record<string, string[]> = { a: ["b"], b: ["c", "a"], c: ["a"], d: ["d"], e: ["a"] };
+  const successors = (node: string) => edges[node] ?? [];
+
+  const components = stronglyConnected(["a", "b", "c", "d", "e"], successors);
+  assert.deepEqual(
+    components.map((component) => component.sort()),
+    [["a", "b", "c"]]
+  );
+  assert.deepEqual(shortestCycle("a", new Set(["a", "b", "c"]), successors), ["a", "b", "a"]);
+});
+
+test("reports a cycle at its first import, with one import per edge", () => {
+  const { graph, violations } = checkGraph(policy, { sources: ["test"], files }, emptyRoot);
+  const [cycle] = violations.filter((v) => v.type === "dependency_cycle");
+
+  assert.deepEqual(graph.modules, ["adapters/db", "api/user", "services/auth", "services/billing", "ui/admin"]);
+  assert.equal(
+    cycle.message,
+    "Modules depend on each other in a cycle: services/auth → services/billing → services/auth"
+  );
+  // services/auth → services/billing breaks allowed_callers, so no "allows every edge" note
+  assert.equal(
+    cycle.details,
+    "services/auth/Session.ts:3 imports services/billing/plans; " +
+      "services/billing/plans.ts:1 imports services/auth/token"
+  );
+  assert.equal(cycle.line, 3);
+});
+
+test("notes a cycle even when the policy allows every edge of it", () => {
+  const permissive = {
+    ...policy,
+    modules: { ...policy.modules, "services/billing": { owns_paths: ["services/billing/"] } },
+  };
+  const { violations } = checkGraph(permissive, { sources: ["test"], files }, emptyRoot);
+  const [cycle] = violations.filter((v) => v.type === "dependency_cycle");
+
+  assert.match(cycle.details, /The policy allows every edge of the cycle\.$/);
+});
+
+test("reports upward and layer-skipping dependencies, leaving out relaxed type imports", () => {
+  const { graph, violations } = checkGraph(policy, { sources: ["test"], files }, emptyRoot);
+
+  assert.equal(graph.edges.get("ui/admin")?.has("adapters/db"), false);
+  assert.deepEqual(
+    violations
+      .filter((v) => v.type !== "dependency_cycle")
+      .map((v) => [v.type, v.module, v.imported_module, v.policy_rule]),
+    [
+      ["upward_dependency", "adapters/db", "api/user", "$.layers[1]"],
+      ["skipped_layer", "ui/admin", "services/auth", "$.layers[2]"],
+    ]
+  );
+  assert.equal(
+    violations.find((v) => v.type === "upward_dependency")?.details,
+    "adapters/db/conn.ts:7 imports api/user/client (and 1 more import(s))"
+  );
+  assert.match(
+    violations.find((v) => v.type === "skipped_layer")!.message,
+    /depends on services\/auth in layer services, skipping api$/
+  );
+});
+
+test("a module belongs to the first layer that matches it", () => {
+  const layers = policyLayers({
+    ...policy,
+    layers: ["services/auth", "services", { name: "rest", modules: ["**"] }],
+  });
+
+  assert.equal(layerOf("services/auth", layers), 0);
+  assert.equal(layerOf("services/billing", layers), 1);
+  assert.equal(layerOf("ui/admin", layers), 2);
+  assert.equal(layerOf("ui/admin", policyLayers({ ...policy, layers: [] })), -1);
+});
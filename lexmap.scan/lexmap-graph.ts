@@ -0,0 +1,356 @@
+#!/usr/bin/env node
+/**
+ * LexMap Graph Check
+ *
+ * Checks the module dependency graph as a whole, which `lexmap check` (one
+ * import at a time) can't see:
+ *     1. Builds the module → module graph from merged scanner output, with
+ *        the imports behind each edge
+ *     2. Reports each cycle (strongly connected component) with an example
+ *        import chain, even when the policy allows every edge in it
+ *     3. With an ordered `layers` section in the policy (top first), reports
+ *        dependencies that point up a layer or skip one
+ *
+ * Layers:
+ *     "layers": [
+ *       "ui",
+ *       { "name": "api", "modules": ["api/**", "graphql"] },
+ *       "services",
+ *       "adapters"
+ *     ]
+ *     A string is a layer holding the modules it matches as a pattern. A
+ *     module belongs to the first layer that matches it; modules in no layer
+ *     are not checked. A layer may depend on itself and on the next one down.
+ *
+ * Usage:
+ *     lexmap graph-check <merged.json> <policy.json> [--format text|json|sarif|junit]
+ *                        [--root <repo-dir>]
+ *
+ * Exit codes:
+ *     0 - No cycles or layering violations
+ *     1 - Cycles or layering violations found
+ *     2 - Error (file not found, invalid policy, etc.)
+ *
+ * Example:
+ *     lexmap graph-check merged.json lexmap.policy.json
+ *
+ *     Output:
+ *     File: services/auth-core/Session.ts:3:1
+ *     Module: services/auth-core
+ *     Type: dependency_cycle
+ *     Message: Modules depend on each other in a cycle: services/auth-core → services/billing → services/auth-core
+ *     Details: services/auth-core/Session.ts:3 imports ../billing/plans; ...
+ *
+ * Author: LexMap
+ * License: MIT
+ */
+
+import * as fs from "fs";
+import { pathToFileURL } from "url";
+import { LexMapChecker, loadPolicyFile } from "./lexmap-check.ts";
+import type { MergedScannerOutput, Policy, Violation } from "./lexmap-check.ts";
+import { formatReport, REPORT_FORMATS } from "./lexmap-report.ts";
+import type { ReportFormat } from "./lexmap-report.ts";
+import { matchPatterns } from "../packages/codemap-indexer/src/paths.ts";
+
+/**
+ * An import behind a module → module edge
+ */
+export interface ImportSite {
+  file: string;
+  import: string;
+  line?: number;
+  column?: number;
+}
+
+export interface ModuleGraph {
+  /** Modules with at least one scanned file, sorted */
+  modules: string[];
+  /** from → to → the imports that make up the edge */
+  edges: Map<string, Map<string, ImportSite[]>>;
+}
+
+export interface Layer {
+  name: string;
+  modules: string[];
+}
+
+export interface GraphCycle {
+  /** Members of the strongly connected component, sorted */
+  modules: string[];
+  /** Shortest cycle through the component, first module repeated at the end */
+  cycle: string[];
+  /** One import per edge of the cycle */
+  chain: ImportSite[];
+  /** Every edge of the cycle is allowed by the policy */
+  allowed: boolean;
+}
+
+/**
+ * Module dependency graph of merged scanner output. Imports within a module,
+ * files or imports that resolve to no module, and type-only imports the
+ * policy's type_imports relaxes are left out.
+ */
+export function buildModuleGraph(
+  checker: LexMapChecker,
+  scannerOutput: MergedScannerOutput
+): ModuleGraph {
+  const modules = new Set<string>();
+  const edges = new Map<string, Map<string, ImportSite[]>>();
+
+  for (const file of scannerOutput.files || []) {
+    const from = checker.resolveFileToModule(file.path);
+    if (!from) continue;
+    modules.add(from);
+
+    for (const imp of file.imports || []) {
+      const to = checker.resolveImportToModule(imp.from, file.path);
+      if (!to || to === from) continue;
+      // Type-only imports the policy relaxes don't couple modules at runtime
+      if (checker.typeImportMode(imp, to) !== "enforce") continue;
+
+      if (!edges.has(from)) edges.set(from, new Map());
+      const targets = edges.get(from)!;
+      if (!targets.has(to)) targets.set(to, []);
+      targets.get(to)!.push({
+        file: file.path,
+        import: imp.from,
+        ...(imp.line ? { line: imp.line, column: imp.column } : {}),
+      });
+    }
+  }
+
+  return { modules: [...modules].sort(), edges };
+}
+
+/**
+ * Strongly connected components with more than one member (Tarjan), given
+ * each node's successors
+ */
+export function stronglyConnected(
+  nodes: string[],
+  successors: (node: string) => string[]
+): string[][] {
+  const index = new Map<string, number>();
+  const low = new Map<string, number>();
+  const stack: string[] = [];
+  const onStack = new Set<string>();
+  const components: string[][] = [];
+
+  const visit = (id: string) => {
+    index.set(id, index.size);
+    low.set(id, index.get(id)!);
+    stack.push(id);
+    onStack.add(id);
+
+    for (const next of successors(id)) {
+      if (!index.has(next)) {
+        visit(next);
+        low.set(id, Math.min(low.get(id)!, low.get(next)!));
+      } else if (onStack.has(next)) {
+        low.set(id, Math.min(low.get(id)!, index.get(next)!));
+      }
+    }
+
+    if (low.get(id) === index.get(id)) {
+      const component: string[] = [];
+      let member: string;
+      do {
+        member = stack.pop()!;
+        onStack.delete(member);
+        component.push(member);
+      } while (member !== id);
+      if (component.length > 1) components.push(component);
+    }
+  };
+
+  for (const id of nodes) {
+    if (!index.has(id)) visit(id);
+  }
+  return components;
+}
+
+/**
+ * Shortest cycle from start back to itself, staying inside the component
+ */
+export function shortestCycle(
+  start: string,
+  component: Set<string>,
+  successors: (node: string) => string[]
+): string[] {
+  const previous = new Map<string, string>();
+  const queue = [start];
+  while (queue.length > 0) {
+    const current = queue.shift()!;
+    for (const next of successors(current)) {
+      if (!component.has(next)) continue;
+      if (next === start) {
+        const cycle = [start];
+        for (let id = current; id !== start; id = previous.get(id)!) cycle.splice(1, 0, id);
+        return [...cycle, start];
+      }
+      if (!previous.has(next)) {
+        previous.set(next, current);
+        queue.push(next);
+      }
+    }
+  }
+  return [start, start];
+}
+
+export function findCycles(graph: ModuleGraph, checker: LexMapChecker): GraphCycle[] {
+  const successors = (id: string) => [...(graph.edges.get(id)?.keys() ?? [])].sort();
+
+  return stronglyConnected(graph.modules, successors)
+    .map((component) => {
+      const members = component.sort();
+      const cycle = shortestCycle(members[0], new Set(members), successors);
+      const hops = cycle.slice(1).map((to, i) => [cycle[i], to]);
+
+      return {
+        modules: members,
+        cycle,
+        chain: hops.map(([from, to]) => graph.edges.get(from)!.get(to)![0]),
+        allowed: hops.every(([from, to]) => checker.canCall(from, to)),
+      };
+    })
+    .sort((a, b) => a.modules[0].localeCompare(b.modules[0]));
+}
+
+/**
+ * The policy's layers, top first; a string names a layer and is its pattern
+ */
+export function policyLayers(policy: Policy): Layer[] {
+  return (policy.layers || []).map((layer) =>
+    typeof layer === "string" ? { name: layer, modules: [layer] } : layer
+  );
+}
+
+/**
+ * Index of the first layer a module belongs to, or -1
+ */
+export function layerOf(moduleId: string, layers: Layer[]): number {
+  return layers.findIndex((layer) => matchPatterns(moduleId, layer.modules, { ids: true }) !== null);
+}
+
+function site(s: ImportSite): string {
+  return `${s.file}${s.line ? `:${s.line}` : ""} imports ${s.import}`;
+}
+
+function position(s: ImportSite): { line?: number; column?: number } {
+  return s.line ? { line: s.line, column: s.column } : {};
+}
+
+/**
+ * Cycles and layering violations of merged scanner output as violations,
+ * each reported at an import that causes it
+ */
+export function checkGraph(policy: Policy, scannerOutput: MergedScannerOutput, root?: string) {
+  const checker = new LexMapChecker(policy, { root });
+  const graph = buildModuleGraph(checker, scannerOutput);
+  const violations: Violation[] = [];
+
+  for (const { modules, cycle, chain, allowed } of findCycles(graph, checker)) {
+    let details = chain.map(site).join("; ");
+    if (modules.length > cycle.length - 1) {
+      details += `. The cycle is part of a tangle of ${modules.length} modules: ${modules.join(", ")}`;
+    }
+    if (allowed) details += ". The policy allows every edge of the cycle.";
+
+    violations.push({
+      file: chain[0].file,
+      module: cycle[0],
+      type: "dependency_cycle",
+      message: `Modules depend on each other in a cycle: ${cycle.join(" → ")}`,
+      details,
+      import: chain[0].import,
+      imported_module: cycle[1],
+      ...position(chain[0]),
+    });
+  }
+
+  const layers = policyLayers(policy);
+  for (const from of graph.modules) {
+    const fromLayer = layerOf(from, layers);
+    if (fromLayer === -1) continue;
+
+    for (const [to, sites] of [...(graph.edges.get(from) ?? [])].sort(([a], [b]) => a.localeCompare(b))) {
+      const toLayer = layerOf(to, layers);
+      if (toLayer === -1 || toLayer === fromLayer || toLayer === fromLayer + 1) continue;
+
+      const upward = toLayer < fromLayer;
+      const more = sites.length > 1 ? ` (and ${sites.length - 1} more import(s))` : "";
+      violations.push({
+        file: sites[0].file,
+        module: from,
+        type: upward ? "upward_dependency" : "skipped_layer",
+        message: upward
+          ? `Module ${from} (layer ${layers[fromLayer].name}) depends on ${to} in the higher layer ${layers[toLayer].name}`
+          : `Module ${from} (layer ${layers[fromLayer].name}) depends on ${to} in layer ${layers[toLayer].name}, skipping ${layers
+              .slice(fromLayer + 1, toLayer)
+              .map((layer) => layer.name)
+              .join(", ")}`,
+        details: `${site(sites[0])}${more}`,
+        import: sites[0].import,
+        imported_module: to,
+        ...position(sites[0]),
+        policy_rule: `$.layers[${toLayer}]`,
+      });
+    }
+  }
+
+  return { graph, violations };
+}
+
+export function main(args: string[] = process.argv.slice(2)) {
+  const options: Record<string, string> = {};
+  const positional: string[] = [];
+
+  for (let i = 0; i < args.length; i++) {
+    const match = args[i].match(/^--(format|root)(?:=(.*))?$/);
+    if (match) {
+      options[match[1]] = match[2] ?? args[++i];
+    } else {
+      positional.push(args[i]);
+    }
+  }
+
+  const format = (options.format ?? "text") as ReportFormat;
+  if (positional.length < 2 || !REPORT_FORMATS.includes(format)) {
+    console.error(
+      "Usage: lexmap graph-check <merged.json> <policy.json> [--format text|json|sarif|junit]"
+    );
+    console.error("                          [--root <repo-dir>]");
+    console.error("");
+    console.error("Reports module dependency cycles and, with a policy `layers` section,");
+    console.error("dependencies that point up a layer or skip one.");
+    process.exit(2);
+  }
+
+  const [scannerFile, policyFile] = positional;
+  for (const file of [scannerFile, policyFile]) {
+    if (!fs.existsSync(file)) {
+      console.error(`Error: File not found: ${file}`);
+      process.exit(2);
+    }
+  }
+
+  let violations: Violation[];
+  let checkedFiles: string[];
+  try {
+    const scannerOutput: MergedScannerOutput = JSON.parse(fs.readFileSync(scannerFile, "utf-8"));
+    violations = checkGraph(loadPolicyFile(policyFile), scannerOutput, options.root).violations;
+    checkedFiles = (scannerOutput.files || []).map((file) => file.path);
+  } catch (error: any) {
+    console.error(`Error: ${error.message}`);
+    process.exit(2);
+  }
+
+  process.stdout.write(formatReport(format, violations, checkedFiles));
+  process.exit(violations.length > 0 ? 1 : 0);
+}
+
+// Run only when invoked directly, not when imported by the CLI
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main();
+}
@@ -0,0 +1,155 @@
+import { test } from "node:test";
+import * as assert from "node:assert/strict";
+import { KillPatternRules, killPatternErrors } from "./lexmap-kill.ts";
+import type { KillContext } from "./lexmap-kill.ts";
+import type { FileData } from "./lexmap-check.ts";
+
+const context: KillContext = {
+  importedModule: (imp) => (imp.from.startsWith("vendor/auth") ? "external-auth-adapter" : null),
+  source: (filePath) => (filePath === "ui/admin/Panel.ts" ? 'const a = 1;\neval("2");\n' : null),
+  exposedBy: (name) => (name === "UserAccessService" ? ["api/user-access"] : []),
+};
+
+function file(overrides: Partial<FileData> = {}): FileData {
+  return {
+    path: "ui/admin/Panel.ts",
+    declarations: [],
+    imports: [],
+    feature_flags: [],
+    permissions: [],
+    warnings: [],
+    ...overrides,
+  };
+}
+
+test("invalid kill-pattern entries are described and rejected", () => {
+  assert.deepEqual(killPatternErrors("legacy_name"), []);
+  assert.deepEqual(killPatternErrors(42), ["must be a name or an object"]);
+  assert.deepEqual(killPatternErrors({ pattern: "x", rule: { kind: "nope" } }), [
+    "rule.kind must be one of: source_regex, import, declaration, duplicate_exposed",
+  ]);
+  assert.match(
+    killPatternErrors({ pattern: "x", rule: { kind: "source_regex", regex: "(" } })[0],
+    /^invalid rule\.regex/
+  );
+  assert.deepEqual(killPatternErrors({ rule: { kind: "declaration", name: "X" } }), [
+    "missing pattern name",
+    "declaration needs rule.name and rule.owner",
+  ]);
+
+  assert.throws(
+    () => new KillPatternRules([{ pattern: "x", rule: { kind: "import" } }], []),
+    /Invalid kill pattern at \$\.global_kill_patterns\[0\]: import needs rule\.import, rule\.module or both/
+  );
+});
+
+test("source_regex reports each matching line, limited to paths", () => {
+  const rules = new KillPatternRules(
+    [
+      { pattern: "no_eval", rule: { kind: "source_regex", regex: "eval\\(", flags: "g" } },
+      { pattern: "api_eval", rule: { kind: "source_regex", regex: "eval\\(", paths: ["api/"] } },
+    ],
+    []
+  );
+
+  const violations = rules.check(file(), "ui/user-admin", context);
+  assert.deepEqual(
+    violations.map((v) => [v.policy_rule, v.line, v.column, v.details]),
+    [["$.global_kill_patterns[0]", 2, 1, 'Line matches /eval\\(/: eval("2");']]
+  );
+  assert.equal(violations[0].message, "Kill pattern no_eval: retired by the policy");
+});
+
+test("import rules match the specifier, the imported module and the importing module", () => {
+  const rules = new KillPatternRules(
+    [
+      {
+        pattern: "ui_calling_auth_adapter_directly",
+        description: "UI must go through api/user-access",
+        rule: { kind: "import", from: ["ui/**"], module: "external-*" },
+      },
+      { pattern: "no_lodash", rule: { kind: "import", import: "lodash{,/**}" } },
+    ],
+    []
+  );
+  const panel = file({
+    imports: [
+      { from: "vendor/auth/client", type: "import", line: 4, column: 1 },
+      { from: "lodash/get", type: "import" },
+      { from: "react", type: "import" },
+    ],
+  });
+
+  assert.deepEqual(
+    rules.check(panel, "ui/user-admin", context).map((v) => [v.message, v.import, v.imported_module, v.line]),
+    [
+      [
+        "Kill pattern ui_calling_auth_adapter_directly: UI must go through api/user-access",
+        "vendor/auth/client",
+        "external-auth-adapter",
+        4,
+      ],
+      ["Kill pattern no_lodash: retired by the policy", "lodash/get", undefined, undefined],
+    ]
+  );
+  assert.deepEqual(
+    rules.check(panel, "api/user-access", context).map((v) => v.import),
+    ["lodash/get"]
+  );
+});
+
+test("declaration and duplicate_exposed rules, and module-scoped rules", () => {
+  const rules = new KillPatternRules(
+    [
+      {
+        pattern: "own_auth",
+        rule: { kind: "declaration", name: "*Auth*", owner: "services/**", declaration_type: "class" },
+      },
+      { pattern: "shadowed_service", rule: { kind: "duplicate_exposed" } },
+    ],
+    [
+      [
+        "ui/user-admin",
+        { kill_patterns: ["legacy_name", { pattern: "no_todo", rule: { kind: "source_regex", regex: "TODO" } }] },
+      ],
+      ["ui/reports", { kill_patterns: [{ pattern: "no_const", rule: { kind: "source_regex", regex: "const" } }] }],
+    ]
+  );
+  assert.equal(rules.size, 4);
+
+  const panel = file({
+    declarations: [
+      { type: "class", name: "AuthHelper" },
+      { type: "function", name: "useAuth" },
+      { type: "class", name: "UserAccessService" },
+    ],
+  });
+
+  assert.deepEqual(
+    rules.check(panel, "ui/user-admin", context).map((v) => [v.policy_rule, v.symbol]),
+    [
+      ["$.global_kill_patterns[0]", "AuthHelper"],
+      ["$.global_kill_patterns[1]", "UserAccessService"],
+    ]
+  );
+  // Owners may declare it; module rules only apply to their own module
+  assert.deepEqual(
+    rules.check(panel, "services/auth-core", context).map((v) => v.symbol),
+    ["UserAccessService"]
+  );
+  assert.deepEqual(
+    rules.check(file(), "ui/reports", context).map((v) => [v.message, v.line]),
+    [["Kill pattern no_const: retired by the policy", 1]]
+  );
+});
+
+test("a scoped global rule only applies to the modules its scope matches", () => {
+  const rules = new KillPatternRules(
+    [{ pattern: "no_eval", scope: "packages/billing", rule: { kind: "source_regex", regex: "eval\\(" } }],
+    []
+  );
+
+  assert.equal(rules.check(file(), "packages/billing/core", context).length, 1);
+  assert.equal(rules.check(file(), "ui/user-admin", context).length, 0);
+  assert.deepEqual(killPatternErrors({ pattern: "x", scope: ["ui"] }), ["scope must be a module pattern"]);
+});
@@ -0,0 +1,274 @@
+/**
+ * LexMap Kill-Pattern Rules
+ *
+ * Evaluates the kill patterns a policy defines as rules over merged scanner
+ * output. A kill pattern is a name plus, optionally, a rule:
+ *
+ *     {
+ *       "pattern": "ui_calling_auth_adapter_directly",
+ *       "description": "UI must go through api/user-access-service",
+ *       "rule": { "kind": "import", "from": ["ui/**"], "module": "external-auth-adapter" }
+ *     }
+ *
+ * Rule kinds:
+ *     source_regex       - a line of source matches `regex` (optional `flags`,
+ *                          `paths` to limit the files)
+ *     import             - an import whose specifier matches `import` and/or
+ *                          that resolves to a module matching `module`,
+ *                          optionally only from modules matching `from`
+ *     declaration        - a declaration whose name matches `name` in a module
+ *                          not matching `owner` (optional `declaration_type`)
+ *     duplicate_exposed  - a declaration of a name that another module
+ *                          exposes (optionally only modules matching `module`)
+ *
+ * Patterns, names and module IDs use the shared path matcher (`*`, `**`,
+ * braces, `!`). Rules in global_kill_patterns apply to every file, or with
+ * a `scope` to the modules it matches (a package policy's patterns are
+ * scoped to the package); rules inline in a module's kill_patterns apply to
+ * that module's files. Names without a rule are documentation only.
+ *
+ * Author: LexMap
+ * License: MIT
+ */
+
+import { matchesPattern, matchPatterns } from "../packages/codemap-indexer/src/paths.ts";
+import type { FileData, ImportFact, Violation } from "./lexmap-check.ts";
+
+export const RULE_KINDS = ["source_regex", "import", "declaration", "duplicate_exposed"] as const;
+export type RuleKind = (typeof RULE_KINDS)[number];
+
+export interface KillRule {
+  kind: RuleKind;
+  /** source_regex */
+  regex?: string;
+  flags?: string;
+  paths?: string[];
+  /** import: specifier pattern */
+  import?: string;
+  /** import: imported module; duplicate_exposed: exposing modules */
+  module?: string;
+  /** import: importing modules */
+  from?: string[];
+  /** declaration */
+  name?: string;
+  owner?: string;
+  declaration_type?: string;
+}
+
+export interface KillPattern {
+  pattern: string;
+  description?: string;
+  rule?: KillRule;
+  /** global_kill_patterns: modules the rule is limited to (a package policy's own) */
+  scope?: string;
+}
+
+/**
+ * What rules need from the checker
+ */
+export interface KillContext {
+  /** Module an import of the file resolves to */
+  importedModule(imp: ImportFact, file: FileData): string | null;
+  /** Source text of a repo-relative file, or null if unreadable */
+  source(filePath: string): string | null;
+  /** Modules that expose a name */
+  exposedBy(name: string): string[];
+}
+
+interface ScopedRule {
+  pattern: KillPattern;
+  rule: KillRule;
+  regex: RegExp | null;
+  /** Module the rule is limited to; null for global */
+  scope: string | null;
+  /** Pattern of the modules a global rule is limited to */
+  modules: string | null;
+  policyRule: string;
+}
+
+/**
+ * Problems with a kill-pattern entry: empty for names and valid rules
+ */
+export function killPatternErrors(entry: unknown): string[] {
+  if (typeof entry === "string") return [];
+  if (!entry || typeof entry !== "object") return ["must be a name or an object"];
+
+  const { pattern, rule, scope } = entry as KillPattern;
+  const errors: string[] = [];
+  if (typeof pattern !== "string" || pattern === "") errors.push("missing pattern name");
+  if (scope !== undefined && typeof scope !== "string") errors.push("scope must be a module pattern");
+  if (rule === undefined) return errors;
+
+  if (!RULE_KINDS.includes(rule?.kind)) {
+    errors.push(`rule.kind must be one of: ${RULE_KINDS.join(", ")}`);
+    return errors;
+  }
+
+  switch (rule.kind) {
+    case "source_regex":
+      if (typeof rule.regex !== "string") {
+        errors.push("source_regex needs rule.regex");
+      } else {
+        try {
+          new RegExp(rule.regex, rule.flags);
+        } catch (error: any) {
+          errors.push(`invalid rule.regex: ${error.message}`);
+        }
+      }
+      break;
+    case "import":
+      if (typeof rule.import !== "string" && typeof rule.module !== "string") {
+        errors.push("import needs rule.import, rule.module or both");
+      }
+      break;
+    case "declaration":
+      if (typeof rule.name !== "string" || typeof rule.owner !== "string") {
+        errors.push("declaration needs rule.name and rule.owner");
+      }
+      break;
+  }
+  return errors;
+}
+
+export class KillPatternRules {
+  private rules: ScopedRule[] = [];
+
+  /**
+   * Collect the rules of global_kill_patterns and modules' kill_patterns;
+   * throws on an invalid rule
+   */
+  constructor(
+    globalPatterns: unknown[] | undefined,
+    modules: Array<[string, { kill_patterns?: unknown[] }]>
+  ) {
+    const add = (entry: unknown, scope: string | null, policyRule: string) => {
+      const errors = killPatternErrors(entry);
+      if (errors.length > 0) {
+        throw new Error(`Invalid kill pattern at ${policyRule}: ${errors.join("; ")}`);
+      }
+      if (typeof entry === "string") return;
+
+      const pattern = entry as KillPattern;
+      if (!pattern.rule) return;
+      this.rules.push({
+        pattern,
+        rule: pattern.rule,
+        regex:
+          pattern.rule.kind === "source_regex"
+            ? new RegExp(pattern.rule.regex!, (pattern.rule.flags ?? "").replace("g", ""))
+            : null,
+        scope,
+        modules: scope === null ? (pattern.scope ?? null) : null,
+        policyRule,
+      });
+    };
+
+    (globalPatterns || []).forEach((entry, index) =>
+      add(entry, null, `$.global_kill_patterns[${index}]`)
+    );
+    for (const [moduleId, module] of modules) {
+      (module.kill_patterns || []).forEach((entry, index) =>
+        add(entry, moduleId, `$.modules[${JSON.stringify(moduleId)}].kill_patterns[${index}]`)
+      );
+    }
+  }
+
+  get size(): number {
+    return this.rules.length;
+  }
+
+  /**
+   * Kill-pattern violations in one file of moduleId
+   */
+  check(file: FileData, moduleId: string, context: KillContext): Violation[] {
+    const violations: Violation[] = [];
+
+    for (const scoped of this.rules) {
+      if (scoped.scope !== null && scoped.scope !== moduleId) continue;
+      if (scoped.modules !== null && !matchesPattern(moduleId, scoped.modules, { ids: true })) continue;
+
+      const report = (details: string, extra: Partial<Violation> = {}) =>
+        violations.push({
+          file: file.path,
+          module: moduleId,
+          type: "kill_pattern",
+          message: `Kill pattern ${scoped.pattern.pattern}: ${scoped.pattern.description ?? "retired by the policy"}`,
+          details,
+          ...extra,
+          policy_rule: scoped.policyRule,
+        });
+
+      const { rule } = scoped;
+      switch (rule.kind) {
+        case "source_regex": {
+          if (rule.paths && !matchPatterns(file.path, rule.paths)) break;
+          const source = context.source(file.path);
+          if (source === null) break;
+
+          source.split(/\r?\n/).forEach((text, index) => {
+            const match = scoped.regex!.exec(text);
+            if (match) {
+              report(`Line matches /${rule.regex}/: ${text.trim()}`, {
+                line: index + 1,
+                column: match.index + 1,
+              });
+            }
+          });
+          break;
+        }
+
+        case "import": {
+          if (rule.from && !matchPatterns(moduleId, rule.from, { ids: true })) break;
+          for (const imp of file.imports || []) {
+            if (rule.import && !matchesPattern(imp.from, rule.import)) continue;
+
+            const imported = context.importedModule(imp, file);
+            if (rule.module && !(imported && matchesPattern(imported, rule.module, { ids: true }))) {
+              continue;
+            }
+
+            report(`Imports ${imp.from}${imported ? ` from ${imported}` : ""}`, {
+              import: imp.from,
+              ...(imported ? { imported_module: imported } : {}),
+              ...(imp.line ? { line: imp.line, column: imp.column } : {}),
+            });
+          }
+          break;
+        }
+
+        case "declaration": {
+          if (matchesPattern(moduleId, rule.owner!, { ids: true })) break;
+          for (const declaration of file.declarations || []) {
+            if (rule.declaration_type && declaration.type !== rule.declaration_type) continue;
+            if (!matchesPattern(declaration.name, rule.name!, { ids: true })) continue;
+
+            report(`Declares ${declaration.type} ${declaration.name}; only ${rule.owner} may`, {
+              symbol: declaration.name,
+            });
+          }
+          break;
+        }
+
+        case "duplicate_exposed": {
+          for (const declaration of file.declarations || []) {
+            const owners = context
+              .exposedBy(declaration.name)
+              .filter((owner) => owner !== moduleId)
+              .filter(
+                (owner) => !rule.module || matchesPattern(owner, rule.module, { ids: true })
+              );
+            if (owners.length === 0) continue;
+
+            report(
+              `Declares ${declaration.type} ${declaration.name}, which ${owners.join(", ")} already exposes`,
+              { symbol: declaration.name, imported_module: owners[0] }
+            );
+          }
+          break;
+        }
+      }
+    }
+
+    return violations;
+  }
+}
@@ -0,0 +1,254 @@
+import { test } from "node:test";
+import * as assert from "node:assert/strict";
+import { spawnSync } from "child_process";
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import { fileURLToPath } from "url";
+import { lintPolicy } from "./lexmap-lint-policy.ts";
+import type { LintProblem } from "./lexmap-lint-policy.ts";
+import type { Policy } from "./lexmap-check.ts";
+
+function problems(policy: unknown, rule: LintProblem["rule"], scanned?: string[]) {
+  const scannerOutput = scanned && {
+    sources: ["test"],
+    files: scanned.map((file) => ({
+      path: file,
+      declarations: [],
+      imports: [],
+      feature_flags: [],
+      permissions: [],
+      warnings: [],
+    })),
+  };
+  return lintPolicy(policy as Policy, scannerOutput)
+    .filter((problem) => problem.rule === rule)
+    .map(({ severity, path, message }) => ({ severity, path, message }));
+}
+
+test("composition: merge conflicts are reported by the CLI", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "lexmap-lint-"));
+  try {
+    fs.writeFileSync(path.join(dir, "a.json"), JSON.stringify({ modules: { core: { owns_paths: ["a/"] } } }));
+    fs.writeFileSync(path.join(dir, "b.json"), JSON.stringify({ modules: { core: { owns_paths: ["b/"] } } }));
+    fs.writeFileSync(path.join(dir, "lexmap.policy.json"), JSON.stringify({ extends: ["./a.json", "./b.json"] }));
+
+    const cli = fileURLToPath(new URL("./lexmap-lint-policy.ts", import.meta.url));
+    const run = spawnSync(process.execPath, [cli, path.join(dir, "lexmap.policy.json"), "--json"], {
+      encoding: "utf-8",
+    });
+
+    assert.equal(run.status, 1);
+    const { problems: found } = JSON.parse(run.stdout);
+    assert.deepEqual(
+      found.filter((problem: LintProblem) => problem.rule === "composition").map((p: LintProblem) => p.path),
+      ["$.modules.core"]
+    );
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("schema: the policy is validated against its JSON schema", () => {
+  const found = problems({ modules: { core: { description: "Core", owns_paths: "src/" } } }, "schema");
+  assert.deepEqual(found, [
+    { severity: "error", path: "$.modules.core.owns_paths", message: "must be array, got string" },
+  ]);
+
+  assert.deepEqual(problems({ modules: {} }, "schema"), []);
+});
+
+test("overlapping_paths: compares the patterns, not sample paths", () => {
+  const found = problems(
+    {
+      modules: {
+        app: { owns_paths: ["src/**/*.ts"] },
+        legacy: { owns_paths: ["src/legacy/"] },
+        docs: { owns_paths: ["docs/"] },
+        "app-copy": { owns_paths: ["src/**/*.ts"] },
+      },
+    },
+    "overlapping_paths"
+  );
+
+  assert.deepEqual(found, [
+    {
+      severity: "warning",
+      path: '$.modules["legacy"].owns_paths[0]',
+      message:
+        '"src/legacy/" (legacy) overlaps "src/**/*.ts" (app), e.g. src/legacy/x.ts; legacy is more specific and owns it',
+    },
+    {
+      severity: "error",
+      path: '$.modules["app-copy"].owns_paths[0]',
+      message:
+        '"src/**/*.ts" (app-copy) and "src/**/*.ts" (app) are equally specific and both claim src/x.ts; app wins only by policy order',
+    },
+    {
+      severity: "warning",
+      path: '$.modules["app-copy"].owns_paths[0]',
+      message:
+        '"src/**/*.ts" (app-copy) overlaps "src/legacy/" (legacy), e.g. src/legacy/x.ts; legacy is more specific and owns it',
+    },
+  ]);
+});
+
+test("overlapping_namespaces: one namespace a prefix of another's", () => {
+  const found = problems(
+    {
+      modules: {
+        auth: { owns_namespaces: ["App\\Auth\\"] },
+        tokens: { owns_namespaces: ["App\\Auth\\Tokens\\"] },
+        billing: { owns_namespaces: ["App\\Billing\\"] },
+      },
+    },
+    "overlapping_namespaces"
+  );
+
+  assert.deepEqual(
+    found.map((problem) => problem.path),
+    ['$.modules["tokens"].owns_namespaces[0]']
+  );
+});
+
+test("unknown_module: caller entries that match no module, with a suggestion", () => {
+  const found = problems(
+    {
+      modules: {
+        "api/user-access-service": {},
+        "services/auth-core": { allowed_callers: ["api/user-acces-service", "api/*"], forbidden_callers: ["!web/**"] },
+      },
+    },
+    "unknown_module"
+  );
+
+  assert.deepEqual(found, [
+    {
+      severity: "error",
+      path: '$.modules["services/auth-core"].allowed_callers[0]',
+      message: '"api/user-acces-service" matches no module (did you mean api/user-access-service?)',
+    },
+    {
+      severity: "error",
+      path: '$.modules["services/auth-core"].forbidden_callers[0]',
+      message: '"!web/**" matches no module',
+    },
+  ]);
+});
+
+test("allowed_and_forbidden: a caller matched by both lists", () => {
+  const found = problems(
+    {
+      modules: {
+        "ui/admin": {},
+        "ui/reports": {},
+        "services/auth-core": { allowed_callers: ["ui/*"], forbidden_callers: ["ui/admin"] },
+      },
+    },
+    "allowed_and_forbidden"
+  );
+
+  assert.deepEqual(found, [
+    {
+      severity: "error",
+      path: '$.modules["services/auth-core"].forbidden_callers[0]',
+      message: 'ui/admin is both allowed ("ui/*") and forbidden ("ui/admin") to call services/auth-core; forbidden wins',
+    },
+  ]);
+});
+
+test("invalid_kill_pattern: rules that can't be evaluated, globally or in a module", () => {
+  const found = problems(
+    {
+      modules: { core: { kill_patterns: [{ pattern: "no_todo", rule: { kind: "source_regex", regex: "(" } }] } },
+      global_kill_patterns: [{ pattern: "no_adapter", rule: { kind: "import" } }],
+    },
+    "invalid_kill_pattern"
+  );
+
+  assert.deepEqual(
+    found.map((problem) => [problem.path, problem.message.replace(/:.*/, "")]),
+    [
+      ["$.global_kill_patterns[0]", "import needs rule.import, rule.module or both"],
+      ['$.modules["core"].kill_patterns[0]', "invalid rule.regex"],
+    ]
+  );
+});
+
+test("unused_kill_pattern: a name without a rule that no module references", () => {
+  const found = problems(
+    {
+      modules: { core: { kill_patterns: ["duplicate_auth_logic"] } },
+      global_kill_patterns: [
+        "duplicate_auth_logic",
+        "retired_helper",
+        { pattern: "no_eval", rule: { kind: "source_regex", regex: "eval\\(" } },
+      ],
+    },
+    "unused_kill_pattern"
+  );
+
+  assert.deepEqual(found, [
+    {
+      severity: "warning",
+      path: "$.global_kill_patterns[1]",
+      message: 'Kill pattern "retired_helper" is not referenced by any module\'s kill_patterns',
+    },
+  ]);
+});
+
+test("unknown_kill_pattern: a module references a pattern that isn't defined", () => {
+  const found = problems(
+    {
+      modules: { core: { kill_patterns: ["duplicate_auth_logik"] } },
+      global_kill_patterns: ["duplicate_auth_logic"],
+    },
+    "unknown_kill_pattern"
+  );
+
+  assert.deepEqual(found, [
+    {
+      severity: "warning",
+      path: '$.modules["core"].kill_patterns[0]',
+      message:
+        'Kill pattern "duplicate_auth_logik" is not defined in global_kill_patterns (did you mean duplicate_auth_logic?)',
+    },
+  ]);
+});
+
+test("dependency_cycle: modules that allow each other through allowed_callers", () => {
+  const found = problems(
+    {
+      modules: {
+        a: { allowed_callers: ["c"] },
+        b: { allowed_callers: ["a"] },
+        c: { allowed_callers: ["b"] },
+        d: { allowed_callers: ["a"] },
+      },
+    },
+    "dependency_cycle"
+  );
+
+  assert.equal(found.length, 1);
+  assert.match(found[0].message, /^allowed_callers permit a dependency cycle: ([abc]) → [abc] → [abc] → \1$/);
+});
+
+test("module_without_files and unowned_file: coverage against scanner output", () => {
+  const policy = {
+    modules: { app: { owns_paths: ["src/"] }, docs: { owns_paths: ["docs/"] } },
+  };
+  const scanned = ["src/a.ts", "scripts/build.ts"];
+
+  assert.deepEqual(problems(policy, "module_without_files", scanned), [
+    {
+      severity: "warning",
+      path: '$.modules["docs"].owns_paths',
+      message: "Module docs owns none of the 2 scanned files",
+    },
+  ]);
+  assert.deepEqual(problems(policy, "unowned_file", scanned), [
+    { severity: "warning", path: "scripts/build.ts", message: "scripts/build.ts is owned by no module" },
+  ]);
+  // Without scanner output coverage isn't checked
+  assert.deepEqual(problems(policy, "unowned_file"), []);
+});
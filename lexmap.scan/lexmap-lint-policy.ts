@@ -0,0 +1,430 @@
+#!/usr/bin/env node
+/**
+ * LexMap Policy Linter
+ *
+ * Catches policy mistakes that otherwise fail silently, e.g. a typo in an
+ * allowed_callers entry that simply never matches:
+ *     1. Composes the policy (extends, package policies), reporting merge
+ *        conflicts, and validates the result against
+ *        docs/schemas/policy.schema.json
+ *     2. Reports semantic problems:
+ *        - owns_paths / owns_namespaces that overlap between modules
+ *        - allowed_callers / forbidden_callers entries naming no module
+ *        - modules both allowed and forbidden to call a module
+ *        - kill pattern rules that can't be evaluated, global_kill_patterns
+ *          without a rule that no module references, and references to ones
+ *          that don't exist
+ *        - cycles in the allowed_callers dependency graph
+ *     3. With merged scanner output, also modules that own no files and
+ *        files that no module owns
+ *
+ * Usage:
+ *     lexmap lint-policy <policy.json> [merged.json] [--json]
+ *
+ * Exit codes:
+ *     0 - No errors (warnings may be reported)
+ *     1 - Errors found
+ *     2 - Error (file not found, unreadable JSON, etc.)
+ *
+ * Example:
+ *     lexmap lint-policy lexmap.policy.json
+ *
+ *     Output:
+ *     error   unknown_module  $.modules["services/auth-core"].allowed_callers[0]
+ *             "api/user-acces-service" matches no module (did you mean api/user-access-service?)
+ *
+ * Author: LexMap
+ * License: MIT
+ */
+
+import * as fs from "fs";
+import { pathToFileURL } from "url";
+import { LexMapChecker, rulePath } from "./lexmap-check.ts";
+import type { MergedScannerOutput, Policy, PolicyModule } from "./lexmap-check.ts";
+import { killPatternErrors } from "./lexmap-kill.ts";
+import { shortestCycle, stronglyConnected } from "./lexmap-graph.ts";
+import { validatePolicy } from "../mcp/schema.mjs";
+import { resolvePolicyFile } from "../packages/codemap-indexer/src/policy-compose.ts";
+import type { PolicyError } from "../packages/codemap-indexer/src/policy-compose.ts";
+import {
+  matchesPattern,
+  matchPatterns,
+  patternSpecificity,
+  sharedPath,
+} from "../packages/codemap-indexer/src/paths.ts";
+
+export interface LintProblem {
+  severity: "error" | "warning";
+  rule:
+    | "composition"
+    | "schema"
+    | "overlapping_paths"
+    | "overlapping_namespaces"
+    | "unknown_module"
+    | "allowed_and_forbidden"
+    | "invalid_kill_pattern"
+    | "unused_kill_pattern"
+    | "unknown_kill_pattern"
+    | "dependency_cycle"
+    | "module_without_files"
+    | "unowned_file";
+  /** JSON path of the policy entry (or the file, for unowned_file) */
+  path: string;
+  message: string;
+}
+
+type ModuleEntry = [string, PolicyModule];
+
+function list(value: unknown): string[] {
+  return Array.isArray(value) ? value.filter((v): v is string => typeof v === "string") : [];
+}
+
+/**
+ * Module entries, skipping anything that isn't a module object
+ */
+function moduleEntries(policy: Policy): ModuleEntry[] {
+  const modules = policy?.modules;
+  if (!modules || typeof modules !== "object") return [];
+  return Object.entries(modules).filter(
+    ([, module]) => module !== null && typeof module === "object" && !Array.isArray(module)
+  );
+}
+
+function checkPathOverlaps(modules: ModuleEntry[], problems: LintProblem[]): void {
+  const entries = modules.flatMap(([moduleId, module]) =>
+    list(module.owns_paths)
+      .map((pattern, index) => ({ moduleId, pattern, index }))
+      .filter(({ pattern }) => !pattern.startsWith("!"))
+  );
+
+  for (let i = 0; i < entries.length; i++) {
+    for (let j = i + 1; j < entries.length; j++) {
+      const a = entries[i];
+      const b = entries[j];
+      if (a.moduleId === b.moduleId) continue;
+
+      const shared = sharedPath(a.pattern, b.pattern);
+      if (shared === null) continue;
+
+      const specificityA = patternSpecificity(shared, a.pattern)!;
+      const specificityB = patternSpecificity(shared, b.pattern)!;
+      const tie = specificityA === specificityB;
+      const winner = specificityA >= specificityB ? a : b;
+
+      problems.push({
+        severity: tie ? "error" : "warning",
+        rule: "overlapping_paths",
+        path: rulePath(b.moduleId, "owns_paths", b.index),
+        message: tie
+          ? `"${b.pattern}" (${b.moduleId}) and "${a.pattern}" (${a.moduleId}) are equally specific and both claim ${shared}; ${a.moduleId} wins only by policy order`
+          : `"${b.pattern}" (${b.moduleId}) overlaps "${a.pattern}" (${a.moduleId}), e.g. ${shared}; ${winner.moduleId} is more specific and owns it`,
+      });
+    }
+  }
+}
+
+function checkNamespaceOverlaps(modules: ModuleEntry[], problems: LintProblem[]): void {
+  const entries = modules.flatMap(([moduleId, module]) =>
+    list(module.owns_namespaces).map((namespace, index) => ({ moduleId, namespace, index }))
+  );
+
+  for (let i = 0; i < entries.length; i++) {
+    for (let j = i + 1; j < entries.length; j++) {
+      const a = entries[i];
+      const b = entries[j];
+      if (a.moduleId === b.moduleId) continue;
+      if (!a.namespace.startsWith(b.namespace) && !b.namespace.startsWith(a.namespace)) continue;
+
+      // resolveImportToModule takes the first module whose prefix matches
+      problems.push({
+        severity: "warning",
+        rule: "overlapping_namespaces",
+        path: rulePath(b.moduleId, "owns_namespaces", b.index),
+        message: `"${b.namespace}" (${b.moduleId}) overlaps "${a.namespace}" (${a.moduleId}); imports under both go to ${a.moduleId}, which is listed first`,
+      });
+    }
+  }
+}
+
+function editDistance(a: string, b: string): number {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function didYouMean(value: string, candidates: string[]): string {
+  const best = candidates
+    .map((candidate) => ({ candidate, distance: editDistance(value, candidate) }))
+    .sort((x, y) => x.distance - y.distance)[0];
+  return best && best.distance <= Math.max(2, Math.floor(value.length / 4))
+    ? ` (did you mean ${best.candidate}?)`
+    : "";
+}
+
+function checkCallerReferences(modules: ModuleEntry[], problems: LintProblem[]): void {
+  const ids = modules.map(([moduleId]) => moduleId);
+
+  for (const [moduleId, module] of modules) {
+    for (const property of ["allowed_callers", "forbidden_callers"]) {
+      list(module[property as keyof PolicyModule]).forEach((entry, index) => {
+        const pattern = entry.startsWith("!") ? entry.slice(1) : entry;
+        if (ids.some((id) => matchesPattern(id, pattern, { ids: true }))) return;
+
+        problems.push({
+          severity: "error",
+          rule: "unknown_module",
+          path: rulePath(moduleId, property, index),
+          message: `"${entry}" matches no module${didYouMean(pattern, ids)}`,
+        });
+      });
+    }
+
+    const allowed = list(module.allowed_callers);
+    const forbidden = list(module.forbidden_callers);
+    if (allowed.length === 0 || forbidden.length === 0) continue;
+
+    for (const callerId of ids) {
+      const allowedBy = matchPatterns(callerId, allowed, { ids: true });
+      const forbiddenBy = matchPatterns(callerId, forbidden, { ids: true });
+      if (!allowedBy || !forbiddenBy) continue;
+
+      problems.push({
+        severity: "error",
+        rule: "allowed_and_forbidden",
+        path: rulePath(moduleId, "forbidden_callers", forbiddenBy.index),
+        message: `${callerId} is both allowed ("${allowedBy.pattern}") and forbidden ("${forbiddenBy.pattern}") to call ${moduleId}; forbidden wins`,
+      });
+    }
+  }
+}
+
+/**
+ * Name of a global kill pattern: the schema's string form or the
+ * { pattern, description } form
+ */
+function killPatternName(entry: unknown): string | null {
+  if (typeof entry === "string") return entry;
+  if (entry && typeof entry === "object" && typeof (entry as any).pattern === "string") {
+    return (entry as any).pattern;
+  }
+  return null;
+}
+
+function checkKillPatterns(policy: Policy, modules: ModuleEntry[], problems: LintProblem[]): void {
+  const globals: unknown[] = Array.isArray(policy.global_kill_patterns)
+    ? policy.global_kill_patterns
+    : [];
+  const defined = globals.map(killPatternName).filter((name): name is string => name !== null);
+  const referenced = new Set(modules.flatMap(([, module]) => list(module.kill_patterns)));
+
+  const invalid = (entry: unknown, path: string) => {
+    for (const message of killPatternErrors(entry)) {
+      problems.push({ severity: "error", rule: "invalid_kill_pattern", path, message });
+    }
+  };
+
+  globals.forEach((entry, index) => {
+    const path = `$.global_kill_patterns[${index}]`;
+    invalid(entry, path);
+
+    // A pattern with a rule applies everywhere; only names need a reference
+    const name = killPatternName(entry);
+    if (name === null || referenced.has(name) || (entry as any)?.rule) return;
+    problems.push({
+      severity: "warning",
+      rule: "unused_kill_pattern",
+      path,
+      message: `Kill pattern "${name}" is not referenced by any module's kill_patterns`,
+    });
+  });
+
+  for (const [moduleId, module] of modules) {
+    const entries: unknown[] = Array.isArray(module.kill_patterns) ? module.kill_patterns : [];
+    entries.forEach((entry, index) => {
+      const path = rulePath(moduleId, "kill_patterns", index);
+      if (typeof entry !== "string") {
+        invalid(entry, path);
+        return;
+      }
+      if (defined.includes(entry)) return;
+      problems.push({
+        severity: "warning",
+        rule: "unknown_kill_pattern",
+        path,
+        message: `Kill pattern "${entry}" is not defined in global_kill_patterns${didYouMean(entry, defined)}`,
+      });
+    });
+  }
+}
+
+/**
+ * Cycles among modules that explicitly allow each other through
+ * allowed_callers (caller → callee edges), one per strongly connected
+ * component
+ */
+function checkCycles(modules: ModuleEntry[], problems: LintProblem[]): void {
+  const ids = modules.map(([moduleId]) => moduleId);
+  const edges = new Map<string, string[]>(ids.map((id) => [id, []]));
+
+  for (const [calleeId, module] of modules) {
+    const allowed = list(module.allowed_callers);
+    if (allowed.length === 0) continue;
+    for (const callerId of ids) {
+      if (callerId !== calleeId && matchPatterns(callerId, allowed, { ids: true })) {
+        edges.get(callerId)!.push(calleeId);
+      }
+    }
+  }
+
+  const successors = (id: string) => edges.get(id)!;
+  for (const component of stronglyConnected(ids, successors)) {
+    const cycle = shortestCycle(component[component.length - 1], new Set(component), successors);
+    problems.push({
+      severity: "error",
+      rule: "dependency_cycle",
+      path: rulePath(cycle[1], "allowed_callers"),
+      message: `allowed_callers permit a dependency cycle: ${cycle.join(" → ")}`,
+    });
+  }
+}
+
+function checkCoverage(
+  policy: Policy,
+  modules: ModuleEntry[],
+  scannerOutput: MergedScannerOutput,
+  problems: LintProblem[]
+): void {
+  const checker = new LexMapChecker(policy);
+  const owned = new Set<string>();
+
+  for (const file of scannerOutput.files || []) {
+    const owner = checker.resolveFileToModule(file.path);
+    if (owner) {
+      owned.add(owner);
+    } else {
+      problems.push({
+        severity: "warning",
+        rule: "unowned_file",
+        path: file.path,
+        message: `${file.path} is owned by no module`,
+      });
+    }
+  }
+
+  for (const [moduleId] of modules) {
+    if (owned.has(moduleId)) continue;
+    problems.push({
+      severity: "warning",
+      rule: "module_without_files",
+      path: rulePath(moduleId, "owns_paths"),
+      message: `Module ${moduleId} owns none of the ${(scannerOutput.files || []).length} scanned files`,
+    });
+  }
+}
+
+/**
+ * Lint a parsed policy, optionally against merged scanner output
+ */
+export function lintPolicy(policy: Policy, scannerOutput?: MergedScannerOutput): LintProblem[] {
+  const problems: LintProblem[] = validatePolicy(policy).map(
+    (error: { path: string; message: string }) => ({
+      severity: "error" as const,
+      rule: "schema" as const,
+      path: error.path,
+      message: error.message,
+    })
+  );
+
+  const modules = moduleEntries(policy);
+  checkPathOverlaps(modules, problems);
+  checkNamespaceOverlaps(modules, problems);
+  checkCallerReferences(modules, problems);
+  checkKillPatterns(policy, modules, problems);
+  checkCycles(modules, problems);
+  if (scannerOutput) {
+    checkCoverage(policy, modules, scannerOutput, problems);
+  }
+
+  return problems;
+}
+
+export function formatLint(problems: LintProblem[]): string {
+  if (problems.length === 0) {
+    return "✅ Policy looks good\n";
+  }
+
+  const errors = problems.filter((p) => p.severity === "error").length;
+  let text = `${errors} error(s), ${problems.length - errors} warning(s)\n\n`;
+  for (const problem of problems) {
+    text += `${problem.severity.padEnd(8)}${problem.rule}  ${problem.path}\n`;
+    text += `        ${problem.message}\n`;
+  }
+  return text;
+}
+
+export function main(args: string[] = process.argv.slice(2)) {
+  const json = args.includes("--json");
+  const positional = args.filter((arg) => arg !== "--json");
+
+  if (positional.length < 1) {
+    console.error("Usage: lexmap lint-policy <policy.json> [merged.json] [--json]");
+    console.error("");
+    console.error("Validates the policy against its schema and reports semantic problems.");
+    console.error("With merged scanner output, also reports module coverage.");
+    console.error("");
+    console.error("Example:");
+    console.error("  lexmap lint-policy lexmap.policy.json merged.json");
+    process.exit(2);
+  }
+
+  const [policyFile, scannerFile] = positional;
+
+  const { policy, errors } = resolvePolicyFile(policyFile);
+  if (!policy) {
+    console.error(`Error: ${errors.map((error: PolicyError) => error.message).join("; ")}`);
+    process.exit(2);
+  }
+
+  let scannerOutput: MergedScannerOutput | undefined;
+  try {
+    if (scannerFile) {
+      scannerOutput = JSON.parse(fs.readFileSync(scannerFile, "utf-8"));
+    }
+  } catch (error: any) {
+    console.error(`Error: ${error.message}`);
+    process.exit(2);
+  }
+
+  const problems: LintProblem[] = [
+    ...errors.map((error) => ({
+      severity: "error" as const,
+      rule: "composition" as const,
+      path: error.path,
+      message: error.message,
+    })),
+    ...lintPolicy(policy, scannerOutput),
+  ];
+
+  if (json) {
+    console.log(JSON.stringify({ problems }, null, 2));
+  } else {
+    process.stdout.write(formatLint(problems));
+  }
+
+  process.exit(problems.some((p) => p.severity === "error") ? 1 : 0);
+}
+
+// Run only when invoked directly, not when imported by the CLI
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main();
+}
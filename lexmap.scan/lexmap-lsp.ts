@@ -0,0 +1,531 @@
+#!/usr/bin/env node
+/**
+ * LexMap Language Server
+ *
+ * Language Server Protocol server over stdio that reports policy violations
+ * while you type, instead of only in CI.
+ *
+ * Usage:
+ *     lexmap lsp [--policy lexmap.policy.json]
+ *
+ * What it does:
+ *     1. Runs the scanner import extraction on each open document as it changes
+ *     2. Checks the facts with LexMapChecker
+ *     3. Publishes forbidden imports and kill patterns as diagnostics on the
+ *        offending import line
+ *     4. On hover, shows the module that owns the file (resolveFileToModule)
+ *        and its allowed callers, plus the target module of an import line
+ *
+ * The policy path is taken from --policy, then initializationOptions.policyPath,
+ * then LEXMAP_POLICY, then lexmap.policy.json in the workspace root. Saving the
+ * policy file, or a file it extends or a package policy, re-checks every open
+ * document.
+ *
+ * Editor setup (VS Code, Neovim, ...): run `lexmap lsp` as the server command
+ * for TypeScript, JavaScript and PHP files.
+ *
+ * Author: LexMap
+ * License: MIT
+ */
+
+import * as fs from "fs";
+import * as path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+import { LexMapChecker } from "./lexmap-check.ts";
+import type { Policy, PolicyModule, Violation } from "./lexmap-check.ts";
+import type { FileData } from "./ts_scanner.ts";
+import { extractFacts } from "./extract.ts";
+import { level } from "./lexmap-report.ts";
+import { resolvePolicyFile } from "../packages/codemap-indexer/src/policy-compose.ts";
+
+// LSP constants
+const TextDocumentSyncKind = { Full: 1 } as const;
+const DiagnosticSeverity = { Error: 1, Warning: 2 } as const;
+const MessageType = { Error: 1, Warning: 2, Info: 3 } as const;
+const METHOD_NOT_FOUND = -32601;
+
+// Re-check after the user pauses typing
+const VALIDATE_DEBOUNCE_MS = 200;
+
+interface Position {
+  line: number;
+  character: number;
+}
+
+interface Range {
+  start: Position;
+  end: Position;
+}
+
+interface Diagnostic {
+  range: Range;
+  severity: number;
+  source: string;
+  code: string;
+  message: string;
+}
+
+interface Document {
+  text: string;
+  version: number;
+  facts: FileData | null;
+}
+
+interface Message {
+  jsonrpc: "2.0";
+  id?: number | string | null;
+  method?: string;
+  params?: any;
+}
+
+export class LexMapLanguageServer {
+  private rootDir = process.cwd();
+  private policyPath: string | null;
+  private policy: Policy | null = null;
+  /** Files the policy is composed of (extends, package policies) */
+  private policySources: string[] = [];
+  private documents = new Map<string, Document>();
+  private timers = new Map<string, ReturnType<typeof setTimeout>>();
+  private shutdownRequested = false;
+  private send: (message: object) => void;
+
+  constructor(send: (message: object) => void, policyPath: string | null = null) {
+    this.send = send;
+    this.policyPath = policyPath;
+  }
+
+  async handleMessage(message: Message): Promise<void> {
+    const { id, method, params } = message;
+    if (method === undefined) return; // response to a server request
+
+    const isRequest = id !== undefined;
+
+    try {
+      const result = await this.dispatch(method, params);
+      if (isRequest) {
+        this.send({ jsonrpc: "2.0", id, result: result ?? null });
+      }
+    } catch (error: any) {
+      if (isRequest) {
+        this.send({
+          jsonrpc: "2.0",
+          id,
+          error: { code: error.code ?? -32603, message: error.message },
+        });
+      } else {
+        this.log(MessageType.Error, error.message);
+      }
+    }
+  }
+
+  private async dispatch(method: string, params: any): Promise<unknown> {
+    switch (method) {
+      case "initialize":
+        return this.initialize(params);
+      case "initialized":
+        return null;
+      case "shutdown":
+        this.shutdownRequested = true;
+        return null;
+      case "exit":
+        process.exit(this.shutdownRequested ? 0 : 1);
+
+      case "textDocument/didOpen": {
+        const { uri, text, version } = params.textDocument;
+        this.documents.set(uri, { text, version, facts: null });
+        await this.validate(uri);
+        return null;
+      }
+
+      case "textDocument/didChange": {
+        const doc = this.documents.get(params.textDocument.uri);
+        if (!doc) return null;
+        // Full sync: the last change holds the whole document
+        const changes = params.contentChanges;
+        doc.text = changes[changes.length - 1].text;
+        doc.version = params.textDocument.version;
+        this.scheduleValidate(params.textDocument.uri);
+        return null;
+      }
+
+      case "textDocument/didSave":
+        if (this.isPolicyUri(params.textDocument.uri)) {
+          this.reloadPolicy();
+        }
+        return null;
+
+      case "textDocument/didClose": {
+        const uri = params.textDocument.uri;
+        this.documents.delete(uri);
+        clearTimeout(this.timers.get(uri));
+        this.timers.delete(uri);
+        this.publish(uri, []);
+        return null;
+      }
+
+      case "workspace/didChangeWatchedFiles":
+        if (params.changes.some((c: { uri: string }) => this.isPolicyUri(c.uri))) {
+          this.reloadPolicy();
+        }
+        return null;
+
+      case "textDocument/hover":
+        return this.hover(params.textDocument.uri, params.position);
+
+      default:
+        // Optional notifications ($/cancelRequest, $/setTrace, ...) can be ignored
+        if (method.startsWith("$/")) return null;
+        throw Object.assign(new Error(`Method not found: ${method}`), {
+          code: METHOD_NOT_FOUND,
+        });
+    }
+  }
+
+  private initialize(params: any) {
+    const rootUri = params?.rootUri ?? params?.workspaceFolders?.[0]?.uri;
+    if (rootUri) {
+      this.rootDir = fileURLToPath(rootUri);
+    } else if (params?.rootPath) {
+      this.rootDir = params.rootPath;
+    }
+
+    const configured =
+      this.policyPath ??
+      params?.initializationOptions?.policyPath ??
+      process.env.LEXMAP_POLICY ??
+      "lexmap.policy.json";
+    this.policyPath = path.resolve(this.rootDir, configured);
+    this.policy = this.loadPolicy();
+
+    return {
+      capabilities: {
+        textDocumentSync: {
+          openClose: true,
+          change: TextDocumentSyncKind.Full,
+          save: true,
+        },
+        hoverProvider: true,
+      },
+      serverInfo: { name: "lexmap-lsp", version: "0.1.0" },
+    };
+  }
+
+  private loadPolicy(): Policy | null {
+    if (!this.policyPath || !fs.existsSync(this.policyPath)) {
+      this.log(MessageType.Warning, `LexMap policy not found: ${this.policyPath}`);
+      return null;
+    }
+
+    const { policy, sources, errors } = resolvePolicyFile(this.policyPath);
+    if (sources.length > 0) this.policySources = sources;
+    if (errors.length > 0 || !policy) {
+      const details = errors.map((error) => `${error.path}: ${error.message}`).join("; ");
+      this.log(MessageType.Error, `Could not load LexMap policy: ${details}`);
+      return null;
+    }
+    return policy;
+  }
+
+  private reloadPolicy(): void {
+    const policy = this.loadPolicy();
+    if (!policy) return; // keep the last good policy
+
+    this.policy = policy;
+    this.log(MessageType.Info, `Reloaded LexMap policy: ${this.policyPath}`);
+    for (const uri of this.documents.keys()) {
+      this.scheduleValidate(uri);
+    }
+  }
+
+  private isPolicyUri(uri: string): boolean {
+    if (!uri.startsWith("file:")) return false;
+    const file = fileURLToPath(uri);
+    return file === this.policyPath || this.policySources.includes(file);
+  }
+
+  /**
+   * Repo-relative, forward-slash path as used by owns_paths, or null when
+   * the document is outside the workspace
+   */
+  private toRepoPath(uri: string): string | null {
+    if (!uri.startsWith("file:")) return null;
+    const relative = path.relative(this.rootDir, fileURLToPath(uri));
+    if (relative.startsWith("..") || path.isAbsolute(relative)) return null;
+    return relative.split(path.sep).join("/");
+  }
+
+  private scheduleValidate(uri: string): void {
+    clearTimeout(this.timers.get(uri));
+    this.timers.set(
+      uri,
+      setTimeout(() => {
+        this.timers.delete(uri);
+        this.validate(uri).catch((error) =>
+          this.log(MessageType.Error, error.message)
+        );
+      }, VALIDATE_DEBOUNCE_MS)
+    );
+  }
+
+  private async validate(uri: string): Promise<void> {
+    const doc = this.documents.get(uri);
+    const repoPath = this.toRepoPath(uri);
+    if (!doc || !repoPath || !this.policy) {
+      this.publish(uri, []);
+      return;
+    }
+
+    const { text, version } = doc;
+    let facts: FileData | null;
+    try {
+      facts = await extractFacts(repoPath, text, this.policy.detectors);
+    } catch (error: any) {
+      this.log(MessageType.Warning, `${repoPath}: ${error.message}`);
+      return;
+    }
+
+    // The document changed while the scanner ran; a newer check is pending
+    if (this.documents.get(uri) !== doc || doc.version !== version) return;
+
+    doc.facts = facts;
+    if (!facts) {
+      this.publish(uri, []);
+      return;
+    }
+
+    const checker = new LexMapChecker(this.policy, { root: this.rootDir });
+    try {
+      checker.checkFile(facts, text);
+    } catch (error: any) {
+      // An invalid kill pattern rule; lexmap lint-policy pinpoints it
+      this.log(MessageType.Error, error.message);
+      return;
+    }
+
+    this.publish(
+      uri,
+      checker.getViolations().map((v) => this.toDiagnostic(v, text))
+    );
+  }
+
+  private toDiagnostic(violation: Violation, text: string): Diagnostic {
+    const needle =
+      violation.import ??
+      violation.symbol ??
+      (violation.type === "kill_pattern"
+        ? violation.message.replace(/^Kill pattern detected: /, "")
+        : null);
+
+    return {
+      range:
+        (violation.line && positionRange(text, violation.line, violation.column, needle)) ||
+        (needle && findRange(text, needle)) ||
+        lineRange(text, 0),
+      severity:
+        level(violation.type) === "warning"
+          ? DiagnosticSeverity.Warning
+          : DiagnosticSeverity.Error,
+      source: "lexmap",
+      code: violation.type,
+      message: [violation.message, violation.details, violation.fix && `Fix: ${violation.fix}`]
+        .filter(Boolean)
+        .join("\n"),
+    };
+  }
+
+  private publish(uri: string, diagnostics: Diagnostic[]): void {
+    this.send({
+      jsonrpc: "2.0",
+      method: "textDocument/publishDiagnostics",
+      params: { uri, diagnostics },
+    });
+  }
+
+  private hover(uri: string, position: Position) {
+    const doc = this.documents.get(uri);
+    const repoPath = this.toRepoPath(uri);
+    if (!doc || !repoPath || !this.policy) return null;
+
+    const checker = new LexMapChecker(this.policy, { root: this.rootDir });
+    const sections: string[] = [];
+
+    const moduleId = checker.resolveFileToModule(repoPath);
+    sections.push(
+      moduleId
+        ? describeModule(moduleId, this.policy.modules[moduleId], "owns this file")
+        : "**LexMap:** no module in the policy owns this file"
+    );
+
+    // Hovering an import line also describes the module being imported
+    const lineText = doc.text.split(/\r?\n/)[position.line] ?? "";
+    const imp = doc.facts?.imports.find((i) =>
+      i.line ? i.line === position.line + 1 : lineText.includes(i.from)
+    );
+    if (imp) {
+      const importedId = checker.resolveImportToModule(imp.from, repoPath);
+      if (importedId && importedId !== moduleId) {
+        sections.push(
+          describeModule(
+            importedId,
+            this.policy.modules[importedId],
+            `imported via \`${imp.from}\``
+          )
+        );
+      }
+    }
+
+    return {
+      contents: { kind: "markdown", value: sections.join("\n\n---\n\n") },
+    };
+  }
+
+  private log(type: number, message: string): void {
+    this.send({
+      jsonrpc: "2.0",
+      method: "window/logMessage",
+      params: { type, message },
+    });
+  }
+}
+
+function describeModule(id: string, module: PolicyModule, role: string): string {
+  const list = (values: string[] | undefined, empty: string) =>
+    values && values.length > 0 ? values.map((v) => `\`${v}\``).join(", ") : empty;
+
+  const lines = [`**LexMap module \`${id}\`** (${role})`];
+  if (module.description) lines.push("", module.description);
+  lines.push(
+    "",
+    `- Allowed callers: ${list(module.allowed_callers, "any module")}`,
+    `- Forbidden callers: ${list(module.forbidden_callers, "none")}`,
+    `- Exposes: ${list(module.exposes, "nothing declared")}`
+  );
+  if (module.notes) lines.push("", `_${module.notes}_`);
+
+  return lines.join("\n");
+}
+
+/**
+ * Range of the first occurrence of needle, preferring a quoted import
+ * specifier ("x", 'x' or `x`) over a bare match
+ */
+function findRange(text: string, needle: string): Range | null {
+  const lines = text.split(/\r?\n/);
+  const candidates = [`"${needle}"`, `'${needle}'`, `\`${needle}\``, needle];
+
+  for (const candidate of candidates) {
+    for (let line = 0; line < lines.length; line++) {
+      const index = lines[line].indexOf(candidate);
+      if (index === -1) continue;
+
+      // Highlight the specifier itself, without quotes
+      const offset = candidate === needle ? 0 : 1;
+      return {
+        start: { line, character: index + offset },
+        end: { line, character: index + offset + needle.length },
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Range at a violation's 1-based line and column: the needle when it starts
+ * there (after an opening quote, for an import specifier), else the rest of
+ * the line. Null when the line is past the end of the text.
+ */
+function positionRange(
+  text: string,
+  line: number,
+  column: number | undefined,
+  needle: string | null
+): Range | null {
+  const lineText = text.split(/\r?\n/)[line - 1];
+  if (lineText === undefined) return null;
+
+  let character = column ? column - 1 : 0;
+  let end = lineText.length;
+  if (needle) {
+    if (/["'`]/.test(lineText[character]) && lineText.startsWith(needle, character + 1)) {
+      character++;
+    }
+    if (lineText.startsWith(needle, character)) end = character + needle.length;
+  }
+
+  return {
+    start: { line: line - 1, character },
+    end: { line: line - 1, character: Math.max(end, character) },
+  };
+}
+
+function lineRange(text: string, line: number): Range {
+  const length = (text.split(/\r?\n/)[line] ?? "").length;
+  return {
+    start: { line, character: 0 },
+    end: { line, character: length },
+  };
+}
+
+/**
+ * Serve LSP over stdio (Content-Length framed JSON-RPC)
+ */
+export function main(args: string[] = process.argv.slice(2)) {
+  const policyIndex = args.indexOf("--policy");
+  const policyPath = policyIndex !== -1 ? args[policyIndex + 1] : null;
+
+  const send = (message: object) => {
+    const json = JSON.stringify(message);
+    process.stdout.write(
+      `Content-Length: ${Buffer.byteLength(json, "utf-8")}\r\n\r\n${json}`
+    );
+  };
+
+  const server = new LexMapLanguageServer(send, policyPath);
+  let buffer = Buffer.alloc(0);
+  let queue = Promise.resolve();
+
+  process.stdin.on("data", (chunk: Buffer) => {
+    buffer = Buffer.concat([buffer, chunk]);
+
+    while (true) {
+      const headerEnd = buffer.indexOf("\r\n\r\n");
+      if (headerEnd === -1) break;
+
+      const header = buffer.subarray(0, headerEnd).toString("ascii");
+      const match = /Content-Length: *(\d+)/i.exec(header);
+      if (!match) {
+        // Unframed garbage; drop the header block and resync
+        buffer = buffer.subarray(headerEnd + 4);
+        continue;
+      }
+
+      const length = parseInt(match[1], 10);
+      const bodyStart = headerEnd + 4;
+      if (buffer.length < bodyStart + length) break;
+
+      const body = buffer.subarray(bodyStart, bodyStart + length).toString("utf-8");
+      buffer = buffer.subarray(bodyStart + length);
+
+      let message: Message;
+      try {
+        message = JSON.parse(body);
+      } catch (error: any) {
+        console.error(`[lexmap lsp] Invalid JSON message: ${error.message}`);
+        continue;
+      }
+
+      // Handle messages in order so didChange never overtakes didOpen
+      queue = queue
+        .then(() => server.handleMessage(message))
+        .catch((error) => console.error(`[lexmap lsp] ${error.stack || error}`));
+    }
+  });
+
+  process.stdin.on("end", () => process.exit(0));
+}
+
+// Run only when invoked directly, not when imported by the lexmap CLI
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main();
+}
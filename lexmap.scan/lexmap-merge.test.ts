@@ -0,0 +1,182 @@
+import { after, mock, test } from "node:test";
+import * as assert from "node:assert/strict";
+import { spawnSync } from "child_process";
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import { fileURLToPath } from "url";
+import { LexMapMerge, serializeMerged } from "./lexmap-merge.ts";
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "lexmap-merge-"));
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+// The merge reports progress and warnings on stderr
+const consoleError = mock.method(console, "error", () => {});
+
+function file(filePath: string, facts: Record<string, unknown> = {}) {
+  return {
+    path: filePath,
+    declarations: [],
+    imports: [],
+    feature_flags: [],
+    permissions: [],
+    warnings: [],
+    ...facts,
+  };
+}
+
+function merge(base: any, ...outputs: any[]) {
+  const merger = new LexMapMerge();
+  if (base) merger.setBase(base);
+  for (const output of outputs) merger.addScanner(output);
+  return merger.merge();
+}
+
+test("facts several scanners report are combined once, with their sources", () => {
+  const merged = merge(
+    null,
+    {
+      language: "php",
+      files: [
+        file("app/Panel.php", {
+          declarations: [{ type: "class", name: "Panel" }],
+          imports: [{ from: "App\\Auth", type: "use_statement", line: 3 }],
+          feature_flags: ["beta"],
+        }),
+      ],
+      warnings: [{ path: "app/Panel.php", pattern: "eval", message: "eval call" }],
+    },
+    {
+      language: "blade",
+      files: [
+        file("app/Panel.php", {
+          imports: [{ from: "App\\Auth", type: "use_statement", line: 3 }],
+          feature_flags: ["alpha", "beta"],
+        }),
+      ],
+      warnings: [{ path: "app/Panel.php", pattern: "eval", message: "eval call" }],
+    }
+  );
+
+  assert.deepEqual(merged.sources, ["php", "blade"]);
+  assert.deepEqual(merged.files, [
+    {
+      path: "app/Panel.php",
+      sources: ["php", "blade"],
+      declarations: [{ type: "class", name: "Panel", sources: ["php"] }],
+      imports: [{ from: "App\\Auth", type: "use_statement", line: 3, sources: ["php", "blade"] }],
+      feature_flags: ["alpha", "beta"],
+      permissions: [],
+      warnings: [],
+    },
+  ]);
+  assert.deepEqual(merged.warnings, [
+    { path: "app/Panel.php", pattern: "eval", message: "eval call", sources: ["php", "blade"] },
+  ]);
+});
+
+test("an incremental merge replaces only what each input covers", () => {
+  const base = merge(
+    null,
+    {
+      language: "typescript",
+      files: [
+        file("ui/a.ts", { imports: [{ from: "./old", type: "import" }] }),
+        file("ui/b.ts"),
+        file("ui/c.ts", { declarations: [{ type: "class", name: "C" }] }),
+      ],
+    },
+    { language: "php", files: [file("ui/a.ts", { imports: [{ from: "App\\A", type: "use_statement" }] })] }
+  );
+
+  const updated = merge(base, {
+    language: "typescript",
+    // a.ts changed, b.ts was deleted; c.ts is not covered
+    files: [file("ui/a.ts", { imports: [{ from: "./new", type: "import" }] })],
+    partial: { paths: ["ui/a.ts", "ui/b.ts"] },
+  });
+
+  assert.deepEqual(updated.sources, ["typescript", "php"]);
+  assert.deepEqual(
+    updated.files.map((f) => [f.path, f.sources, f.imports.map((i) => `${i.from} (${i.sources})`)]),
+    [
+      ["ui/a.ts", ["php", "typescript"], ["App\\A (php)", "./new (typescript)"]],
+      ["ui/c.ts", ["typescript"], []],
+    ]
+  );
+  assert.deepEqual(updated.files[1].declarations, [{ type: "class", name: "C", sources: ["typescript"] }]);
+
+  // A full scan of a language replaces all of its facts
+  const full = merge(base, { language: "typescript", files: [file("ui/d.ts")] });
+  assert.deepEqual(
+    full.files.map((f) => [f.path, f.sources]),
+    [
+      ["ui/a.ts", ["php"]],
+      ["ui/d.ts", ["typescript"]],
+    ]
+  );
+});
+
+test("only a path two inputs report is warned about, not one the base had", () => {
+  const base = merge(null, { language: "typescript", files: [file("ui/a.ts")] });
+  consoleError.mock.resetCalls();
+
+  merge(base, { language: "typescript", files: [file("ui/a.ts")], partial: { paths: ["ui/a.ts"] } });
+  merge(base, { language: "php", files: [file("ui/a.ts")] });
+  assert.equal(consoleError.mock.callCount(), 0);
+
+  merge(
+    null,
+    { language: "typescript", files: [file("ui/a.ts")] },
+    { language: "php", files: [file("ui/a.ts")] }
+  );
+  assert.deepEqual(
+    consoleError.mock.calls.map((call) => call.arguments[0]),
+    ["Warning: File ui/a.ts appears in multiple scanner outputs"]
+  );
+});
+
+test("the streamed output equals the merged result as indented JSON", () => {
+  const withWarnings = merge(null, {
+    language: "php",
+    files: [file("a.php"), file("b.php", { permissions: ["admin"] })],
+    warnings: [{ path: "a.php", pattern: "eval", message: "eval call" }],
+  });
+  const empty = merge(null, { language: "php", files: [] });
+
+  for (const merged of [withWarnings, empty]) {
+    assert.equal([...serializeMerged(merged)].join(""), JSON.stringify(merged, null, 2) + "\n");
+  }
+});
+
+test("the CLI rejects inputs and bases that don't match the schema", () => {
+  const cli = path.join(path.dirname(fileURLToPath(import.meta.url)), "lexmap-merge.ts");
+  const write = (name: string, data: unknown) => {
+    const filePath = path.join(tmp, name);
+    fs.writeFileSync(filePath, JSON.stringify(data));
+    return filePath;
+  };
+  const run = (...args: string[]) =>
+    spawnSync(process.execPath, [cli, ...args], { encoding: "utf-8", timeout: 60000 });
+
+  const input = write("input.json", { language: "typescript", files: [file("ui/a.ts")] });
+  const invalid = write("invalid.json", { language: "typescript", files: [{ path: "ui/a.ts" }] });
+  const badBase = write("base.json", {
+    sources: ["typescript"],
+    files: [{ ...file("ui/a.ts"), sources: ["typescript"] }],
+    warnings: [{ path: "ui/a.ts", sources: ["typescript"] }],
+  });
+
+  const ok = run(input);
+  assert.equal(ok.status, 0);
+  assert.deepEqual(JSON.parse(ok.stdout).files[0].sources, ["typescript"]);
+
+  const rejected = run(invalid);
+  assert.equal(rejected.status, 1);
+  assert.match(rejected.stderr, /does not conform to scanner-output\.schema\.json/);
+  assert.match(rejected.stderr, /\$\.files\[0\]/);
+
+  const rejectedBase = run("--base", badBase, input);
+  assert.equal(rejectedBase.status, 1);
+  assert.match(rejectedBase.stderr, /\$\.warnings\[0\]/);
+});
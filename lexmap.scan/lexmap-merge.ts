@@ -6,6 +6,15 @@
  *
  * Usage:
  *     lexmap merge scanner1.json scanner2.json ... > merged.json
+ *     lexmap merge --base merged.json partial.json ... > updated.json
+ *
+ * Incremental merges:
+ *     With --base, the inputs are spliced into a previous merged result.
+ *     Each input replaces what its scanner (`language`) reported in the base:
+ *     for the paths in its `partial.paths` (ts_scanner --changed-since or
+ *     --files), or everywhere for a full scan. A covered path the input
+ *     doesn't list was deleted and drops out. Facts other scanners reported
+ *     for the same file are kept.
  *
  * Philosophy:
  *     This tool MERGES scanner outputs, it does NOT enforce policy.
@@ -13,9 +22,22 @@
  *
  * Flow:
  *     1. Read all scanner output JSON files
- *     2. Validate each against scanner-output.schema.json
- *     3. Merge file lists (deduplicating by path)
- *     4. Output unified scanner-output.json
+ *     2. Validate each against scanner-output.schema.json, reporting every
+ *        error with its JSON path (e.g. $.files[3].imports[0].line)
+ *     3. Merge file lists by path. When several scanners report a file, its
+ *        declarations, imports, gates and suppressions are combined without
+ *        duplicates and flags, permissions and warnings are unioned
+ *     4. Record provenance: each file, declaration, import, gate, suppression and
+ *        top-level warning lists the scanners (`language`) that reported it
+ *        in `sources`
+ *     5. Stream the merged output to stdout one file at a time, so it never
+ *        has to exist as a single JSON string
+ *
+ * Limits:
+ *     Each input (and the base) is read and parsed whole, so one file must
+ *     fit in a single string (about 512 MB in V8) and its parsed facts in
+ *     memory. Split a larger scan into several inputs, e.g. one per
+ *     directory: the merge combines them and its output is streamed.
  *
  * Next Step:
  *     Feed merged output to policy checker which:
@@ -28,12 +50,18 @@
  */
 
 import * as fs from "fs";
-import * as path from "path";
+import { Readable } from "stream";
+import { pathToFileURL } from "url";
+import { loadScannerOutputSchema, validate, validateScannerOutput } from "../mcp/schema.mjs";
+import type { SchemaError } from "../mcp/schema.mjs";
+
+export type { SchemaError };
 
 interface Declaration {
   type: string;
   name: string;
-  namespace?: string;
+  namespace?: string | null;
+  sources?: string[];
 }
 
 interface Import {
@@ -41,104 +69,360 @@ interface Import {
   type: string;
   imported?: string[];
   alias?: string | null;
+  line?: number;
+  column?: number;
+  sources?: string[];
+}
+
+interface Suppression {
+  line: number;
+  target_line: number;
+  directive: string;
+  sources?: string[];
+}
+
+interface Gate {
+  kind: string;
+  name: string;
+  call?: string;
+  line?: number;
+  column?: number;
+  sources?: string[];
 }
 
 interface FileData {
   path: string;
+  /** Scanners that reported the file */
+  sources?: string[];
   declarations: Declaration[];
   imports: Import[];
   feature_flags: string[];
   permissions: string[];
+  gates?: Gate[];
+  suppressions?: Suppression[];
   warnings: string[];
 }
 
+interface ScannerWarning {
+  path: string;
+  pattern: string;
+  message: string;
+  sources?: string[];
+}
+
 interface ScannerOutput {
   language: string;
   files: FileData[];
+  warnings?: ScannerWarning[];
+  partial?: { paths: string[] };
 }
 
-interface MergedOutput {
+export interface MergedOutput {
   sources: string[];
   files: FileData[];
+  warnings?: ScannerWarning[];
 }
 
-class LexMapMerge {
-  private scannerOutputs: ScannerOutput[] = [];
-  private fileMap: Map<string, FileData> = new Map();
+/**
+ * Identity of a record for de-duplication: every field but its provenance
+ */
+function recordKey(record: object): string {
+  const { sources: _, ...fact } = record as { sources?: string[] };
+  return JSON.stringify(
+    Object.keys(fact)
+      .sort()
+      .filter((key) => (fact as any)[key] !== undefined)
+      .map((key) => [key, (fact as any)[key]])
+  );
+}
 
-  loadScanner(filePath: string): void {
-    try {
-      const content = fs.readFileSync(filePath, "utf-8");
-      const data: ScannerOutput = JSON.parse(content);
-
-      // Basic validation
-      if (!data.language || !Array.isArray(data.files)) {
-        console.error(
-          `Error: ${filePath} does not conform to scanner-output.schema.json`
-        );
-        process.exit(1);
-      }
+/**
+ * Records of one kind with their provenance, de-duplicated by recordKey
+ */
+class RecordSet<T extends { sources?: string[] }> {
+  readonly records: T[] = [];
+  private byKey = new Map<string, T>();
+
+  add(record: T, source: string): void {
+    const key = recordKey(record);
+    const existing = this.byKey.get(key);
+    if (existing) {
+      if (!existing.sources!.includes(source)) existing.sources!.push(source);
+      return;
+    }
+
+    const copy = { ...record, sources: [source] };
+    this.byKey.set(key, copy);
+    this.records.push(copy);
+  }
+}
+
+interface MergedFile {
+  file: FileData;
+  declarations: RecordSet<Declaration>;
+  imports: RecordSet<Import>;
+  gates: RecordSet<Gate>;
+  suppressions: RecordSet<Suppression>;
+}
 
-      this.scannerOutputs.push(data);
+/**
+ * Parse a JSON input, exiting with a message if it can't be read
+ */
+function readJson(filePath: string): any {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf-8"));
+  } catch (error: any) {
+    if (error?.code === "ERR_STRING_TOO_LONG" || error?.code === "ERR_FS_FILE_TOO_LARGE") {
       console.error(
-        `Loaded scanner output: ${filePath} (${data.language}, ${data.files.length} files)`
+        `Error: ${filePath} is too large to read as one JSON document; split the scan into several inputs`
       );
-    } catch (error) {
+    } else {
       console.error(`Error loading ${filePath}:`, error);
+    }
+    process.exit(1);
+  }
+}
+
+export class LexMapMerge {
+  private scannerOutputs: ScannerOutput[] = [];
+  private base: MergedOutput | null = null;
+  private fileMap: Map<string, MergedFile> = new Map();
+  /** Paths an input (not the base) has reported */
+  private inputPaths = new Set<string>();
+
+  loadBase(filePath: string): void {
+    const data: MergedOutput = readJson(filePath);
+
+    if (
+      !Array.isArray(data?.sources) ||
+      !Array.isArray(data.files) ||
+      !data.files.every((file) => Array.isArray(file?.sources)) ||
+      !(
+        data.warnings === undefined ||
+        (Array.isArray(data.warnings) &&
+          data.warnings.every((warning) => Array.isArray(warning?.sources)))
+      )
+    ) {
+      console.error(
+        `Error: ${filePath} is not lexmap merge output (files and warnings need their sources)`
+      );
+      process.exit(1);
+    }
+
+    // Its files and warnings have the scanner output shape, plus sources
+    const schema = loadScannerOutputSchema();
+    const errors: SchemaError[] = [
+      ...validate(schema.properties.files, data.files, "$.files"),
+      ...(data.warnings ? validate(schema.properties.warnings, data.warnings, "$.warnings") : []),
+    ];
+    if (errors.length > 0) {
+      console.error(`Error: ${filePath} does not conform to scanner-output.schema.json:`);
+      for (const error of errors) {
+        console.error(`  ${error.path}: ${error.message}`);
+      }
+      process.exit(1);
+    }
+
+    this.setBase(data);
+    console.error(`Loaded base: ${filePath} (${data.files.length} files)`);
+  }
+
+  /**
+   * Merge into a previous merged result instead of from scratch
+   */
+  setBase(base: MergedOutput): void {
+    this.base = base;
+  }
+
+  loadScanner(filePath: string): void {
+    const data: ScannerOutput = readJson(filePath);
+
+    const errors: SchemaError[] = validateScannerOutput(data);
+    if (errors.length > 0) {
+      console.error(`Error: ${filePath} does not conform to scanner-output.schema.json:`);
+      for (const error of errors) {
+        console.error(`  ${error.path}: ${error.message}`);
+      }
       process.exit(1);
     }
+
+    this.addScanner(data);
+    console.error(
+      `Loaded scanner output: ${filePath} (${data.language}, ${data.files.length} files)`
+    );
+  }
+
+  /**
+   * Add scanner output that has already been validated
+   */
+  addScanner(data: ScannerOutput): void {
+    this.scannerOutputs.push(data);
   }
 
   merge(): MergedOutput {
-    const sources: string[] = [];
+    const sources: string[] = [...(this.base?.sources ?? [])];
+    const warnings = new RecordSet<ScannerWarning>();
+
+    if (this.base) {
+      this.addBase(this.base, warnings);
+    }
 
-    // Collect all files, deduplicating by path
     for (const scanner of this.scannerOutputs) {
-      sources.push(scanner.language);
+      const source = scanner.language;
+      if (!this.base || !sources.includes(source)) sources.push(source);
 
       for (const file of scanner.files) {
-        const existingFile = this.fileMap.get(file.path);
-
-        if (existingFile) {
-          // File already seen - merge metadata
-          // This shouldn't happen often (different scanners for different languages)
-          // but handle it gracefully
-          console.error(
-            `Warning: File ${file.path} appears in multiple scanner outputs`
-          );
-
-          // Merge arrays (deduplicate)
-          existingFile.feature_flags = [
-            ...new Set([...existingFile.feature_flags, ...file.feature_flags]),
-          ].sort();
-          existingFile.permissions = [
-            ...new Set([...existingFile.permissions, ...file.permissions]),
-          ].sort();
-          existingFile.warnings = [
-            ...new Set([...existingFile.warnings, ...file.warnings]),
-          ];
-        } else {
-          // New file - add to map
-          this.fileMap.set(file.path, file);
-        }
+        this.addFile(file, source);
+      }
+      for (const warning of scanner.warnings || []) {
+        warnings.add(warning, source);
       }
     }
 
+    const files = Array.from(this.fileMap.values())
+      .map(({ file, declarations, imports, gates, suppressions }) => ({
+        ...file,
+        declarations: declarations.records,
+        imports: imports.records,
+        ...(file.gates ? { gates: gates.records } : {}),
+        ...(file.suppressions ? { suppressions: suppressions.records } : {}),
+      }))
+      .sort((a, b) => a.path.localeCompare(b.path));
+
     return {
       sources,
-      files: Array.from(this.fileMap.values()).sort((a, b) =>
-        a.path.localeCompare(b.path)
-      ),
+      files,
+      ...(warnings.records.length > 0 ? { warnings: warnings.records } : {}),
     };
   }
+
+  /**
+   * Add the facts of the base that no input replaces
+   */
+  private addBase(base: MergedOutput, warnings: RecordSet<ScannerWarning>): void {
+    // language → paths its input covers; null when it covers everything
+    const covered = new Map<string, Set<string> | null>();
+    for (const { language, partial } of this.scannerOutputs) {
+      const paths = covered.get(language);
+      if (!partial || paths === null) {
+        covered.set(language, null);
+      } else {
+        covered.set(language, new Set([...(paths ?? []), ...partial.paths]));
+      }
+    }
+    const kept = (filePath: string, sources: string[]) =>
+      sources.filter((source) => {
+        const paths = covered.get(source);
+        return paths === undefined || (paths !== null && !paths.has(filePath));
+      });
+
+    for (const file of base.files) {
+      for (const source of kept(file.path, file.sources!)) {
+        const from = <T extends { sources?: string[] }>(records: T[]) =>
+          records
+            .filter((record) => (record.sources ?? file.sources!).includes(source))
+            .map(({ sources: _, ...record }) => record as T);
+
+        this.addFile(
+          {
+            ...file,
+            declarations: from(file.declarations),
+            imports: from(file.imports),
+            ...(file.gates ? { gates: from(file.gates) } : {}),
+            ...(file.suppressions ? { suppressions: from(file.suppressions) } : {}),
+          },
+          source,
+          true
+        );
+      }
+    }
+
+    for (const warning of base.warnings || []) {
+      for (const source of kept(warning.path, warning.sources ?? [])) {
+        const { sources: _, ...fact } = warning;
+        warnings.add(fact, source);
+      }
+    }
+  }
+
+  private addFile(file: FileData, source: string, fromBase = false): void {
+    let merged = this.fileMap.get(file.path);
+
+    if (merged) {
+      // File already seen - merge its facts
+      // This shouldn't happen often (different scanners for different languages)
+      // but handle it gracefully. The base's kept facts don't count: they are
+      // what an input updates.
+      if (!fromBase && this.inputPaths.has(file.path)) {
+        console.error(`Warning: File ${file.path} appears in multiple scanner outputs`);
+      }
+
+      const existingFile = merged.file;
+      if (!existingFile.sources!.includes(source)) existingFile.sources!.push(source);
+      existingFile.feature_flags = [
+        ...new Set([...existingFile.feature_flags, ...file.feature_flags]),
+      ].sort();
+      existingFile.permissions = [
+        ...new Set([...existingFile.permissions, ...file.permissions]),
+      ].sort();
+      existingFile.warnings = [...new Set([...existingFile.warnings, ...file.warnings])];
+      if (file.gates) existingFile.gates ??= [];
+      if (file.suppressions) existingFile.suppressions ??= [];
+    } else {
+      // New file - add to map
+      const { path, sources: _, ...facts } = file;
+      merged = {
+        file: { path, sources: [source], ...facts },
+        declarations: new RecordSet(),
+        imports: new RecordSet(),
+        gates: new RecordSet(),
+        suppressions: new RecordSet(),
+      };
+      this.fileMap.set(file.path, merged);
+    }
+
+    if (!fromBase) this.inputPaths.add(file.path);
+
+    for (const declaration of file.declarations) merged.declarations.add(declaration, source);
+    for (const imp of file.imports) merged.imports.add(imp, source);
+    for (const gate of file.gates || []) merged.gates.add(gate, source);
+    for (const suppression of file.suppressions || []) merged.suppressions.add(suppression, source);
+  }
 }
 
-function main() {
-  const args = process.argv.slice(2);
+/**
+ * Merged output as JSON text in chunks of one file each. Joined, the chunks
+ * equal JSON.stringify(merged, null, 2) plus a trailing newline.
+ */
+export function* serializeMerged(merged: MergedOutput): Generator<string> {
+  const indent = (json: string, depth: number) => json.replace(/\n/g, `\n${" ".repeat(depth)}`);
 
-  if (args.length < 1) {
+  yield `{\n  "sources": ${indent(JSON.stringify(merged.sources, null, 2), 2)},\n  "files": [`;
+  for (const [index, file] of merged.files.entries()) {
+    yield `${index === 0 ? "" : ","}\n    ${indent(JSON.stringify(file, null, 2), 4)}`;
+  }
+  yield merged.files.length > 0 ? "\n  ]" : "]";
+  if (merged.warnings) {
+    yield `,\n  "warnings": ${indent(JSON.stringify(merged.warnings, null, 2), 2)}`;
+  }
+  yield "\n}\n";
+}
+
+export function main(args: string[] = process.argv.slice(2)) {
+  let baseFile: string | undefined;
+  const inputs: string[] = [];
+  for (let i = 0; i < args.length; i++) {
+    const match = args[i].match(/^--base(?:=(.*))?$/);
+    if (match) {
+      baseFile = match[1] ?? args[++i];
+    } else {
+      inputs.push(args[i]);
+    }
+  }
+
+  if (inputs.length < 1 || (baseFile === undefined && args.includes("--base"))) {
     console.error(
-      "Usage: lexmap merge <scanner1.json> <scanner2.json> ... > merged.json"
+      "Usage: lexmap merge [--base <merged.json>] <scanner1.json> <scanner2.json> ... > merged.json"
     );
     console.error("");
     console.error("Combines scanner outputs from multiple language scanners.");
@@ -148,13 +432,24 @@ function main() {
     console.error("  python3 php_scanner.py app/ > php.json");
     console.error("  node ts_scanner.ts ui/ > ts.json");
     console.error("  lexmap merge php.json ts.json > merged.json");
+    console.error("");
+    console.error("  node ts_scanner.ts ui/ --changed-since origin/main > ts-changed.json");
+    console.error("  lexmap merge --base merged.json ts-changed.json > updated.json");
     process.exit(1);
   }
 
   const merger = new LexMapMerge();
 
+  if (baseFile !== undefined) {
+    if (!fs.existsSync(baseFile)) {
+      console.error(`Error: File not found: ${baseFile}`);
+      process.exit(1);
+    }
+    merger.loadBase(baseFile);
+  }
+
   // Load all scanner outputs
-  for (const scannerFile of args) {
+  for (const scannerFile of inputs) {
     if (!fs.existsSync(scannerFile)) {
       console.error(`Error: File not found: ${scannerFile}`);
       process.exit(1);
@@ -162,13 +457,19 @@ function main() {
     merger.loadScanner(scannerFile);
   }
 
-  // Merge and output
+  // Merge and stream the output
   const merged = merger.merge();
 
-  console.log(JSON.stringify(merged, null, 2));
-  console.error(
-    `\nMerged ${merged.files.length} files from ${merged.sources.length} scanners`
-  );
+  Readable.from(serializeMerged(merged))
+    .on("end", () =>
+      console.error(
+        `\nMerged ${merged.files.length} files from ${merged.sources.length} scanners`
+      )
+    )
+    .pipe(process.stdout);
 }
 
-main();
+// Run only when invoked directly, not when imported by the lexmap CLI
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main();
+}
@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+/**
+ * LexMap Policy
+ *
+ * Shows how a policy is composed: the files it extends and the package
+ * policies merged into it (see packages/codemap-indexer/src/policy-compose.ts
+ * for the merge rules). --resolved prints the effective merged policy that
+ * `lexmap check` and the indexer enforce.
+ *
+ * Usage:
+ *     lexmap policy [policy.json] [--resolved] [--no-packages]
+ *
+ * Exit codes:
+ *     0 - Policy composed without conflicts
+ *     2 - Error (file not found, merge conflicts, extends cycle, etc.)
+ *
+ * Example:
+ *     lexmap policy lexmap.policy.json
+ *
+ *     Output:
+ *     lexmap.policy.json
+ *     Sources (3):
+ *       lexmap.policy.json
+ *       policies/base.policy.json
+ *       packages/billing/lexmap.policy.json
+ *     Modules (4): ui/admin, services/auth-core, packages/billing/core, packages/billing/api
+ *
+ * Author: LexMap
+ * License: MIT
+ */
+
+import * as path from "path";
+import { pathToFileURL } from "url";
+import { POLICY_FILE, resolvePolicyFile } from "../packages/codemap-indexer/src/policy-compose.ts";
+import type { ResolvedPolicy } from "../packages/codemap-indexer/src/policy-compose.ts";
+
+export function formatComposition(policyFile: string, resolved: ResolvedPolicy): string {
+  const relative = (file: string) => path.relative(process.cwd(), file) || file;
+  const modules = Object.keys(resolved.policy?.modules || {});
+
+  let text = `${policyFile}\n`;
+  text += `Sources (${resolved.sources.length}):\n`;
+  for (const source of resolved.sources) {
+    text += `  ${relative(source)}\n`;
+  }
+  text += `Modules (${modules.length}): ${modules.join(", ") || "none"}\n`;
+  return text;
+}
+
+export function main(args: string[] = process.argv.slice(2)) {
+  const resolvedOnly = args.includes("--resolved");
+  const packages = !args.includes("--no-packages");
+  const positional = args.filter((arg) => !arg.startsWith("--"));
+
+  if (positional.length > 1 || args.includes("--help")) {
+    console.error("Usage: lexmap policy [policy.json] [--resolved] [--no-packages]");
+    console.error("");
+    console.error("Lists the files a policy is composed of (extends, package policies).");
+    console.error("--resolved prints the effective merged policy as JSON.");
+    process.exit(2);
+  }
+
+  const policyFile = positional[0] ?? POLICY_FILE;
+  const resolved = resolvePolicyFile(policyFile, { packages });
+
+  if (resolved.errors.length > 0 || !resolved.policy) {
+    console.error(`Error: Could not compose ${policyFile}:`);
+    for (const error of resolved.errors) {
+      console.error(`  ${error.path}: ${error.message}`);
+    }
+    process.exit(2);
+  }
+
+  if (resolvedOnly) {
+    console.log(JSON.stringify(resolved.policy, null, 2));
+  } else {
+    process.stdout.write(formatComposition(policyFile, resolved));
+  }
+
+  process.exit(0);
+}
+
+// Run only when invoked directly, not when imported by the CLI
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main();
+}
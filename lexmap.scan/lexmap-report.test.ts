@@ -0,0 +1,86 @@
+import { test } from "node:test";
+import * as assert from "node:assert/strict";
+import { formatJunit, formatSarif, RULES } from "./lexmap-report.ts";
+import type { Violation } from "./lexmap-check.ts";
+
+const forbidden: Violation = {
+  file: "ui/admin/Panel.ts",
+  module: "ui/user-admin",
+  type: "forbidden_caller",
+  message: "Module ui/user-admin imports services/auth-core but is forbidden",
+  details: "Policy forbids: ui/**",
+  import: "services/auth/session",
+  imported_module: "services/auth-core",
+  fix: "Use api/user-access (UserAccessService) instead",
+  line: 3,
+  column: 5,
+  policy_rule: '$.modules["services/auth-core"].forbidden_callers[0]',
+};
+
+// No line: reported against the whole file
+const killed: Violation = {
+  file: "ui/admin/<Legacy>.ts",
+  module: "ui/user-admin",
+  type: "kill_pattern",
+  message: 'Kill pattern no_eval: "eval" & friends',
+  details: "Line matches /eval/",
+};
+
+test("SARIF results point at their rule, region and policy rule", () => {
+  const sarif = JSON.parse(formatSarif([forbidden, killed]));
+  const [run] = sarif.runs;
+  const ruleIds = run.tool.driver.rules.map((rule: { id: string }) => rule.id);
+
+  assert.equal(sarif.version, "2.1.0");
+  assert.deepEqual(ruleIds, Object.keys(RULES));
+
+  const [first, second] = run.results;
+  assert.equal(first.ruleId, "forbidden_caller");
+  assert.equal(ruleIds[first.ruleIndex], "forbidden_caller");
+  assert.equal(first.level, "error");
+  assert.equal(
+    first.message.text,
+    [forbidden.message, forbidden.details, `Fix: ${forbidden.fix}`].join("\n")
+  );
+  assert.deepEqual(first.locations[0].physicalLocation, {
+    artifactLocation: { uri: "ui/admin/Panel.ts", uriBaseId: "%SRCROOT%" },
+    region: { startLine: 3, startColumn: 5 },
+  });
+  assert.deepEqual(first.properties, {
+    module: "ui/user-admin",
+    policy_rule: '$.modules["services/auth-core"].forbidden_callers[0]',
+    import: "services/auth/session",
+    fix: forbidden.fix,
+  });
+
+  assert.equal(second.ruleId, "kill_pattern");
+  assert.equal(ruleIds[second.ruleIndex], "kill_pattern");
+  assert.equal(second.level, "warning");
+  assert.equal("region" in second.locations[0].physicalLocation, false);
+  assert.deepEqual(second.properties, { module: "ui/user-admin" });
+});
+
+test("JUnit has one failing case per violation and one passing case per clean file", () => {
+  const xml = formatJunit([forbidden, killed], ["ui/admin/Panel.ts", "ui/admin/Ok.ts", "ui/admin/Ok.ts"]);
+  const cases = xml.match(/<testcase [\s\S]*?(\/>|<\/testcase>)/g) ?? [];
+
+  assert.match(xml, /<testsuites name="lexmap" tests="3" failures="2">/);
+  assert.match(xml, /<testsuite name="lexmap check" tests="3" failures="2">/);
+  assert.equal(cases.length, 3);
+
+  assert.equal(
+    cases[0],
+    [
+      '<testcase classname="ui/user-admin" name="ui/admin/Panel.ts:3:5 forbidden_caller">',
+      `      <failure type="forbidden_caller" message="${forbidden.message}">` +
+        "ui/admin/Panel.ts:3:5\nPolicy forbids: ui/**\n" +
+        'Policy rule: $.modules[&quot;services/auth-core&quot;].forbidden_callers[0]\n' +
+        `Fix: ${forbidden.fix}</failure>`,
+      "    </testcase>",
+    ].join("\n")
+  );
+  // Names and messages are escaped
+  assert.match(cases[1], /name="ui\/admin\/&lt;Legacy&gt;\.ts kill_pattern"/);
+  assert.match(cases[1], /message="Kill pattern no_eval: &quot;eval&quot; &amp; friends"/);
+  assert.equal(cases[2], '<testcase classname="lexmap" name="ui/admin/Ok.ts" />');
+});
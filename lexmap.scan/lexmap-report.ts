@@ -0,0 +1,303 @@
+/**
+ * LexMap Check Reports
+ *
+ * Formats `lexmap check` violations for people and tools:
+ *     text  - human-readable (default)
+ *     json  - violations plus a summary, for other tooling
+ *     sarif - SARIF 2.1.0, for code-scanning UIs and PR annotations
+ *     junit - JUnit XML, one failing test case per violation and one
+ *             passing test case per clean checked file
+ *
+ * Author: LexMap
+ * License: MIT
+ */
+
+import type { Suppression, Violation } from "./lexmap-check.ts";
+
+export const REPORT_FORMATS = ["text", "json", "sarif", "junit"] as const;
+export type ReportFormat = (typeof REPORT_FORMATS)[number];
+
+type ViolationType = Violation["type"];
+
+/**
+ * Rule metadata per violation type (SARIF rules, JUnit failure types)
+ */
+export const RULES: Record<
+  ViolationType,
+  { name: string; description: string; level?: "warning" }
+> = {
+  forbidden_caller: {
+    name: "ForbiddenCaller",
+    description: "A module imports a module whose forbidden_callers matches it",
+  },
+  not_allowed_caller: {
+    name: "NotAllowedCaller",
+    description: "A module imports a module whose allowed_callers does not include it",
+  },
+  non_exposed_symbol: {
+    name: "NonExposedSymbol",
+    description: "An import names a symbol outside the imported module's exposes",
+  },
+  kill_pattern: {
+    name: "KillPattern",
+    description: "Code matches a kill pattern the policy retires",
+    level: "warning",
+  },
+  missing_permission: {
+    name: "MissingPermission",
+    description: "A file in a module with requires_permissions never checks any of them",
+  },
+  missing_feature_flag: {
+    name: "MissingFeatureFlag",
+    description: "A file in a module with feature_flags and require_feature_flag never checks any of them",
+  },
+  undeclared_permission: {
+    name: "UndeclaredPermission",
+    description: "A file checks a permission its module's requires_permissions does not declare",
+  },
+  undeclared_feature_flag: {
+    name: "UndeclaredFeatureFlag",
+    description: "A file references a feature flag its module's feature_flags does not declare",
+  },
+  deleted_exposed_symbol: {
+    name: "DeletedExposedSymbol",
+    description: "A change deletes a symbol its module exposes",
+  },
+  dependency_cycle: {
+    name: "DependencyCycle",
+    description: "Modules depend on each other in a cycle (lexmap graph-check)",
+  },
+  upward_dependency: {
+    name: "UpwardDependency",
+    description: "A module depends on a module in a higher layer (lexmap graph-check)",
+  },
+  skipped_layer: {
+    name: "SkippedLayer",
+    description: "A module depends on a module more than one layer down (lexmap graph-check)",
+  },
+  invalid_suppression: {
+    name: "InvalidSuppression",
+    description: "A lexmap-ignore comment lacks a violation type or reason, or has a malformed date",
+  },
+  expired_suppression: {
+    name: "ExpiredSuppression",
+    description: "A lexmap-ignore comment is past its until date",
+  },
+  unused_suppression: {
+    name: "UnusedSuppression",
+    description: "A lexmap-ignore comment matches no violation",
+    level: "warning",
+  },
+};
+
+const VERSION = "0.1.0";
+
+export function level(type: ViolationType): "warning" | "error" {
+  return RULES[type]?.level ?? "error";
+}
+
+function position(violation: Violation): string {
+  if (!violation.line) return violation.file;
+  return `${violation.file}:${violation.line}:${violation.column ?? 1}`;
+}
+
+export function formatText(violations: Violation[]): string {
+  if (violations.length === 0) {
+    return "✅ No violations found\n";
+  }
+
+  let text = `❌ Found ${violations.length} violation(s):\n\n`;
+
+  for (const violation of violations) {
+    text += `File: ${position(violation)}\n`;
+    text += `Module: ${violation.module}\n`;
+    text += `Type: ${violation.type}\n`;
+    text += `Message: ${violation.message}\n`;
+    if (violation.details) {
+      text += `Details: ${violation.details}\n`;
+    }
+    if (violation.fix) {
+      text += `Fix: ${violation.fix}\n`;
+    }
+    text += "\n";
+  }
+
+  return text;
+}
+
+export function formatJson(violations: Violation[], checkedFiles: string[]): string {
+  const byType: Record<string, number> = {};
+  for (const violation of violations) {
+    byType[violation.type] = (byType[violation.type] || 0) + 1;
+  }
+
+  return (
+    JSON.stringify(
+      {
+        pass: violations.length === 0,
+        summary: {
+          files_checked: checkedFiles.length,
+          violations: violations.length,
+          by_type: byType,
+        },
+        violations,
+      },
+      null,
+      2
+    ) + "\n"
+  );
+}
+
+export function formatSarif(violations: Violation[]): string {
+  const ruleIds = Object.keys(RULES) as ViolationType[];
+
+  const results = violations.map((violation) => ({
+    ruleId: violation.type,
+    ruleIndex: ruleIds.indexOf(violation.type),
+    level: level(violation.type),
+    message: {
+      text: [violation.message, violation.details, violation.fix && `Fix: ${violation.fix}`]
+        .filter(Boolean)
+        .join("\n"),
+    },
+    locations: [
+      {
+        physicalLocation: {
+          artifactLocation: { uri: violation.file, uriBaseId: "%SRCROOT%" },
+          ...(violation.line
+            ? { region: { startLine: violation.line, startColumn: violation.column ?? 1 } }
+            : {}),
+        },
+      },
+    ],
+    properties: {
+      module: violation.module,
+      ...(violation.policy_rule ? { policy_rule: violation.policy_rule } : {}),
+      ...(violation.import ? { import: violation.import } : {}),
+      ...(violation.fix ? { fix: violation.fix } : {}),
+    },
+  }));
+
+  const sarif = {
+    $schema: "https://json.schemastore.org/sarif-2.1.0.json",
+    version: "2.1.0",
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: "lexmap",
+            version: VERSION,
+            informationUri: "https://github.com/Guffawaffle/LexMap",
+            rules: ruleIds.map((id) => ({
+              id,
+              name: RULES[id].name,
+              shortDescription: { text: RULES[id].description },
+              defaultConfiguration: { level: level(id) },
+            })),
+          },
+        },
+        results,
+      },
+    ],
+  };
+
+  return JSON.stringify(sarif, null, 2) + "\n";
+}
+
+function xmlEscape(value: string): string {
+  return value
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+export function formatJunit(violations: Violation[], checkedFiles: string[]): string {
+  // A test case holds at most one <failure>, so each violation is its own case
+  const failing = new Set(violations.map((v) => v.file));
+  const passing = [...new Set(checkedFiles)].filter((file) => !failing.has(file));
+  const tests = passing.length + violations.length;
+
+  let xml = '<?xml version="1.0" encoding="UTF-8"?>\n';
+  xml += `<testsuites name="lexmap" tests="${tests}" failures="${violations.length}">\n`;
+  xml += `  <testsuite name="lexmap check" tests="${tests}" failures="${violations.length}">\n`;
+
+  for (const violation of violations) {
+    const body = [
+      position(violation),
+      violation.details,
+      violation.policy_rule && `Policy rule: ${violation.policy_rule}`,
+      violation.fix && `Fix: ${violation.fix}`,
+    ]
+      .filter(Boolean)
+      .join("\n");
+    const name = `${position(violation)} ${violation.type}`;
+    xml += `    <testcase classname="${xmlEscape(violation.module)}" name="${xmlEscape(name)}">\n`;
+    xml += `      <failure type="${violation.type}" message="${xmlEscape(violation.message)}">${xmlEscape(body)}</failure>\n`;
+    xml += "    </testcase>\n";
+  }
+
+  for (const file of passing) {
+    xml += `    <testcase classname="lexmap" name="${xmlEscape(file)}" />\n`;
+  }
+
+  xml += "  </testsuite>\n</testsuites>\n";
+  return xml;
+}
+
+/**
+ * Suppressions for review: text lists one per line, json/sarif/junit print
+ * the records as JSON
+ */
+export function formatSuppressions(suppressions: Suppression[], format: ReportFormat): string {
+  if (format !== "text") {
+    return JSON.stringify({ suppressions }, null, 2) + "\n";
+  }
+
+  if (suppressions.length === 0) {
+    return "No lexmap-ignore suppressions\n";
+  }
+
+  const counts: Record<string, number> = {};
+  for (const suppression of suppressions) {
+    counts[suppression.status] = (counts[suppression.status] || 0) + 1;
+  }
+
+  let text =
+    `${suppressions.length} suppression(s): ` +
+    Object.entries(counts)
+      .map(([status, count]) => `${count} ${status}`)
+      .join(", ") +
+    "\n\n";
+
+  for (const s of suppressions) {
+    text += `${s.file}:${s.line} (${s.module}) [${s.status}] ${s.types.join(", ") || "-"}\n`;
+    text += `  Reason: ${s.reason ?? "none"}${s.until ? ` (until ${s.until})` : ""}\n`;
+    if (s.status === "active") {
+      text += `  Suppresses: ${s.suppressed} violation(s) ${
+        s.scope === "file" ? "without a line in the file" : `on line ${s.target_line}`
+      }\n`;
+    } else {
+      text += `  Problem: ${s.problem}\n`;
+    }
+  }
+
+  return text;
+}
+
+export function formatReport(
+  format: ReportFormat,
+  violations: Violation[],
+  checkedFiles: string[] = []
+): string {
+  switch (format) {
+    case "json":
+      return formatJson(violations, checkedFiles);
+    case "sarif":
+      return formatSarif(violations);
+    case "junit":
+      return formatJunit(violations, checkedFiles);
+    default:
+      return formatText(violations);
+  }
+}
@@ -0,0 +1,72 @@
+import { test } from "node:test";
+import * as assert from "node:assert/strict";
+import { suggest, formatSuggestion } from "./lexmap-suggest.ts";
+import type { Policy } from "./lexmap-check.ts";
+
+const policy: Policy = {
+  modules: {
+    "ui/user-admin": { owns_paths: ["ui/admin/"] },
+    "api/user-access-service": {
+      owns_paths: ["api/user-access/"],
+      exposes: ["UserAccessService"],
+      allowed_callers: ["ui/*"],
+    },
+    "api/audit": { owns_paths: ["api/audit/"] },
+    "services/auth-core": {
+      owns_paths: ["services/auth/"],
+      allowed_callers: ["api/*"],
+      forbidden_callers: ["ui/**"],
+    },
+    "services/vault": { owns_paths: ["services/vault/"], allowed_callers: ["services/auth-core"] },
+  },
+  global_kill_patterns: [],
+};
+
+test("routes a forbidden dependency through an intermediary that exposes symbols", () => {
+  const suggestion = suggest(policy, "ui/user-admin", "services/auth-core");
+
+  assert.equal(suggestion.allowed, false);
+  assert.deepEqual(suggestion.route?.path, [
+    "ui/user-admin",
+    "api/user-access-service",
+    "services/auth-core",
+  ]);
+  assert.deepEqual(suggestion.route?.via, [
+    { module: "api/user-access-service", exposes: ["UserAccessService"] },
+  ]);
+  assert.equal(suggestion.fix, "Use api/user-access-service (UserAccessService) instead");
+});
+
+test("reports a dependency the policy already allows", () => {
+  const suggestion = suggest(policy, "api/audit", "services/auth-core");
+
+  assert.equal(suggestion.allowed, true);
+  assert.deepEqual(suggestion.route?.via, []);
+  assert.equal(suggestion.fix, null);
+  assert.match(formatSuggestion(suggestion), /may depend on services\/auth-core directly/);
+});
+
+test("follows several hops and reports when no route exists", () => {
+  const twoHops = suggest(policy, "ui/user-admin", "services/vault");
+  assert.deepEqual(twoHops.route?.path, [
+    "ui/user-admin",
+    "api/user-access-service",
+    "services/auth-core",
+    "services/vault",
+  ]);
+
+  const modules = structuredClone(policy.modules);
+  modules["api/user-access-service"].forbidden_callers = ["ui/**"];
+  modules["services/auth-core"].allowed_callers = ["api/user-access-service"];
+  const blocked = suggest({ ...policy, modules }, "ui/user-admin", "services/vault");
+  assert.equal(blocked.route, null);
+  assert.match(formatSuggestion(blocked), /No legal route from ui\/user-admin to services\/vault/);
+});
+
+test("accepts file paths for either end and rejects unknown targets", () => {
+  const suggestion = suggest(policy, "ui/admin/UserPanel.tsx", "services/auth/token.ts");
+  assert.equal(suggestion.from, "ui/user-admin");
+  assert.equal(suggestion.to, "services/auth-core");
+
+  assert.throws(() => suggest(policy, "ui/user-admin", "nowhere/else"), /No module matches nowhere\/else/);
+});
@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+/**
+ * LexMap Route Suggester
+ *
+ * For a dependency the policy forbids, finds the shortest legal path through
+ * intermediary modules, following allowed_callers/forbidden_callers, and
+ * lists the symbols each intermediary exposes.
+ *
+ * Usage:
+ *     lexmap suggest <policy.json> <from> <to> [--json]
+ *
+ * from and to are module IDs, or a file path / import that a module owns.
+ *
+ * Exit codes:
+ *     0 - Route found (or the direct dependency is already allowed)
+ *     1 - No legal route
+ *     2 - Error (file not found, unknown module, etc.)
+ *
+ * Example:
+ *     lexmap suggest lexmap.policy.json ui/user-admin services/auth-core
+ *
+ *     Output:
+ *     ui/user-admin → api/user-access-service → services/auth-core
+ *
+ *     Via api/user-access-service
+ *       Exposes: UserAccessService
+ *
+ *     Fix: Use api/user-access-service (UserAccessService) instead
+ *
+ * Author: LexMap
+ * License: MIT
+ */
+
+import * as fs from "fs";
+import { pathToFileURL } from "url";
+import { LexMapChecker, formatFix, loadPolicyFile } from "./lexmap-check.ts";
+import type { Policy, Route } from "./lexmap-check.ts";
+
+export interface Suggestion {
+  from: string;
+  to: string;
+  /** Whether from may already depend on to directly */
+  allowed: boolean;
+  route: Route | null;
+  fix: string | null;
+}
+
+/**
+ * Resolve a module ID, file path or import to the module it names
+ */
+function resolveModule(checker: LexMapChecker, target: string): string | null {
+  if (checker.moduleIds().includes(target)) return target;
+  return checker.resolveFileToModule(target) || checker.resolveImportToModule(target);
+}
+
+/**
+ * Suggest a compliant route from one module (or file/import) to another
+ */
+export function suggest(policy: Policy, from: string, to: string): Suggestion {
+  const checker = new LexMapChecker(policy);
+
+  const fromModule = resolveModule(checker, from);
+  if (!fromModule) throw new Error(`No module matches ${from}`);
+  const toModule = resolveModule(checker, to);
+  if (!toModule) throw new Error(`No module matches ${to}`);
+
+  const route = checker.suggestRoute(fromModule, toModule);
+  const allowed = route !== null && route.via.length === 0;
+
+  return {
+    from: fromModule,
+    to: toModule,
+    allowed,
+    route,
+    fix: route && !allowed ? formatFix(route) : null,
+  };
+}
+
+export function formatSuggestion(suggestion: Suggestion): string {
+  const { from, to, route } = suggestion;
+
+  if (suggestion.allowed) {
+    return `${from} may depend on ${to} directly; no route needed\n`;
+  }
+
+  if (!route) {
+    return `No legal route from ${from} to ${to}: every path is blocked by allowed_callers or forbidden_callers\n`;
+  }
+
+  let text = `${route.path.join(" → ")}\n`;
+  for (const hop of route.via) {
+    text += `\nVia ${hop.module}\n`;
+    text += `  Exposes: ${hop.exposes.length > 0 ? hop.exposes.join(", ") : "none listed"}\n`;
+  }
+  text += `\nFix: ${suggestion.fix}\n`;
+  return text;
+}
+
+export function main(args: string[] = process.argv.slice(2)) {
+  const json = args.includes("--json");
+  const positional = args.filter((arg) => arg !== "--json");
+
+  if (positional.length < 3) {
+    console.error("Usage: lexmap suggest <policy.json> <from> <to> [--json]");
+    console.error("");
+    console.error("Suggests a compliant route for a forbidden dependency.");
+    console.error("from and to are module IDs, file paths or imports.");
+    console.error("");
+    console.error("Example:");
+    console.error("  lexmap suggest lexmap.policy.json ui/user-admin services/auth-core");
+    process.exit(2);
+  }
+
+  const [policyFile, from, to] = positional;
+
+  if (!fs.existsSync(policyFile)) {
+    console.error(`Error: Policy file not found: ${policyFile}`);
+    process.exit(2);
+  }
+
+  let suggestion: Suggestion;
+  try {
+    suggestion = suggest(loadPolicyFile(policyFile), from, to);
+  } catch (error: any) {
+    console.error(`Error: ${error.message}`);
+    process.exit(2);
+  }
+
+  if (json) {
+    console.log(JSON.stringify(suggestion, null, 2));
+  } else {
+    process.stdout.write(formatSuggestion(suggestion));
+  }
+
+  process.exit(suggestion.route ? 0 : 1);
+}
+
+// Run only when invoked directly, not when imported by the MCP server or CLI
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main();
+}
@@ -0,0 +1,170 @@
+#!/usr/bin/env node
+/**
+ * LexMap Which
+ *
+ * Shows which module owns each path and why: the owns_paths entry that
+ * matched, the other modules that also claim the path, and entries that
+ * excluded it with `!`. When claims overlap, the most specific entry (most
+ * literal characters) wins, and on a tie the module listed first.
+ *
+ * Usage:
+ *     lexmap which <path...> [--policy lexmap.policy.json] [--json]
+ *
+ * Exit codes:
+ *     0 - Every path is owned by a module
+ *     1 - Some path is owned by no module
+ *     2 - Error (policy not found, no paths given, etc.)
+ *
+ * Example:
+ *     lexmap which services/auth-core/src/Token.php
+ *
+ *     Output:
+ *     services/auth-core/src/Token.php → services/auth-core
+ *       Matched: services/auth-core/ ($.modules["services/auth-core"].owns_paths[0])
+ *       Also claimed by: services (services/**)
+ *
+ * Author: LexMap
+ * License: MIT
+ */
+
+import * as fs from "fs";
+import * as path from "path";
+import { pathToFileURL } from "url";
+import { LexMapChecker, loadPolicyFile, rulePath } from "./lexmap-check.ts";
+import type { Policy } from "./lexmap-check.ts";
+import { normalizePath } from "../packages/codemap-indexer/src/paths.ts";
+import type { Claim } from "../packages/codemap-indexer/src/paths.ts";
+
+export interface ClaimView {
+  module: string;
+  pattern: string;
+  specificity: number;
+  policy_rule: string;
+}
+
+export interface WhichResult {
+  path: string;
+  module: string | null;
+  /** The winning claim, or null when no module owns the path */
+  matched: ClaimView | null;
+  /** Other modules that also match, most specific first */
+  also_claimed_by: ClaimView[];
+  /** Modules that would match but exclude the path with a `!` entry */
+  excluded_by: ClaimView[];
+  /** Another claim is exactly as specific; policy order decided */
+  tie: boolean;
+}
+
+function view(claim: Claim<string>): ClaimView {
+  return {
+    module: claim.owner,
+    pattern: claim.pattern,
+    specificity: claim.specificity,
+    policy_rule: rulePath(claim.owner, "owns_paths", claim.index),
+  };
+}
+
+/**
+ * Repo-relative form of a path given on the command line
+ */
+function toRepoPath(target: string, root: string): string {
+  if (!path.isAbsolute(target)) return normalizePath(target);
+  return normalizePath(path.relative(root, target));
+}
+
+export function which(policy: Policy, paths: string[], root = process.cwd()): WhichResult[] {
+  const checker = new LexMapChecker(policy, { root });
+
+  return paths.map((target) => {
+    const repoPath = toRepoPath(target, root);
+    const { winner, claims, excluded } = checker.ownersOf(repoPath);
+
+    return {
+      path: repoPath,
+      module: winner?.owner ?? null,
+      matched: winner ? view(winner) : null,
+      also_claimed_by: claims.slice(1).map(view),
+      excluded_by: excluded.map(view),
+      tie: claims.length > 1 && claims[1].specificity === claims[0].specificity,
+    };
+  });
+}
+
+export function formatWhich(results: WhichResult[]): string {
+  let text = "";
+
+  for (const result of results) {
+    if (!result.matched) {
+      text += `${result.path} → no module\n`;
+    } else {
+      text += `${result.path} → ${result.module}\n`;
+      text += `  Matched: ${result.matched.pattern} (${result.matched.policy_rule})\n`;
+    }
+
+    for (const claim of result.also_claimed_by) {
+      text += `  Also claimed by: ${claim.module} (${claim.pattern})\n`;
+    }
+    if (result.tie) {
+      text += `  Tie: ${result.also_claimed_by[0].module} is as specific; ${result.module} is listed first\n`;
+    }
+    for (const claim of result.excluded_by) {
+      text += `  Excluded from ${claim.module} by ${claim.pattern}\n`;
+    }
+  }
+
+  return text;
+}
+
+export function main(args: string[] = process.argv.slice(2)) {
+  let policyFile = "lexmap.policy.json";
+  let json = false;
+  const paths: string[] = [];
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const match = arg.match(/^--policy(?:=(.*))?$/);
+    if (match) {
+      policyFile = match[1] ?? args[++i];
+    } else if (arg === "--json") {
+      json = true;
+    } else {
+      paths.push(arg);
+    }
+  }
+
+  if (paths.length === 0) {
+    console.error("Usage: lexmap which <path...> [--policy lexmap.policy.json] [--json]");
+    console.error("");
+    console.error("Shows which module owns each path and which owns_paths entry decided it.");
+    console.error("");
+    console.error("Example:");
+    console.error("  lexmap which services/auth-core/src/Token.php ui/admin/UserList.tsx");
+    process.exit(2);
+  }
+
+  if (!policyFile || !fs.existsSync(policyFile)) {
+    console.error(`Error: Policy file not found: ${policyFile}`);
+    process.exit(2);
+  }
+
+  let results: WhichResult[];
+  try {
+    results = which(loadPolicyFile(policyFile), paths);
+  } catch (error: any) {
+    console.error(`Error: ${error.message}`);
+    process.exit(2);
+  }
+
+  if (json) {
+    console.log(JSON.stringify(results, null, 2));
+  } else {
+    process.stdout.write(formatWhich(results));
+  }
+
+  process.exit(results.every((result) => result.module) ? 0 : 1);
+}
+
+// Run only when invoked directly, not when imported by the CLI
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main();
+}
@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+/**
+ * LexMap CLI
+ *
+ * Single entry point for the lexmap.scan tools.
+ *
+ * Usage:
+ *     lexmap <command> [args]
+ *
+ * Commands:
+ *     merge       Combine scanner outputs (lexmap-merge.ts)
+ *     check       Check merged scanner output against the policy (lexmap-check.ts)
+ *     graph-check Report module dependency cycles and layering violations (lexmap-graph.ts)
+ *     lint-policy Find schema errors and semantic mistakes in the policy (lexmap-lint-policy.ts)
+ *     policy      Show the files a policy is composed of, or --resolved (lexmap-policy.ts)
+ *     suggest     Suggest a compliant route for a forbidden dependency (lexmap-suggest.ts)
+ *     which       Show which module owns a path and why (lexmap-which.ts)
+ *     lsp         Language Server for policy diagnostics in the editor (lexmap-lsp.ts)
+ *
+ * Author: LexMap
+ * License: MIT
+ */
+
+const commands: Record<string, { module: string; description: string }> = {
+  merge: {
+    module: "./lexmap-merge.ts",
+    description: "Combine scanner outputs into one merged file",
+  },
+  check: {
+    module: "./lexmap-check.ts",
+    description: "Check merged scanner output against the policy",
+  },
+  "graph-check": {
+    module: "./lexmap-graph.ts",
+    description: "Report module dependency cycles and layering violations",
+  },
+  "lint-policy": {
+    module: "./lexmap-lint-policy.ts",
+    description: "Find schema errors and semantic mistakes in the policy",
+  },
+  policy: {
+    module: "./lexmap-policy.ts",
+    description: "Show the files a policy is composed of; --resolved prints the merged policy",
+  },
+  suggest: {
+    module: "./lexmap-suggest.ts",
+    description: "Suggest a compliant route for a forbidden dependency",
+  },
+  which: {
+    module: "./lexmap-which.ts",
+    description: "Show which module owns each path and why",
+  },
+  lsp: {
+    module: "./lexmap-lsp.ts",
+    description: "Run the Language Server (stdio) for editor diagnostics",
+  },
+};
+
+function usage() {
+  console.error("Usage: lexmap <command> [args]");
+  console.error("");
+  console.error("Commands:");
+  for (const [name, { description }] of Object.entries(commands)) {
+    console.error(`  ${name.padEnd(12)}${description}`);
+  }
+}
+
+async function main() {
+  const [name, ...args] = process.argv.slice(2);
+
+  if (!name || name === "--help" || name === "-h") {
+    usage();
+    process.exit(name ? 0 : 2);
+  }
+
+  const command = commands[name];
+  if (!command) {
+    console.error(`Unknown command: ${name}\n`);
+    usage();
+    process.exit(2);
+  }
+
+  const { main: run } = await import(command.module);
+  await run(args);
+}
+
+main().catch((error) => {
+  console.error("Error:", error);
+  process.exit(2);
+});
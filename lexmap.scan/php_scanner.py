@@ -7,7 +7,17 @@ Scans PHP files and extracts architectural facts.
 Contract: Outputs JSON conforming to ../docs/schemas/scanner-output.schema.json
 
 Usage:
-    python3 php_scanner.py <directory> > output.json
+    python3 php_scanner.py <directory> [--config lexmap.policy.json] > output.json
+    python3 php_scanner.py --stdin <relative/path.php> [--detectors <json>] < source.php
+
+    --config reads feature flag and permission detectors from the policy's
+    `detectors` section (see detectors.py); --detectors takes that section
+    as JSON. Without them:
+        feature_flags  FeatureFlags::enabled('x'), $flags->isEnabled('x'),
+                       config('features.x')
+        permissions    $user->can('x'), Gate::allows('x'), $this->authorize('x')
+    config('features.x') is built in and stays on until feature_flags are
+    configured.
 
 Philosophy:
     This scanner is DUMB BY DESIGN.
@@ -33,6 +43,8 @@ Output Schema:
           "imports": [...],
           "feature_flags": [...],
           "permissions": [...],
+          "gates": [{ "kind": "feature_flag", "name": ..., "call": ..., "line": ..., "column": ... }],
+          "suppressions": [...],
           "warnings": []
         }
       ]
@@ -53,12 +65,23 @@ import re
 from typing import List, Dict, Any
 from pathlib import Path
 
+from detectors import load_detectors, check_detectors, with_defaults, matching
+
+# Used for a kind the detectors don't list
+DEFAULT_DETECTORS = {
+    "feature_flags": [{"call": "FeatureFlags.enabled"}, {"call": "*.isEnabled"}],
+    "permissions": [{"call": "*.can"}, {"call": "Gate.allows"}, {"call": "this.authorize"}]
+}
+
 
 class PHPScanner:
     """Scans PHP files for architectural facts."""
 
-    def __init__(self, root_dir: str):
+    def __init__(self, root_dir: str, detectors: Dict[str, List[Dict[str, Any]]] = None):
         self.root_dir = Path(root_dir).resolve()
+        self.detectors = with_defaults(detectors or {}, DEFAULT_DETECTORS)
+        # config('features.x') is a built-in flag source until flags are configured
+        self.config_features = "feature_flags" not in (detectors or {})
         self.output = {
             "language": "php",
             "files": []
@@ -89,12 +112,24 @@ class PHPScanner:
 
         relative_path = filepath.relative_to(self.root_dir)
 
+        return self.scan_source(str(relative_path), content)
+
+    def scan_source(self, relative_path: str, content: str) -> Dict[str, Any]:
+        """
+        Extract facts from in-memory source, e.g. a proposed change that
+        hasn't been written to disk yet.
+        """
+        gates = self.extract_gates(content)
+        names = lambda kind: sorted({gate["name"] for gate in gates if gate["kind"] == kind})
+
         file_data = {
-            "path": str(relative_path),
+            "path": relative_path,
             "declarations": self.extract_declarations(content),
             "imports": self.extract_imports(content),
-            "feature_flags": self.extract_feature_flags(content),
-            "permissions": self.extract_permissions(content),
+            "feature_flags": names("feature_flag"),
+            "permissions": names("permission"),
+            "gates": gates,
+            "suppressions": self.extract_suppressions(content),
             "warnings": []
         }
 
@@ -142,7 +177,7 @@ class PHPScanner:
 
         return declarations
 
-    def extract_imports(self, content: str) -> List[Dict[str, str]]:
+    def extract_imports(self, content: str) -> List[Dict[str, Any]]:
         """
         Extract use statements (imports).
 
@@ -153,86 +188,213 @@ class PHPScanner:
         # Match: use Fully\Qualified\ClassName;
         use_matches = re.finditer(r'use\s+([\w\\]+)(?:\s+as\s+(\w+))?;', content)
         for match in use_matches:
+            # 1-based position of the imported name
+            start = match.start(1)
             imports.append({
                 "from": match.group(1),
                 "type": "use_statement",
-                "alias": match.group(2) if match.group(2) else None
+                "alias": match.group(2) if match.group(2) else None,
+                "line": content.count("\n", 0, start) + 1,
+                "column": start - content.rfind("\n", 0, start)
             })
 
         return imports
 
-    def extract_feature_flags(self, content: str) -> List[str]:
+    def extract_suppressions(self, content: str) -> List[Dict[str, Any]]:
         """
-        Detect feature flag references.
+        Extract `lexmap-ignore` comments (# or //).
 
-        Looks for patterns like:
-        - FeatureFlags::enabled('flag_name')
-        - $featureFlags->isEnabled('flag_name')
-        - config('features.flag_name')
+        Reports the directive text as written; LexMap interprets it. A comment
+        on its own line applies to the next line, a trailing one to its own;
+        `lexmap-ignore-file` to the file.
         """
-        flags = set()
-
-        # Pattern: FeatureFlags::enabled('flag_name')
-        pattern1 = re.finditer(r'FeatureFlags::enabled\([\'"](\w+)[\'"]\)', content)
-        for match in pattern1:
-            flags.add(match.group(1))
-
-        # Pattern: $featureFlags->isEnabled('flag_name')
-        pattern2 = re.finditer(r'\$\w+->isEnabled\([\'"](\w+)[\'"]\)', content)
-        for match in pattern2:
-            flags.add(match.group(1))
-
-        # Pattern: config('features.flag_name')
-        pattern3 = re.finditer(r'config\([\'"]features\.(\w+)[\'"]\)', content)
-        for match in pattern3:
-            flags.add(match.group(1))
-
-        return sorted(list(flags))
-
-    def extract_permissions(self, content: str) -> List[str]:
+        suppressions = []
+
+        for index, line in enumerate(content.split("\n")):
+            match = re.search(r'(?:#|//)\s*lexmap-ignore(-file)?\b(.*)$', line)
+            if not match:
+                continue
+            standalone = line[:match.start()].strip() == ""
+            suppression = {
+                "line": index + 1,
+                "target_line": index + 2 if standalone else index + 1,
+                "directive": match.group(2).strip()
+            }
+            if match.group(1):
+                suppression["scope"] = "file"
+            suppressions.append(suppression)
+
+        return suppressions
+
+    def extract_gates(self, content: str) -> List[Dict[str, Any]]:
         """
-        Detect permission checks.
+        Calls matching the detectors whose name argument is a string literal.
 
-        Looks for patterns like:
-        - $user->can('permission_name')
-        - Gate::allows('permission_name')
-        - $this->authorize('permission_name')
+        NOTE: Regex-based. The callee path is read back from the call's name
+        over `->`, `?->` and `::` (`$user->can(` is ["user", "can"]); a call
+        in the chain contributes its own name, like ts_scanner.ts.
         """
-        permissions = set()
-
-        # Pattern: $user->can('permission_name')
-        pattern1 = re.finditer(r'\$\w+->can\([\'"](\w+)[\'"]\)', content)
-        for match in pattern1:
-            permissions.add(match.group(1))
-
-        # Pattern: Gate::allows('permission_name')
-        pattern2 = re.finditer(r'Gate::allows\([\'"](\w+)[\'"]\)', content)
-        for match in pattern2:
-            permissions.add(match.group(1))
-
-        # Pattern: $this->authorize('permission_name')
-        pattern3 = re.finditer(r'\$this->authorize\([\'"](\w+)[\'"]\)', content)
-        for match in pattern3:
-            permissions.add(match.group(1))
+        gates = []
+
+        for match in re.finditer(r'(\w+)\s*\(', content):
+            # Declarations and variable functions ($handler(...)) aren't calls of a name
+            before = content[max(0, match.start() - 16):match.start()]
+            if re.search(r'\bfunction\s*&?\s*$', before) or before.endswith("$"):
+                continue
+
+            callee = self._callee_path(content, match.start(1))
+            arguments = None
+
+            for kind, detector in matching(self.detectors, callee):
+                if arguments is None:
+                    arguments = self._arguments(content, match.end())
+                index = detector.get("arg", 0)
+                name = self._string_literal(content, *arguments[index]) if index < len(arguments) else None
+                if name is not None:
+                    gates.append(self._gate(content, kind, name, detector["call"], arguments[index][0]))
+
+            # Built-in config('features.flag_name'), unless the detectors list flags
+            if self.config_features and callee == ["config"]:
+                arguments = arguments or self._arguments(content, match.end())
+                name = self._string_literal(content, *arguments[0]) if arguments else None
+                if name and name.startswith("features."):
+                    gates.append(self._gate(content, "feature_flag", name[len("features."):], "config", arguments[0][0]))
+
+        return gates
+
+    def _gate(self, content: str, kind: str, name: str, call: str, start: int) -> Dict[str, Any]:
+        return {
+            "kind": kind,
+            "name": name,
+            "call": call,
+            "line": content.count("\n", 0, start) + 1,
+            "column": start - content.rfind("\n", 0, start)
+        }
 
-        return sorted(list(permissions))
+    def _callee_path(self, content: str, start: int) -> List[str]:
+        """Member path ending at the name starting at `start`, `$` stripped."""
+        path = [re.match(r'\w+', content[start:]).group()]
+
+        while True:
+            end = self._skip_space_back(content, start)
+            operator = next((op for op in ("?->", "->", "::") if content.endswith(op, 0, end)), None)
+            if not operator:
+                return path
+            end = self._skip_space_back(content, end - len(operator))
+
+            # A call result as receiver: continue from that call's name
+            if end > 0 and content[end - 1] == ")":
+                depth = 0
+                for end in range(end - 1, -1, -1):
+                    depth += {")": 1, "(": -1}.get(content[end], 0)
+                    if depth == 0:
+                        break
+                else:
+                    return path
+                end = self._skip_space_back(content, end)
+
+            start = end
+            while start > 0 and (content[start - 1].isalnum() or content[start - 1] == "_"):
+                start -= 1
+            if start == end:
+                return path
+            path.insert(0, content[start:end])
+            if start > 0 and content[start - 1] == "$":
+                start -= 1
+
+    def _skip_space_back(self, content: str, index: int) -> int:
+        while index > 0 and content[index - 1].isspace():
+            index -= 1
+        return index
+
+    def _arguments(self, content: str, start: int) -> List[tuple]:
+        """(start, end) spans of the top-level arguments of a call opened before `start`."""
+        arguments = []
+        depth = 0
+        quote = None
+        begin = start
+        index = start
+
+        while index < len(content):
+            char = content[index]
+            if quote:
+                if char == "\\":
+                    index += 1
+                elif char == quote:
+                    quote = None
+            elif char in "'\"":
+                quote = char
+            elif char in "([{":
+                depth += 1
+            elif char in ")]}" and depth > 0:
+                depth -= 1
+            elif char == ")" or (char == "," and depth == 0):
+                arguments.append(self._strip(content, begin, index))
+                if char == ")":
+                    break
+                begin = index + 1
+            index += 1
+
+        return [span for span in arguments if span[0] < span[1]]
+
+    def _strip(self, content: str, start: int, end: int) -> tuple:
+        while start < end and content[start].isspace():
+            start += 1
+        while end > start and content[end - 1].isspace():
+            end -= 1
+        return (start, end)
+
+    def _string_literal(self, content: str, start: int, end: int):
+        """Value of a single-quoted or non-interpolated double-quoted literal, else None."""
+        match = re.fullmatch(r"'((?:[^'\\]|\\.)*)'|\"((?:[^\"\\$]|\\.)*)\"", content[start:end])
+        if not match:
+            return None
+        if match.group(1) is not None:
+            return re.sub(r"\\(['\\])", r"\1", match.group(1))
+        return re.sub(r'\\(["\\$])', r"\1", match.group(2))
 
 
 def main():
     """Main entry point."""
-    if len(sys.argv) < 2:
-        print("Usage: python3 php_scanner.py <directory>", file=sys.stderr)
+    args = sys.argv[1:]
+    detectors = {}
+
+    try:
+        # --config <policy.json>, or --detectors <json> for the detectors themselves
+        for option in ("--config", "--detectors"):
+            if option in args[:-1]:
+                index = args.index(option)
+                value = args[index + 1]
+                del args[index:index + 2]
+                detectors = (
+                    load_detectors(value) if option == "--config"
+                    else check_detectors(json.loads(value), "--detectors")
+                )
+    except ValueError as e:
+        print(f"Error: {e}", file=sys.stderr)
+        sys.exit(1)
+
+    if len(args) == 2 and args[0] == "--stdin":
+        # Single file from stdin: emit its file record only
+        scanner = PHPScanner(".", detectors)
+        print(json.dumps(scanner.scan_source(args[1], sys.stdin.read()), indent=2))
+        return
+
+    if len(args) != 1:
+        print("Usage: python3 php_scanner.py <directory> [--config lexmap.policy.json]", file=sys.stderr)
+        print("       python3 php_scanner.py --stdin <relative/path.php> [--detectors <json>] < source.php", file=sys.stderr)
         print("", file=sys.stderr)
         print("Outputs JSON conforming to ../docs/schemas/scanner-output.schema.json", file=sys.stderr)
+        print("--config reads feature flag and permission detectors from its `detectors` section.", file=sys.stderr)
         sys.exit(1)
 
-    directory = sys.argv[1]
+    directory = args[0]
 
     if not os.path.isdir(directory):
         print(f"Error: {directory} is not a directory", file=sys.stderr)
         sys.exit(1)
 
-    scanner = PHPScanner(directory)
+    scanner = PHPScanner(directory, detectors)
     output = scanner.scan()
 
     # Output JSON to stdout
@@ -7,7 +7,16 @@ Scans Python files and extracts architectural facts.
 Contract: Outputs JSON conforming to ../docs/schemas/scanner-output.schema.json
 
 Usage:
-    python3 python_scanner.py <directory> > output.json
+    python3 python_scanner.py <directory> [--config lexmap.policy.json] > output.json
+
+    --config reads feature flag and permission detectors from the policy's
+    `detectors` section (see detectors.py). Without it:
+        feature_flags  feature_flags.is_enabled('x'), FeatureFlags.enabled('x'),
+                       settings.FEATURES['x']
+        permissions    user.has_perm('x'), check_permission('x'),
+                       @permission_required('x')
+    settings.FEATURES['x'] is built in and stays on until feature_flags are
+    configured.
 
 Philosophy:
     This scanner is DUMB BY DESIGN.
@@ -33,13 +42,15 @@ Output Schema:
           "imports": [...],
           "feature_flags": [...],
           "permissions": [...],
+          "gates": [{ "kind": "feature_flag", "name": ..., "call": ..., "line": ..., "column": ... }],
+          "suppressions": [...],
           "warnings": []
         }
       ]
     }
 
 Dependencies:
-    Python 3.7+ standard library (ast module)
+    Python 3.9+ standard library (ast module)
 
 Author: LexMap Scanner Plugin
 License: MIT
@@ -53,12 +64,23 @@ import re
 from typing import List, Dict, Any
 from pathlib import Path
 
+from detectors import load_detectors, with_defaults, matching
+
+# Used for a kind the detectors don't list
+DEFAULT_DETECTORS = {
+    "feature_flags": [{"call": "feature_flags.is_enabled"}, {"call": "FeatureFlags.enabled"}],
+    "permissions": [{"call": "*.has_perm"}, {"call": "check_permission"}, {"call": "permission_required"}]
+}
+
 
 class PythonScanner:
     """Scans Python files for architectural facts."""
 
-    def __init__(self, root_dir: str):
+    def __init__(self, root_dir: str, detectors: Dict[str, List[Dict[str, Any]]] = None):
         self.root_dir = Path(root_dir).resolve()
+        self.detectors = with_defaults(detectors or {}, DEFAULT_DETECTORS)
+        # settings.FEATURES['x'] is a built-in flag source until flags are configured
+        self.settings_features = "feature_flags" not in (detectors or {})
         self.output = {
             "language": "python",
             "files": []
@@ -100,12 +122,17 @@ class PythonScanner:
             # Skip files with syntax errors
             return None
 
+        gates = self.extract_gates(tree)
+        names = lambda kind: sorted({gate["name"] for gate in gates if gate["kind"] == kind})
+
         file_data = {
             "path": str(relative_path),
             "declarations": self.extract_declarations(tree),
             "imports": self.extract_imports(tree),
-            "feature_flags": self.extract_feature_flags(content),
-            "permissions": self.extract_permissions(content),
+            "feature_flags": names("feature_flag"),
+            "permissions": names("permission"),
+            "gates": gates,
+            "suppressions": self.extract_suppressions(content),
             "warnings": []
         }
 
@@ -149,7 +176,9 @@ class PythonScanner:
                     imports.append({
                         "from": alias.name,
                         "type": "import",
-                        "alias": alias.asname if alias.asname else None
+                        "alias": alias.asname if alias.asname else None,
+                        "line": node.lineno,
+                        "column": node.col_offset + 1
                     })
 
             # from module import name
@@ -159,83 +188,166 @@ class PythonScanner:
                     imports.append({
                         "from": node.module,
                         "type": "from_import",
-                        "imported": imported
+                        "imported": imported,
+                        "line": node.lineno,
+                        "column": node.col_offset + 1
                     })
 
         return imports
 
-    def extract_feature_flags(self, content: str) -> List[str]:
+    def extract_suppressions(self, content: str) -> List[Dict[str, Any]]:
         """
-        Detect feature flag references.
+        Extract `# lexmap-ignore` comments.
 
-        Looks for patterns like:
-        - feature_flags.is_enabled('flag_name')
-        - FeatureFlags.enabled('flag_name')
-        - settings.FEATURES['flag_name']
+        Reports the directive text as written; LexMap interprets it. A comment
+        on its own line applies to the next line, a trailing one to its own;
+        `lexmap-ignore-file` to the file.
         """
-        flags = set()
-
-        # Pattern: feature_flags.is_enabled('flag_name')
-        pattern1 = re.finditer(r'feature_flags\.is_enabled\([\'"](\w+)[\'"]\)', content)
-        for match in pattern1:
-            flags.add(match.group(1))
+        suppressions = []
 
-        # Pattern: FeatureFlags.enabled('flag_name')
-        pattern2 = re.finditer(r'FeatureFlags\.enabled\([\'"](\w+)[\'"]\)', content)
-        for match in pattern2:
-            flags.add(match.group(1))
-
-        # Pattern: settings.FEATURES['flag_name']
-        pattern3 = re.finditer(r'settings\.FEATURES\[[\'"](\w+)[\'"]\]', content)
-        for match in pattern3:
-            flags.add(match.group(1))
-
-        return sorted(list(flags))
-
-    def extract_permissions(self, content: str) -> List[str]:
+        for index, line in enumerate(content.split("\n")):
+            match = re.search(r'#\s*lexmap-ignore(-file)?\b(.*)$', line)
+            if not match:
+                continue
+            standalone = line[:match.start()].strip() == ""
+            suppression = {
+                "line": index + 1,
+                "target_line": index + 2 if standalone else index + 1,
+                "directive": match.group(2).strip()
+            }
+            if match.group(1):
+                suppression["scope"] = "file"
+            suppressions.append(suppression)
+
+        return suppressions
+
+    def extract_gates(self, tree: ast.AST) -> List[Dict[str, Any]]:
         """
-        Detect permission checks.
-
-        Looks for patterns like:
-        - user.has_perm('permission_name')
-        - check_permission('permission_name')
-        - @permission_required('permission_name')
+        Calls (decorators included) matching the detectors whose name
+        argument evaluates to a string: a literal, a module-level or class
+        constant, `+` or an f-string of those.
         """
-        permissions = set()
+        gates = []
+        constants = self.collect_constants(tree)
+
+        def gate(kind: str, name: str, call: str, node: ast.AST) -> Dict[str, Any]:
+            return {
+                "kind": kind,
+                "name": name,
+                "call": call,
+                "line": node.lineno,
+                "column": node.col_offset + 1
+            }
 
-        # Pattern: user.has_perm('permission_name')
-        pattern1 = re.finditer(r'\.has_perm\([\'"](\w+)[\'"]\)', content)
-        for match in pattern1:
-            permissions.add(match.group(1))
-
-        # Pattern: check_permission('permission_name')
-        pattern2 = re.finditer(r'check_permission\([\'"](\w+)[\'"]\)', content)
-        for match in pattern2:
-            permissions.add(match.group(1))
-
-        # Pattern: @permission_required('permission_name')
-        pattern3 = re.finditer(r'@permission_required\([\'"](\w+)[\'"]\)', content)
-        for match in pattern3:
-            permissions.add(match.group(1))
-
-        return sorted(list(permissions))
+        for node in ast.walk(tree):
+            if isinstance(node, ast.Call):
+                callee = self.callee_path(node.func)
+                for kind, detector in matching(self.detectors, callee) if callee else []:
+                    index = detector.get("arg", 0)
+                    argument = node.args[index] if index < len(node.args) else None
+                    name = self.evaluate(argument, constants) if argument else None
+                    if name is not None:
+                        gates.append(gate(kind, name, detector["call"], argument))
+
+            # Built-in settings.FEATURES['flag_name'], unless the detectors list flags
+            if (
+                self.settings_features
+                and isinstance(node, ast.Subscript)
+                and self.callee_path(node.value) == ["settings", "FEATURES"]
+            ):
+                name = self.evaluate(node.slice, constants)
+                if name is not None:
+                    gates.append(gate("feature_flag", name, "settings.FEATURES", node.slice))
+
+        return sorted(gates, key=lambda g: (g["line"], g["column"]))
+
+    def callee_path(self, node: ast.AST) -> List[str]:
+        """
+        Member path of a callee, e.g. ["self", "flags", "is_on"]; a call in
+        the chain contributes its own callee. Empty for anything else.
+        """
+        if isinstance(node, ast.Name):
+            return [node.id]
+        if isinstance(node, ast.Attribute):
+            base = self.callee_path(node.value)
+            return base + [node.attr] if base else []
+        if isinstance(node, ast.Call):
+            return self.callee_path(node.func)
+        return []
+
+    def collect_constants(self, tree: ast.AST) -> Dict[str, str]:
+        """
+        String constants assigned at module level (NAME) or in a class body
+        (Class.NAME), in source order.
+        """
+        constants = {}
+
+        def collect(body: List[ast.stmt], prefix: str):
+            for statement in body:
+                if isinstance(statement, ast.ClassDef) and not prefix:
+                    collect(statement.body, statement.name + ".")
+                    continue
+                if isinstance(statement, ast.Assign):
+                    targets, value = statement.targets, statement.value
+                elif isinstance(statement, ast.AnnAssign) and statement.value is not None:
+                    targets, value = [statement.target], statement.value
+                else:
+                    continue
+                name = self.evaluate(value, constants)
+                for target in targets:
+                    if isinstance(target, ast.Name) and name is not None:
+                        constants[prefix + target.id] = name
+
+        collect(getattr(tree, "body", []), "")
+        return constants
+
+    def evaluate(self, node: ast.AST, constants: Dict[str, str]):
+        """String value of an expression, or None if it isn't a constant."""
+        if isinstance(node, ast.Constant):
+            return node.value if isinstance(node.value, str) else None
+        if isinstance(node, (ast.Name, ast.Attribute)):
+            return constants.get(".".join(self.callee_path(node)))
+        if isinstance(node, ast.BinOp) and isinstance(node.op, ast.Add):
+            left = self.evaluate(node.left, constants)
+            right = self.evaluate(node.right, constants)
+            return left + right if left is not None and right is not None else None
+        if isinstance(node, ast.JoinedStr):
+            parts = [
+                self.evaluate(part.value if isinstance(part, ast.FormattedValue) else part, constants)
+                for part in node.values
+            ]
+            return "".join(parts) if None not in parts else None
+        return None
 
 
 def main():
     """Main entry point."""
-    if len(sys.argv) < 2:
-        print("Usage: python3 python_scanner.py <directory>", file=sys.stderr)
+    args = sys.argv[1:]
+    detectors = {}
+
+    if "--config" in args[:-1]:
+        index = args.index("--config")
+        try:
+            detectors = load_detectors(args[index + 1])
+        except ValueError as e:
+            print(f"Error: {e}", file=sys.stderr)
+            sys.exit(1)
+        del args[index:index + 2]
+
+    if len(args) != 1:
+        print("Usage: python3 python_scanner.py <directory> [--config lexmap.policy.json]", file=sys.stderr)
         print("", file=sys.stderr)
         print("Outputs JSON conforming to ../docs/schemas/scanner-output.schema.json", file=sys.stderr)
+        print("--config reads feature flag and permission detectors from its `detectors` section.", file=sys.stderr)
         sys.exit(1)
 
-    directory = sys.argv[1]
+    directory = args[0]
 
     if not os.path.isdir(directory):
         print(f"Error: {directory} is not a directory", file=sys.stderr)
         sys.exit(1)
 
-    scanner = PythonScanner(directory)
+    scanner = PythonScanner(directory, detectors)
     output = scanner.scan()
 
     # Output JSON to stdout
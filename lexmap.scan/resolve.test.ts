@@ -0,0 +1,95 @@
+import { after, test } from "node:test";
+import * as assert from "node:assert/strict";
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import { ImportResolver } from "./resolve.ts";
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), "lexmap-resolve-"));
+after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+function write(file: string, content = "") {
+  fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+  fs.writeFileSync(path.join(root, file), content);
+}
+
+write("src/ui/Panel.tsx");
+write("src/services/auth/index.ts");
+write("src/services/auth/token.ts");
+write("src/shared/format.ts");
+write(
+  "tsconfig.json",
+  JSON.stringify({
+    compilerOptions: { baseUrl: ".", paths: { "@app/*": ["src/*"], "@auth": ["src/services/auth"] } },
+  })
+);
+write("pnpm-workspace.yaml", "packages:\n  - 'packages/*'\n");
+write(
+  "packages/billing/package.json",
+  JSON.stringify({
+    name: "@acme/billing",
+    exports: { ".": { types: "./src/index.ts", default: "./dist/index.js" }, "./invoices/*": "./src/invoices/*.ts" },
+  })
+);
+write("packages/billing/src/index.ts");
+write("packages/billing/src/invoices/draft.ts");
+write("packages/billing-extra/package.json", JSON.stringify({ name: "@acme/billing-extra", main: "lib/main.js" }));
+write("packages/billing-extra/lib/main.js");
+
+test("resolves relative specifiers to files, .js imports of .ts sources and index files", () => {
+  const resolver = new ImportResolver(root);
+
+  assert.equal(resolver.resolve("../services/auth/token", "src/ui/Panel.tsx"), "src/services/auth/token.ts");
+  assert.equal(resolver.resolve("../services/auth/token.js", "src/ui/Panel.tsx"), "src/services/auth/token.ts");
+  assert.equal(resolver.resolve("../services/auth", "src/ui/Panel.tsx"), "src/services/auth/index.ts");
+  // A file that doesn't exist yet keeps the bare path
+  assert.equal(resolver.resolve("./NewPanel", "src/ui/Panel.tsx"), "src/ui/NewPanel");
+  // Outside the repository
+  assert.equal(resolver.resolve("../../../elsewhere", "src/ui/Panel.tsx"), null);
+});
+
+test("resolves tsconfig paths aliases and baseUrl", () => {
+  const resolver = new ImportResolver(root);
+
+  assert.equal(resolver.resolve("@auth", "src/ui/Panel.tsx"), "src/services/auth/index.ts");
+  assert.equal(resolver.resolve("@app/shared/format", "src/ui/Panel.tsx"), "src/shared/format.ts");
+  assert.equal(resolver.resolve("src/shared/format", "src/ui/Panel.tsx"), "src/shared/format.ts");
+  // baseUrl only applies when the file exists; npm packages resolve to nothing
+  assert.equal(resolver.resolve("react", "src/ui/Panel.tsx"), null);
+});
+
+test("resolves workspace packages through exports, longest name first", () => {
+  const resolver = new ImportResolver(root);
+
+  assert.equal(resolver.resolve("@acme/billing", "src/ui/Panel.tsx"), "packages/billing/src/index.ts");
+  assert.equal(
+    resolver.resolve("@acme/billing/invoices/draft", "src/ui/Panel.tsx"),
+    "packages/billing/src/invoices/draft.ts"
+  );
+  // Not in exports: not importable
+  assert.equal(resolver.resolve("@acme/billing/src/index", "src/ui/Panel.tsx"), null);
+  assert.equal(resolver.resolve("@acme/billing-extra", "src/ui/Panel.tsx"), "packages/billing-extra/lib/main.js");
+});
+
+test("probes each target once per resolver", () => {
+  const resolver = new ImportResolver(root);
+  assert.equal(resolver.resolve("./Later", "src/ui/Panel.tsx"), "src/ui/Later");
+
+  write("src/ui/Later.ts");
+  assert.equal(resolver.resolve("./Later", "src/ui/Panel.tsx"), "src/ui/Later");
+  assert.equal(new ImportResolver(root).resolve("./Later", "src/ui/Panel.tsx"), "src/ui/Later.ts");
+});
+
+test("each file uses the tsconfig.json nearest to it", () => {
+  write("packages/reports/tsconfig.json", JSON.stringify({ compilerOptions: { paths: { "@app/*": ["./lib/*"] } } }));
+  write("packages/reports/lib/chart.ts");
+  write("packages/reports/src/deep/view.ts");
+  const resolver = new ImportResolver(root);
+
+  // The package's paths replace the root's, relative to the package
+  assert.equal(resolver.resolve("@app/chart", "packages/reports/src/deep/view.ts"), "packages/reports/lib/chart.ts");
+  assert.equal(resolver.resolve("@auth", "packages/reports/src/deep/view.ts"), null);
+  // Files outside the package still use the root tsconfig.json
+  assert.equal(resolver.resolve("@app/shared/format", "packages/billing/src/index.ts"), "src/shared/format.ts");
+  assert.equal(resolver.resolve("@app/shared/format", "src/ui/Panel.tsx"), "src/shared/format.ts");
+});
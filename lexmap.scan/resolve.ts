@@ -0,0 +1,298 @@
+/**
+ * LexMap TS/JS import resolution
+ *
+ * Turns an import specifier into the repo-relative file it refers to, so
+ * module ownership can be matched against real paths instead of the raw
+ * specifier (`../../services/auth-core/repo`, `@app/auth`):
+ *     1. Relative specifiers, against the importing file
+ *     2. `paths` aliases and `baseUrl` of the tsconfig.json nearest the
+ *        importing file, so a workspace package's own tsconfig applies
+ *     3. Workspace packages (pnpm-workspace.yaml `packages` or package.json
+ *        `workspaces`, read by policy-compose.ts), following the package's
+ *        `exports`
+ *
+ * Targets are probed on disk for the usual extensions and index files, once
+ * per target for the resolver's lifetime. A target that doesn't exist (e.g.
+ * a file added in the same change) is still returned, without an extension.
+ * Anything else (npm packages, PHP namespaces) resolves to null.
+ *
+ * Author: LexMap
+ * License: MIT
+ */
+
+import * as fs from "fs";
+import * as path from "path";
+import * as ts from "typescript";
+import { workspacePackageDirs } from "../packages/codemap-indexer/src/policy-compose.ts";
+
+const EXTENSIONS = [".ts", ".tsx", ".d.ts", ".js", ".jsx", ".mjs", ".cjs"];
+
+// Export conditions, most preferred first
+const CONDITIONS = ["types", "import", "default", "require", "node"];
+
+interface PathAliases {
+  /** Absolute directory `paths` targets are relative to */
+  base: string;
+  paths: Record<string, string[]>;
+  /** Absolute baseUrl, if set */
+  baseUrl: string | null;
+}
+
+interface WorkspacePackage {
+  /** Absolute package directory */
+  dir: string;
+  manifest: {
+    main?: string;
+    module?: string;
+    types?: string;
+    exports?: unknown;
+  };
+}
+
+export class ImportResolver {
+  private rootDir: string;
+  /** Directory → the nearest tsconfig.json at or above it, or null */
+  private configs = new Map<string, string | null>();
+  /** tsconfig.json path → its aliases, or null if it has none */
+  private aliases = new Map<string, PathAliases | null>();
+  private packages: Map<string, WorkspacePackage> | undefined;
+  /** Target → the file probe found for it, or null */
+  private probed = new Map<string, string | null>();
+
+  constructor(rootDir: string) {
+    this.rootDir = path.resolve(rootDir);
+  }
+
+  /**
+   * Repo-relative (forward-slash) path the specifier imports from
+   * fromFile, or null if it isn't a file in this repository
+   */
+  resolve(specifier: string, fromFile: string): string | null {
+    const fromDir = path.dirname(path.resolve(this.rootDir, fromFile));
+    let target: string | null = null;
+
+    if (specifier.startsWith("./") || specifier.startsWith("../") || specifier === ".") {
+      target = this.probe(path.resolve(fromDir, specifier));
+    } else {
+      target = this.resolveAlias(specifier, fromDir) ?? this.resolvePackage(specifier);
+    }
+
+    if (!target) return null;
+
+    const relative = path.relative(this.rootDir, target).split(path.sep).join("/");
+    return relative.startsWith("../") ? null : relative;
+  }
+
+  private resolveAlias(specifier: string, fromDir: string): string | null {
+    const configPath = this.findConfig(fromDir);
+    const aliases = configPath ? this.loadAliases(configPath) : null;
+    if (!aliases) return null;
+
+    // Like TypeScript: exact patterns first, then the longest prefix
+    const prefixLength = (pattern: string) =>
+      pattern.includes("*") ? pattern.indexOf("*") : Infinity;
+    const entries = Object.entries(aliases.paths).sort(
+      ([a], [b]) => prefixLength(b) - prefixLength(a)
+    );
+
+    for (const [pattern, targets] of entries) {
+      const star = pattern.indexOf("*");
+      let captured: string | null = null;
+
+      if (star === -1) {
+        if (specifier === pattern) captured = "";
+      } else {
+        const prefix = pattern.slice(0, star);
+        const suffix = pattern.slice(star + 1);
+        if (
+          specifier.length >= prefix.length + suffix.length &&
+          specifier.startsWith(prefix) &&
+          specifier.endsWith(suffix)
+        ) {
+          captured = specifier.slice(prefix.length, specifier.length - suffix.length);
+        }
+      }
+      if (captured === null) continue;
+
+      const candidates = targets.map((t) => path.resolve(aliases.base, t.replace("*", captured!)));
+      for (const candidate of candidates) {
+        const found = this.probe(candidate, true);
+        if (found) return found;
+      }
+      return candidates.length > 0 ? this.probe(candidates[0]) : null;
+    }
+
+    // Non-relative specifiers under baseUrl, only when the file exists
+    if (aliases.baseUrl) {
+      return this.probe(path.resolve(aliases.baseUrl, specifier), true);
+    }
+
+    return null;
+  }
+
+  private resolvePackage(specifier: string): string | null {
+    const packages = this.loadPackages();
+
+    // Longest name first, so @scope/pkg-extra doesn't match @scope/pkg
+    const names = [...packages.keys()].sort((a, b) => b.length - a.length);
+    const name = names.find((n) => specifier === n || specifier.startsWith(`${n}/`));
+    if (!name) return null;
+
+    const pkg = packages.get(name)!;
+    const subpath = specifier === name ? "." : `.${specifier.slice(name.length)}`;
+
+    const exported = resolveExports(pkg.manifest.exports, subpath);
+    if (exported) {
+      return this.probe(path.resolve(pkg.dir, exported));
+    }
+    if (pkg.manifest.exports !== undefined) {
+      // The package has exports but not this subpath: not importable
+      return null;
+    }
+
+    if (subpath === ".") {
+      const entry = pkg.manifest.types ?? pkg.manifest.module ?? pkg.manifest.main ?? "index";
+      return this.probe(path.resolve(pkg.dir, entry));
+    }
+    return this.probe(path.resolve(pkg.dir, subpath));
+  }
+
+  /**
+   * The file a target path refers to: itself, with an extension, a .js
+   * import of a .ts source, or an index file. Without mustExist, falls back
+   * to the bare target.
+   */
+  private probe(target: string, mustExist = false): string | null {
+    let found = this.probed.get(target);
+    if (found === undefined) {
+      const isFile = (file: string) =>
+        fs.statSync(file, { throwIfNoEntry: false })?.isFile() ?? false;
+
+      const candidates = [target, ...EXTENSIONS.map((ext) => target + ext)];
+      const jsExt = target.match(/\.(m|c)?jsx?$/);
+      if (jsExt) {
+        const stem = target.slice(0, -jsExt[0].length);
+        candidates.push(...[".ts", ".tsx", ".mts", ".cts"].map((ext) => stem + ext));
+      }
+      candidates.push(...EXTENSIONS.map((ext) => path.join(target, `index${ext}`)));
+
+      found = candidates.find(isFile) ?? null;
+      this.probed.set(target, found);
+    }
+
+    if (found) return found;
+    return mustExist ? null : target;
+  }
+
+  /**
+   * The tsconfig.json in dir or the closest directory above it, stopping at
+   * the repository root
+   */
+  private findConfig(dir: string): string | null {
+    let found = this.configs.get(dir);
+    if (found === undefined) {
+      const configPath = path.join(dir, "tsconfig.json");
+      if (fs.existsSync(configPath)) {
+        found = configPath;
+      } else if (dir === this.rootDir || path.relative(this.rootDir, dir).startsWith("..")) {
+        found = null;
+      } else {
+        found = this.findConfig(path.dirname(dir));
+      }
+      this.configs.set(dir, found);
+    }
+    return found;
+  }
+
+  private loadAliases(configPath: string): PathAliases | null {
+    if (this.aliases.has(configPath)) return this.aliases.get(configPath)!;
+
+    this.aliases.set(configPath, null);
+    const configDir = path.dirname(configPath);
+
+    // TypeScript's own parser handles comments and `extends`
+    const { config, error } = ts.readConfigFile(configPath, ts.sys.readFile);
+    if (error) return null;
+    const { options } = ts.parseJsonConfigFileContent(config, ts.sys, configDir);
+
+    if (!options.paths && !options.baseUrl) return null;
+
+    const aliases = {
+      base: options.baseUrl ?? (options.pathsBasePath as string | undefined) ?? configDir,
+      paths: options.paths ?? {},
+      baseUrl: options.baseUrl ?? null,
+    };
+    this.aliases.set(configPath, aliases);
+    return aliases;
+  }
+
+  private loadPackages(): Map<string, WorkspacePackage> {
+    if (this.packages) return this.packages;
+
+    this.packages = new Map();
+    for (const dir of workspacePackageDirs(this.rootDir) ?? []) {
+      const manifestPath = path.join(dir, "package.json");
+      if (!fs.existsSync(manifestPath)) continue;
+      try {
+        const manifest = JSON.parse(fs.readFileSync(manifestPath, "utf-8"));
+        if (manifest.name) this.packages.set(manifest.name, { dir, manifest });
+      } catch {
+        // An unreadable manifest just isn't a resolvable package
+      }
+    }
+    return this.packages;
+  }
+}
+
+/**
+ * Target of a subpath ("." or "./x") in a package.json `exports` field
+ */
+function resolveExports(exports: unknown, subpath: string): string | null {
+  if (exports === undefined || exports === null) return null;
+
+  // "exports": "./index.js" or conditions only: both mean the "." entry
+  const isSubpathMap =
+    typeof exports === "object" &&
+    !Array.isArray(exports) &&
+    Object.keys(exports).some((key) => key.startsWith("."));
+  const map: Record<string, unknown> = isSubpathMap
+    ? (exports as Record<string, unknown>)
+    : { ".": exports };
+
+  if (subpath in map) return pickCondition(map[subpath], "");
+
+  // Subpath patterns: "./features/*": "./src/features/*.js"
+  for (const [key, value] of Object.entries(map)) {
+    const star = key.indexOf("*");
+    if (star === -1) continue;
+    const prefix = key.slice(0, star);
+    const suffix = key.slice(star + 1);
+    if (subpath.startsWith(prefix) && subpath.endsWith(suffix)) {
+      const captured = subpath.slice(prefix.length, subpath.length - suffix.length);
+      return pickCondition(value, captured);
+    }
+  }
+
+  return null;
+}
+
+function pickCondition(value: unknown, captured: string): string | null {
+  if (typeof value === "string") return value.replace("*", captured);
+  if (Array.isArray(value)) {
+    for (const item of value) {
+      const picked = pickCondition(item, captured);
+      if (picked) return picked;
+    }
+    return null;
+  }
+  if (value && typeof value === "object") {
+    const conditions = value as Record<string, unknown>;
+    for (const condition of CONDITIONS) {
+      if (condition in conditions) {
+        const picked = pickCondition(conditions[condition], captured);
+        if (picked) return picked;
+      }
+    }
+  }
+  return null;
+}
@@ -0,0 +1,274 @@
+import { after, test } from "node:test";
+import * as assert from "node:assert/strict";
+import { execFileSync } from "child_process";
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import { ScanCache, TypeScriptScanner, changedFiles, isScannedFile, loadDetectors } from "./ts_scanner.ts";
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "lexmap-ts-scanner-"));
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+function write(file: string, content: string) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, content);
+}
+
+test("extracts lexmap-ignore comments with the line they apply to", () => {
+  const scanner = new TypeScriptScanner(".");
+  const { suppressions } = scanner.scanSource(
+    "ui/admin/Panel.ts",
+    [
+      "// lexmap-ignore-file kill_pattern -- generated",
+      "// lexmap-ignore forbidden_caller -- WEB-1234 until 2026-12-31",
+      'import { AuthService } from "services/auth";',
+      'import { Token } from "services/token"; // lexmap-ignore non_exposed_symbol -- WEB-99',
+      "// lexmap-ignored is not a directive",
+    ].join("\n")
+  );
+
+  assert.deepEqual(suppressions, [
+    { line: 1, target_line: 2, directive: "kill_pattern -- generated", scope: "file" },
+    { line: 2, target_line: 3, directive: "forbidden_caller -- WEB-1234 until 2026-12-31" },
+    { line: 4, target_line: 4, directive: "non_exposed_symbol -- WEB-99" },
+  ]);
+});
+
+test("only TS and JS sources outside node_modules are scanned", () => {
+  assert.equal(isScannedFile("ui/Panel.tsx"), true);
+  assert.equal(isScannedFile("lib/index.cjs"), true);
+  assert.equal(isScannedFile("types/global.d.ts"), false);
+  assert.equal(isScannedFile("node_modules/pkg/index.js"), false);
+  assert.equal(isScannedFile("app/Panel.php"), false);
+});
+
+test("the cache stores facts by key and treats unreadable entries as misses", () => {
+  const cache = new ScanCache(path.join(tmp, "cache-unit"));
+  const facts = {
+    declarations: [],
+    imports: [],
+    feature_flags: [],
+    permissions: [],
+    gates: [],
+    suppressions: [],
+    warnings: ["eval_usage"],
+  };
+
+  assert.equal(cache.get("ab12"), null);
+  cache.set("ab12", facts);
+  assert.deepEqual(cache.get("ab12"), facts);
+
+  write(path.join(tmp, "cache-unit", "typescript", "cd", "cd34.json"), "{");
+  assert.equal(cache.get("cd34"), null);
+  assert.deepEqual([cache.hits, cache.misses], [1, 2]);
+});
+
+test("cached scans reuse facts for unchanged content, keyed by extension too", async () => {
+  const root = path.join(tmp, "cached");
+  // The same text is a type assertion in .ts but JSX in .tsx
+  const source = 'import { a } from "./a";\nconst x = <any>a;\n';
+  write(path.join(root, "src/cast.ts"), source);
+  write(path.join(root, "src/cast.tsx"), source);
+  write(path.join(root, "src/a.ts"), "export const a = 1;\n");
+
+  const cacheDir = path.join(tmp, "cache-scan");
+  const scan = async () => {
+    const cache = new ScanCache(cacheDir);
+    const output = await new TypeScriptScanner(root, {}, cache).scan();
+    return { cache, files: output.files.sort((a, b) => a.path.localeCompare(b.path)) };
+  };
+
+  const first = await scan();
+  assert.deepEqual([first.cache.hits, first.cache.misses], [0, 3]);
+
+  const second = await scan();
+  assert.deepEqual([second.cache.hits, second.cache.misses], [3, 0]);
+  assert.deepEqual(second.files, first.files);
+
+  write(path.join(root, "src/a.ts"), "export const a = 2;\n");
+  const third = await scan();
+  assert.deepEqual([third.cache.hits, third.cache.misses], [2, 1]);
+});
+
+test("a scan of some files covers them, including deleted ones", async () => {
+  const root = path.join(tmp, "partial");
+  write(path.join(root, "src/kept.ts"), "export const kept = 1;\n");
+  write(path.join(root, "src/other.ts"), "export const other = 1;\n");
+
+  const output = await new TypeScriptScanner(root).scan([
+    path.join(root, "src/kept.ts"),
+    path.join(root, "src/deleted.ts"),
+    path.join(root, "README.md"),
+    path.join(tmp, "outside.ts"),
+  ]);
+
+  assert.deepEqual(output.partial, { paths: ["src/deleted.ts", "src/kept.ts"] });
+  assert.deepEqual(
+    output.files.map((file) => file.path),
+    ["src/kept.ts"]
+  );
+});
+
+test("changed files are those committed, modified, deleted or added since a ref", () => {
+  const root = path.join(tmp, "repo");
+  const git = (...args: string[]) =>
+    execFileSync("git", ["-c", "user.name=LexMap", "-c", "user.email=lexmap@example.com", ...args], {
+      cwd: root,
+      stdio: "pipe",
+    });
+
+  write(path.join(root, "src/a.ts"), "1\n");
+  write(path.join(root, "src/b.ts"), "1\n");
+  write(path.join(root, "src/c.ts"), "1\n");
+  git("init", "-q");
+  git("add", ".");
+  git("commit", "-qm", "base");
+
+  write(path.join(root, "src/a.ts"), "2\n");
+  git("commit", "-qam", "change a");
+  write(path.join(root, "src/b.ts"), "2\n");
+  fs.rmSync(path.join(root, "src/c.ts"));
+  write(path.join(root, "src/d.ts"), "1\n");
+
+  assert.deepEqual(
+    changedFiles(path.join(root, "src"), "HEAD~1").sort(),
+    ["a.ts", "b.ts", "c.ts", "d.ts"].map((name) => path.relative(".", path.join(root, "src", name)))
+  );
+  assert.throws(() => changedFiles(root, "no-such-ref"), /^Error: git diff/);
+});
+
+test("gates are detector calls whose name argument folds to a constant string", () => {
+  const scanner = new TypeScriptScanner(".", {
+    feature_flags: [{ call: "flags.isOn" }, { call: "*.variant", arg: 1 }],
+  });
+  const source = [
+    'const PREFIX = "billing";',
+    "const Flags = { NEW_UI: `${PREFIX}_new_ui` } as const;",
+    'enum Perm { Admin = "users.admin" }',
+    "let mutable = 'not_constant';",
+    "if (flags.isOn(Flags.NEW_UI)) {}",
+    'if (this.flags.isOn(PREFIX + "_" + "export")) {}',
+    'experiments.variant(user, Flags["NEW_UI"]);',
+    "flags.isOn(mutable);",
+    "flags.isOn(`${PREFIX}_${unknown}`);",
+    'flags.isOn(lookup("x"));',
+    "hasPermission(Perm.Admin);",
+    'user.can("reports.view");',
+    'featureFlags.isEnabled("replaced_by_config");',
+  ].join("\n");
+
+  const facts = scanner.scanSource("ui/admin/Panel.ts", source);
+  assert.deepEqual(facts.gates, [
+    { kind: "feature_flag", name: "billing_new_ui", call: "flags.isOn", line: 5, column: 16 },
+    { kind: "feature_flag", name: "billing_export", call: "flags.isOn", line: 6, column: 21 },
+    { kind: "feature_flag", name: "billing_new_ui", call: "*.variant", line: 7, column: 27 },
+    { kind: "permission", name: "users.admin", call: "hasPermission", line: 11, column: 15 },
+    { kind: "permission", name: "reports.view", call: "user.can", line: 12, column: 10 },
+  ]);
+  // Unknown values (a let, an unresolved template span, a call) are skipped,
+  // and configured detectors replace the default ones
+  assert.deepEqual(facts.feature_flags, ["billing_export", "billing_new_ui"]);
+  assert.deepEqual(facts.permissions, ["reports.view", "users.admin"]);
+});
+
+test("imports record the exported names taken, the kind and the specifier position", () => {
+  const scanner = new TypeScriptScanner(".");
+  const { imports } = scanner.scanSource(
+    "ui/admin/Panel.ts",
+    [
+      'import Panel, { Grid as Table } from "./panel";',
+      'import * as api from "api/user-access";',
+      'import type { Session } from "services/auth";',
+      'import { type Token, type Claims } from "services/token";',
+      'const { grant, revoke: drop } = require("services/grants");',
+      'const legacy = require("legacy/admin");',
+      'import audit = require("api/audit");',
+      'const lazy = await import("ui/reports");',
+      'export { default as Chart, Axis } from "ui/charts";',
+      'export * from "ui/shared";',
+      'export type { Theme } from "ui/theme";',
+      'type Config = import("config/schema").Root.Options;',
+    ].join("\n")
+  );
+
+  assert.deepEqual(
+    imports.map(({ from, type, imported, line, column }) => [from, type, imported, line, column]),
+    [
+      ["./panel", "import_statement", ["Grid", "default"], 1, 38],
+      ["api/user-access", "import_statement", ["*"], 2, 22],
+      ["services/auth", "import_type", ["Session"], 3, 30],
+      ["services/token", "import_type", ["Token", "Claims"], 4, 41],
+      ["services/grants", "require", ["grant", "revoke"], 5, 41],
+      ["legacy/admin", "require", undefined, 6, 24],
+      ["api/audit", "require", undefined, 7, 24],
+      ["ui/reports", "dynamic_import", undefined, 8, 27],
+      ["ui/charts", "re_export", ["default", "Axis"], 9, 40],
+      ["ui/shared", "re_export", ["*"], 10, 15],
+      ["ui/theme", "re_export_type", ["Theme"], 11, 28],
+      ["config/schema", "import_type", ["Root"], 12, 22],
+    ]
+  );
+});
+
+test("detectors load from a policy, following extends, and malformed ones are rejected", () => {
+  const dir = path.join(tmp, "detectors");
+  write(
+    path.join(dir, "base.policy.json"),
+    JSON.stringify({ modules: {}, detectors: { permissions: [{ call: "acl.allows", arg: 1 }] } })
+  );
+  write(
+    path.join(dir, "lexmap.policy.json"),
+    JSON.stringify({ extends: "./base.policy.json", modules: {}, detectors: { feature_flags: [{ call: "*.isOn" }] } })
+  );
+  write(
+    path.join(dir, "bad.policy.json"),
+    JSON.stringify({ modules: {}, detectors: { permissions: [{ call: "acl.allows" }, { call: "acl allows", arg: -1 }] } })
+  );
+
+  assert.deepEqual(loadDetectors(path.join(dir, "lexmap.policy.json")), {
+    permissions: [{ call: "acl.allows", arg: 1 }],
+    feature_flags: [{ call: "*.isOn" }],
+  });
+  assert.deepEqual(loadDetectors(path.join(dir, "base.policy.json")).feature_flags, undefined);
+  assert.throws(
+    () => loadDetectors(path.join(dir, "bad.policy.json")),
+    /bad\.policy\.json: \$\.detectors\.permissions\[1\] needs a "call"/
+  );
+  assert.throws(() => loadDetectors(path.join(dir, "missing.policy.json")), /file not found/);
+});
+
+test("configured detectors find gates in a scanned fixture", async () => {
+  const dir = path.join(tmp, "detector-fixture");
+  write(
+    path.join(dir, "lexmap.policy.json"),
+    JSON.stringify({
+      modules: {},
+      detectors: { feature_flags: [{ call: "*.isOn" }], permissions: [{ call: "acl.allows", arg: 1 }] },
+    })
+  );
+  write(
+    path.join(dir, "src/admin.ts"),
+    [
+      'const FLAG = "admin_v2";',
+      "if (this.flags.isOn(FLAG) && acl.allows(user, `users.${'edit'}`)) {}",
+      'featureFlags.isEnabled("default_detector");',
+    ].join("\n")
+  );
+  write(path.join(dir, "src/plain.ts"), "export const x = 1;\n");
+
+  const scanner = new TypeScriptScanner(dir, loadDetectors(path.join(dir, "lexmap.policy.json")));
+  const { files } = await scanner.scan();
+  const admin = files.find((file) => file.path === path.join("src", "admin.ts"))!;
+  const plain = files.find((file) => file.path === path.join("src", "plain.ts"))!;
+
+  assert.deepEqual(admin.feature_flags, ["admin_v2"]);
+  assert.deepEqual(admin.permissions, ["users.edit"]);
+  assert.deepEqual(
+    admin.gates.map(({ kind, call, line, column }) => [kind, call, line, column]),
+    [
+      ["feature_flag", "*.isOn", 2, 21],
+      ["permission", "acl.allows", 2, 47],
+    ]
+  );
+  assert.deepEqual(plain.gates, []);
+});
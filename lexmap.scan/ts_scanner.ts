@@ -7,7 +7,23 @@
  * Contract: Outputs JSON conforming to ../docs/schemas/scanner-output.schema.json
  *
  * Usage:
- *     node ts_scanner.ts <directory> > output.json
+ *     node ts_scanner.ts <directory> [--config lexmap.policy.json]
+ *                        [--files <a.ts,b.ts|->] [--changed-since <git-ref>]
+ *                        [--cache-dir <dir>] [--no-cache] > output.json
+ *
+ * Incremental scans:
+ *     --files scans only the listed files (comma-separated, repeatable, or
+ *     "-" for one per line on stdin); --changed-since only the files git
+ *     reports as changed against <git-ref>, including uncommitted and
+ *     untracked ones. The output then has `partial.paths`: every path it
+ *     covers, so lexmap merge --base can drop deleted files and splice the
+ *     rest into a previous merged result.
+ *
+ *     Facts are cached in .lexmap-cache/ (or --cache-dir) by content hash,
+ *     keyed with SCANNER_VERSION, the TypeScript version, the detectors and
+ *     the file extension (it picks the parser's ScriptKind: the same text
+ *     parses differently as .ts and .tsx), so an unchanged file is never
+ *     parsed twice.
  *
  * Philosophy:
  *     This scanner is DUMB BY DESIGN.
@@ -15,7 +31,26 @@
  *     It does NOT make architectural decisions.
  *
  *     - Extracts: classes, functions, interfaces, imports
- *     - Detects: feature flags, permission checks
+ *     - Files: .ts, .tsx, .js, .jsx, .mjs, .cjs (not .d.ts)
+ *     - Import types:
+ *         import_statement  import ... from "x", import "x"
+ *         import_type       import type ... from "x", import { type A } from "x",
+ *                           type T = import("x").A
+ *         re_export         export { a } from "x", export * from "x"
+ *         re_export_type    export type { A } from "x"
+ *         require           require("x"), import x = require("x")
+ *         dynamic_import    import("x")
+ *     - Detects: feature flags, permission checks, as calls listed in the
+ *       `detectors` section of --config (a policy or scanner config file):
+ *           "detectors": {
+ *             "feature_flags": [{ "call": "flags.isOn" }, { "call": "gate", "arg": 1 }],
+ *             "permissions": [{ "call": "user.can" }]
+ *           }
+ *       `call` is a callee name or member path matched against the end of the
+ *       callee (`*` matches any one segment), `arg` the argument holding the
+ *       name (default 0). Arguments may be string literals, template
+ *       literals, or constants declared in the same file. Without a config,
+ *       DEFAULT_DETECTORS apply.
  *     - Reports: what it sees, nothing more
  *
  *     LexMap (not the scanner) decides:
@@ -33,6 +68,7 @@
  *           "imports": [...],
  *           "feature_flags": [...],
  *           "permissions": [...],
+ *           "gates": [{ "kind": "feature_flag", "name": ..., "call": ..., "line": ..., "column": ... }],
  *           "warnings": []
  *         }
  *       ]
@@ -48,52 +84,246 @@
 import * as ts from "typescript";
 import * as fs from "fs";
 import * as path from "path";
-import { glob } from "glob";
+import { createHash } from "crypto";
+import { execFileSync } from "child_process";
+import { pathToFileURL } from "url";
+import { resolvePolicyFile } from "../packages/codemap-indexer/src/policy-compose.ts";
 
-interface Declaration {
+export interface Declaration {
   type: string;
   name: string;
   namespace?: string;
 }
 
-interface Import {
+export interface Import {
   from: string;
+  /** import_statement, import_type, re_export, re_export_type, require or dynamic_import */
   type: string;
+  /** Exported names taken from the module; "default" for a default import, "*" for a namespace import */
   imported?: string[];
+  /** 1-based position of the module specifier */
+  line?: number;
+  column?: number;
+}
+
+export interface Suppression {
+  /** 1-based line of the comment */
+  line: number;
+  /** Line the suppression applies to */
+  target_line: number;
+  /** Text after `lexmap-ignore`, e.g. "forbidden_caller -- WEB-1234 until 2026-12-31" */
+  directive: string;
+  /** "file" for `lexmap-ignore-file`, which covers violations without a line */
+  scope?: "file";
+}
+
+export interface CallDetector {
+  /** Callee name or member path, e.g. "useFeatureFlag" or "featureFlags.isEnabled" */
+  call: string;
+  /** Argument holding the flag or permission name; default 0 */
+  arg?: number;
+}
+
+export interface Detectors {
+  feature_flags?: CallDetector[];
+  permissions?: CallDetector[];
+}
+
+export const DEFAULT_DETECTORS: Required<Detectors> = {
+  feature_flags: [
+    { call: "featureFlags.isEnabled" },
+    { call: "FeatureFlags.enabled" },
+    { call: "useFeatureFlag" },
+  ],
+  permissions: [{ call: "user.can" }, { call: "hasPermission" }, { call: "usePermission" }],
+};
+
+/**
+ * A feature flag or permission check found by a detector
+ */
+export interface Gate {
+  kind: "feature_flag" | "permission";
+  name: string;
+  /** The detector's call */
+  call: string;
+  /** 1-based position of the name argument */
+  line: number;
+  column: number;
 }
 
-interface FileData {
+export interface FileData {
   path: string;
   declarations: Declaration[];
   imports: Import[];
   feature_flags: string[];
   permissions: string[];
+  gates: Gate[];
+  suppressions: Suppression[];
   warnings: string[];
 }
 
-interface ScannerOutput {
+export interface ScannerOutput {
   language: string;
   files: FileData[];
+  /** Set when only some files were scanned */
+  partial?: {
+    /** Paths the output covers; those not in files no longer exist */
+    paths: string[];
+  };
+}
+
+/**
+ * Bump whenever scanSource output changes, so cached facts are re-extracted
+ */
+export const SCANNER_VERSION = "3";
+
+const SCANNED_FILE = /\.(ts|tsx|js|jsx|mjs|cjs)$/;
+
+/**
+ * A file the scanner reads: TS or JS, not a declaration file, not in node_modules
+ */
+export function isScannedFile(relativePath: string): boolean {
+  return (
+    SCANNED_FILE.test(relativePath) &&
+    !relativePath.endsWith(".d.ts") &&
+    !relativePath.split(/[\\/]/).includes("node_modules")
+  );
+}
+
+/**
+ * Extracted facts on disk, one JSON file per key. Unreadable entries are
+ * misses; writes go through a temporary file so concurrent scans don't see
+ * partial entries.
+ */
+export class ScanCache {
+  private dir: string;
+  hits = 0;
+  misses = 0;
+
+  constructor(dir: string) {
+    this.dir = path.resolve(dir, "typescript");
+  }
+
+  private entry(key: string): string {
+    return path.join(this.dir, key.slice(0, 2), `${key}.json`);
+  }
+
+  get(key: string): Omit<FileData, "path"> | null {
+    try {
+      const facts = JSON.parse(fs.readFileSync(this.entry(key), "utf-8"));
+      this.hits++;
+      return facts;
+    } catch {
+      this.misses++;
+      return null;
+    }
+  }
+
+  set(key: string, facts: Omit<FileData, "path">): void {
+    const file = this.entry(key);
+    const temporary = `${file}.${process.pid}.tmp`;
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(temporary, JSON.stringify(facts));
+      fs.renameSync(temporary, file);
+    } catch {
+      // A cache that can't be written only costs speed
+    }
+  }
 }
 
-class TypeScriptScanner {
+/**
+ * Files under directory that differ from gitRef: committed since, modified,
+ * deleted or untracked. Paths are relative to the current directory.
+ */
+export function changedFiles(directory: string, gitRef: string): string[] {
+  const git = (args: string[]) => {
+    try {
+      return execFileSync("git", args, { cwd: directory, encoding: "utf-8", stdio: "pipe" });
+    } catch (error: any) {
+      throw new Error(`git ${args.join(" ")}: ${String(error.stderr || error.message).trim()}`);
+    }
+  };
+
+  const changed = git(["diff", "--name-only", "--no-renames", "--relative", gitRef, "--", "."]);
+  const untracked = git(["ls-files", "--others", "--exclude-standard", "--", "."]);
+
+  return [...new Set(`${changed}\n${untracked}`.split("\n").filter(Boolean))].map((file) =>
+    path.relative(".", path.resolve(directory, file))
+  );
+}
+
+/**
+ * The detectors section of a policy or scanner config file, checked; throws
+ * on a malformed entry
+ */
+export function loadDetectors(configFile: string): Detectors {
+  const { policy, errors } = resolvePolicyFile(configFile, { packages: false });
+  if (errors.length > 0 || !policy) {
+    throw new Error(errors.map((error) => `${error.path}: ${error.message}`).join("; "));
+  }
+
+  const detectors: Detectors = policy.detectors ?? {};
+  for (const kind of ["feature_flags", "permissions"] as const) {
+    (detectors[kind] ?? []).forEach((detector, index) => {
+      if (
+        typeof detector?.call !== "string" ||
+        !/^(\*|[\w$]+)(\.(\*|[\w$]+))*$/.test(detector.call) ||
+        (detector.arg !== undefined && !(Number.isInteger(detector.arg) && detector.arg >= 0))
+      ) {
+        throw new Error(
+          `${configFile}: $.detectors.${kind}[${index}] needs a "call" like "flags.isOn" and an optional non-negative "arg"`
+        );
+      }
+    });
+  }
+  return detectors;
+}
+
+export class TypeScriptScanner {
   private rootDir: string;
   private output: ScannerOutput;
+  private detectors: Required<Detectors>;
+  private cache: ScanCache | null;
+  private cacheSalt: string;
 
-  constructor(rootDir: string) {
+  constructor(rootDir: string, detectors: Detectors = {}, cache: ScanCache | null = null) {
     this.rootDir = path.resolve(rootDir);
+    this.detectors = { ...DEFAULT_DETECTORS, ...detectors };
+    this.cache = cache;
+    this.cacheSalt = JSON.stringify([SCANNER_VERSION, ts.version, this.detectors]);
     this.output = {
       language: "typescript",
       files: [],
     };
   }
 
-  async scan(): Promise<ScannerOutput> {
-    // Find all .ts and .tsx files (excluding node_modules, .d.ts)
-    const pattern = `${this.rootDir}/**/*.{ts,tsx}`;
-    const files = await glob(pattern, {
-      ignore: ["**/node_modules/**", "**/*.d.ts"],
-    });
+  /**
+   * Scan every file under the root directory, or with `only` just those
+   * files (paths relative to the current directory); the output then covers
+   * the ones under the root in `partial.paths`, including deleted ones.
+   */
+  async scan(only?: string[]): Promise<ScannerOutput> {
+    let files: string[];
+
+    if (only) {
+      const paths = only
+        .map((file) => path.relative(this.rootDir, path.resolve(file)))
+        .filter((file) => !file.startsWith("..") && !path.isAbsolute(file) && isScannedFile(file));
+      this.output.partial = { paths: [...new Set(paths)].sort() };
+      files = this.output.partial.paths
+        .map((file) => path.join(this.rootDir, file))
+        .filter((file) => fs.existsSync(file));
+    } else {
+      // glob is only needed for directory scans, not for scanSource()
+      const { glob } = await import("glob");
+
+      // Find all TS and JS files (excluding node_modules, .d.ts)
+      const pattern = `${this.rootDir}/**/*.{ts,tsx,js,jsx,mjs,cjs}`;
+      files = await glob(pattern, {
+        ignore: ["**/node_modules/**", "**/*.d.ts"],
+      });
+    }
 
     for (const filePath of files) {
       const fileData = this.scanFile(filePath);
@@ -109,29 +339,79 @@ class TypeScriptScanner {
     try {
       const content = fs.readFileSync(filePath, "utf-8");
       const relativePath = path.relative(this.rootDir, filePath);
-
-      const sourceFile = ts.createSourceFile(
-        filePath,
-        content,
-        ts.ScriptTarget.Latest,
-        true
-      );
-
-      const fileData: FileData = {
-        path: relativePath,
-        declarations: this.extractDeclarations(sourceFile),
-        imports: this.extractImports(sourceFile),
-        feature_flags: this.extractFeatureFlags(content),
-        permissions: this.extractPermissions(content),
-        warnings: [],
-      };
-
-      return fileData;
+      if (!this.cache) return this.scanSource(relativePath, content);
+
+      // The extension decides the ScriptKind, e.g. whether <T>x is JSX
+      const key = createHash("sha256")
+        .update(this.cacheSalt)
+        .update("\0")
+        .update(path.extname(filePath).toLowerCase())
+        .update("\0")
+        .update(content)
+        .digest("hex");
+      const cached = this.cache.get(key);
+      if (cached) return { path: relativePath, ...cached };
+
+      const { path: _, ...facts } = this.scanSource(relativePath, content);
+      this.cache.set(key, facts);
+      return { path: relativePath, ...facts };
     } catch (error) {
       return null;
     }
   }
 
+  /**
+   * Extract facts from in-memory source, e.g. a proposed change that
+   * hasn't been written to disk yet.
+   */
+  scanSource(relativePath: string, content: string): FileData {
+    const sourceFile = ts.createSourceFile(
+      relativePath,
+      content,
+      ts.ScriptTarget.Latest,
+      true
+    );
+
+    const gates = this.extractGates(sourceFile);
+    const names = (kind: Gate["kind"]) =>
+      [...new Set(gates.filter((gate) => gate.kind === kind).map((gate) => gate.name))].sort();
+
+    return {
+      path: relativePath,
+      declarations: this.extractDeclarations(sourceFile),
+      imports: this.extractImports(sourceFile),
+      feature_flags: names("feature_flag"),
+      permissions: names("permission"),
+      gates,
+      suppressions: this.extractSuppressions(content),
+      warnings: [],
+    };
+  }
+
+  /**
+   * Extract `// lexmap-ignore` comments. Reports the directive text as
+   * written; LexMap interprets it. A comment on its own line applies to the
+   * next line, a trailing one to its own; `lexmap-ignore-file` to the file.
+   */
+  private extractSuppressions(content: string): Suppression[] {
+    const suppressions: Suppression[] = [];
+
+    content.split(/\r?\n/).forEach((line, index) => {
+      const match = line.match(/\/\/\s*lexmap-ignore(-file)?\b(.*)$/);
+      if (!match) return;
+
+      const standalone = line.slice(0, match.index).trim() === "";
+      suppressions.push({
+        line: index + 1,
+        target_line: standalone ? index + 2 : index + 1,
+        directive: match[2].trim(),
+        ...(match[1] ? { scope: "file" as const } : {}),
+      });
+    });
+
+    return suppressions;
+  }
+
   private extractDeclarations(sourceFile: ts.SourceFile): Declaration[] {
     const declarations: Declaration[] = [];
 
@@ -196,42 +476,118 @@ class TypeScriptScanner {
   private extractImports(sourceFile: ts.SourceFile): Import[] {
     const imports: Import[] = [];
 
+    const add = (specifier: ts.Node, type: string, imported: string[] = []) => {
+      const { line, character } = sourceFile.getLineAndCharacterOfPosition(
+        specifier.getStart(sourceFile)
+      );
+
+      imports.push({
+        from: (specifier as ts.StringLiteralLike).text,
+        type,
+        imported: imported.length > 0 ? imported : undefined,
+        line: line + 1,
+        column: character + 1,
+      });
+    };
+
     const visit = (node: ts.Node) => {
       if (ts.isImportDeclaration(node)) {
         const moduleSpecifier = node.moduleSpecifier;
         if (ts.isStringLiteral(moduleSpecifier)) {
-          const from = moduleSpecifier.text;
           const imported: string[] = [];
+          let typeOnly = false;
 
           if (node.importClause) {
             const { namedBindings } = node.importClause;
 
-            // import { A, B } from 'module'
+            // import { A, B as C } from 'module' (records the exported names A, B)
             if (namedBindings && ts.isNamedImports(namedBindings)) {
               namedBindings.elements.forEach((element) => {
-                imported.push(element.name.text);
+                imported.push((element.propertyName ?? element.name).text);
               });
             }
 
-            // import * as name from 'module'
+            // import * as name from 'module' (the whole module, no single symbol)
             if (namedBindings && ts.isNamespaceImport(namedBindings)) {
-              imported.push(namedBindings.name.text);
+              imported.push("*");
             }
 
-            // import defaultName from 'module'
+            // import defaultName from 'module' (the export is named default)
             if (node.importClause.name) {
-              imported.push(node.importClause.name.text);
+              imported.push("default");
             }
+
+            // import type { A } from 'module', or import { type A, type B } from 'module'
+            typeOnly =
+              node.importClause.isTypeOnly ||
+              (!node.importClause.name &&
+                !!namedBindings &&
+                ts.isNamedImports(namedBindings) &&
+                namedBindings.elements.length > 0 &&
+                namedBindings.elements.every((element) => element.isTypeOnly));
           }
 
-          imports.push({
-            from,
-            type: "import_statement",
-            imported: imported.length > 0 ? imported : undefined,
-          });
+          add(moduleSpecifier, typeOnly ? "import_type" : "import_statement", imported);
         }
       }
 
+      // export { a, b as c } from 'module', export * from 'module'
+      if (
+        ts.isExportDeclaration(node) &&
+        node.moduleSpecifier &&
+        ts.isStringLiteral(node.moduleSpecifier)
+      ) {
+        const { exportClause } = node;
+        const imported =
+          exportClause && ts.isNamedExports(exportClause)
+            ? exportClause.elements.map((element) => (element.propertyName ?? element.name).text)
+            : ["*"];
+        const typeOnly =
+          node.isTypeOnly ||
+          (!!exportClause &&
+            ts.isNamedExports(exportClause) &&
+            exportClause.elements.length > 0 &&
+            exportClause.elements.every((element) => element.isTypeOnly));
+
+        add(node.moduleSpecifier, typeOnly ? "re_export_type" : "re_export", imported);
+      }
+
+      // import name = require('module')
+      if (
+        ts.isImportEqualsDeclaration(node) &&
+        ts.isExternalModuleReference(node.moduleReference) &&
+        ts.isStringLiteral(node.moduleReference.expression)
+      ) {
+        add(node.moduleReference.expression, node.isTypeOnly ? "import_type" : "require");
+      }
+
+      if (ts.isCallExpression(node) && node.arguments.length >= 1) {
+        const [argument] = node.arguments;
+
+        // require('module'), with the names a destructuring picks
+        if (
+          ts.isIdentifier(node.expression) &&
+          node.expression.text === "require" &&
+          ts.isStringLiteralLike(argument)
+        ) {
+          add(argument, "require", this.destructuredNames(node));
+        }
+
+        // import('module')
+        if (node.expression.kind === ts.SyntaxKind.ImportKeyword && ts.isStringLiteralLike(argument)) {
+          add(argument, "dynamic_import");
+        }
+      }
+
+      // type T = import('module').Name
+      if (
+        ts.isImportTypeNode(node) &&
+        ts.isLiteralTypeNode(node.argument) &&
+        ts.isStringLiteral(node.argument.literal)
+      ) {
+        add(node.argument.literal, "import_type", node.qualifier ? [leftmost(node.qualifier).text] : []);
+      }
+
       ts.forEachChild(node, visit);
     };
 
@@ -239,84 +595,282 @@ class TypeScriptScanner {
     return imports;
   }
 
-  private extractFeatureFlags(content: string): string[] {
-    const flags = new Set<string>();
-
-    // Pattern: featureFlags.isEnabled('flag_name')
-    const pattern1 = /featureFlags\.isEnabled\(['"](\w+)['"]\)/g;
-    let match;
-    while ((match = pattern1.exec(content)) !== null) {
-      flags.add(match[1]);
+  /**
+   * Names taken by `const { a, b: c } = require('module')`; none for any
+   * other use of the call
+   */
+  private destructuredNames(call: ts.CallExpression): string[] {
+    const parent = call.parent;
+    if (!parent || !ts.isVariableDeclaration(parent) || !ts.isObjectBindingPattern(parent.name)) {
+      return [];
     }
 
-    // Pattern: FeatureFlags.enabled('flag_name')
-    const pattern2 = /FeatureFlags\.enabled\(['"](\w+)['"]\)/g;
-    while ((match = pattern2.exec(content)) !== null) {
-      flags.add(match[1]);
-    }
+    return parent.name.elements.flatMap((element) => {
+      const name = element.propertyName ?? element.name;
+      return ts.isIdentifier(name) ? [name.text] : [];
+    });
+  }
 
-    // Pattern: useFeatureFlag('flag_name')
-    const pattern3 = /useFeatureFlag\(['"](\w+)['"]\)/g;
-    while ((match = pattern3.exec(content)) !== null) {
-      flags.add(match[1]);
-    }
+  /**
+   * Calls matching the detectors whose name argument evaluates to a string
+   */
+  private extractGates(sourceFile: ts.SourceFile): Gate[] {
+    const gates: Gate[] = [];
+    const detectors = [
+      ...this.detectors.feature_flags.map((d) => ({ ...d, kind: "feature_flag" as const })),
+      ...this.detectors.permissions.map((d) => ({ ...d, kind: "permission" as const })),
+    ].map((d) => ({ ...d, segments: d.call.split(".") }));
+    const constants = new ConstantEvaluator(sourceFile);
+
+    const visit = (node: ts.Node) => {
+      if (ts.isCallExpression(node)) {
+        const callee = calleePath(node.expression);
+
+        for (const detector of callee ? detectors : []) {
+          if (!endsWith(callee!, detector.segments)) continue;
+
+          const argument = node.arguments[detector.arg ?? 0];
+          const name = argument && constants.evaluate(argument);
+          if (name === null || name === undefined) continue;
+
+          const { line, character } = sourceFile.getLineAndCharacterOfPosition(
+            argument.getStart(sourceFile)
+          );
+          gates.push({
+            kind: detector.kind,
+            name,
+            call: detector.call,
+            line: line + 1,
+            column: character + 1,
+          });
+        }
+      }
+
+      ts.forEachChild(node, visit);
+    };
+
+    visit(sourceFile);
+    return gates;
+  }
+}
+
+/**
+ * Member path of a callee, e.g. ["this", "flags", "isOn"]; a call in the
+ * chain contributes its own callee (`getFlags().isOn` is getFlags.isOn).
+ * Null for callees that aren't names.
+ */
+function calleePath(expression: ts.Expression): string[] | null {
+  if (ts.isIdentifier(expression)) return [expression.text];
+  if (expression.kind === ts.SyntaxKind.ThisKeyword) return ["this"];
+  if (ts.isPropertyAccessExpression(expression)) {
+    const object = calleePath(expression.expression);
+    return object && [...object, expression.name.text];
+  }
+  if (ts.isElementAccessExpression(expression) && ts.isStringLiteralLike(expression.argumentExpression)) {
+    const object = calleePath(expression.expression);
+    return object && [...object, expression.argumentExpression.text];
+  }
+  if (ts.isCallExpression(expression) || ts.isNonNullExpression(expression) || ts.isParenthesizedExpression(expression)) {
+    return calleePath(expression.expression);
+  }
+  return null;
+}
+
+/**
+ * Whether a callee path ends with the detector's segments ("*" matches any one)
+ */
+function endsWith(callee: string[], segments: string[]): boolean {
+  if (segments.length > callee.length) return false;
+  const tail = callee.slice(callee.length - segments.length);
+  return segments.every((segment, i) => segment === "*" || segment === tail[i]);
+}
+
+/**
+ * Evaluates expressions to strings when they are literals, template
+ * literals, concatenations, or references to constants of the same file:
+ * `const FLAG = "x"`, `const Flags = { NEW_UI: "new_ui" } as const`, and
+ * string enum members
+ */
+class ConstantEvaluator {
+  private constants = new Map<string, ts.Expression>();
+  private enums = new Map<string, ts.EnumDeclaration>();
 
-    return Array.from(flags).sort();
+  constructor(sourceFile: ts.SourceFile) {
+    const visit = (node: ts.Node) => {
+      if (
+        ts.isVariableDeclarationList(node) &&
+        node.flags & ts.NodeFlags.Const
+      ) {
+        for (const declaration of node.declarations) {
+          if (ts.isIdentifier(declaration.name) && declaration.initializer) {
+            this.constants.set(declaration.name.text, declaration.initializer);
+          }
+        }
+      }
+      if (ts.isEnumDeclaration(node)) {
+        this.enums.set(node.name.text, node);
+      }
+      ts.forEachChild(node, visit);
+    };
+    visit(sourceFile);
   }
 
-  private extractPermissions(content: string): string[] {
-    const permissions = new Set<string>();
+  evaluate(expression: ts.Expression, depth = 0): string | null {
+    if (depth > 16) return null;
+    const next = (e: ts.Expression) => this.evaluate(e, depth + 1);
+
+    if (ts.isStringLiteralLike(expression)) return expression.text;
+    if (
+      ts.isParenthesizedExpression(expression) ||
+      ts.isAsExpression(expression) ||
+      ts.isSatisfiesExpression(expression) ||
+      ts.isNonNullExpression(expression)
+    ) {
+      return next(expression.expression);
+    }
 
-    // Pattern: user.can('permission_name')
-    const pattern1 = /user\.can\(['"](\w+)['"]\)/g;
-    let match;
-    while ((match = pattern1.exec(content)) !== null) {
-      permissions.add(match[1]);
+    if (ts.isTemplateExpression(expression)) {
+      let text = expression.head.text;
+      for (const span of expression.templateSpans) {
+        const value = next(span.expression);
+        if (value === null) return null;
+        text += value + span.literal.text;
+      }
+      return text;
     }
 
-    // Pattern: hasPermission('permission_name')
-    const pattern2 = /hasPermission\(['"](\w+)['"]\)/g;
-    while ((match = pattern2.exec(content)) !== null) {
-      permissions.add(match[1]);
+    if (ts.isBinaryExpression(expression) && expression.operatorToken.kind === ts.SyntaxKind.PlusToken) {
+      const left = next(expression.left);
+      const right = left === null ? null : next(expression.right);
+      return left === null || right === null ? null : left + right;
     }
 
-    // Pattern: usePermission('permission_name')
-    const pattern3 = /usePermission\(['"](\w+)['"]\)/g;
-    while ((match = pattern3.exec(content)) !== null) {
-      permissions.add(match[1]);
+    if (ts.isIdentifier(expression)) {
+      const value = this.constants.get(expression.text);
+      return value ? next(value) : null;
+    }
+
+    // Flags.NEW_UI or Flags["NEW_UI"]
+    const member = ts.isPropertyAccessExpression(expression)
+      ? expression.name.text
+      : ts.isElementAccessExpression(expression) && ts.isStringLiteralLike(expression.argumentExpression)
+        ? expression.argumentExpression.text
+        : null;
+    if (member !== null && ts.isIdentifier((expression as ts.PropertyAccessExpression).expression)) {
+      const owner = ((expression as ts.PropertyAccessExpression).expression as ts.Identifier).text;
+
+      const enumeration = this.enums.get(owner);
+      if (enumeration) {
+        const enumMember = enumeration.members.find(
+          (m) => (ts.isIdentifier(m.name) || ts.isStringLiteral(m.name)) && m.name.text === member
+        );
+        return enumMember?.initializer ? next(enumMember.initializer) : null;
+      }
+
+      let object = this.constants.get(owner);
+      while (object && (ts.isAsExpression(object) || ts.isSatisfiesExpression(object) || ts.isParenthesizedExpression(object))) {
+        object = object.expression;
+      }
+      if (object && ts.isObjectLiteralExpression(object)) {
+        const property = object.properties.find(
+          (p): p is ts.PropertyAssignment =>
+            ts.isPropertyAssignment(p) &&
+            (ts.isIdentifier(p.name) || ts.isStringLiteral(p.name)) &&
+            p.name.text === member
+        );
+        return property ? next(property.initializer) : null;
+      }
     }
 
-    return Array.from(permissions).sort();
+    return null;
   }
 }
 
+/**
+ * First identifier of a (qualified) name, e.g. A in A.B.C
+ */
+function leftmost(name: ts.EntityName): ts.Identifier {
+  let left = name;
+  while (ts.isQualifiedName(left)) left = left.left;
+  return left;
+}
+
 async function main() {
   const args = process.argv.slice(2);
+  const options: Record<string, string> = {};
+  const fileLists: string[] = [];
+  let useCache = true;
+  const positional: string[] = [];
+
+  for (let i = 0; i < args.length; i++) {
+    const match = args[i].match(/^--(config|files|changed-since|cache-dir)(?:=(.*))?$/);
+    if (match) {
+      const value = match[2] ?? args[++i];
+      if (match[1] === "files") fileLists.push(value);
+      else options[match[1]] = value;
+    } else if (args[i] === "--no-cache") {
+      useCache = false;
+    } else {
+      positional.push(args[i]);
+    }
+  }
 
-  if (args.length < 1) {
-    console.error("Usage: node ts_scanner.ts <directory>");
+  if (positional.length < 1) {
+    console.error("Usage: node ts_scanner.ts <directory> [--config lexmap.policy.json]");
+    console.error("                          [--files <a.ts,b.ts|->] [--changed-since <git-ref>]");
+    console.error("                          [--cache-dir <dir>] [--no-cache]");
     console.error("");
     console.error(
       "Outputs JSON conforming to ../docs/schemas/scanner-output.schema.json"
     );
+    console.error("--config reads feature flag and permission detectors from its `detectors` section.");
+    console.error("--files and --changed-since scan only those files and mark the output partial.");
     process.exit(1);
   }
 
-  const directory = args[0];
+  const directory = positional[0];
 
   if (!fs.existsSync(directory) || !fs.statSync(directory).isDirectory()) {
     console.error(`Error: ${directory} is not a directory`);
     process.exit(1);
   }
 
-  const scanner = new TypeScriptScanner(directory);
-  const output = await scanner.scan();
+  let detectors: Detectors = {};
+  let only: string[] | undefined;
+  try {
+    if (options.config !== undefined) {
+      detectors = loadDetectors(options.config);
+    }
+    if (fileLists.length > 0 || options["changed-since"] !== undefined) {
+      only = fileLists.flatMap((list) =>
+        list === "-" ? fs.readFileSync(0, "utf-8").split(/\r?\n/) : list.split(",")
+      );
+      if (options["changed-since"] !== undefined) {
+        only.push(...changedFiles(directory, options["changed-since"]));
+      }
+      only = only.map((file) => file.trim()).filter(Boolean);
+    }
+  } catch (error: any) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+
+  const cache = useCache ? new ScanCache(options["cache-dir"] ?? ".lexmap-cache") : null;
+  const scanner = new TypeScriptScanner(directory, detectors, cache);
+  const output = await scanner.scan(only);
+
+  if (cache) {
+    console.error(`Scanned ${output.files.length} files (${cache.hits} from cache)`);
+  }
 
   // Output JSON to stdout
   console.log(JSON.stringify(output, null, 2));
 }
 
-main().catch((error) => {
-  console.error("Error:", error);
-  process.exit(1);
-});
+// Run only when invoked directly, not when imported by the MCP server
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch((error) => {
+    console.error("Error:", error);
+    process.exit(1);
+  });
+}
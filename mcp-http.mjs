@@ -2,376 +2,454 @@
 /**
  * LexMap MCP HTTP Server
  *
- * Serves LexMap tools via MCP-over-HTTP endpoints.
- * Similar to LexBrain's HTTP mode but for architectural policy queries.
+ * Serves LexMap over the MCP Streamable HTTP transport, so standard MCP
+ * clients can connect over HTTP as well as stdio (mcp-server.mjs). Tools,
+ * resources and prompts come from the shared registry in ./mcp.
  *
- * This server provides MCP tool interfaces that return instructions for running
- * LexMap CLI commands. The actual indexing/querying happens via the CLI.
+ * Transport:
+ *   POST   /mcp   - JSON-RPC message or batch. Replies with JSON, or with an
+ *                   SSE stream when the client accepts text/event-stream.
+ *                   Notification-only bodies get 202 Accepted.
+ *   GET    /mcp   - SSE stream for server-initiated messages
+ *   DELETE /mcp   - End the session
+ *
+ * `initialize` creates a session and returns its ID in the Mcp-Session-Id
+ * header; every later request must send that header back. A session without
+ * requests or open GET streams for LEXMAP_SESSION_IDLE_MS is ended. Ending a
+ * session cancels its running jobs. Bodies over 1 MiB get 413.
+ *
+ * Index, slice and query tools run the codemap-indexer logic in-process
+ * against LexBrain (requires a built codemap-indexer). lexmap.index runs as a
+ * background job owned by the session that started it. When the call sends
+ * a progressToken, notifications/progress go to the session's GET streams once
+ * the tools/call response has ended; lexmap.job_status reports the result.
+ *
+ * The policy file is watched: valid edits take effect immediately and are
+ * announced to every session's GET stream with list_changed notifications.
  *
  * Usage:
  *   node mcp-http.mjs
  *
  * Environment variables:
  *   PORT                 - HTTP port (default: 8124)
+ *   HOST                 - Interface to bind (default: 127.0.0.1; 0.0.0.0
+ *                          exposes the server to the network)
+ *   LEXMAP_SESSION_IDLE_MS - Idle time before a session ends (default: 30 min)
  *   LEXMAP_POLICY        - Path to policy JSON (default: ./lexmap.policy.json)
  *   LEXMAP_CONFIG        - Path to config JSON (default: ./lexmap.config.json)
+ *   LEXMAP_ALLOWED_ORIGINS - Comma-separated browser origins allowed besides
+ *                          localhost ("*" allows any)
+ *   LEXBRAIN_URL         - LexBrain endpoint (default: http://localhost:8123)
+ *   LEXBRAIN_MODE        - Storage mode: local|zk (default: local)
+ *   LEXBRAIN_KEY_HEX     - AES key for zk mode
  */
 
 import { createServer } from "http";
+import { randomUUID } from "crypto";
 import { resolve, dirname } from "path";
 import { fileURLToPath } from "url";
-import { readFileSync, existsSync } from "fs";
+import { cancelJob, listJobs } from "./mcp/jobs.mjs";
+import { createPolicyStore } from "./mcp/policy.mjs";
+import {
+  createDispatcher,
+  errorResponse,
+  policyChangedNotifications,
+  PARSE_ERROR,
+  INVALID_REQUEST,
+} from "./mcp/protocol.mjs";
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
 // Configuration from environment
 const config = {
   port: parseInt(process.env.PORT || "8124"),
+  host: process.env.HOST || "127.0.0.1",
+  sessionIdleMs: parseInt(process.env.LEXMAP_SESSION_IDLE_MS || String(30 * 60 * 1000)),
   policyPath:
     process.env.LEXMAP_POLICY || resolve(__dirname, "lexmap.policy.json"),
   configPath:
     process.env.LEXMAP_CONFIG || resolve(__dirname, "lexmap.config.json"),
+  allowedOrigins: (process.env.LEXMAP_ALLOWED_ORIGINS || "")
+    .split(",")
+    .map((o) => o.trim())
+    .filter(Boolean),
 };
 
+const MCP_PATH = "/mcp";
+const SSE_KEEPALIVE_MS = 25000;
+const MAX_BODY_BYTES = 1024 * 1024;
+
 console.log(`[LexMap] Starting HTTP MCP server on port ${config.port}`);
 console.log(`[LexMap] Policy: ${config.policyPath}`);
 
-// Load policy if it exists
-let policy = null;
-if (existsSync(config.policyPath)) {
+// Session ID -> { streams: Set of open GET SSE responses, lastSeen: ms }
+const sessions = new Map();
+
+// Load policy if it exists, and reload it whenever the file changes
+const policyStore = createPolicyStore({
+  policyPath: config.policyPath,
+  log: console.log,
+  onChange: () => policyChangedNotifications().forEach(broadcast),
+});
+
+const dispatch = createDispatcher({ config, policyStore });
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function openEventStream(res, headers = {}) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    ...headers,
+  });
+  res.flushHeaders();
+}
+
+function writeEvent(res, message) {
+  res.write(`event: message\ndata: ${JSON.stringify(message)}\n\n`);
+}
+
+/**
+ * Deliver a server-initiated message on the session's GET streams
+ */
+function sendToSession(sessionId, message) {
+  const session = sessions.get(sessionId);
+  if (!session) return;
+  for (const stream of session.streams) {
+    writeEvent(stream, message);
+  }
+}
+
+/**
+ * Deliver a server-initiated message to every session
+ */
+function broadcast(message) {
+  for (const sessionId of sessions.keys()) {
+    sendToSession(sessionId, message);
+  }
+}
+
+/**
+ * DNS-rebinding protection: browsers must come from localhost or an
+ * explicitly allowed origin. Non-browser clients send no Origin.
+ */
+function isAllowedOrigin(origin) {
+  if (!origin) return true;
+  if (config.allowedOrigins.includes("*")) return true;
+  if (config.allowedOrigins.includes(origin)) return true;
+
   try {
-    policy = JSON.parse(readFileSync(config.policyPath, "utf8"));
-    console.log(`[LexMap] Loaded policy: ${policy.policy_id || "unknown"}`);
-  } catch (err) {
-    console.error(
-      `[LexMap] Warning: Could not parse policy file: ${err.message}`
-    );
+    const { hostname } = new URL(origin);
+    return ["localhost", "127.0.0.1", "[::1]"].includes(hostname);
+  } catch {
+    return false;
+  }
+}
+
+function readBody(req) {
+  return new Promise((resolvePromise, reject) => {
+    const chunks = [];
+    let size = 0;
+    const onData = (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        // Drain the rest so the 413 response can still be sent
+        req.off("data", onData);
+        req.resume();
+        reject(
+          Object.assign(new Error(`Request body exceeds ${MAX_BODY_BYTES} bytes`), {
+            status: 413,
+          })
+        );
+        return;
+      }
+      chunks.push(chunk);
+    };
+    req.on("data", onData);
+    req.on("end", () => resolvePromise(Buffer.concat(chunks).toString()));
+    req.on("error", reject);
+  });
+}
+
+/**
+ * End a session: close its GET streams and cancel its running jobs
+ */
+function endSession(sessionId, reason) {
+  const session = sessions.get(sessionId);
+  if (!session) return;
+
+  for (const stream of session.streams) {
+    stream.end();
   }
+  for (const job of listJobs(sessionId)) {
+    cancelJob(sessionId, job.id, reason);
+  }
+  sessions.delete(sessionId);
 }
 
-// MCP tool definitions
-const tools = [
-  {
-    name: "lexmap.index",
-    description: "Index codebase and store architectural graph in LexBrain",
-    input_schema: {
-      type: "object",
-      properties: {
-        cold: {
-          type: "boolean",
-          description: "Full rebuild (default: incremental)",
-          default: false,
-        },
-        determinism_target: {
-          type: "number",
-          description: "Min static edge ratio",
-          default: 0.95,
-        },
-        heuristics: {
-          type: "string",
-          enum: ["off", "hard", "auto"],
-          description: "Heuristics mode",
-          default: "auto",
-        },
-        policy_path: {
-          type: "string",
-          description: "Override policy JSON path",
-        },
-      },
-    },
-  },
-  {
-    name: "lexmap.slice",
-    description:
-      "Return compact slice for a symbol/path with dependency context",
-    input_schema: {
-      type: "object",
-      required: ["symbol"],
-      properties: {
-        symbol: {
-          type: "string",
-          description: "Symbol FQN or ID to slice around",
-        },
-        radius: {
-          type: "integer",
-          description: "Hop distance (default: 2)",
-          default: 2,
-          minimum: 1,
-          maximum: 10,
-        },
-      },
-    },
-  },
-  {
-    name: "lexmap.query",
-    description:
-      "Run architectural queries (callers, callees, violations, patterns)",
-    input_schema: {
-      type: "object",
-      required: ["type"],
-      properties: {
-        type: {
-          type: "string",
-          enum: [
-            "callers",
-            "callees",
-            "module_deps",
-            "recent_patterns",
-            "violations",
-          ],
-          description: "Query type",
-        },
-        args: {
-          type: "object",
-          description: "Query-specific arguments",
-          default: {},
-        },
-      },
-    },
-  },
-  {
-    name: "lexmap.policy_check",
-    description: "Check if proposed changes violate architectural policy",
-    input_schema: {
-      type: "object",
-      required: ["changes"],
-      properties: {
-        changes: {
-          type: "array",
-          description: "Array of proposed code changes",
-          items: {
-            type: "object",
-            required: ["file", "type"],
-            properties: {
-              file: { type: "string" },
-              type: {
-                type: "string",
-                enum: ["add", "modify", "delete"],
-              },
-              content: { type: "string" },
-            },
-          },
-        },
-      },
-    },
-  },
-];
+/**
+ * End sessions that sent no request for sessionIdleMs and have no open
+ * GET stream
+ */
+function expireIdleSessions() {
+  const now = Date.now();
+  for (const [sessionId, session] of sessions) {
+    if (session.streams.size === 0 && now - session.lastSeen > config.sessionIdleMs) {
+      console.log(`[LexMap] Session ${sessionId} expired after ${config.sessionIdleMs} ms idle`);
+      endSession(sessionId, "session expired");
+    }
+  }
+}
 
-// HTTP request handler
-const server = createServer(async (req, res) => {
-  // CORS headers
-  res.setHeader("Access-Control-Allow-Origin", "*");
-  res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+/**
+ * Resolve the request's session, replying with an error if it is missing
+ * or unknown. Returns the session ID, or null if a reply was sent.
+ */
+function requireSession(req, res) {
+  const sessionId = req.headers["mcp-session-id"];
+
+  if (!sessionId) {
+    sendJson(
+      res,
+      400,
+      errorResponse(null, INVALID_REQUEST, "Missing Mcp-Session-Id header")
+    );
+    return null;
+  }
 
-  if (req.method === "OPTIONS") {
-    res.writeHead(204);
-    res.end();
+  const session = sessions.get(sessionId);
+  if (!session) {
+    sendJson(
+      res,
+      404,
+      errorResponse(null, INVALID_REQUEST, `Session not found: ${sessionId}`)
+    );
+    return null;
+  }
+
+  session.lastSeen = Date.now();
+  return sessionId;
+}
+
+async function handlePost(req, res) {
+  let text;
+  try {
+    text = await readBody(req);
+  } catch (error) {
+    if (error.status !== 413) throw error;
+    sendJson(res, 413, errorResponse(null, INVALID_REQUEST, error.message));
     return;
   }
 
-  // Parse URL
-  const url = new URL(req.url, `http://${req.headers.host}`);
+  let body;
+  try {
+    body = JSON.parse(text);
+  } catch (error) {
+    sendJson(
+      res,
+      400,
+      errorResponse(null, PARSE_ERROR, `Parse error: ${error.message}`)
+    );
+    return;
+  }
+
+  const messages = Array.isArray(body) ? body : [body];
+  const isInitialize = messages.some((m) => m?.method === "initialize");
+  let sessionId;
+  const headers = {};
+
+  if (isInitialize) {
+    if (messages.length > 1) {
+      sendJson(
+        res,
+        400,
+        errorResponse(
+          null,
+          INVALID_REQUEST,
+          "initialize must not be part of a batch"
+        )
+      );
+      return;
+    }
+
+    sessionId = randomUUID();
+    sessions.set(sessionId, { streams: new Set(), lastSeen: Date.now() });
+    headers["Mcp-Session-Id"] = sessionId;
+  } else {
+    sessionId = requireSession(req, res);
+    if (!sessionId) return;
+  }
+
+  const hasRequests = messages.some(
+    (m) => m && typeof m.method === "string" && "id" in m
+  );
 
-  // GET /mcp/tools/list
-  if (req.method === "GET" && url.pathname === "/mcp/tools/list") {
-    res.writeHead(200, { "Content-Type": "application/json" });
-    res.end(JSON.stringify({ tools }));
+  // Notifications and responses only: accept without a body
+  if (!hasRequests) {
+    await dispatch(body, (message) => sendToSession(sessionId, message), sessionId);
+    res.writeHead(202, headers);
+    res.end();
     return;
   }
 
-  // POST /mcp/tools/call
-  if (req.method === "POST" && url.pathname === "/mcp/tools/call") {
-    let body = "";
-    req.on("data", (chunk) => {
-      body += chunk.toString();
-    });
-
-    req.on("end", async () => {
-      try {
-        const { name, arguments: args } = JSON.parse(body);
-
-        if (!name) {
-          res.writeHead(400, { "Content-Type": "application/json" });
-          res.end(JSON.stringify({ error: "Missing tool name" }));
-          return;
-        }
-
-        const result = await handleToolCall(name, args || {});
-        res.writeHead(200, { "Content-Type": "application/json" });
-        res.end(JSON.stringify(result));
-      } catch (error) {
-        res.writeHead(500, { "Content-Type": "application/json" });
-        res.end(JSON.stringify({ error: error.message }));
-      }
-    });
+  const accept = req.headers.accept || "";
+
+  if (accept.includes("text/event-stream")) {
+    // Stream notifications raised while handling, then the response
+    openEventStream(res, headers);
+    // Notifications from background jobs outlive this response; once it has
+    // ended they go to the session's GET streams instead
+    const response = await dispatch(body, (message) =>
+      res.writableEnded
+        ? sendToSession(sessionId, message)
+        : writeEvent(res, message),
+      sessionId
+    );
+    if (response) writeEvent(res, response);
+    res.end();
     return;
   }
 
-  // Health check
-  if (req.method === "GET" && url.pathname === "/health") {
-    res.writeHead(200, { "Content-Type": "application/json" });
-    res.end(JSON.stringify({ status: "ok", service: "lexmap-mcp" }));
+  const response = await dispatch(
+    body,
+    (message) => sendToSession(sessionId, message),
+    sessionId
+  );
+  sendJson(res, 200, response, headers);
+}
+
+function handleGet(req, res) {
+  const accept = req.headers.accept || "";
+  if (!accept.includes("text/event-stream")) {
+    res.writeHead(405, { Allow: "POST, DELETE" });
+    res.end();
     return;
   }
 
-  // 404
-  res.writeHead(404, { "Content-Type": "application/json" });
-  res.end(JSON.stringify({ error: "Not found" }));
-});
+  const sessionId = requireSession(req, res);
+  if (!sessionId) return;
 
-async function handleToolCall(name, args) {
-  switch (name) {
-    case "lexmap.index": {
-      // Build command arguments
-      const cmdArgs = ["index"];
-      if (args.cold) cmdArgs.push("--cold");
-      if (args.determinism_target)
-        cmdArgs.push("--determinism-target", String(args.determinism_target));
-      if (args.heuristics) cmdArgs.push("--heuristics", args.heuristics);
-      if (args.policy_path) cmdArgs.push("--policy", args.policy_path);
-
-      return {
-        content: [
-          {
-            type: "text",
-            text: `LexMap indexing scheduled:\n  Policy: ${
-              args.policy_path || config.policyPath
-            }\n  Mode: ${args.cold ? "cold" : "incremental"}\n  Target: ${
-              args.determinism_target || 0.95
-            }\n\nNote: Full indexing requires running the codemap-indexer CLI.\nCommand: pnpm --filter @lex/lexmap-indexer dev ${cmdArgs.join(
-              " "
-            )}`,
-          },
-        ],
-      };
-    }
+  const { streams } = sessions.get(sessionId);
+  openEventStream(res);
+  streams.add(res);
 
-    case "lexmap.slice": {
-      if (!args.symbol) {
-        throw new Error("symbol parameter is required");
-      }
+  const keepalive = setInterval(
+    () => res.write(": keepalive\n\n"),
+    SSE_KEEPALIVE_MS
+  );
+  req.on("close", () => {
+    clearInterval(keepalive);
+    streams.delete(res);
+    // The idle time counts from when the last stream closed
+    const session = sessions.get(sessionId);
+    if (session) session.lastSeen = Date.now();
+  });
+}
 
-      const radius = args.radius || 2;
+function handleDelete(req, res) {
+  const sessionId = requireSession(req, res);
+  if (!sessionId) return;
 
-      return {
-        content: [
-          {
-            type: "text",
-            text: `LexMap slice request:\n  Symbol: ${args.symbol}\n  Radius: ${radius}\n\nNote: Slice generation requires running the codemap-indexer CLI.\nCommand: pnpm --filter @lex/lexmap-indexer dev slice --symbol "${args.symbol}" --radius ${radius}`,
-          },
-        ],
-      };
-    }
+  endSession(sessionId, "session ended");
 
-    case "lexmap.query": {
-      if (!args.type) {
-        throw new Error("type parameter is required");
-      }
+  res.writeHead(204);
+  res.end();
+}
 
-      const queryArgs = args.args || {};
-
-      return {
-        content: [
-          {
-            type: "text",
-            text: `LexMap query request:\n  Type: ${
-              args.type
-            }\n  Args: ${JSON.stringify(
-              queryArgs
-            )}\n\nNote: Query execution requires running the codemap-indexer CLI.\nCommand: pnpm --filter @lex/lexmap-indexer dev query --type ${
-              args.type
-            } --args '${JSON.stringify(queryArgs)}'`,
-          },
-        ],
-      };
-    }
+// HTTP request handler
+const server = createServer(async (req, res) => {
+  const origin = req.headers.origin;
 
-    case "lexmap.policy_check": {
-      if (!args.changes || !Array.isArray(args.changes)) {
-        throw new Error("changes parameter must be an array");
-      }
+  if (!isAllowedOrigin(origin)) {
+    sendJson(res, 403, { error: `Origin not allowed: ${origin}` });
+    return;
+  }
 
-      if (!policy) {
-        return {
-          content: [
-            {
-              type: "text",
-              text: `No policy loaded. Cannot check violations.\nLoad policy from: ${config.policyPath}`,
-            },
-          ],
-        };
-      }
+  // CORS headers
+  res.setHeader("Access-Control-Allow-Origin", origin || "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, DELETE, OPTIONS");
+  res.setHeader(
+    "Access-Control-Allow-Headers",
+    "Content-Type, Accept, Mcp-Session-Id, Mcp-Protocol-Version, Last-Event-ID"
+  );
+  res.setHeader("Access-Control-Expose-Headers", "Mcp-Session-Id");
 
-      // Basic policy check simulation
-      const violations = [];
-
-      // Example: check for forbidden dependencies
-      for (const change of args.changes) {
-        if (change.type === "add" || change.type === "modify") {
-          // Placeholder violation detection
-          if (change.content && change.content.includes("eval(")) {
-            violations.push({
-              file: change.file,
-              rule: "no-eval",
-              message: "Use of eval() is forbidden by security policy",
-            });
-          }
-        }
-      }
+  if (req.method === "OPTIONS") {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
 
-      const status = violations.length === 0 ? "✓ PASS" : "✗ FAIL";
-      const summary =
-        violations.length === 0
-          ? "All changes comply with architectural policy"
-          : `Found ${violations.length} policy violation(s)`;
-
-      return {
-        content: [
-          {
-            type: "text",
-            text: `Policy Check: ${status}\n\n${summary}\n\n${
-              violations.length > 0
-                ? "Violations:\n" +
-                  violations
-                    .map((v) => `  - ${v.file}: [${v.rule}] ${v.message}`)
-                    .join("\n")
-                : ""
-            }`,
-          },
-        ],
-      };
+  // Parse URL
+  const url = new URL(req.url, `http://${req.headers.host}`);
+
+  try {
+    if (url.pathname === MCP_PATH) {
+      if (req.method === "POST") return await handlePost(req, res);
+      if (req.method === "GET") return handleGet(req, res);
+      if (req.method === "DELETE") return handleDelete(req, res);
+
+      res.writeHead(405, { Allow: "GET, POST, DELETE, OPTIONS" });
+      res.end();
+      return;
     }
 
-    default:
-      throw new Error(`Unknown tool: ${name}`);
+    // Health check
+    if (req.method === "GET" && url.pathname === "/health") {
+      sendJson(res, 200, {
+        status: "ok",
+        service: "lexmap-mcp",
+        sessions: sessions.size,
+      });
+      return;
+    }
+
+    // 404
+    sendJson(res, 404, { error: "Not found" });
+  } catch (error) {
+    if (!res.headersSent) {
+      sendJson(res, 500, { error: error.message });
+    } else {
+      res.end();
+    }
   }
-}
+});
+
+const expiry = setInterval(
+  expireIdleSessions,
+  Math.min(config.sessionIdleMs, 60 * 1000)
+);
+expiry.unref();
 
 // Start server
-server.listen(config.port, () => {
+server.listen(config.port, config.host, () => {
   console.log(
-    `[LexMap] MCP HTTP server listening on http://localhost:${config.port}`
+    `[LexMap] MCP HTTP server listening on http://${config.host}:${config.port}`
   );
   console.log(`[LexMap] Endpoints:`);
-  console.log(`  GET  /mcp/tools/list`);
-  console.log(`  POST /mcp/tools/call`);
-  console.log(`  GET  /health`);
+  console.log(`  POST   ${MCP_PATH}  (JSON-RPC, Streamable HTTP)`);
+  console.log(`  GET    ${MCP_PATH}  (SSE stream)`);
+  console.log(`  DELETE ${MCP_PATH}  (end session)`);
+  console.log(`  GET    /health`);
 });
 
 // Handle shutdown
-process.on("SIGINT", () => {
+function shutdown() {
   console.log("\n[LexMap] Shutting down...");
+  policyStore.close();
+  clearInterval(expiry);
+  for (const { streams } of sessions.values()) {
+    for (const stream of streams) stream.end();
+  }
   server.close(() => {
     console.log("[LexMap] Server closed");
     process.exit(0);
   });
-});
+}
 
-process.on("SIGTERM", () => {
-  console.log("\n[LexMap] Shutting down...");
-  server.close(() => {
-    console.log("[LexMap] Server closed");
-    process.exit(0);
-  });
-});
+process.on("SIGINT", shutdown);
+process.on("SIGTERM", shutdown);
@@ -0,0 +1,95 @@
+/**
+ * LexMap MCP codemap bridge
+ *
+ * Runs the codemap-indexer index, slice and query logic in-process for the
+ * MCP servers. The indexer is loaded from its compiled output, so run
+ * `pnpm --filter @lex/lexmap-indexer build` before starting a server.
+ *
+ * Environment variables:
+ *   LEXBRAIN_URL         - LexBrain endpoint (default: http://localhost:8123)
+ *   LEXBRAIN_MODE        - Storage mode: local|zk (default: local)
+ *   LEXBRAIN_KEY_HEX     - AES key for zk mode
+ */
+
+import { resolve, dirname } from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+import { existsSync } from "fs";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const indexerDist = resolve(__dirname, "../packages/codemap-indexer/dist");
+
+export const lexbrainConfig = {
+  url: process.env.LEXBRAIN_URL || "http://localhost:8123",
+  mode: process.env.LEXBRAIN_MODE || "local",
+  keyHex: process.env.LEXBRAIN_KEY_HEX,
+};
+
+/**
+ * Import a compiled indexer module, failing with a hint when it isn't built
+ */
+export async function loadIndexerModule(relativePath) {
+  const modulePath = resolve(indexerDist, relativePath);
+  if (!existsSync(modulePath)) {
+    throw new Error(
+      `codemap-indexer is not built (missing ${relativePath}). Run: pnpm --filter @lex/lexmap-indexer build`
+    );
+  }
+  return import(pathToFileURL(modulePath).href);
+}
+
+async function connect() {
+  const { initCompress } = await loadIndexerModule("compress.js");
+  const { initLexBrain } = await loadIndexerModule("lexbrain.js");
+
+  await initCompress();
+  initLexBrain(lexbrainConfig);
+}
+
+/**
+ * Build the dependency slice around a symbol
+ */
+export async function sliceSymbol(symbol, radius) {
+  const { computeSlice } = await loadIndexerModule("commands/slice.js");
+  await connect();
+  return computeSlice(symbol, radius);
+}
+
+/**
+ * Run a callers/callees/module_deps/violations query; violations are
+ * checked against the policy's modules.allowed_deps
+ */
+export async function queryCodemap(type, args, policy) {
+  const { runQuery } = await loadIndexerModule("commands/query.js");
+  await connect();
+  return runQuery(type, args, policy ?? undefined);
+}
+
+/**
+ * Index the server's working directory and store frames in LexBrain,
+ * resolving to the run's MetricsData.
+ *
+ * hooks: { log, onProgress, signal } as accepted by runIndex
+ */
+export async function indexRepository(args, policyPath, hooks) {
+  const { runIndex } = await loadIndexerModule("commands/index.js");
+
+  const { metrics } = await runIndex(
+    {
+      cold: Boolean(args.cold),
+      planAi: false,
+      determinismTarget: String(args.determinism_target ?? 0.95),
+      heuristics: args.heuristics || "auto",
+      lexbrain: lexbrainConfig.url,
+      mode: lexbrainConfig.mode,
+      keyHex: lexbrainConfig.keyHex,
+      phpWorkers: "4",
+      tsWorkers: "4",
+      policy: policyPath,
+      serve: false,
+      port: "6902",
+    },
+    hooks
+  );
+
+  return metrics;
+}
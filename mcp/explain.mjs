@@ -0,0 +1,96 @@
+/**
+ * LexMap MCP file explanation
+ *
+ * Answers "what rules apply here" for a file path, PHP namespace or TS
+ * import specifier: the owning module (via the same ownership logic as
+ * LexMapChecker), which modules it may import and be imported by, and the
+ * module's exposes, permissions and feature flags.
+ */
+
+import { loadScanModule, repoRoot, toRepoPath } from "./policy-check.mjs";
+import { moduleUri } from "./resources.mjs";
+
+/**
+ * Resolve the target to its module and the rules that apply to it. from is
+ * the file importing the target when it is a specifier, so relative paths,
+ * tsconfig paths and workspace packages resolve the way the checker sees them.
+ */
+export async function explainTarget(policy, target, from) {
+  const { LexMapChecker } = await loadScanModule("lexmap-check.ts");
+  const checker = new LexMapChecker(policy, { root: repoRoot });
+
+  // A file path is the common case; fall back to namespace/import matching
+  let moduleId = checker.resolveFileToModule(toRepoPath(target));
+  let matchedBy = moduleId ? "path" : null;
+  if (!moduleId) {
+    moduleId = checker.resolveImportToModule(target, from && toRepoPath(from));
+    matchedBy = moduleId ? "import" : null;
+  }
+
+  if (!moduleId) {
+    return { target, module: null };
+  }
+
+  const module = policy.modules[moduleId];
+  const others = checker.moduleIds().filter((id) => id !== moduleId);
+
+  return {
+    target,
+    module: moduleId,
+    matched_by: matchedBy,
+    uri: moduleUri(moduleId),
+    description: module.description ?? null,
+    exposes: module.exposes || [],
+    requires_permissions: module.requires_permissions || [],
+    feature_flags: module.feature_flags || [],
+    may_import: others.filter((id) => checker.canCall(moduleId, id)),
+    may_not_import: others.filter((id) => !checker.canCall(moduleId, id)),
+    may_be_imported_by: others.filter((id) => checker.canCall(id, moduleId)),
+    allowed_callers: module.allowed_callers || [],
+    forbidden_callers: module.forbidden_callers || [],
+    notes: module.notes ?? null,
+  };
+}
+
+/**
+ * Run the explanation and format it as an MCP tool result
+ */
+export async function explainFileResult(policy, target, from) {
+  const info = await explainTarget(policy, target, from);
+
+  if (!info.module) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `No module owns ${target}.\nNo owns_paths or owns_namespaces entry in the policy matches it, so no boundary rules apply yet.`,
+        },
+      ],
+      structuredContent: info,
+    };
+  }
+
+  const list = (values, empty = "none") =>
+    values.length > 0 ? values.join(", ") : empty;
+
+  let text =
+    `${target} → module ${info.module} (matched by ${info.matched_by})\n` +
+    (info.description ? `${info.description}\n` : "") +
+    `\nMay import: ${list(info.may_import)}` +
+    `\nMay not import: ${list(info.may_not_import)}` +
+    `\nMay be imported by: ${list(info.may_be_imported_by)}` +
+    `\n  allowed_callers: ${list(info.allowed_callers, "any")}` +
+    `\n  forbidden_callers: ${list(info.forbidden_callers)}` +
+    `\nExposes: ${list(info.exposes)}` +
+    `\nRequires permissions: ${list(info.requires_permissions)}` +
+    `\nFeature flags: ${list(info.feature_flags)}\n`;
+
+  if (info.notes) {
+    text += `\nNotes: ${info.notes}\n`;
+  }
+
+  return {
+    content: [{ type: "text", text }],
+    structuredContent: info,
+  };
+}
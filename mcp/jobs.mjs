@@ -0,0 +1,111 @@
+/**
+ * LexMap MCP background jobs
+ *
+ * Long-running work (a cold index can take minutes) runs as a job: the tool
+ * call returns a job ID at once, progress goes out as notifications, and
+ * lexmap.job_status reports the outcome. A job can be cancelled with
+ * notifications/cancelled naming the request that started it (or its job
+ * ID).
+ *
+ * Jobs belong to the session that started them (null for stdio): request IDs
+ * are only unique within a session, so cancellation and lookups never reach
+ * another session's jobs.
+ */
+
+const jobs = new Map();
+/** Jobs by session and the request that started them */
+const jobsByRequest = new Map();
+let nextId = 1;
+
+function requestKey(session, requestId) {
+  return JSON.stringify([session, requestId]);
+}
+
+/**
+ * Start a job for a session. run(signal, job) does the work and resolves to
+ * its result; it should stop when signal is aborted.
+ */
+export function startJob(kind, session, requestId, run) {
+  const controller = new AbortController();
+  const job = {
+    id: `${kind}-${nextId++}`,
+    kind,
+    session,
+    requestId,
+    status: "running",
+    progress: null,
+    result: null,
+    error: null,
+    started_at: new Date().toISOString(),
+    finished_at: null,
+    controller,
+  };
+  jobs.set(job.id, job);
+  if (requestId !== undefined) jobsByRequest.set(requestKey(session, requestId), job);
+
+  run(controller.signal, job).then(
+    (result) => {
+      job.status = "completed";
+      job.result = result;
+      job.finished_at = new Date().toISOString();
+    },
+    (error) => {
+      job.status = controller.signal.aborted ? "cancelled" : "failed";
+      job.error = controller.signal.aborted
+        ? String(controller.signal.reason ?? "cancelled")
+        : error.message;
+      job.finished_at = new Date().toISOString();
+    }
+  );
+
+  return job;
+}
+
+/**
+ * The session's job with that ID, or null
+ */
+export function getJob(id, session) {
+  const job = jobs.get(id);
+  return job && job.session === session ? job : null;
+}
+
+export function listJobs(session) {
+  return [...jobs.values()].filter((job) => job.session === session);
+}
+
+/**
+ * The running job of a kind in any session, or null
+ */
+export function runningJob(kind) {
+  return [...jobs.values()].find((job) => job.kind === kind && job.status === "running") || null;
+}
+
+/**
+ * Cancel the session's running job started by requestId (or with that job
+ * ID). Returns the job, or null if nothing matching is running.
+ */
+export function cancelJob(session, requestIdOrJobId, reason = "cancelled") {
+  const job =
+    jobsByRequest.get(requestKey(session, requestIdOrJobId)) ||
+    getJob(requestIdOrJobId, session);
+  if (!job || job.status !== "running") return null;
+
+  job.controller.abort(reason);
+  return job;
+}
+
+/**
+ * Public view of a job for tool results
+ */
+export function jobView(job) {
+  return {
+    job_id: job.id,
+    kind: job.kind,
+    status: job.status,
+    progress: job.progress,
+    result: job.result,
+    error: job.error,
+    started_at: job.started_at,
+    finished_at: job.finished_at,
+  };
+}
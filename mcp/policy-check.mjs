@@ -0,0 +1,163 @@
+/**
+ * LexMap MCP policy check
+ *
+ * Checks proposed changes against the policy before they are written. Each
+ * change's content is parsed with the lexmap.scan extractors, mapped to a
+ * module via owns_paths and run through LexMapChecker, so an agent learns
+ * about a boundary violation before the file exists.
+ *
+ * The scanners are TypeScript and are imported directly, which needs Node.js
+ * with type stripping (22.18+). Extraction lives in lexmap.scan/extract.ts,
+ * shared with the language server.
+ *
+ * Environment variables:
+ *   LEXMAP_ROOT          - Repository root for reading deleted files and
+ *                          resolving imports (default: cwd)
+ */
+
+import { resolve, dirname, relative, isAbsolute } from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+import { readFileSync, existsSync, realpathSync } from "fs";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const scanDir = resolve(__dirname, "../lexmap.scan");
+export const repoRoot = process.env.LEXMAP_ROOT || process.cwd();
+
+/**
+ * Import a lexmap.scan module (TypeScript source)
+ */
+export async function loadScanModule(file) {
+  try {
+    return await import(pathToFileURL(resolve(scanDir, file)).href);
+  } catch (err) {
+    if (err.code === "ERR_UNKNOWN_FILE_EXTENSION") {
+      throw new Error(
+        `Loading lexmap.scan/${file} requires Node.js with TypeScript type stripping (22.18+)`
+      );
+    }
+    throw err;
+  }
+}
+
+/**
+ * Extract scanner facts for a file, or null if no scanner handles it;
+ * detectors come from the policy
+ */
+export async function extractFacts(path, content, detectors) {
+  const { extractFacts: extract } = await loadScanModule("extract.ts");
+  return extract(path, content, detectors);
+}
+
+/**
+ * Repo-relative, forward-slash path as used by owns_paths
+ */
+export function toRepoPath(file) {
+  const path = isAbsolute(file) ? relative(repoRoot, file) : file;
+  return path.replace(/\\/g, "/").replace(/^\.\//, "");
+}
+
+/**
+ * Whether a path stays inside the repository root, symlinks included
+ */
+function insideRepo(path) {
+  const within = (root, target) => {
+    const rel = relative(root, target);
+    return rel !== "" && !rel.startsWith("..") && !isAbsolute(rel);
+  };
+  const onDisk = resolve(repoRoot, path);
+  if (!within(resolve(repoRoot), onDisk)) return false;
+  return !existsSync(onDisk) || within(realpathSync(repoRoot), realpathSync(onDisk));
+}
+
+/**
+ * Check proposed changes. Returns the violations plus any changes that
+ * could not be checked (no content, unsupported language).
+ */
+export async function checkChanges(policy, changes) {
+  const { LexMapChecker } = await loadScanModule("lexmap-check.ts");
+  const checker = new LexMapChecker(policy, { root: repoRoot });
+  const unchecked = [];
+
+  for (const change of changes) {
+    const path = toRepoPath(change.file);
+    let content = change.content;
+
+    // Paths come from the client; never read or report on anything outside
+    if (!insideRepo(path)) {
+      unchecked.push({ file: path, reason: "outside the repository root" });
+      continue;
+    }
+
+    if (change.type === "delete" && content === undefined) {
+      // Deleted files are checked against what is on disk now
+      const onDisk = resolve(repoRoot, path);
+      if (existsSync(onDisk)) {
+        content = readFileSync(onDisk, "utf8");
+      }
+    }
+
+    if (content === undefined) {
+      unchecked.push({ file: path, reason: "no content provided" });
+      continue;
+    }
+
+    const facts = await extractFacts(path, content, policy.detectors);
+    if (!facts) {
+      unchecked.push({ file: path, reason: "no scanner for this file type" });
+      continue;
+    }
+
+    if (change.type === "delete") {
+      checker.checkDeletion(facts);
+    } else {
+      checker.checkFile(facts, content);
+    }
+  }
+
+  return { violations: checker.getViolations(), unchecked };
+}
+
+/**
+ * Run the check and format it as an MCP tool result
+ */
+export async function policyCheckResult(policy, changes) {
+  const { violations, unchecked } = await checkChanges(policy, changes);
+
+  const status = violations.length === 0 ? "✓ PASS" : "✗ FAIL";
+  const summary =
+    violations.length === 0
+      ? "All changes comply with architectural policy"
+      : `Found ${violations.length} policy violation(s)`;
+
+  let text = `Policy Check: ${status}\n\n${summary}\n`;
+
+  if (violations.length > 0) {
+    text +=
+      "\nViolations:\n" +
+      violations
+        .map(
+          (v) =>
+            `  - ${v.file}${v.line ? `:${v.line}` : ""} (${v.module}): [${v.type}] ${v.message}` +
+            (v.details ? `\n      ${v.details}` : "") +
+            (v.fix ? `\n      Fix: ${v.fix}` : "")
+        )
+        .join("\n") +
+      "\n";
+  }
+
+  if (unchecked.length > 0) {
+    text +=
+      "\nNot checked:\n" +
+      unchecked.map((u) => `  - ${u.file}: ${u.reason}`).join("\n") +
+      "\n";
+  }
+
+  return {
+    content: [{ type: "text", text }],
+    structuredContent: {
+      pass: violations.length === 0,
+      violations,
+      unchecked,
+    },
+  };
+}
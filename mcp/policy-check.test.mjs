@@ -0,0 +1,57 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { policyCheckResult } from "./policy-check.mjs";
+
+const policy = {
+  modules: {
+    "ui/admin": { owns_paths: ["ui/admin/"] },
+  },
+  global_kill_patterns: [
+    {
+      pattern: "no_eval",
+      description: "eval is retired",
+      rule: { kind: "source_regex", regex: "eval\\(" },
+    },
+  ],
+};
+
+test("source_regex kill patterns see the proposed content of a new file", async () => {
+  const result = await policyCheckResult(policy, [
+    {
+      file: "ui/admin/NewPanel.ts",
+      type: "add",
+      content: 'export const run = () => eval("x");\n',
+    },
+  ]);
+
+  assert.equal(result.structuredContent.pass, false);
+  assert.deepEqual(
+    result.structuredContent.violations.map((v) => [v.file, v.type, v.line]),
+    [["ui/admin/NewPanel.ts", "kill_pattern", 1]]
+  );
+  assert.match(result.content[0].text, /Kill pattern no_eval: eval is retired/);
+});
+
+test("paths outside the repository root are not read", async () => {
+  const outside = mkdtempSync(join(tmpdir(), "lexmap-policy-check-"));
+  try {
+    const file = join(outside, "secret.ts");
+    writeFileSync(file, 'eval("x");\n');
+
+    const result = await policyCheckResult(policy, [
+      { file, type: "delete" },
+      { file: "../../etc/passwd", type: "delete" },
+    ]);
+
+    assert.deepEqual(result.structuredContent.violations, []);
+    assert.deepEqual(
+      result.structuredContent.unchecked.map((u) => u.reason),
+      ["outside the repository root", "outside the repository root"]
+    );
+  } finally {
+    rmSync(outside, { recursive: true, force: true });
+  }
+});
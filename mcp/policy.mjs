@@ -0,0 +1,181 @@
+/**
+ * LexMap MCP policy loading
+ *
+ * The policy store watches LEXMAP_POLICY and swaps in each edit that parses
+ * and validates against docs/schemas/policy.schema.json. Invalid edits are
+ * rejected and the last good policy keeps serving; the errors are kept for
+ * the lexmap.policy_status tool.
+ *
+ * A policy that uses `extends` or has package policies below it is composed
+ * into the effective policy first (packages/codemap-indexer/src/policy-compose.ts).
+ * Only the root policy file is watched. If the composer can't be loaded,
+ * only the root file is read: lexmap.policy_status says so, and a policy
+ * that uses `extends` is reported as an error rather than served partially.
+ */
+
+import { readFileSync, existsSync, watch } from "fs";
+import { basename, dirname } from "path";
+import { validatePolicy } from "./schema.mjs";
+import { policyModules } from "./resources.mjs";
+
+// Editors often write a file in several steps; wait for them to settle
+const RELOAD_DEBOUNCE_MS = 100;
+
+// The composer is TypeScript source and needs Node's type stripping; a
+// failure to load it is reported through each store's log
+let composeError = null;
+const compose = await import("../packages/codemap-indexer/src/policy-compose.ts").catch(
+  (err) => {
+    composeError = err.message;
+    return null;
+  }
+);
+
+/**
+ * Read, parse and validate the policy file.
+ * Returns { policy, errors }; policy is null when it could not be parsed.
+ */
+function readPolicy(policyPath) {
+  if (!existsSync(policyPath)) {
+    return {
+      policy: null,
+      errors: [{ path: "$", message: `policy file not found: ${policyPath}` }],
+    };
+  }
+
+  if (compose) {
+    const { policy, errors } = compose.resolvePolicyFile(policyPath);
+    if (!policy) return { policy: null, errors };
+    return { policy, errors: [...errors, ...validatePolicy(policy)] };
+  }
+
+  let policy;
+  try {
+    policy = JSON.parse(readFileSync(policyPath, "utf8"));
+  } catch (err) {
+    return {
+      policy: null,
+      errors: [{ path: "$", message: `invalid JSON: ${err.message}` }],
+    };
+  }
+
+  const errors = validatePolicy(policy);
+  if (policy?.extends !== undefined) {
+    errors.push({
+      path: "$.extends",
+      message: `extends needs the policy composer, which could not be loaded: ${composeError}`,
+    });
+  }
+  return { policy, errors };
+}
+
+/**
+ * Create a policy store that hot-reloads the policy file.
+ *
+ * options: { policyPath, log, onChange(policy) }
+ *
+ * At startup there is no last good policy to fall back on, so a parseable
+ * policy is served even if it fails validation (its errors are reported).
+ * After that, only valid edits replace it and trigger onChange.
+ */
+export function createPolicyStore({ policyPath, log, onChange = () => {} }) {
+  const initial = readPolicy(policyPath);
+
+  let policy = initial.policy;
+  let errors = initial.errors;
+  let policyValid = policy !== null && errors.length === 0;
+  let loadedAt = policy ? new Date().toISOString() : null;
+  let checkedAt = new Date().toISOString();
+  let reloads = 0;
+
+  if (composeError) {
+    log(
+      `[LexMap] Warning: Could not load the policy composer (${composeError}); extends and package policies are not applied`
+    );
+  }
+  if (policy) {
+    log(`[LexMap] Loaded policy: ${policy.policy_id || "unknown"}`);
+  }
+  logErrors();
+
+  function logErrors() {
+    for (const error of errors) {
+      log(`[LexMap] Policy error at ${error.path}: ${error.message}`);
+    }
+  }
+
+  function reload() {
+    const next = readPolicy(policyPath);
+    checkedAt = new Date().toISOString();
+    errors = next.errors;
+
+    if (errors.length > 0) {
+      log(
+        `[LexMap] Policy change rejected (${errors.length} error(s)); keeping last good policy`
+      );
+      logErrors();
+      return;
+    }
+
+    // Saved without changes
+    if (policyValid && JSON.stringify(next.policy) === JSON.stringify(policy)) {
+      return;
+    }
+
+    // Swap the whole object so in-flight requests keep a consistent policy
+    policy = next.policy;
+    policyValid = true;
+    loadedAt = checkedAt;
+    reloads++;
+    log(`[LexMap] Reloaded policy: ${policy.policy_id || "unknown"}`);
+    onChange(policy);
+  }
+
+  let timer = null;
+  let watcher = null;
+
+  // Watch the directory rather than the file: editors that save by renaming
+  // a temp file over the original would otherwise detach a file watcher
+  try {
+    watcher = watch(dirname(policyPath), (eventType, filename) => {
+      if (filename && filename !== basename(policyPath)) return;
+      clearTimeout(timer);
+      timer = setTimeout(reload, RELOAD_DEBOUNCE_MS);
+    });
+    watcher.unref();
+  } catch (err) {
+    log(`[LexMap] Warning: Could not watch policy file: ${err.message}`);
+  }
+
+  return {
+    get policy() {
+      return policy;
+    },
+
+    /**
+     * Current state for lexmap.policy_status
+     */
+    status() {
+      return {
+        path: policyPath,
+        loaded: policy !== null,
+        policy_id: policy?.policy_id || null,
+        modules: policyModules(policy).length,
+        loaded_valid: policyValid,
+        valid: errors.length === 0,
+        errors,
+        loaded_at: loadedAt,
+        checked_at: checkedAt,
+        reloads,
+        watching: watcher !== null,
+        composed: compose !== null,
+        compose_error: composeError,
+      };
+    },
+
+    close() {
+      clearTimeout(timer);
+      watcher?.close();
+    },
+  };
+}
@@ -0,0 +1,202 @@
+/**
+ * LexMap MCP protocol dispatch
+ *
+ * Transport-independent JSON-RPC 2.0 handling for the MCP methods LexMap
+ * serves. The stdio and Streamable HTTP transports parse incoming messages
+ * and hand them here, including batches (JSON arrays).
+ */
+
+import { listTools, findTool } from "./tools.mjs";
+import { errorResult } from "./results.mjs";
+import { cancelJob } from "./jobs.mjs";
+import {
+  listResources,
+  readResource,
+  listPrompts,
+  getPrompt,
+} from "./resources.mjs";
+
+export const SERVER_INFO = {
+  name: "lexmap",
+  version: "0.1.0",
+};
+
+// Newest first; the first entry is offered when the client's is unsupported
+export const PROTOCOL_VERSIONS = ["2025-03-26", "2024-11-05"];
+
+// JSON-RPC error codes
+export const PARSE_ERROR = -32700;
+export const INVALID_REQUEST = -32600;
+export const METHOD_NOT_FOUND = -32601;
+export const INVALID_PARAMS = -32602;
+export const INTERNAL_ERROR = -32603;
+export const RESOURCE_NOT_FOUND = -32002;
+
+class RpcError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+export function errorResponse(id, code, message) {
+  return {
+    jsonrpc: "2.0",
+    id: id ?? null,
+    error: { code, message },
+  };
+}
+
+/**
+ * Notifications telling clients to re-list after the policy changed
+ */
+export function policyChangedNotifications() {
+  return [
+    { jsonrpc: "2.0", method: "notifications/tools/list_changed" },
+    { jsonrpc: "2.0", method: "notifications/resources/list_changed" },
+  ];
+}
+
+/**
+ * Create a dispatcher bound to the server context.
+ *
+ * context: { config, policyStore } (see createPolicyStore in ./policy.mjs)
+ *
+ * The returned function takes a parsed message (or batch), a notify
+ * callback for server-to-client notifications sent while handling it and
+ * the session ID (HTTP; null for stdio) that background jobs belong to, and
+ * resolves to the response, an array of responses for a batch, or null when
+ * nothing needs to be sent back (notifications only).
+ */
+export function createDispatcher(context) {
+  async function handleMethod(method, params, notify, id, session) {
+    switch (method) {
+      // MCP initialization handshake
+      case "initialize": {
+        const requested = params?.protocolVersion;
+        return {
+          protocolVersion: PROTOCOL_VERSIONS.includes(requested)
+            ? requested
+            : PROTOCOL_VERSIONS[0],
+          capabilities: {
+            tools: { listChanged: true },
+            resources: { listChanged: true },
+            prompts: {},
+          },
+          serverInfo: SERVER_INFO,
+        };
+      }
+
+      case "notifications/initialized":
+        return null;
+
+      // Cancels the background job started by that request, if any
+      case "notifications/cancelled":
+        cancelJob(session, params?.requestId, params?.reason);
+        return null;
+
+      case "ping":
+        return {};
+
+      case "tools/list":
+        return { tools: listTools() };
+
+      case "tools/call": {
+        const tool = findTool(params?.name);
+        if (!tool) {
+          throw new RpcError(INVALID_PARAMS, `Unknown tool: ${params?.name}`);
+        }
+
+        try {
+          return await tool.handler(params.arguments || {}, {
+            policy: context.policyStore.policy,
+            policyStatus: context.policyStore.status(),
+            config: context.config,
+            notify,
+            session,
+            requestId: id,
+            progressToken: params?._meta?.progressToken,
+          });
+        } catch (toolError) {
+          // Tool execution failures are reported in the result, not as protocol errors
+          return errorResult(toolError.message);
+        }
+      }
+
+      // Policy modules as resources
+      case "resources/list":
+        return listResources(context.policyStore.policy);
+
+      case "resources/read": {
+        const result = readResource(context.policyStore.policy, params?.uri);
+        if (!result) {
+          throw new RpcError(
+            RESOURCE_NOT_FOUND,
+            `Resource not found: ${params?.uri}`
+          );
+        }
+        return result;
+      }
+
+      case "prompts/list":
+        return listPrompts();
+
+      case "prompts/get":
+        try {
+          return await getPrompt(
+            context.policyStore.policy,
+            params?.name,
+            params?.arguments
+          );
+        } catch (promptError) {
+          throw new RpcError(INVALID_PARAMS, promptError.message);
+        }
+
+      default:
+        throw new RpcError(METHOD_NOT_FOUND, `Method not found: ${method}`);
+    }
+  }
+
+  async function dispatchOne(message, notify, session) {
+    if (!message || typeof message !== "object" || Array.isArray(message)) {
+      return errorResponse(null, INVALID_REQUEST, "Invalid Request");
+    }
+
+    // Responses to server-initiated requests carry no method; nothing to do
+    if (message.method === undefined) {
+      return null;
+    }
+
+    const { id, method, params } = message;
+    const isNotification = !("id" in message);
+
+    if (typeof method !== "string") {
+      return errorResponse(id, INVALID_REQUEST, "Invalid Request");
+    }
+
+    try {
+      const result = await handleMethod(method, params, notify, id, session);
+      return isNotification ? null : { jsonrpc: "2.0", id, result };
+    } catch (error) {
+      if (isNotification) return null;
+      const code = error instanceof RpcError ? error.code : INTERNAL_ERROR;
+      return errorResponse(id, code, error.message);
+    }
+  }
+
+  return async function dispatch(message, notify = () => {}, session = null) {
+    if (!Array.isArray(message)) {
+      return dispatchOne(message, notify, session);
+    }
+
+    if (message.length === 0) {
+      return errorResponse(null, INVALID_REQUEST, "Empty batch");
+    }
+
+    const responses = (
+      await Promise.all(message.map((m) => dispatchOne(m, notify, session)))
+    ).filter(Boolean);
+
+    return responses.length > 0 ? responses : null;
+  };
+}
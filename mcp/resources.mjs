@@ -0,0 +1,239 @@
+/**
+ * LexMap MCP resources and prompts
+ *
+ * Publishes each policy module as a resource (lexmap://module/<module_id>)
+ * so agents can load architecture context once instead of asking per tool
+ * call, plus prompts that pull those resources into a conversation.
+ */
+
+import { loadScanModule, repoRoot, toRepoPath } from "./policy-check.mjs";
+
+const MODULE_URI_PREFIX = "lexmap://module/";
+
+const MODULE_FIELDS = [
+  "description",
+  "owns_paths",
+  "owns_namespaces",
+  "exposes",
+  "allowed_callers",
+  "forbidden_callers",
+  "feature_flags",
+  "require_feature_flag",
+  "requires_permissions",
+  "type_imports",
+  "kill_patterns",
+  "notes",
+];
+
+/**
+ * Module entries of a policy, skipping anything that isn't a module object
+ */
+export function policyModules(policy) {
+  return Object.entries(policy?.modules || {}).filter(
+    ([, module]) =>
+      module !== null && typeof module === "object" && !Array.isArray(module)
+  );
+}
+
+export function moduleUri(moduleId) {
+  return `${MODULE_URI_PREFIX}${moduleId}`;
+}
+
+function moduleResource(moduleId, module) {
+  const data = { module_id: moduleId };
+  for (const field of MODULE_FIELDS) {
+    if (module[field] !== undefined) {
+      data[field] = module[field];
+    }
+  }
+
+  return {
+    uri: moduleUri(moduleId),
+    mimeType: "application/json",
+    text: JSON.stringify(data, null, 2),
+  };
+}
+
+function findModule(policy, moduleId) {
+  const entry = policyModules(policy).find(([id]) => id === moduleId);
+  return entry ? entry[1] : null;
+}
+
+export function listResources(policy) {
+  return {
+    resources: policyModules(policy).map(([moduleId, module]) => ({
+      uri: moduleUri(moduleId),
+      name: moduleId,
+      description: module.description,
+      mimeType: "application/json",
+    })),
+  };
+}
+
+/**
+ * Read a module resource. Returns null for unknown URIs.
+ */
+export function readResource(policy, uri) {
+  if (!uri || !uri.startsWith(MODULE_URI_PREFIX)) return null;
+
+  const moduleId = uri.slice(MODULE_URI_PREFIX.length);
+  const module = findModule(policy, moduleId);
+  if (!module) return null;
+
+  return { contents: [moduleResource(moduleId, module)] };
+}
+
+const prompts = [
+  {
+    name: "lexmap.explain_boundaries",
+    description:
+      "Explain which module owns a file and which boundaries apply to it",
+    arguments: [
+      {
+        name: "file",
+        description: "Repo-relative file path",
+        required: true,
+      },
+    ],
+  },
+  {
+    name: "lexmap.plan_change",
+    description:
+      "Plan a change that spans modules without crossing forbidden boundaries",
+    arguments: [
+      {
+        name: "goal",
+        description: "What the change should accomplish",
+        required: true,
+      },
+      {
+        name: "modules",
+        description:
+          "Comma-separated module IDs involved (default: all modules)",
+        required: false,
+      },
+    ],
+  },
+  {
+    name: "lexmap.fix_violation",
+    description:
+      "Find a compliant alternative for an import that violates policy",
+    arguments: [
+      {
+        name: "file",
+        description: "Repo-relative path of the importing file",
+        required: true,
+      },
+      {
+        name: "import",
+        description: "The offending import (path, specifier or namespace)",
+        required: true,
+      },
+    ],
+  },
+];
+
+export function listPrompts() {
+  return { prompts };
+}
+
+function textMessage(text) {
+  return { role: "user", content: { type: "text", text } };
+}
+
+function resourceMessage(policy, moduleId) {
+  const module = findModule(policy, moduleId);
+  if (!module) return null;
+  return {
+    role: "user",
+    content: { type: "resource", resource: moduleResource(moduleId, module) },
+  };
+}
+
+/**
+ * Render a prompt. Throws for unknown prompts or missing arguments.
+ */
+export async function getPrompt(policy, name, args = {}) {
+  const prompt = prompts.find((p) => p.name === name);
+  if (!prompt) {
+    throw new Error(`Unknown prompt: ${name}`);
+  }
+  for (const arg of prompt.arguments) {
+    if (arg.required && !args[arg.name]) {
+      throw new Error(`Prompt ${name} requires argument: ${arg.name}`);
+    }
+  }
+
+  const { LexMapChecker } = await loadScanModule("lexmap-check.ts");
+  const checker = new LexMapChecker(policy || { modules: {} }, { root: repoRoot });
+  const messages = [];
+
+  switch (name) {
+    case "lexmap.explain_boundaries": {
+      const file = toRepoPath(args.file);
+      const owner = checker.resolveFileToModule(file);
+
+      if (!owner) {
+        messages.push(
+          textMessage(
+            `No module in lexmap.policy.json owns \`${file}\`. Explain what that means for changes to this file and which module it most likely belongs to, based on the modules below.`
+          )
+        );
+        for (const [moduleId] of policyModules(policy)) {
+          messages.push(resourceMessage(policy, moduleId));
+        }
+        break;
+      }
+
+      messages.push(
+        textMessage(
+          `\`${file}\` is owned by module \`${owner}\`. Using its policy below, explain what this file may import, who may depend on it, what it exposes, and which permissions and feature flags apply.`
+        )
+      );
+      messages.push(resourceMessage(policy, owner));
+      break;
+    }
+
+    case "lexmap.plan_change": {
+      const requested = args.modules
+        ? args.modules
+            .split(",")
+            .map((m) => m.trim())
+            .filter(Boolean)
+        : policyModules(policy).map(([moduleId]) => moduleId);
+      const unknown = requested.filter((m) => !findModule(policy, m));
+
+      messages.push(
+        textMessage(
+          `Plan this change: ${args.goal}\n\nPlace each piece of new code in the module that owns it, only call across modules through their exposes, and never add a dependency a module's forbidden_callers or allowed_callers rule out.` +
+            (unknown.length > 0
+              ? `\n\nThese module IDs are not in the policy: ${unknown.join(", ")}`
+              : "")
+        )
+      );
+      for (const moduleId of requested) {
+        const message = resourceMessage(policy, moduleId);
+        if (message) messages.push(message);
+      }
+      break;
+    }
+
+    case "lexmap.fix_violation": {
+      const file = toRepoPath(args.file);
+      const owner = checker.resolveFileToModule(file);
+      const target = checker.resolveImportToModule(args.import, file);
+
+      messages.push(
+        textMessage(
+          `\`${file}\` (module \`${owner || "unowned"}\`) imports \`${args.import}\` (module \`${target || "unowned"}\`), which the policy does not allow. Suggest a compliant route, such as an intermediary module that both sides may use, and the exposed symbols to call instead.`
+        )
+      );
+      for (const moduleId of new Set([owner, target].filter(Boolean))) {
+        messages.push(resourceMessage(policy, moduleId));
+      }
+      break;
+    }
+  }
+
+  return { description: prompt.description, messages };
+}
@@ -0,0 +1,33 @@
+/**
+ * LexMap MCP tool result helpers
+ */
+
+/**
+ * Successful tool result carrying JSON data as text and structured content
+ */
+export function jsonResult(data) {
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(data, null, 2),
+      },
+    ],
+    structuredContent: data,
+  };
+}
+
+/**
+ * Tool execution error, reported in-band so the agent can see and react to it
+ */
+export function errorResult(message) {
+  return {
+    content: [
+      {
+        type: "text",
+        text: message,
+      },
+    ],
+    isError: true,
+  };
+}
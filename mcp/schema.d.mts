@@ -0,0 +1,28 @@
+/**
+ * Types for schema.mjs, for the TypeScript tools in lexmap.scan that import it
+ */
+
+/** A schema violation with the JSON path of the offending value */
+export interface SchemaError {
+  path: string;
+  message: string;
+}
+
+/** A JSON Schema (draft-07) document or subschema */
+export type JsonSchema = { [keyword: string]: any };
+
+export const POLICY_SCHEMA_PATH: string;
+export const SCANNER_OUTPUT_SCHEMA_PATH: string;
+
+export function loadPolicySchema(): JsonSchema;
+
+/** Validate a parsed policy against docs/schemas/policy.schema.json */
+export function validatePolicy(policy: unknown): SchemaError[];
+
+export function loadScannerOutputSchema(): JsonSchema;
+
+/** Validate parsed scanner output against docs/schemas/scanner-output.schema.json */
+export function validateScannerOutput(output: unknown): SchemaError[];
+
+/** Validate a value against a schema */
+export function validate(schema: JsonSchema, value: unknown, path?: string): SchemaError[];
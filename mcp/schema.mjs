@@ -0,0 +1,152 @@
+/**
+ * LexMap JSON Schema validation
+ *
+ * Minimal validator for the draft-07 keywords the LexMap schemas use
+ * (type, enum, required, properties, patternProperties,
+ * additionalProperties, items). Errors carry a JSON path to the offending
+ * value, e.g. $.modules["ui/admin"].owns_paths[0].
+ */
+
+import { readFileSync } from "fs";
+import { resolve, dirname } from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export const POLICY_SCHEMA_PATH = resolve(
+  __dirname,
+  "../docs/schemas/policy.schema.json"
+);
+
+export const SCANNER_OUTPUT_SCHEMA_PATH = resolve(
+  __dirname,
+  "../docs/schemas/scanner-output.schema.json"
+);
+
+let policySchema = null;
+let scannerOutputSchema = null;
+
+export function loadPolicySchema() {
+  if (!policySchema) {
+    policySchema = JSON.parse(readFileSync(POLICY_SCHEMA_PATH, "utf8"));
+  }
+  return policySchema;
+}
+
+/**
+ * Validate a parsed policy against docs/schemas/policy.schema.json
+ */
+export function validatePolicy(policy) {
+  return validate(loadPolicySchema(), policy);
+}
+
+export function loadScannerOutputSchema() {
+  if (!scannerOutputSchema) {
+    scannerOutputSchema = JSON.parse(readFileSync(SCANNER_OUTPUT_SCHEMA_PATH, "utf8"));
+  }
+  return scannerOutputSchema;
+}
+
+/**
+ * Validate parsed scanner output against docs/schemas/scanner-output.schema.json
+ */
+export function validateScannerOutput(output) {
+  return validate(loadScannerOutputSchema(), output);
+}
+
+function childPath(path, key) {
+  if (typeof key === "number") return `${path}[${key}]`;
+  return /^[A-Za-z_$][\w$]*$/.test(key)
+    ? `${path}.${key}`
+    : `${path}[${JSON.stringify(key)}]`;
+}
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === "number") return actual === "number" || actual === "integer";
+  return actual === type;
+}
+
+/**
+ * Validate a value against a schema, returning [{ path, message }]
+ */
+export function validate(schema, value, path = "$") {
+  const errors = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      errors.push({
+        path,
+        message: `must be ${types.join(" or ")}, got ${typeOf(value)}`,
+      });
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({
+      path,
+      message: `must be one of: ${schema.enum.map((v) => JSON.stringify(v)).join(", ")}`,
+    });
+  }
+
+  if (typeOf(value) === "object") {
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        errors.push({ path, message: `missing required property "${key}"` });
+      }
+    }
+
+    const properties = schema.properties || {};
+    const patterns = Object.entries(schema.patternProperties || {}).map(
+      ([pattern, subschema]) => [new RegExp(pattern, "u"), subschema]
+    );
+
+    for (const [key, child] of Object.entries(value)) {
+      const keyPath = childPath(path, key);
+      let matched = false;
+
+      if (key in properties) {
+        matched = true;
+        errors.push(...validate(properties[key], child, keyPath));
+      }
+
+      for (const [regex, subschema] of patterns) {
+        if (regex.test(key)) {
+          matched = true;
+          errors.push(...validate(subschema, child, keyPath));
+        }
+      }
+
+      if (matched || schema.additionalProperties === undefined) continue;
+
+      if (schema.additionalProperties === false) {
+        errors.push({
+          path: keyPath,
+          message:
+            patterns.length > 0
+              ? `property name does not match ${Object.keys(schema.patternProperties).join(", ")}`
+              : "is not an allowed property",
+        });
+      } else if (typeof schema.additionalProperties === "object") {
+        errors.push(...validate(schema.additionalProperties, child, keyPath));
+      }
+    }
+  }
+
+  if (typeOf(value) === "array" && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validate(schema.items, item, childPath(path, index)));
+    });
+  }
+
+  return errors;
+}
@@ -0,0 +1,23 @@
+/**
+ * LexMap MCP route suggestions
+ *
+ * Wraps `lexmap suggest`: for a dependency the policy forbids, the shortest
+ * legal path through intermediary modules and the symbols they expose.
+ */
+
+import { loadScanModule } from "./policy-check.mjs";
+
+/**
+ * Run the suggestion and format it as an MCP tool result
+ */
+export async function suggestRouteResult(policy, from, to) {
+  const { suggest, formatSuggestion } = await loadScanModule(
+    "lexmap-suggest.ts"
+  );
+  const suggestion = suggest(policy, from, to);
+
+  return {
+    content: [{ type: "text", text: formatSuggestion(suggestion) }],
+    structuredContent: suggestion,
+  };
+}
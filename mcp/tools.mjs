@@ -0,0 +1,415 @@
+/**
+ * LexMap MCP tool registry
+ *
+ * Single source of truth for the tools both transports (stdio and HTTP)
+ * serve. Each entry pairs the MCP tool definition with its handler.
+ *
+ * Handlers receive the tool arguments and a context of
+ * { policy, policyStatus, config, notify, session, requestId, progressToken } and
+ * return an MCP tool result. notify sends a server-to-client notification on
+ * the caller's transport. Throwing reports the failure to the agent as a
+ * tool error (isError: true).
+ */
+
+import { sliceSymbol, queryCodemap, indexRepository } from "./codemap.mjs";
+import { policyCheckResult } from "./policy-check.mjs";
+import { explainFileResult } from "./explain.mjs";
+import { suggestRouteResult } from "./suggest.mjs";
+import { jsonResult } from "./results.mjs";
+import { startJob, getJob, listJobs, runningJob, jobView } from "./jobs.mjs";
+
+// Index stages in order; progress is reported as a percentage across them
+const INDEX_STAGES = ["files-parsed", "graph-merged", "frames-stored"];
+
+function indexPercent({ stage, completed, total }) {
+  const fraction = total > 0 ? completed / total : 1;
+  return Math.round(
+    ((INDEX_STAGES.indexOf(stage) + fraction) / INDEX_STAGES.length) * 100
+  );
+}
+
+function jobText(view) {
+  let text = `Job ${view.job_id}: ${view.status}\n  Started: ${view.started_at}\n`;
+  if (view.finished_at) text += `  Finished: ${view.finished_at}\n`;
+  if (view.progress) {
+    text += `  Progress: ${view.progress.percent}% (${view.progress.stage}: ${view.progress.message})\n`;
+  }
+  if (view.error) text += `  Error: ${view.error}\n`;
+  if (view.result) {
+    text +=
+      "\nMetrics:\n" +
+      Object.entries(view.result)
+        .map(([key, value]) => `  ${key}: ${value}`)
+        .join("\n") +
+      "\n";
+  }
+  return text;
+}
+
+export const tools = [
+  {
+    name: "lexmap.index",
+    description: "Index codebase and store architectural graph in LexBrain",
+    inputSchema: {
+      type: "object",
+      properties: {
+        cold: {
+          type: "boolean",
+          description: "Full rebuild (default: incremental)",
+          default: false,
+        },
+        determinism_target: {
+          type: "number",
+          description: "Min static edge ratio",
+          default: 0.95,
+        },
+        heuristics: {
+          type: "string",
+          enum: ["off", "hard", "auto"],
+          description: "Heuristics mode",
+          default: "auto",
+        },
+        policy_path: {
+          type: "string",
+          description: "Override policy JSON path",
+        },
+      },
+    },
+    async handler(args, { config, notify, session, requestId, progressToken }) {
+      // One index at a time, whichever session started it
+      const running = runningJob("index");
+      if (running) {
+        throw new Error(
+          running.session === session
+            ? `An index job is already running: ${running.id}`
+            : "An index job started by another session is already running"
+        );
+      }
+
+      const policyPath = args.policy_path || config.policyPath;
+
+      const job = startJob("index", session, requestId, (signal, job) =>
+        indexRepository(args, policyPath, {
+          // stdout carries the stdio protocol; indexer output goes to stderr
+          log: (message) => console.error(message),
+          signal,
+          onProgress: (progress) => {
+            job.progress = { ...progress, percent: indexPercent(progress) };
+            // Progress notifications only go out for a token the client sent
+            if (progressToken === undefined) return;
+            notify({
+              jsonrpc: "2.0",
+              method: "notifications/progress",
+              params: {
+                progressToken,
+                progress: job.progress.percent,
+                total: 100,
+                message: `${progress.stage}: ${progress.message}`,
+              },
+            });
+          },
+        })
+      );
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: `LexMap indexing started as job ${job.id}:\n  Policy: ${policyPath}\n  Mode: ${
+              args.cold ? "cold" : "incremental"
+            }\n  Target: ${
+              args.determinism_target || 0.95
+            }\n\n${
+              progressToken === undefined
+                ? "Send _meta.progressToken with the call to receive notifications/progress."
+                : `Progress is sent as notifications/progress (token: ${progressToken}).`
+            } Call lexmap.job_status with job_id "${job.id}" for the result.`,
+          },
+        ],
+        structuredContent: {
+          ...jobView(job),
+          ...(progressToken === undefined ? {} : { progress_token: progressToken }),
+        },
+      };
+    },
+  },
+  {
+    name: "lexmap.slice",
+    description:
+      "Return compact slice for a symbol/path with dependency context",
+    inputSchema: {
+      type: "object",
+      required: ["symbol"],
+      properties: {
+        symbol: {
+          type: "string",
+          description: "Symbol FQN or ID to slice around",
+        },
+        radius: {
+          type: "integer",
+          description: "Hop distance (default: 2)",
+          default: 2,
+          minimum: 1,
+          maximum: 10,
+        },
+      },
+    },
+    async handler(args) {
+      if (!args.symbol) {
+        throw new Error("symbol parameter is required");
+      }
+
+      const radius = args.radius || 2;
+      if (!Number.isInteger(radius) || radius < 1 || radius > 10) {
+        throw new Error("radius must be an integer between 1 and 10");
+      }
+
+      return jsonResult(await sliceSymbol(args.symbol, radius));
+    },
+  },
+  {
+    name: "lexmap.query",
+    description:
+      "Run architectural queries (callers, callees, module_deps, violations of the policy's modules.allowed_deps)",
+    inputSchema: {
+      type: "object",
+      required: ["type"],
+      properties: {
+        type: {
+          type: "string",
+          enum: [
+            "callers",
+            "callees",
+            "module_deps",
+            "violations",
+          ],
+          description: "Query type",
+        },
+        args: {
+          type: "object",
+          description: "Query-specific arguments",
+          default: {},
+        },
+      },
+    },
+    async handler(args, { policy }) {
+      if (!args.type) {
+        throw new Error("type parameter is required");
+      }
+
+      const queryArgs = args.args || {};
+
+      return jsonResult({
+        type: args.type,
+        args: queryArgs,
+        results: await queryCodemap(args.type, queryArgs, policy),
+      });
+    },
+  },
+  {
+    name: "lexmap.policy_check",
+    description:
+      "Check if proposed changes violate architectural policy (imports, module boundaries, removed exposes)",
+    inputSchema: {
+      type: "object",
+      required: ["changes"],
+      properties: {
+        changes: {
+          type: "array",
+          description: "Array of proposed code changes",
+          items: {
+            type: "object",
+            required: ["file", "type"],
+            properties: {
+              file: { type: "string" },
+              type: {
+                type: "string",
+                enum: ["add", "modify", "delete"],
+              },
+              content: {
+                type: "string",
+                description:
+                  "Full proposed file content (optional for delete: the file on disk is read)",
+              },
+            },
+          },
+        },
+      },
+    },
+    async handler(args, { policy, config }) {
+      if (!args.changes || !Array.isArray(args.changes)) {
+        throw new Error("changes parameter must be an array");
+      }
+
+      if (!policy) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `No policy loaded. Cannot check violations.\nLoad policy from: ${config.policyPath}`,
+            },
+          ],
+        };
+      }
+
+      return policyCheckResult(policy, args.changes);
+    },
+  },
+  {
+    name: "lexmap.explain_file",
+    description:
+      "Explain the rules for a file path, PHP namespace or TS import specifier: owning module, what it may import and be imported by, exposes, permissions and feature flags",
+    inputSchema: {
+      type: "object",
+      required: ["target"],
+      properties: {
+        target: {
+          type: "string",
+          description:
+            "Repo-relative file path (e.g. ui/admin/UserPanel.tsx), PHP namespace or import specifier",
+        },
+        from: {
+          type: "string",
+          description:
+            "File that imports the target specifier; relative paths, tsconfig paths and workspace packages are resolved from it",
+        },
+      },
+    },
+    async handler(args, { policy, config }) {
+      if (!args.target || typeof args.target !== "string") {
+        throw new Error("target parameter is required");
+      }
+
+      if (!policy) {
+        throw new Error(`No policy loaded. Load policy from: ${config.policyPath}`);
+      }
+
+      if (args.from !== undefined && typeof args.from !== "string") {
+        throw new Error("from must be a file path");
+      }
+
+      return explainFileResult(policy, args.target, args.from);
+    },
+  },
+  {
+    name: "lexmap.suggest_route",
+    description:
+      "Suggest a compliant route for a forbidden dependency: the shortest legal path through intermediary modules and the symbols they expose",
+    inputSchema: {
+      type: "object",
+      required: ["from", "to"],
+      properties: {
+        from: {
+          type: "string",
+          description:
+            "Calling module ID, or a file path / import it owns (e.g. ui/user-admin)",
+        },
+        to: {
+          type: "string",
+          description:
+            "Module ID being depended on, or a file path / import it owns (e.g. services/auth-core)",
+        },
+      },
+    },
+    async handler(args, { policy, config }) {
+      if (!args.from || !args.to) {
+        throw new Error("from and to parameters are required");
+      }
+
+      if (!policy) {
+        throw new Error(`No policy loaded. Load policy from: ${config.policyPath}`);
+      }
+
+      return suggestRouteResult(policy, args.from, args.to);
+    },
+  },
+  {
+    name: "lexmap.job_status",
+    description:
+      "Report a background job (e.g. lexmap.index): status, progress, and the final metrics once complete",
+    inputSchema: {
+      type: "object",
+      properties: {
+        job_id: {
+          type: "string",
+          description: "Job ID returned when the job started (omit to list all jobs)",
+        },
+      },
+    },
+    async handler(args, { session }) {
+      if (!args.job_id) {
+        const views = listJobs(session).map(jobView);
+        return {
+          content: [
+            {
+              type: "text",
+              text:
+                views.length > 0 ? views.map(jobText).join("\n") : "No jobs",
+            },
+          ],
+          structuredContent: { jobs: views },
+        };
+      }
+
+      const job = getJob(args.job_id, session);
+      if (!job) {
+        throw new Error(`Unknown job: ${args.job_id}`);
+      }
+
+      const view = jobView(job);
+      return {
+        content: [{ type: "text", text: jobText(view) }],
+        structuredContent: view,
+      };
+    },
+  },
+  {
+    name: "lexmap.policy_status",
+    description:
+      "Report the loaded policy and any schema errors in the policy file on disk",
+    inputSchema: {
+      type: "object",
+      properties: {},
+    },
+    async handler(args, { policyStatus: status }) {
+      let text = status.loaded
+        ? `Policy: ${status.path}\nLoaded: ${status.policy_id || "unknown"} (${status.modules} module(s)) at ${status.loaded_at}\n`
+        : `Policy: ${status.path}\nLoaded: none\n`;
+
+      if (!status.composed) {
+        text += `Composition: ✗ root file only; extends and package policies are not applied (${status.compose_error})\n`;
+      }
+
+      if (status.valid) {
+        text += "\nSchema: ✓ valid\n";
+      } else {
+        text +=
+          `\nSchema: ✗ ${status.errors.length} error(s) in the file on disk` +
+          (status.loaded_valid
+            ? " (serving the last good policy)"
+            : status.loaded
+              ? " (serving the startup policy; no valid version yet)"
+              : "") +
+          "\n" +
+          status.errors.map((e) => `  - ${e.path}: ${e.message}`).join("\n") +
+          "\n";
+      }
+
+      return {
+        content: [{ type: "text", text }],
+        structuredContent: status,
+      };
+    },
+  },
+];
+
+/**
+ * Tool definitions as advertised by tools/list
+ */
+export function listTools() {
+  return tools.map(({ handler, ...definition }) => definition);
+}
+
+export function findTool(name) {
+  return tools.find((tool) => tool.name === name) || null;
+}
@@ -27,6 +27,7 @@ program
   .option('--ts-workers <n>', 'TS parser concurrency', '4')
   .option('--policy <path>', 'Policy JSON file', 'lexmap.policy.json')
   .option('--serve', 'Start HTTP server for MCP', false)
+  .option('--port <n>', 'HTTP server port (with --serve)', process.env.CODEMAP_PORT || '6902')
   .action(indexCommand);
 
 program
@@ -42,11 +43,12 @@ program
 program
   .command('query')
   .description('Run codemap queries')
-  .requiredOption('--type <type>', 'Query type: callers|callees|module_deps|recent_patterns|violations')
+  .requiredOption('--type <type>', 'Query type: callers|callees|module_deps|violations')
   .option('--args <json>', 'Query-specific arguments as JSON', '{}')
   .option('--lexbrain <url>', 'LexBrain endpoint', process.env.LEXBRAIN_URL || 'http://localhost:8123')
   .option('--mode <mode>', 'Storage mode: local|zk', process.env.LEXBRAIN_MODE || 'local')
   .option('--key-hex <hex>', 'AES key for zk mode', process.env.LEXBRAIN_KEY_HEX)
+  .option('--policy <path>', 'Policy JSON path (violations query)', 'lexmap.policy.json')
   .action(queryCommand);
 
 program.parse();
@@ -10,10 +10,11 @@ import { buildFrames } from '../frames.js';
 import { extractTSGraph } from '../indexers/ts.js';
 import { extractPHPGraph } from '../indexers/php.js';
 import { loadPolicy } from '../policy.js';
+import { matchPatterns } from '../paths.js';
 import { generatePlan } from '../planner/ai.js';
-import { CodeGraph, IndexConfig, MetricsData, PlanJSON } from '../types.js';
+import { CodeGraph, IndexConfig, MetricsData, PlanJSON, Policy } from '../types.js';
 
-interface IndexOptions {
+export interface IndexOptions {
   cold: boolean;
   planAi: boolean;
   determinismTarget: string;
@@ -25,201 +26,284 @@ interface IndexOptions {
   tsWorkers: string;
   policy: string;
   serve: boolean;
+  port: string;
 }
 
-export async function indexCommand(options: IndexOptions): Promise<void> {
-  const startTime = Date.now();
-
-  console.log(kleur.cyan('🗺️  LexMap Indexer'));
-  console.log(kleur.dim(`Mode: ${options.cold ? 'cold' : 'incremental'}`));
-
-  try {
-    // Initialize
-    await initCompress();
-    await initGit(process.cwd());
-
-    initLexBrain({
-      url: options.lexbrain,
-      mode: options.mode as 'local' | 'zk',
-      keyHex: options.keyHex
-    });
-
-    // Load policy
-    const policy = await loadPolicy(options.policy);
+export type IndexStage = 'files-parsed' | 'graph-merged' | 'frames-stored';
 
-    // Get git info
-    const gitInfo = await getGitInfo();
-    const repo = await getRepoName();
+export interface IndexProgress {
+  stage: IndexStage;
+  completed: number;
+  total: number;
+  message: string;
+}
 
-    console.log(kleur.dim(`Repo: ${repo}`));
-    console.log(kleur.dim(`Commit: ${gitInfo.head}`));
+export interface IndexHooks {
+  log?: (message: string) => void;
+  onProgress?: (progress: IndexProgress) => void;
+  signal?: AbortSignal;
+}
 
-    // Determine files to process
-    let filesToProcess: string[];
-    if (options.cold) {
-      filesToProcess = gitInfo.files.map(f => f.path);
-    } else {
-      filesToProcess = await getChangedFilesSince();
-    }
+export interface IndexResult {
+  graph: CodeGraph;
+  metrics: MetricsData;
+  putTimes: number[];
+  policy: Policy;
+}
 
-    // Filter by extension
-    const tsFiles = filesToProcess.filter(f => /\.(ts|tsx|js|jsx)$/.test(f));
-    const phpFiles = filesToProcess.filter(f => /\.php$/.test(f));
-
-    console.log(kleur.dim(`Files: ${tsFiles.length} TS/JS, ${phpFiles.length} PHP`));
-
-    // Build deterministic inputs
-    const langVersions = {
-      node: process.version,
-      typescript: '5.6.3'
-    };
-
-    let plan: PlanJSON | undefined;
-    if (options.planAi) {
-      console.log(kleur.yellow('🤖 Generating AI plan...'));
-      plan = await generatePlan(repo, gitInfo, filesToProcess);
-
-      // Store plan as fact
-      const planFrames = await buildFrames(
-        'codemap.plan',
-        { repo, commit: gitInfo.head },
-        sha256({ langVersions, plan }),
-        plan
-      );
-
-      for (const frame of planFrames) {
-        await putFact(frame);
-      }
+export async function indexCommand(options: IndexOptions): Promise<void> {
+  try {
+    const { graph, metrics, putTimes, policy } = await runIndex(options);
 
-      console.log(kleur.green('✓ Plan frozen'));
+    if (options.serve) {
+      console.log(kleur.yellow('🚀 Starting MCP server...'));
+      const { startServer } = await import('../server.js');
+      await startServer({
+        port: parseInt(options.port),
+        graph,
+        metrics,
+        putTimes,
+        policy
+      });
     }
 
-    const deterministicInputs = {
-      langVersions,
-      config: {
-        determinism_target: parseFloat(options.determinismTarget),
-        heuristics: options.heuristics,
-        php_workers: parseInt(options.phpWorkers),
-        ts_workers: parseInt(options.tsWorkers)
-      },
-      git: {
-        head: gitInfo.head,
-        files: gitInfo.files
-      },
-      policy,
-      plan
-    };
-
-    const inputsHash = sha256(deterministicInputs);
-    console.log(kleur.dim(`Inputs hash: ${inputsHash.substring(0, 12)}...`));
+  } catch (error) {
+    console.error(kleur.red('Error:'), error);
+    process.exit(1);
+  }
+}
 
-    // Extract graphs
-    console.log(kleur.yellow('📊 Extracting code graph...'));
+/**
+ * Index the repository in the current directory and store frames in
+ * LexBrain. Reports progress per stage and stops at the next checkpoint
+ * once the signal is aborted. Throws instead of exiting, so it can run
+ * inside a long-lived process such as the MCP server.
+ */
+export async function runIndex(options: IndexOptions, hooks: IndexHooks = {}): Promise<IndexResult> {
+  const startTime = Date.now();
+  const log = hooks.log || console.log;
+  const progress = hooks.onProgress || (() => {});
+  const checkpoint = () => hooks.signal?.throwIfAborted();
+
+  log(kleur.cyan('🗺️  LexMap Indexer'));
+  log(kleur.dim(`Mode: ${options.cold ? 'cold' : 'incremental'}`));
+
+  // Initialize
+  await initCompress();
+  await initGit(process.cwd());
+
+  initLexBrain({
+    url: options.lexbrain,
+    mode: options.mode as 'local' | 'zk',
+    keyHex: options.keyHex
+  });
+
+  // Load policy
+  const policy = await loadPolicy(options.policy);
+
+  // Get git info
+  const gitInfo = await getGitInfo();
+  const repo = await getRepoName();
+
+  log(kleur.dim(`Repo: ${repo}`));
+  log(kleur.dim(`Commit: ${gitInfo.head}`));
+
+  // Determine files to process
+  let filesToProcess: string[];
+  if (options.cold) {
+    filesToProcess = gitInfo.files.map(f => f.path);
+  } else {
+    filesToProcess = await getChangedFilesSince();
+  }
 
-    const tsGraph = tsFiles.length > 0
-      ? await extractTSGraph(tsFiles, parseInt(options.tsWorkers))
-      : { symbols: [], calls: [], modules: [] };
+  // Skip files matched by kill_patterns (generated code, vendored deps, ...)
+  const killPatterns = (policy.kill_patterns || []).map(k => k.match);
+  const killed = filesToProcess.filter(f => matchPatterns(f, killPatterns));
+  if (killed.length > 0) {
+    log(kleur.dim(`Skipping ${killed.length} files matched by kill_patterns`));
+    filesToProcess = filesToProcess.filter(f => !killed.includes(f));
+  }
 
-    const phpGraph = phpFiles.length > 0
-      ? await extractPHPGraph(phpFiles, parseInt(options.phpWorkers), policy)
-      : { symbols: [], calls: [], modules: [] };
+  // Filter by extension
+  const tsFiles = filesToProcess.filter(f => /\.(ts|tsx|js|jsx)$/.test(f));
+  const phpFiles = filesToProcess.filter(f => /\.php$/.test(f));
 
-    // Merge graphs
-    const fullGraph: CodeGraph = {
-      symbols: [...tsGraph.symbols, ...phpGraph.symbols],
-      calls: [...tsGraph.calls, ...phpGraph.calls],
-      modules: [...tsGraph.modules, ...phpGraph.modules]
-    };
+  log(kleur.dim(`Files: ${tsFiles.length} TS/JS, ${phpFiles.length} PHP`));
 
-    // Compute determinism ratio
-    const staticCalls = fullGraph.calls.filter(c => c.kind === 'direct').length;
-    const totalCalls = fullGraph.calls.length;
-    const detRatio = totalCalls > 0 ? staticCalls / totalCalls : 1.0;
+  // Build deterministic inputs
+  const langVersions = {
+    node: process.version,
+    typescript: '5.6.3'
+  };
 
-    console.log(kleur.dim(`Determinism: ${(detRatio * 100).toFixed(1)}% (${staticCalls}/${totalCalls} edges)`));
+  let plan: PlanJSON | undefined;
+  if (options.planAi) {
+    log(kleur.yellow('🤖 Generating AI plan...'));
+    plan = await generatePlan(repo, gitInfo, filesToProcess);
 
-    const targetRatio = parseFloat(options.determinismTarget);
-    if (detRatio < targetRatio && options.heuristics !== 'off') {
-      console.log(kleur.yellow(`⚠️  Below target (${targetRatio}), heuristics would be applied`));
-      // Note: heuristics are already applied in PHP indexer based on policy
-    }
+    // Store plan as fact
+    const planFrames = await buildFrames(
+      'codemap.plan',
+      { repo, commit: gitInfo.head },
+      sha256({ langVersions, plan }),
+      plan
+    );
 
-    // Build and store frames
-    console.log(kleur.yellow('💾 Storing frames...'));
-
-    const scope = { repo, commit: gitInfo.head };
-    let framesWritten = 0;
-    let putTimes: number[] = [];
-
-    // Symbols
-    if (fullGraph.symbols.length > 0) {
-      const frames = await buildFrames('codemap.symbols', scope, inputsHash, fullGraph.symbols);
-      for (const frame of frames) {
-        const putStart = Date.now();
-        const result = await putFact(frame);
-        putTimes.push(Date.now() - putStart);
-        if (result.inserted) framesWritten++;
-      }
+    for (const frame of planFrames) {
+      await putFact(frame);
     }
 
-    // Calls
-    if (fullGraph.calls.length > 0) {
-      const frames = await buildFrames('codemap.calls', scope, inputsHash, fullGraph.calls);
-      for (const frame of frames) {
-        const putStart = Date.now();
-        const result = await putFact(frame);
-        putTimes.push(Date.now() - putStart);
-        if (result.inserted) framesWritten++;
-      }
-    }
+    log(kleur.green('✓ Plan frozen'));
+  }
 
-    // Modules
-    if (fullGraph.modules.length > 0) {
-      const frames = await buildFrames('codemap.modules', scope, inputsHash, fullGraph.modules);
-      for (const frame of frames) {
-        const putStart = Date.now();
-        const result = await putFact(frame);
-        putTimes.push(Date.now() - putStart);
-        if (result.inserted) framesWritten++;
+  const deterministicInputs = {
+    langVersions,
+    config: {
+      determinism_target: parseFloat(options.determinismTarget),
+      heuristics: options.heuristics,
+      php_workers: parseInt(options.phpWorkers),
+      ts_workers: parseInt(options.tsWorkers)
+    },
+    git: {
+      head: gitInfo.head,
+      files: gitInfo.files
+    },
+    policy,
+    plan
+  };
+
+  const inputsHash = sha256(deterministicInputs);
+  log(kleur.dim(`Inputs hash: ${inputsHash.substring(0, 12)}...`));
+
+  // Extract graphs
+  log(kleur.yellow('📊 Extracting code graph...'));
+
+  const fileCount = tsFiles.length + phpFiles.length;
+
+  const tsGraph = tsFiles.length > 0
+    ? await extractTSGraph(tsFiles, parseInt(options.tsWorkers), policy, {
+      signal: hooks.signal,
+      onFile: (done, total) => {
+        // Every 50 files is often enough for a progress bar
+        if (done % 50 !== 0 || done === total) return;
+        progress({
+          stage: 'files-parsed',
+          completed: done,
+          total: fileCount,
+          message: `Parsed ${done}/${total} TS/JS files`
+        });
       }
-    }
+    })
+    : { symbols: [], calls: [], modules: [] };
+
+  checkpoint();
+  progress({
+    stage: 'files-parsed',
+    completed: tsFiles.length,
+    total: fileCount,
+    message: `Parsed ${tsFiles.length} TS/JS files`
+  });
+
+  const phpGraph = phpFiles.length > 0
+    ? await extractPHPGraph(phpFiles, parseInt(options.phpWorkers), policy, hooks.signal)
+    : { symbols: [], calls: [], modules: [] };
+
+  checkpoint();
+  progress({
+    stage: 'files-parsed',
+    completed: fileCount,
+    total: fileCount,
+    message: `Parsed ${fileCount} files`
+  });
+
+  // Merge graphs
+  const fullGraph: CodeGraph = {
+    symbols: [...tsGraph.symbols, ...phpGraph.symbols],
+    calls: [...tsGraph.calls, ...phpGraph.calls],
+    modules: [...tsGraph.modules, ...phpGraph.modules]
+  };
+
+  // Compute determinism ratio
+  const staticCalls = fullGraph.calls.filter(c => c.kind === 'direct').length;
+  const totalCalls = fullGraph.calls.length;
+  const detRatio = totalCalls > 0 ? staticCalls / totalCalls : 1.0;
+
+  log(kleur.dim(`Determinism: ${(detRatio * 100).toFixed(1)}% (${staticCalls}/${totalCalls} edges)`));
+
+  progress({
+    stage: 'graph-merged',
+    completed: 1,
+    total: 1,
+    message: `Merged graph: ${fullGraph.symbols.length} symbols, ${totalCalls} calls, ${fullGraph.modules.length} module edges`
+  });
+
+  const targetRatio = parseFloat(options.determinismTarget);
+  if (detRatio < targetRatio && options.heuristics !== 'off') {
+    log(kleur.yellow(`⚠️  Below target (${targetRatio}), heuristics would be applied`));
+    // Note: heuristics are already applied in PHP indexer based on policy
+  }
 
-    // Compute metrics
-    const wallMs = Date.now() - startTime;
-    const putP95 = computeP95(putTimes);
-
-    const metrics: MetricsData = {
-      det_ratio: detRatio,
-      edges_static: staticCalls,
-      edges_total: totalCalls,
-      frames_written: framesWritten,
-      wall_ms: wallMs,
-      peak_ram_mb: process.memoryUsage().heapUsed / 1024 / 1024,
-      put_p95_ms: putP95
-    };
-
-    // Store metrics
-    const metricsFrames = await buildFrames('codemap.metrics', scope, inputsHash, metrics);
-    for (const frame of metricsFrames) {
-      await putFact(frame);
-    }
+  // Build and store frames
+  log(kleur.yellow('💾 Storing frames...'));
+
+  const scope = { repo, commit: gitInfo.head };
+  let framesWritten = 0;
+  let putTimes: number[] = [];
+
+  const frames = [
+    ...(fullGraph.symbols.length > 0
+      ? await buildFrames('codemap.symbols', scope, inputsHash, fullGraph.symbols)
+      : []),
+    ...(fullGraph.calls.length > 0
+      ? await buildFrames('codemap.calls', scope, inputsHash, fullGraph.calls)
+      : []),
+    ...(fullGraph.modules.length > 0
+      ? await buildFrames('codemap.modules', scope, inputsHash, fullGraph.modules)
+      : [])
+  ];
+
+  for (const [i, frame] of frames.entries()) {
+    checkpoint();
+    const putStart = Date.now();
+    const result = await putFact(frame);
+    putTimes.push(Date.now() - putStart);
+    if (result.inserted) framesWritten++;
+
+    progress({
+      stage: 'frames-stored',
+      completed: i + 1,
+      total: frames.length,
+      message: `Stored ${i + 1}/${frames.length} frames`
+    });
+  }
 
-    console.log(kleur.green(`✓ Complete in ${wallMs}ms`));
-    console.log(kleur.dim(`  Frames: ${framesWritten} new`));
-    console.log(kleur.dim(`  Symbols: ${fullGraph.symbols.length}`));
-    console.log(kleur.dim(`  Calls: ${fullGraph.calls.length}`));
-    console.log(kleur.dim(`  Modules: ${fullGraph.modules.length}`));
+  // Compute metrics
+  const wallMs = Date.now() - startTime;
+  const putP95 = computeP95(putTimes);
+
+  const metrics: MetricsData = {
+    det_ratio: detRatio,
+    edges_static: staticCalls,
+    edges_total: totalCalls,
+    frames_written: framesWritten,
+    wall_ms: wallMs,
+    peak_ram_mb: process.memoryUsage().heapUsed / 1024 / 1024,
+    put_p95_ms: putP95
+  };
+
+  // Store metrics
+  const metricsFrames = await buildFrames('codemap.metrics', scope, inputsHash, metrics);
+  for (const frame of metricsFrames) {
+    await putFact(frame);
+  }
 
-    if (options.serve) {
-      console.log(kleur.yellow('🚀 Starting MCP server...'));
-      const { startServer } = await import('../server.js');
-      await startServer(options.lexbrain, options.mode, options.keyHex);
-    }
+  log(kleur.green(`✓ Complete in ${wallMs}ms`));
+  log(kleur.dim(`  Frames: ${framesWritten} new`));
+  log(kleur.dim(`  Symbols: ${fullGraph.symbols.length}`));
+  log(kleur.dim(`  Calls: ${fullGraph.calls.length}`));
+  log(kleur.dim(`  Modules: ${fullGraph.modules.length}`));
 
-  } catch (error) {
-    console.error(kleur.red('Error:'), error);
-    process.exit(1);
-  }
+  return { graph: fullGraph, metrics, putTimes, policy };
 }
 
 async function getRepoName(): Promise<string> {
@@ -2,6 +2,8 @@ import kleur from 'kleur';
 import { initLexBrain, getFacts } from '../lexbrain.js';
 import { fromB64 } from '../compress.js';
 import { initCompress } from '../compress.js';
+import { loadPolicy } from '../policy.js';
+import { CodeGraph, Module, Policy } from '../types.js';
 
 interface QueryOptions {
   type: string;
@@ -9,6 +11,7 @@ interface QueryOptions {
   lexbrain: string;
   mode: string;
   keyHex?: string;
+  policy: string;
 }
 
 export async function queryCommand(options: QueryOptions): Promise<void> {
@@ -24,28 +27,9 @@ export async function queryCommand(options: QueryOptions): Promise<void> {
     });
 
     const args = JSON.parse(options.args);
+    const policy = await loadPolicy(options.policy);
 
-    let result: any;
-
-    switch (options.type) {
-      case 'callers':
-        result = await queryCallers(args.symbol);
-        break;
-      case 'callees':
-        result = await queryCallees(args.symbol);
-        break;
-      case 'module_deps':
-        result = await queryModuleDeps(args.module);
-        break;
-      case 'recent_patterns':
-        result = await queryPatterns();
-        break;
-      case 'violations':
-        result = await queryViolations();
-        break;
-      default:
-        throw new Error(`Unknown query type: ${options.type}`);
-    }
+    const result = await runQuery(options.type, args, policy);
 
     console.log(JSON.stringify(result, null, 2));
 
@@ -55,35 +39,108 @@ export async function queryCommand(options: QueryOptions): Promise<void> {
   }
 }
 
-async function queryCallers(symbolId: string): Promise<any> {
-  const callFacts = await getFacts({ kind: 'codemap.calls', limit: 1000 });
-  const calls = await decompressFacts(callFacts);
+export const QUERY_TYPES = [
+  'callers',
+  'callees',
+  'module_deps',
+  'violations'
+] as const;
+
+export type QueryType = typeof QUERY_TYPES[number];
+
+/**
+ * Check query arguments, throwing on a missing required argument
+ */
+export function validateQuery(type: string, args: any): void {
+  if (!(QUERY_TYPES as readonly string[]).includes(type)) {
+    throw new Error(`Unknown query type: ${type}`);
+  }
+  if ((type === 'callers' || type === 'callees') && !args.symbol) {
+    throw new Error(`${type} query requires args.symbol`);
+  }
+  if (type === 'module_deps' && !args.module) {
+    throw new Error('module_deps query requires args.module');
+  }
+}
 
-  return calls.filter((c: any) => c.to === symbolId);
+/**
+ * Run a codemap query against LexBrain. The violations query checks the
+ * stored module graph against the policy's modules.allowed_deps.
+ * Assumes initCompress() and initLexBrain() have been called.
+ */
+export async function runQuery(type: string, args: any, policy?: Policy): Promise<any> {
+  validateQuery(type, args);
+
+  switch (type) {
+    case 'callers':
+      return callersOf(await fetchItems('codemap.calls', 1000), args.symbol);
+    case 'callees':
+      return calleesOf(await fetchItems('codemap.calls', 1000), args.symbol);
+    case 'module_deps':
+      return moduleDepsOf(await fetchItems('codemap.modules', 1000), args.module);
+    case 'violations':
+      return queryViolations(await fetchItems('codemap.modules', 1000), policy);
+  }
 }
 
-async function queryCallees(symbolId: string): Promise<any> {
-  const callFacts = await getFacts({ kind: 'codemap.calls', limit: 1000 });
-  const calls = await decompressFacts(callFacts);
+/**
+ * Run a codemap query against an in-memory graph, such as the one the
+ * index command just built.
+ */
+export function queryGraph(type: string, args: any, graph: CodeGraph, policy?: Policy): any {
+  validateQuery(type, args);
+
+  switch (type) {
+    case 'callers':
+      return callersOf(graph.calls, args.symbol);
+    case 'callees':
+      return calleesOf(graph.calls, args.symbol);
+    case 'module_deps':
+      return moduleDepsOf(graph.modules, args.module);
+    case 'violations':
+      return queryViolations(graph.modules, policy);
+  }
+}
 
-  return calls.filter((c: any) => c.from === symbolId);
+function callersOf(calls: any[], symbolId: string): any[] {
+  return calls.filter((c: any) => c.to === symbolId);
 }
 
-async function queryModuleDeps(moduleId: string): Promise<any> {
-  const moduleFacts = await getFacts({ kind: 'codemap.modules', limit: 1000 });
-  const modules = await decompressFacts(moduleFacts);
+function calleesOf(calls: any[], symbolId: string): any[] {
+  return calls.filter((c: any) => c.from === symbolId);
+}
 
+function moduleDepsOf(modules: any[], moduleId: string): any[] {
   return modules.filter((m: any) => m.from === moduleId || m.to === moduleId);
 }
 
-async function queryPatterns(): Promise<any> {
-  const patternFacts = await getFacts({ kind: 'codemap.patterns', limit: 100 });
-  return await decompressFacts(patternFacts);
+/**
+ * Module edges between policy modules that modules.allowed_deps doesn't
+ * list. Edges to modules the policy doesn't name (packages, directories
+ * outside modules.patterns) are not checked.
+ */
+function queryViolations(modules: Module[], policy?: Policy): any {
+  const allowed = policy?.modules?.allowed_deps || [];
+  if (allowed.length === 0) {
+    throw new Error('violations query needs modules.allowed_deps in the policy; without it every dependency is allowed');
+  }
+
+  const named = new Set([
+    ...(policy?.modules?.patterns || []).map(p => p.name),
+    ...allowed.flatMap(d => [d.from, d.to])
+  ]);
+  const checked = modules.filter(m => m.from !== m.to && named.has(m.from) && named.has(m.to));
+
+  return {
+    violations: checked
+      .filter(m => !allowed.some(d => d.from === m.from && d.to === m.to))
+      .map(m => ({ ...m, rule: 'modules.allowed_deps' })),
+    edges_checked: checked.length
+  };
 }
 
-async function queryViolations(): Promise<any> {
-  // This would check policy violations - simplified for now
-  return { violations: [] };
+async function fetchItems(kind: string, limit: number): Promise<any[]> {
+  return await decompressFacts(await getFacts({ kind, limit }));
 }
 
 async function decompressFacts(facts: any[]): Promise<any[]> {
@@ -23,53 +23,69 @@ export async function sliceCommand(options: SliceOptions): Promise<void> {
       keyHex: options.keyHex
     });
 
-    const radius = parseInt(options.radius);
-
-    // Fetch symbols and calls
-    const symbolFacts = await getFacts({ kind: 'codemap.symbols', limit: 1000 });
-    const callFacts = await getFacts({ kind: 'codemap.calls', limit: 1000 });
-
-    // Decompress
-    let allSymbols: any[] = [];
-    let allCalls: any[] = [];
-
-    for (const fact of symbolFacts) {
-      const data = await fromB64(fact.payload_b64);
-      if (data.items) {
-        allSymbols.push(...data.items);
-      } else if (Array.isArray(data)) {
-        allSymbols.push(...data);
-      }
-    }
+    const slice = await computeSlice(options.symbol, parseInt(options.radius));
 
-    for (const fact of callFacts) {
-      const data = await fromB64(fact.payload_b64);
-      if (data.items) {
-        allCalls.push(...data.items);
-      } else if (Array.isArray(data)) {
-        allCalls.push(...data);
-      }
-    }
+    console.log(JSON.stringify(slice, null, 2));
+
+  } catch (error) {
+    console.error(kleur.red('Error:'), error);
+    process.exit(1);
+  }
+}
 
-    // Find target symbol
-    const target = allSymbols.find(s =>
-      s.fqname === options.symbol || s.id === options.symbol
-    );
+/**
+ * Fetch symbols and calls from LexBrain and build the slice around a symbol.
+ * Assumes initCompress() and initLexBrain() have been called.
+ */
+export async function computeSlice(symbol: string, radius: number): Promise<any> {
+  // Fetch symbols and calls
+  const symbolFacts = await getFacts({ kind: 'codemap.symbols', limit: 1000 });
+  const callFacts = await getFacts({ kind: 'codemap.calls', limit: 1000 });
+
+  // Decompress
+  let allSymbols: any[] = [];
+  let allCalls: any[] = [];
+
+  for (const fact of symbolFacts) {
+    const data = await fromB64(fact.payload_b64);
+    if (data.items) {
+      allSymbols.push(...data.items);
+    } else if (Array.isArray(data)) {
+      allSymbols.push(...data);
+    }
+  }
 
-    if (!target) {
-      console.error(kleur.red(`Symbol not found: ${options.symbol}`));
-      process.exit(1);
+  for (const fact of callFacts) {
+    const data = await fromB64(fact.payload_b64);
+    if (data.items) {
+      allCalls.push(...data.items);
+    } else if (Array.isArray(data)) {
+      allCalls.push(...data);
     }
+  }
 
-    // Build slice
-    const slice = buildSlice(target, allSymbols, allCalls, radius);
+  return buildSliceFor(symbol, allSymbols, allCalls, radius);
+}
 
-    console.log(JSON.stringify(slice, null, 2));
+/**
+ * Build a slice from an in-memory graph, throwing if the symbol is unknown
+ */
+export function buildSliceFor(
+  symbol: string,
+  symbols: any[],
+  calls: any[],
+  radius: number
+): any {
+  // Find target symbol
+  const target = symbols.find(s =>
+    s.fqname === symbol || s.id === symbol
+  );
 
-  } catch (error) {
-    console.error(kleur.red('Error:'), error);
-    process.exit(1);
+  if (!target) {
+    throw new Error(`Symbol not found: ${symbol}`);
   }
+
+  return buildSlice(target, symbols, calls, radius);
 }
 
 function buildSlice(
@@ -1,16 +1,16 @@
-import {
-  compress as fzstdCompress,
-  decompress as fzstdDecompress,
-} from "fzstd";
+import zlib from "zlib";
+import { decompress as fzstdDecompress } from "fzstd";
 import { stableStringify } from "./hash.js";
 
+// fzstd only decompresses; compression uses Node's built-in zstd (Node 22.15+)
+
 export async function initCompress(): Promise<void> {
   // fzstd doesn't require initialization
 }
 
 export async function toB64(obj: any): Promise<string> {
   const json = stableStringify(obj);
-  const compressed = fzstdCompress(Buffer.from(json, "utf8"));
+  const compressed = zlib.zstdCompressSync(Buffer.from(json, "utf8"));
 
   return Buffer.from(compressed).toString("base64");
 }
@@ -6,7 +6,8 @@ import { CodeGraph, Policy } from '../types.js';
 export async function extractPHPGraph(
   files: string[],
   workers: number,
-  policy: Policy
+  policy: Policy,
+  signal?: AbortSignal
 ): Promise<CodeGraph> {
   // Write file list to temp file
   const fileListPath = join(process.cwd(), '.lexmap-php-files.tmp');
@@ -22,7 +23,10 @@ export async function extractPHPGraph(
       '--files', `@${fileListPath}`,
       '--base', process.cwd(),
       '--jsonl'
-    ]);
+    ], { signal });
+
+    // Spawn failures, and the kill when signal is aborted
+    child.on('error', reject);
 
     child.stdout.on('data', (data) => {
       chunks.push(data.toString());
@@ -1,7 +1,21 @@
 import { Project, SyntaxKind } from 'ts-morph';
-import { CodeGraph, Symbol, Call, Module } from '../types.js';
+import { dirname, relative, resolve } from 'path';
+import { CodeGraph, Symbol, Call, Module, Policy } from '../types.js';
+import { resolveOwner } from '../paths.js';
+
+export interface ExtractHooks {
+  /** Called before each file and once at the end with the number of files done */
+  onFile?: (done: number, total: number) => void;
+  /** Checked between files; extraction throws once it is aborted */
+  signal?: AbortSignal;
+}
 
-export async function extractTSGraph(files: string[], workers: number): Promise<CodeGraph> {
+export async function extractTSGraph(
+  files: string[],
+  workers: number,
+  policy: Policy = {},
+  hooks: ExtractHooks = {}
+): Promise<CodeGraph> {
   const project = new Project({
     skipAddingFilesFromTsConfig: true,
     compilerOptions: {
@@ -10,23 +24,27 @@ export async function extractTSGraph(files: string[], workers: number): Promise<
     }
   });
 
-  // Add files
-  for (const file of files) {
-    try {
-      project.addSourceFileAtPath(file);
-    } catch {
-      // Skip files that can't be parsed
-    }
-  }
-
   const symbols: Symbol[] = [];
   const calls: Call[] = [];
   const modules: Module[] = [];
   const moduleMap = new Map<string, Set<string>>();
 
-  for (const sourceFile of project.getSourceFiles()) {
+  for (const [index, file] of files.entries()) {
+    // Let cancellation arrive between files; parsing itself is synchronous
+    await new Promise(resolve => setImmediate(resolve));
+    hooks.signal?.throwIfAborted();
+    hooks.onFile?.(index, files.length);
+
+    let sourceFile;
+    try {
+      sourceFile = project.addSourceFileAtPath(file);
+    } catch {
+      // Skip files that can't be parsed
+      continue;
+    }
+
     const filePath = sourceFile.getFilePath();
-    const moduleId = getModuleId(filePath);
+    const moduleId = getModuleId(filePath, policy);
 
     // Extract symbols
     for (const cls of sourceFile.getClasses()) {
@@ -116,7 +134,7 @@ export async function extractTSGraph(files: string[], workers: number): Promise<
     // Track imports for module graph
     for (const importDecl of sourceFile.getImportDeclarations()) {
       const moduleSpec = importDecl.getModuleSpecifierValue();
-      const targetModule = resolveModuleId(moduleSpec, filePath);
+      const targetModule = resolveModuleId(moduleSpec, filePath, policy);
 
       if (!moduleMap.has(moduleId)) {
         moduleMap.set(moduleId, new Set());
@@ -125,6 +143,8 @@ export async function extractTSGraph(files: string[], workers: number): Promise<
     }
   }
 
+  hooks.onFile?.(files.length, files.length);
+
   // Build module graph
   for (const [from, toSet] of moduleMap.entries()) {
     for (const to of toSet) {
@@ -139,9 +159,17 @@ export async function extractTSGraph(files: string[], workers: number): Promise<
   return { symbols, calls, modules };
 }
 
-function getModuleId(filePath: string): string {
-  // Extract top-level directory or package name
-  const parts = filePath.split('/');
+function getModuleId(filePath: string, policy: Policy): string {
+  // modules.patterns first, most specific match wins
+  const repoPath = relative(process.cwd(), filePath);
+  const owner = resolveOwner(
+    repoPath,
+    (policy.modules?.patterns || []).map(p => ({ owner: p.name, patterns: [p.match] }))
+  ).winner;
+  if (owner) return owner.owner;
+
+  // Otherwise the top-level directory or package name
+  const parts = repoPath.split('/');
   const srcIndex = parts.indexOf('src');
   if (srcIndex >= 0 && parts.length > srcIndex + 1) {
     return parts[srcIndex + 1];
@@ -149,10 +177,10 @@ function getModuleId(filePath: string): string {
   return parts[0] || 'unknown';
 }
 
-function resolveModuleId(spec: string, fromFile: string): string {
+function resolveModuleId(spec: string, fromFile: string, policy: Policy): string {
   if (spec.startsWith('.')) {
     // Relative import
-    return getModuleId(fromFile);
+    return getModuleId(resolve(dirname(fromFile), spec), policy);
   }
   // External or absolute
   return spec.split('/')[0];
@@ -48,7 +48,7 @@ export async function putFact(frame: FrameMeta): Promise<PutFactResponse> {
     payload_b64: payload
   };
 
-  const response = await request(`${config.url}/facts`, {
+  const response = await send(`${config.url}/facts`, {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json'
@@ -73,7 +73,7 @@ export async function getFacts(query: GetFactsQuery): Promise<FrameMeta[]> {
 
   const url = `${config.url}/facts?${params.toString()}`;
 
-  const response = await request(url, {
+  const response = await send(url, {
     method: 'GET',
     headers: {
       'Accept': 'application/json'
@@ -88,3 +88,14 @@ export async function getFacts(query: GetFactsQuery): Promise<FrameMeta[]> {
   const result = await response.body.json() as any;
   return result.facts || [];
 }
+
+/**
+ * Issue a request, reporting connection failures with the LexBrain URL
+ */
+async function send(url: string, options: Parameters<typeof request>[1]) {
+  try {
+    return await request(url, options);
+  } catch (error: any) {
+    throw new Error(`LexBrain unreachable at ${config.url}: ${error.code || error.message}`);
+  }
+}
@@ -0,0 +1,54 @@
+import { MetricsData } from './types.js';
+
+// Upper bounds (ms) for LexBrain PUT latency buckets
+const PUT_LATENCY_BUCKETS_MS = [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000];
+
+/**
+ * Render index metrics in the Prometheus text exposition format.
+ * putTimes are the individual PUT latencies behind put_p95_ms.
+ */
+export function formatPrometheus(metrics: MetricsData, putTimes: number[]): string {
+  const lines: string[] = [
+    ...gauge('lexmap_det_ratio', 'Ratio of static (direct) call edges to all call edges', metrics.det_ratio),
+    ...gauge('lexmap_edges_static', 'Static call edges in the last index run', metrics.edges_static),
+    ...gauge('lexmap_edges_total', 'Call edges in the last index run', metrics.edges_total),
+    ...gauge('lexmap_frames_written', 'New frames written to LexBrain in the last index run', metrics.frames_written),
+    ...gauge('lexmap_index_wall_seconds', 'Wall time of the last index run', metrics.wall_ms / 1000),
+    ...gauge('lexmap_index_peak_ram_megabytes', 'Heap used at the end of the last index run', metrics.peak_ram_mb),
+    ...gauge('lexmap_put_p95_seconds', 'p95 LexBrain PUT latency in the last index run', metrics.put_p95_ms / 1000),
+    ...histogram(
+      'lexmap_put_latency_seconds',
+      'LexBrain PUT latency in the last index run',
+      putTimes.map(ms => ms / 1000),
+      PUT_LATENCY_BUCKETS_MS.map(ms => ms / 1000)
+    )
+  ];
+
+  return lines.join('\n') + '\n';
+}
+
+function gauge(name: string, help: string, value: number): string[] {
+  return [
+    `# HELP ${name} ${help}`,
+    `# TYPE ${name} gauge`,
+    `${name} ${value}`
+  ];
+}
+
+function histogram(name: string, help: string, values: number[], buckets: number[]): string[] {
+  const lines = [
+    `# HELP ${name} ${help}`,
+    `# TYPE ${name} histogram`
+  ];
+
+  for (const le of buckets) {
+    const count = values.filter(v => v <= le).length;
+    lines.push(`${name}_bucket{le="${le}"} ${count}`);
+  }
+
+  lines.push(`${name}_bucket{le="+Inf"} ${values.length}`);
+  lines.push(`${name}_sum ${values.reduce((sum, v) => sum + v, 0)}`);
+  lines.push(`${name}_count ${values.length}`);
+
+  return lines;
+}
@@ -0,0 +1,422 @@
+/**
+ * Path matching shared by the indexer (modules.patterns, kill_patterns) and
+ * the lexmap.scan checker (owns_paths, allowed_callers, forbidden_callers).
+ *
+ * Semantics of a pattern, matched against a repo-relative, forward-slash path:
+ *   - `src/auth/` or `src/auth`   prefix: the directory and everything under it;
+ *                                 without the trailing slash also a file of that
+ *                                 name with any extension (src/auth.ts)
+ *   - `**`                        any number of directories, including none
+ *   - `*` and `?`                 any characters / one character within a segment
+ *   - `{a,b}`                     either alternative (may nest)
+ *   - `!pattern`                  in a list, excludes what pattern matches
+ *
+ * Only a pattern ending in a literal name or a `/` covers everything below
+ * it: `src/*` matches src/a.ts and src/lib but not src/lib/a.ts (use
+ * `src/**` for that).
+ *
+ * Module IDs (allowed_callers, forbidden_callers, layers, kill pattern
+ * modules) are matched with `{ ids: true }`: the same globs, without the
+ * file extension suffix, so `api/user` doesn't match `api/user.v2`.
+ *
+ * When several patterns (or owners) match, the most specific wins: the one
+ * with the most literal (non-wildcard) characters, and on a tie the one
+ * listed first. In a list, a `!` entry excludes the path only when it is at
+ * least as specific as the best positive entry, so
+ * `["src/**", "!src/legacy/", "src/legacy/keep/"]` still covers
+ * src/legacy/keep/a.ts.
+ *
+ * Kept free of imports and non-erasable syntax so Node can load it directly
+ * from lexmap.scan.
+ */
+
+export interface CompiledPattern {
+  /** The entry as written, including any `!` */
+  source: string;
+  negated: boolean;
+  /** One alternative per brace expansion; idRegex is for module IDs */
+  alternatives: Array<{ glob: string; regex: RegExp; idRegex: RegExp; specificity: number }>;
+}
+
+export interface MatchOptions {
+  /** Match module IDs rather than file paths: no extension suffix */
+  ids?: boolean;
+}
+
+export interface PatternMatch {
+  /** The entry as written */
+  pattern: string;
+  /** Position of the entry in its list */
+  index: number;
+  /** Literal characters of the matching alternative; higher wins */
+  specificity: number;
+}
+
+export interface ListMatch {
+  /** Most specific positive entry that matches, or null */
+  match: PatternMatch | null;
+  /** Negated entry that excluded the path despite a positive match */
+  excludedBy: PatternMatch | null;
+}
+
+export interface Claim<T> extends PatternMatch {
+  owner: T;
+}
+
+export interface Ownership<T> {
+  /** Most specific claim, or null when nothing claims the path */
+  winner: Claim<T> | null;
+  /** Every owner whose patterns match, most specific first */
+  claims: Claim<T>[];
+  /** Owners that matched but whose negated entries excluded the path */
+  excluded: Claim<T>[];
+}
+
+const cache = new Map<string, CompiledPattern>();
+
+/**
+ * Repo-relative, forward-slash form of a path: `.\src\a.ts` → `src/a.ts`
+ */
+export function normalizePath(path: string): string {
+  return path.replace(/\\/g, '/').replace(/^(\.\/)+/, '').replace(/\/{2,}/g, '/');
+}
+
+export function compilePattern(pattern: string): CompiledPattern {
+  const cached = cache.get(pattern);
+  if (cached) return cached;
+
+  const negated = pattern.startsWith('!');
+  const body = normalizePath(negated ? pattern.slice(1) : pattern);
+
+  const compiled: CompiledPattern = {
+    source: pattern,
+    negated,
+    alternatives: expandBraces(body)
+      .filter((glob) => glob.replace(/\/+$/, '') !== '')
+      .map((glob) => ({
+        glob,
+        regex: globToRegExp(glob, false),
+        idRegex: globToRegExp(glob, true),
+        specificity: glob.replace(/\/+$/, '').replace(/[*?]/g, '').length
+      }))
+  };
+  cache.set(pattern, compiled);
+  return compiled;
+}
+
+/**
+ * Specificity of the alternative of pattern that matches path, or null if it
+ * doesn't match. Negation is ignored here; see matchList for lists.
+ */
+export function patternSpecificity(
+  path: string,
+  pattern: string,
+  options: MatchOptions = {}
+): number | null {
+  const target = normalizePath(path);
+  let best: number | null = null;
+  for (const alternative of compilePattern(pattern).alternatives) {
+    const regex = options.ids ? alternative.idRegex : alternative.regex;
+    if (regex.test(target) && (best === null || alternative.specificity > best)) {
+      best = alternative.specificity;
+    }
+  }
+  return best;
+}
+
+export function matchesPattern(path: string, pattern: string, options: MatchOptions = {}): boolean {
+  return matchList(path, [pattern], options).match !== null;
+}
+
+/**
+ * Match a path against a list of patterns: the most specific positive entry
+ * that matches, unless a negated entry at least as specific also matches
+ */
+export function matchList(path: string, patterns: string[], options: MatchOptions = {}): ListMatch {
+  let match: PatternMatch | null = null;
+  let excludedBy: PatternMatch | null = null;
+
+  for (const [index, pattern] of patterns.entries()) {
+    const specificity = patternSpecificity(path, pattern, options);
+    if (specificity === null) continue;
+
+    const entry = { pattern, index, specificity };
+    if (compilePattern(pattern).negated) {
+      if (!excludedBy || specificity > excludedBy.specificity) excludedBy = entry;
+    } else if (!match || specificity > match.specificity) {
+      match = entry;
+    }
+  }
+
+  return match && excludedBy && excludedBy.specificity >= match.specificity
+    ? { match: null, excludedBy }
+    : { match, excludedBy: null };
+}
+
+export function matchPatterns(
+  path: string,
+  patterns: string[],
+  options: MatchOptions = {}
+): PatternMatch | null {
+  return matchList(path, patterns, options).match;
+}
+
+/**
+ * Which owner claims a path when several owners' pattern lists may overlap:
+ * the most specific claim wins, and on a tie the owner listed first
+ */
+export function resolveOwner<T>(
+  path: string,
+  owners: Array<{ owner: T; patterns: string[] }>
+): Ownership<T> {
+  const claims: Claim<T>[] = [];
+  const excluded: Claim<T>[] = [];
+
+  for (const { owner, patterns } of owners) {
+    const { match, excludedBy } = matchList(path, patterns);
+    if (match) claims.push({ owner, ...match });
+    if (excludedBy) excluded.push({ owner, ...excludedBy });
+  }
+
+  // Array.prototype.sort is stable, so ties keep policy order
+  claims.sort((a, b) => b.specificity - a.specificity);
+  return { winner: claims[0] ?? null, claims, excluded };
+}
+
+/**
+ * A path both patterns match, or null if none can. Decided on the patterns
+ * themselves rather than on sample paths, so `src/**\/*.ts` and
+ * `src/legacy/` overlap (in src/legacy/x.ts). Negation is ignored, like in
+ * patternSpecificity.
+ */
+export function sharedPath(a: string, b: string, options: MatchOptions = {}): string | null {
+  const ids = options.ids === true;
+  let best: string | null = null;
+  for (const left of compilePattern(a).alternatives) {
+    for (const right of compilePattern(b).alternatives) {
+      const shared = intersect(globAutomaton(left.glob, ids), globAutomaton(right.glob, ids));
+      if (shared !== null && (best === null || shared.length < best.length)) best = shared;
+    }
+  }
+  return best;
+}
+
+/**
+ * Expand `{a,b}` alternatives, innermost groups included:
+ * `src/{ui,api}/*.ts` → [`src/ui/*.ts`, `src/api/*.ts`]
+ */
+function expandBraces(pattern: string): string[] {
+  const open = pattern.indexOf('{');
+  if (open === -1) return [pattern];
+
+  let depth = 0;
+  let close = -1;
+  const commas: number[] = [];
+  for (let i = open; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === '{') depth++;
+    else if (ch === '}' && --depth === 0) {
+      close = i;
+      break;
+    } else if (ch === ',' && depth === 1) commas.push(i);
+  }
+
+  // An unbalanced or single-option brace is a literal character
+  if (close === -1 || commas.length === 0) {
+    if (close === -1) return [pattern];
+    return expandBraces(pattern.slice(close + 1)).map(
+      (rest) => pattern.slice(0, close + 1) + rest
+    );
+  }
+
+  const prefix = pattern.slice(0, open);
+  const suffix = pattern.slice(close + 1);
+  const bounds = [open, ...commas, close];
+  const options: string[] = [];
+  for (let i = 0; i < bounds.length - 1; i++) {
+    options.push(pattern.slice(bounds[i] + 1, bounds[i + 1]));
+  }
+
+  return options.flatMap((option) => expandBraces(prefix + option + suffix));
+}
+
+function globToRegExp(glob: string, ids: boolean): RegExp {
+  const isDirectory = glob.endsWith('/');
+  const segments = glob.replace(/\/+$/, '').split('/');
+  const escape = (ch: string) => ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+
+  let source = '';
+  segments.forEach((segment, i) => {
+    const first = i === 0;
+    const last = i === segments.length - 1;
+
+    if (segment === '**') {
+      if (last) source += first ? '.*' : '(?:/.*)?';
+      else source += first ? '(?:.*/)?' : '/(?:.*/)?';
+      return;
+    }
+
+    if (!first && segments[i - 1] !== '**') source += '/';
+    for (const ch of segment) {
+      source += ch === '*' ? '[^/]*' : ch === '?' ? '[^/]' : escape(ch);
+    }
+  });
+
+  // A literal file-or-directory name also matches that file with an extension
+  const extension = !ids && !isDirectory && !/[*?]/.test(glob) ? '(?:\\.[^/]+)?' : '';
+  // A directory or literal name covers what is below it; `*` stays in its segment
+  const below = isDirectory || !/[*?]/.test(segments[segments.length - 1]) ? '(?:/.*)?' : '';
+
+  return new RegExp(`^${source}${extension}${below}$`);
+}
+
+interface Automaton {
+  /** Per state: null tests are empty moves; cost ranks the example paths */
+  edges: Array<Array<{ to: number; test: ((ch: string) => boolean) | null; cost: number }>>;
+  accept: number;
+  /** Characters the tests single out */
+  literals: Set<string>;
+}
+
+/**
+ * The automaton of globToRegExp's expression for a glob, state 0 first
+ */
+function globAutomaton(glob: string, ids: boolean): Automaton {
+  const automaton: Automaton = { edges: [[]], accept: 0, literals: new Set(['/']) };
+  const { edges, literals } = automaton;
+  const state = () => edges.push([]) - 1;
+  const anyChar = () => true;
+  const inSegment = (ch: string) => ch !== '/';
+  const literal = (c: string) => {
+    literals.add(c);
+    return (ch: string) => ch === c;
+  };
+
+  let at = 0;
+  const step = (test: (ch: string) => boolean) => {
+    const next = state();
+    edges[at].push({ to: next, test, cost: 0 });
+    at = next;
+  };
+  // Zero or more; an empty run costs extra so examples read src/x.ts, not src/.ts
+  const run = (test: (ch: string) => boolean) => {
+    const some = state();
+    const after = state();
+    edges[at].push({ to: some, test, cost: 0 }, { to: after, test: null, cost: 2 });
+    edges[some].push({ to: some, test, cost: 0 }, { to: after, test: null, cost: 0 });
+    at = after;
+  };
+  const optional = (build: () => void) => {
+    const from = at;
+    build();
+    const after = state();
+    edges[at].push({ to: after, test: null, cost: 0 });
+    edges[from].push({ to: after, test: null, cost: 0 });
+    at = after;
+  };
+
+  const isDirectory = glob.endsWith('/');
+  const segments = glob.replace(/\/+$/, '').split('/');
+  segments.forEach((segment, i) => {
+    const first = i === 0;
+    const last = i === segments.length - 1;
+
+    if (segment === '**') {
+      if (last && first) run(anyChar);
+      else if (last) {
+        optional(() => {
+          step(literal('/'));
+          run(anyChar);
+        });
+      }
+      else {
+        if (!first) step(literal('/'));
+        optional(() => {
+          run(anyChar);
+          step(literal('/'));
+        });
+      }
+      return;
+    }
+
+    if (!first && segments[i - 1] !== '**') step(literal('/'));
+    for (const ch of segment) {
+      if (ch === '*') run(inSegment);
+      else step(ch === '?' ? inSegment : literal(ch));
+    }
+  });
+
+  if (!ids && !isDirectory && !/[*?]/.test(glob)) {
+    optional(() => {
+      step(literal('.'));
+      run(inSegment);
+    });
+  }
+  if (isDirectory || !/[*?]/.test(segments[segments.length - 1])) {
+    optional(() => {
+      step(literal('/'));
+      run(anyChar);
+    });
+  }
+
+  automaton.accept = at;
+  return automaton;
+}
+
+/**
+ * Cheapest string both automata accept, or null: a search over pairs of
+ * states, trying each character the tests single out plus one they don't
+ */
+function intersect(a: Automaton, b: Automaton): string | null {
+  const literals = new Set([...a.literals, ...b.literals]);
+  // The other character first, so wildcards read as x rather than a literal
+  const other = [...'xyzqjkw0123456789'].find((ch) => !literals.has(ch)) ?? '~';
+  const alphabet = [other, ...literals];
+
+  const key = (x: number, y: number) => x * b.edges.length + y;
+  const found = new Map<number, { cost: number; from: number | null; ch: string }>([
+    [key(0, 0), { cost: 0, from: null, ch: '' }]
+  ]);
+  // Costs are small integers: one bucket of state pairs per cost
+  const buckets: Array<Array<[number, number]>> = [[[0, 0]]];
+
+  const visit = (x: number, y: number, cost: number, from: number, ch: string) => {
+    const known = found.get(key(x, y));
+    if (known && known.cost <= cost) return;
+    found.set(key(x, y), { cost, from, ch });
+    (buckets[cost] ??= []).push([x, y]);
+  };
+
+  for (let cost = 0; cost < buckets.length; cost++) {
+    for (const [x, y] of buckets[cost] ?? []) {
+      const here = key(x, y);
+      if (found.get(here)!.cost < cost) continue;
+
+      if (x === a.accept && y === b.accept) {
+        let text = '';
+        for (let at: number | null = here; at !== null; at = found.get(at)!.from) {
+          text = found.get(at)!.ch + text;
+        }
+        return text;
+      }
+
+      for (const edge of a.edges[x]) {
+        if (edge.test === null) visit(edge.to, y, cost + edge.cost, here, '');
+      }
+      for (const edge of b.edges[y]) {
+        if (edge.test === null) visit(x, edge.to, cost + edge.cost, here, '');
+      }
+      for (const left of a.edges[x]) {
+        for (const right of left.test === null ? [] : b.edges[y]) {
+          if (right.test === null) continue;
+          for (const ch of alphabet) {
+            if (left.test!(ch) && right.test(ch)) {
+              visit(left.to, right.to, cost + 1 + left.cost + right.cost, here, ch);
+            }
+          }
+        }
+      }
+    }
+  }
+  return null;
+}
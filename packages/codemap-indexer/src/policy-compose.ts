@@ -0,0 +1,480 @@
+/**
+ * Policy composition shared by the indexer (loadPolicy) and the lexmap.scan
+ * checker: `extends` chains and per-package policy files, merged into one
+ * effective policy.
+ *
+ * Merge rules:
+ *   1. `extends` (a path or a list of paths, relative to the file) loads the
+ *      parents first. The extending file then overrides them: objects merge
+ *      key by key, and its arrays and scalars replace inherited ones.
+ *   2. Sibling policies (the parents of one `extends` list, and the root with
+ *      its package policies) combine: objects merge key by key, arrays are
+ *      concatenated without duplicates, and two different scalars for the
+ *      same key, or two definitions of the same module ID, are conflicts.
+ *   3. A package policy is a lexmap.policy.json next to a package.json below
+ *      the root policy's directory (in a workspace, in one of its packages).
+ *      Its module IDs are namespaced with the package directory (or its
+ *      `namespace` key): `core` in packages/billing becomes
+ *      `packages/billing/core`. Its paths (owns_paths, entry points in
+ *      exposes and owns_namespaces, kill rule `paths`) are relative to the
+ *      package directory. Module entries (callers, layers, kill rule `from`,
+ *      `module` and `owner`) name modules of the same package unless they
+ *      start with `/` (`/ui/**` is the root's ui modules). Its
+ *      global_kill_patterns only apply to the package's modules.
+ *
+ * Conflicts, cycles and unreadable files are returned as errors with a JSON
+ * path, like schema errors, rather than resolved silently.
+ *
+ * Kept free of local imports and non-erasable syntax so Node can load it
+ * directly from lexmap.scan.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+
+export const POLICY_FILE = 'lexmap.policy.json';
+
+// Directories never searched for package policies
+const SKIP_DIRS = new Set(['node_modules', 'dist', 'build', 'vendor', 'coverage']);
+
+type Json = any;
+
+export interface PolicyError {
+  /** JSON path in the effective policy */
+  path: string;
+  message: string;
+}
+
+export interface ResolvedPolicy {
+  /** Effective policy, or null when the root file could not be read */
+  policy: Json | null;
+  /** Absolute paths of every file that contributed, in load order */
+  sources: string[];
+  errors: PolicyError[];
+}
+
+export interface ResolveOptions {
+  /** Merge package policies found below the root; default true */
+  packages?: boolean;
+}
+
+/**
+ * Load a policy file with everything it extends and, unless disabled, the
+ * package policies below it
+ */
+export function resolvePolicyFile(file: string, options: ResolveOptions = {}): ResolvedPolicy {
+  const rootFile = path.resolve(file);
+  const errors: PolicyError[] = [];
+  const sources: string[] = [];
+
+  let policy = loadWithExtends(rootFile, [], sources, errors);
+  if (policy === null) return { policy: null, sources, errors };
+
+  if (options.packages !== false) {
+    const rootDir = path.dirname(rootFile);
+    const origins = new Map([['$', display(rootFile)]]);
+
+    for (const packageFile of findPackagePolicies(rootDir)) {
+      if (sources.includes(packageFile)) continue;
+
+      const packagePolicy = loadWithExtends(packageFile, [], sources, errors);
+      if (packagePolicy === null) continue;
+
+      const dir = path.relative(rootDir, path.dirname(packageFile)).split(path.sep).join('/');
+      const namespace =
+        typeof packagePolicy.namespace === 'string' ? packagePolicy.namespace : dir;
+      policy = combine(
+        policy,
+        namespacePolicy(packagePolicy, namespace, dir),
+        '$',
+        display(packageFile),
+        origins,
+        errors
+      );
+    }
+  }
+
+  delete policy.namespace;
+  return { policy, sources, errors };
+}
+
+/**
+ * Package policy files below rootDir: lexmap.policy.json files in
+ * directories that also have a package.json, sorted for a stable merge order.
+ * In a workspace (pnpm-workspace.yaml or package.json `workspaces`) only the
+ * workspace packages are checked; otherwise the tree is walked.
+ */
+export function findPackagePolicies(rootDir: string): string[] {
+  const isFile = (file: string) => fs.statSync(file, { throwIfNoEntry: false })?.isFile() ?? false;
+  const workspace = workspacePackageDirs(rootDir);
+  if (workspace) {
+    const below = (dir: string) => {
+      const relative = path.relative(rootDir, dir);
+      return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+    };
+    return workspace
+      .filter((dir) => below(dir) && isFile(path.join(dir, POLICY_FILE)) && isFile(path.join(dir, 'package.json')))
+      .map((dir) => path.join(dir, POLICY_FILE))
+      .sort();
+  }
+
+  const found: string[] = [];
+
+  const walk = (dir: string) => {
+    let entries: fs.Dirent[];
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch {
+      return;
+    }
+
+    if (
+      dir !== rootDir &&
+      entries.some((e) => e.isFile() && e.name === POLICY_FILE) &&
+      entries.some((e) => e.isFile() && e.name === 'package.json')
+    ) {
+      found.push(path.join(dir, POLICY_FILE));
+    }
+
+    for (const entry of entries) {
+      if (entry.isDirectory() && !entry.name.startsWith('.') && !SKIP_DIRS.has(entry.name)) {
+        walk(path.join(dir, entry.name));
+      }
+    }
+  };
+
+  walk(rootDir);
+  return found.sort();
+}
+
+/**
+ * Package directories a workspace at rootDir lists, or null if it declares
+ * none. Patterns come from pnpm-workspace.yaml `packages` and package.json
+ * `workspaces` (a list or `{ packages }`): `*` matches within one directory
+ * level, `**` any number of levels, and `!` patterns exclude.
+ */
+export function workspacePackageDirs(rootDir: string): string[] | null {
+  let patterns: string[] | null = null;
+
+  const pnpmWorkspace = path.join(rootDir, 'pnpm-workspace.yaml');
+  if (fs.existsSync(pnpmWorkspace)) {
+    patterns = pnpmWorkspacePackages(fs.readFileSync(pnpmWorkspace, 'utf-8'));
+  }
+
+  const rootManifest = path.join(rootDir, 'package.json');
+  if (fs.existsSync(rootManifest)) {
+    try {
+      const { workspaces } = JSON.parse(fs.readFileSync(rootManifest, 'utf-8'));
+      const list = Array.isArray(workspaces) ? workspaces : workspaces?.packages;
+      if (Array.isArray(list)) {
+        patterns = [...(patterns ?? []), ...list.filter((p) => typeof p === 'string')];
+      }
+    } catch {
+      // A malformed root manifest declares no workspace
+    }
+  }
+
+  if (patterns === null) return null;
+
+  const expand = (pattern: string) => expandDirs(rootDir, pattern.split('/').filter((s) => s && s !== '.'));
+  const excluded = new Set(patterns.filter((p) => p.startsWith('!')).flatMap((p) => expand(p.slice(1))));
+  const dirs = patterns.filter((p) => !p.startsWith('!')).flatMap(expand);
+  return [...new Set(dirs)].filter((dir) => !excluded.has(dir));
+}
+
+/**
+ * Entries of the top-level `packages:` list of a pnpm-workspace.yaml, block
+ * (`- 'packages/*'`) or flow (`[a, b]`) style; other keys' lists are ignored
+ */
+export function pnpmWorkspacePackages(yaml: string): string[] {
+  const unquote = (value: string) => value.trim().replace(/^(['"])(.*)\1$/, '$2');
+  const packages: string[] = [];
+  let inPackages = false;
+
+  for (const line of yaml.split(/\r?\n/)) {
+    const content = line.replace(/(^|\s)#.*$/, '');
+    if (!content.trim()) continue;
+
+    // A new top-level key ends the packages list
+    if (!/^\s/.test(content) && !content.startsWith('-')) {
+      const key = content.match(/^(['"]?)packages\1\s*:\s*(.*)$/);
+      inPackages = key !== null;
+      const flow = key?.[2].match(/^\[(.*)\]$/);
+      if (flow) packages.push(...flow[1].split(',').map(unquote).filter(Boolean));
+      continue;
+    }
+
+    const item = content.match(/^\s*-\s*(.+)$/);
+    if (inPackages && item) packages.push(unquote(item[1]));
+  }
+  return packages;
+}
+
+function expandDirs(dir: string, segments: string[]): string[] {
+  if (segments.length === 0) return fs.existsSync(dir) ? [dir] : [];
+
+  const [segment, ...rest] = segments;
+  if (!segment.includes('*')) return expandDirs(path.join(dir, segment), rest);
+
+  let subdirs: string[];
+  try {
+    subdirs = fs
+      .readdirSync(dir, { withFileTypes: true })
+      .filter((e) => e.isDirectory() && !e.name.startsWith('.') && !SKIP_DIRS.has(e.name))
+      .map((e) => e.name);
+  } catch {
+    return [];
+  }
+
+  if (segment === '**') {
+    return [
+      ...expandDirs(dir, rest),
+      ...subdirs.flatMap((name) => expandDirs(path.join(dir, name), segments))
+    ];
+  }
+
+  const matcher = new RegExp(
+    '^' + segment.split('*').map((s) => s.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^/]*') + '$'
+  );
+  return subdirs.filter((name) => matcher.test(name)).flatMap((name) => expandDirs(path.join(dir, name), rest));
+}
+
+function loadWithExtends(
+  file: string,
+  chain: string[],
+  sources: string[],
+  errors: PolicyError[]
+): Json | null {
+  if (chain.includes(file)) {
+    errors.push({
+      path: '$.extends',
+      message: `extends cycle: ${[...chain, file].map(display).join(' → ')}`
+    });
+    return null;
+  }
+
+  let policy: Json;
+  try {
+    policy = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error: any) {
+    const reason = error.code === 'ENOENT' ? 'file not found' : error.message;
+    errors.push({ path: '$', message: `${display(file)}: ${reason}` });
+    return null;
+  }
+  if (!isObject(policy)) {
+    errors.push({ path: '$', message: `${display(file)}: a policy must be a JSON object` });
+    return null;
+  }
+  if (!sources.includes(file)) sources.push(file);
+
+  const { extends: parents, ...own } = policy;
+  const parentList = parents === undefined ? [] : Array.isArray(parents) ? parents : [parents];
+  if (!parentList.every((parent: unknown) => typeof parent === 'string')) {
+    errors.push({
+      path: '$.extends',
+      message: `${display(file)}: extends must be a path or a list of paths`
+    });
+    return own;
+  }
+
+  let base: Json | null = null;
+  const origins = new Map<string, string>();
+  for (const parent of parentList as string[]) {
+    const parentFile = path.resolve(path.dirname(file), parent);
+    const parentPolicy = loadWithExtends(parentFile, [...chain, file], sources, errors);
+    if (parentPolicy === null) continue;
+
+    if (base === null) {
+      base = parentPolicy;
+      origins.set('$', display(parentFile));
+    } else {
+      base = combine(base, parentPolicy, '$', display(parentFile), origins, errors);
+    }
+  }
+
+  return base === null ? own : extendPolicy(base, own);
+}
+
+/**
+ * Rule 1: the extending policy over what it inherits
+ */
+export function extendPolicy(base: Json, own: Json): Json {
+  if (!isObject(base) || !isObject(own)) return own;
+
+  const merged: Json = { ...base };
+  for (const [key, value] of Object.entries(own)) {
+    merged[key] = key in base ? extendPolicy(base[key], value) : value;
+  }
+  return merged;
+}
+
+/**
+ * Rule 2: two sibling policies; origins records which file set each path
+ */
+function combine(
+  a: Json,
+  b: Json,
+  at: string,
+  file: string,
+  origins: Map<string, string>,
+  errors: PolicyError[]
+): Json {
+  if (isObject(a) && isObject(b)) {
+    const merged: Json = { ...a };
+    for (const [key, value] of Object.entries(b)) {
+      const keyPath = childPath(at, key);
+      if (!(key in a)) {
+        merged[key] = value;
+        origins.set(keyPath, file);
+      } else if (key.startsWith('$')) {
+        // Comments ($comment) never conflict; the first one is kept
+        continue;
+      } else if (at === '$.modules' && isObject(a[key]) && isObject(value)) {
+        errors.push({
+          path: keyPath,
+          message: `module ${key} is defined by both ${originOf(keyPath, origins)} and ${file}`
+        });
+      } else {
+        merged[key] = combine(a[key], value, keyPath, file, origins, errors);
+      }
+    }
+    return merged;
+  }
+
+  if (Array.isArray(a) && Array.isArray(b)) {
+    const seen = new Set(a.map((item) => JSON.stringify(item)));
+    return [...a, ...b.filter((item) => !seen.has(JSON.stringify(item)))];
+  }
+
+  if (JSON.stringify(a) === JSON.stringify(b)) return a;
+
+  errors.push({
+    path: at,
+    message: `${originOf(at, origins)} sets ${JSON.stringify(a)} but ${file} sets ${JSON.stringify(b)}`
+  });
+  return a;
+}
+
+/**
+ * Rule 3: module IDs, paths and caller entries of a package policy,
+ * rewritten relative to the root
+ */
+function namespacePolicy(policy: Json, namespace: string, dir: string): Json {
+  const { namespace: _, ...rest } = policy;
+  const qualify = (id: string) => (id.startsWith('/') ? id.slice(1) : `${namespace}/${id}`);
+  const qualifyPattern = (entry: string) =>
+    entry.startsWith('!') ? `!${qualify(entry.slice(1))}` : qualify(entry);
+  const prefix = (p: string): string => {
+    if (p.startsWith('!')) return `!${prefix(p.slice(1))}`;
+    if (p.startsWith('/')) return p.slice(1);
+    return `${dir}/${p.replace(/^(\.\/)+/, '')}`;
+  };
+  // exposes and owns_namespaces mix names with paths; only paths move
+  // (`@scope/pkg` is a package name)
+  const prefixPath = (entry: string) => (entry.includes('/') && !entry.startsWith('@') ? prefix(entry) : entry);
+  const strings = (value: unknown, map: (s: string) => string) =>
+    Array.isArray(value) ? value.map((s) => (typeof s === 'string' ? map(s) : s)) : value;
+  const string = (value: unknown, map: (s: string) => string) =>
+    typeof value === 'string' ? map(value) : value;
+
+  // Checker kill patterns: a name, or { pattern, rule }
+  const killPattern = (entry: Json): Json => {
+    if (!isObject(entry) || !isObject(entry.rule)) return entry;
+    const rule: Json = { ...entry.rule };
+    if ('paths' in rule) rule.paths = strings(rule.paths, prefix);
+    if ('from' in rule) rule.from = strings(rule.from, qualifyPattern);
+    if ('module' in rule) rule.module = string(rule.module, qualifyPattern);
+    if ('owner' in rule) rule.owner = string(rule.owner, qualifyPattern);
+    return { ...entry, rule };
+  };
+
+  if (isObject(rest.modules)) {
+    const modules: Json = {};
+    for (const [key, value] of Object.entries(rest.modules) as Array<[string, Json]>) {
+      if (key === 'patterns' && Array.isArray(value)) {
+        // Indexer policy: [{ name, match }]
+        modules.patterns = value.map((p: Json) => ({
+          ...p,
+          name: typeof p?.name === 'string' ? qualify(p.name) : p?.name,
+          match: typeof p?.match === 'string' ? prefix(p.match) : p?.match
+        }));
+      } else if (key === 'allowed_deps' && Array.isArray(value)) {
+        modules.allowed_deps = value.map((d: Json) => ({
+          ...d,
+          from: typeof d?.from === 'string' ? qualify(d.from) : d?.from,
+          to: typeof d?.to === 'string' ? qualify(d.to) : d?.to
+        }));
+      } else if (isObject(value)) {
+        const module: Json = { ...value };
+        if ('owns_paths' in module) module.owns_paths = strings(module.owns_paths, prefix);
+        if ('owns_namespaces' in module) module.owns_namespaces = strings(module.owns_namespaces, prefixPath);
+        if ('exposes' in module) module.exposes = strings(module.exposes, prefixPath);
+        if ('allowed_callers' in module) module.allowed_callers = strings(module.allowed_callers, qualifyPattern);
+        if ('forbidden_callers' in module) {
+          module.forbidden_callers = strings(module.forbidden_callers, qualifyPattern);
+        }
+        if (Array.isArray(module.kill_patterns)) module.kill_patterns = module.kill_patterns.map(killPattern);
+        modules[qualify(key)] = module;
+      } else {
+        modules[key] = value;
+      }
+    }
+    rest.modules = modules;
+  }
+
+  // A package's global patterns apply to its own modules only
+  if (Array.isArray(rest.global_kill_patterns)) {
+    rest.global_kill_patterns = rest.global_kill_patterns.map((entry: Json) => {
+      if (!isObject(entry)) return entry;
+      const scoped = killPattern(entry);
+      return { ...scoped, scope: typeof entry.scope === 'string' ? qualifyPattern(entry.scope) : namespace };
+    });
+  }
+
+  // Layers: a name that is its pattern, or { name, modules }
+  if (Array.isArray(rest.layers)) {
+    rest.layers = rest.layers.map((layer: Json) =>
+      typeof layer === 'string'
+        ? qualifyPattern(layer)
+        : isObject(layer)
+          ? { ...layer, modules: strings(layer.modules, qualifyPattern) }
+          : layer
+    );
+  }
+
+  // Indexer policy: kill_patterns [{ kind, match }]
+  if (Array.isArray(rest.kill_patterns)) {
+    rest.kill_patterns = rest.kill_patterns.map((k: Json) =>
+      typeof k?.match === 'string' ? { ...k, match: prefix(k.match) } : k
+    );
+  }
+
+  return rest;
+}
+
+function isObject(value: unknown): value is Record<string, Json> {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function childPath(at: string, key: string): string {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${at}.${key}` : `${at}[${JSON.stringify(key)}]`;
+}
+
+/**
+ * File that set a path: the closest recorded ancestor
+ */
+function originOf(at: string, origins: Map<string, string>): string {
+  let best = '$';
+  for (const recorded of origins.keys()) {
+    if ((at === recorded || at.startsWith(`${recorded}.`) || at.startsWith(`${recorded}[`)) &&
+        recorded.length > best.length) {
+      best = recorded;
+    }
+  }
+  return origins.get(best) ?? 'an earlier policy';
+}
+
+function display(file: string): string {
+  const relative = path.relative(process.cwd(), file);
+  return relative.startsWith('..') ? file : relative;
+}
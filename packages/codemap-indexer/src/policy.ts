@@ -1,6 +1,6 @@
-import { readFile, access } from 'fs/promises';
-import { constants } from 'fs';
+import { existsSync } from 'fs';
 import { Policy } from './types.js';
+import { extendPolicy, resolvePolicyFile } from './policy-compose.js';
 
 const DEFAULT_POLICY: Policy = {
   modules: {
@@ -16,23 +16,23 @@ const DEFAULT_POLICY: Policy = {
   determinism_target: 0.95
 };
 
+/**
+ * Load the effective policy: the file with what it extends and the package
+ * policies below it, over the defaults. A missing file means the defaults;
+ * a file that can't be read or composes with conflicts is an error.
+ */
 export async function loadPolicy(path: string): Promise<Policy> {
-  try {
-    await access(path, constants.F_OK);
-    const content = await readFile(path, 'utf8');
-    const policy = JSON.parse(content);
-
-    // Merge with defaults
-    return {
-      ...DEFAULT_POLICY,
-      ...policy,
-      heuristics: {
-        ...DEFAULT_POLICY.heuristics,
-        ...policy.heuristics
-      }
-    };
-  } catch {
+  if (!existsSync(path)) {
     // Policy file doesn't exist, use defaults
     return DEFAULT_POLICY;
   }
+
+  const { policy, errors } = resolvePolicyFile(path);
+  if (errors.length > 0 || !policy) {
+    const details = errors.map(e => `  ${e.path}: ${e.message}`).join('\n');
+    throw new Error(`Invalid policy ${path}:\n${details}`);
+  }
+
+  // Merge with defaults
+  return extendPolicy(DEFAULT_POLICY, policy);
 }
@@ -1,67 +1,166 @@
-import { createServer, IncomingMessage, ServerResponse } from 'http';
+import { createServer, IncomingMessage, Server, ServerResponse } from 'http';
 import { URL } from 'url';
+import { z } from 'zod';
+import { buildSliceFor } from './commands/slice.js';
+import { queryGraph, QUERY_TYPES } from './commands/query.js';
+import { formatPrometheus } from './metrics.js';
+import { CodeGraph, MetricsData, Policy } from './types.js';
 
-let server: any;
+export interface ServerOptions {
+  port: number;
+  graph: CodeGraph;
+  metrics: MetricsData;
+  putTimes: number[];
+  /** Policy the graph was indexed with; the violations query checks against it */
+  policy?: Policy;
+}
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+const SliceRequest = z.object({
+  symbol: z.string().min(1),
+  radius: z.number().int().min(1).max(10).default(2)
+});
+
+const QueryRequest = z.object({
+  type: z.enum(QUERY_TYPES),
+  args: z.record(z.any()).default({})
+});
+
+class HttpError extends Error {
+  constructor(public status: number, message: string) {
+    super(message);
+  }
+}
 
-export async function startServer(
-  lexbrainUrl: string,
-  mode: string,
-  keyHex?: string,
-): Promise<void> {
-  server = createServer(handleRequest);
+let server: Server;
+let state: ServerOptions;
 
-  server.listen(6902, () => {
-    console.log('🌐 MCP server listening on http://localhost:6902');
+/**
+ * Serve slice, query and metrics from the graph the index run just built.
+ * Resolves once the server is listening.
+ */
+export async function startServer(options: ServerOptions): Promise<Server> {
+  if (!Number.isInteger(options.port) || options.port < 0 || options.port > 65535) {
+    throw new Error(`Invalid port: ${options.port}`);
+  }
+
+  state = options;
+  server = createServer((req, res) => {
+    handleRequest(req, res).catch(error => {
+      const status = error instanceof HttpError ? error.status : 500;
+      sendJson(res, status, { error: error.message });
+    });
   });
-}async function handleRequest(req: IncomingMessage, res: ServerResponse): Promise<void> {
-  const url = new URL(req.url || '', `http://${req.headers.host}`);
 
-  res.setHeader('Content-Type', 'application/json');
+  await new Promise<void>((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(options.port, () => {
+      server.off('error', reject);
+      resolve();
+    });
+  });
+
+  console.log(`🌐 MCP server listening on http://localhost:${options.port}`);
+  return server;
+}
+
+async function handleRequest(req: IncomingMessage, res: ServerResponse): Promise<void> {
+  const url = new URL(req.url || '', `http://${req.headers.host}`);
 
   if (req.method === 'GET' && url.pathname === '/health') {
-    res.writeHead(200);
-    res.end(JSON.stringify({ status: 'ok' }));
+    sendJson(res, 200, {
+      status: 'ok',
+      symbols: state.graph.symbols.length,
+      calls: state.graph.calls.length,
+      modules: state.graph.modules.length
+    });
     return;
   }
 
   if (req.method === 'GET' && url.pathname === '/metrics') {
     // Prometheus metrics
-    res.setHeader('Content-Type', 'text/plain');
-    res.writeHead(200);
-    res.end('# Prometheus metrics placeholder\n');
+    res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' });
+    res.end(formatPrometheus(state.metrics, state.putTimes));
     return;
   }
 
   if (req.method === 'POST' && url.pathname === '/slice') {
-    // Handle slice request
-    const body = await readBody(req);
-    const params = JSON.parse(body);
+    const params = parseRequest(SliceRequest, await readJson(req));
+
+    let slice;
+    try {
+      slice = buildSliceFor(params.symbol, state.graph.symbols, state.graph.calls, params.radius);
+    } catch (error: any) {
+      throw new HttpError(404, error.message);
+    }
 
-    // Would call slice logic here
-    res.writeHead(200);
-    res.end(JSON.stringify({ slice: 'placeholder' }));
+    sendJson(res, 200, slice);
     return;
   }
 
   if (req.method === 'POST' && url.pathname === '/query') {
-    // Handle query request
-    const body = await readBody(req);
-    const params = JSON.parse(body);
+    const params = parseRequest(QueryRequest, await readJson(req));
 
-    // Would call query logic here
-    res.writeHead(200);
-    res.end(JSON.stringify({ result: 'placeholder' }));
+    let result;
+    try {
+      result = queryGraph(params.type, params.args, state.graph, state.policy);
+    } catch (error: any) {
+      throw new HttpError(400, error.message);
+    }
+
+    sendJson(res, 200, { type: params.type, args: params.args, results: result });
     return;
   }
 
-  res.writeHead(404);
-  res.end(JSON.stringify({ error: 'Not found' }));
+  if (['/health', '/metrics', '/slice', '/query'].includes(url.pathname)) {
+    throw new HttpError(405, `Method not allowed: ${req.method} ${url.pathname}`);
+  }
+
+  throw new HttpError(404, 'Not found');
+}
+
+function parseRequest<T extends z.ZodTypeAny>(schema: T, body: unknown): z.infer<T> {
+  const parsed = schema.safeParse(body);
+  if (!parsed.success) {
+    const issues = parsed.error.issues
+      .map(issue => `${issue.path.join('.') || 'body'}: ${issue.message}`)
+      .join('; ');
+    throw new HttpError(400, `Invalid request: ${issues}`);
+  }
+  return parsed.data;
+}
+
+async function readJson(req: IncomingMessage): Promise<unknown> {
+  const body = await readBody(req);
+  try {
+    return JSON.parse(body);
+  } catch (error: any) {
+    throw new HttpError(400, `Invalid JSON body: ${error.message}`);
+  }
+}
+
+function sendJson(res: ServerResponse, status: number, body: unknown): void {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
 }
 
 function readBody(req: IncomingMessage): Promise<string> {
   return new Promise((resolve, reject) => {
     const chunks: Buffer[] = [];
-    req.on('data', chunk => chunks.push(chunk));
+    let size = 0;
+    const onData = (chunk: Buffer) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        // Drain the rest so the 413 response can still be sent
+        req.off('data', onData);
+        req.resume();
+        reject(new HttpError(413, `Request body exceeds ${MAX_BODY_BYTES} bytes`));
+        return;
+      }
+      chunks.push(chunk);
+    };
+    req.on('data', onData);
     req.on('end', () => resolve(Buffer.concat(chunks).toString()));
     req.on('error', reject);
   });
@@ -0,0 +1,112 @@
+// Path-pattern semantics shared by the indexer and the lexmap.scan checker
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  matchesPattern,
+  matchList,
+  normalizePath,
+  patternSpecificity,
+  resolveOwner,
+  sharedPath
+} from '../src/paths.ts';
+
+test('a literal name covers the directory, its subtree and the file with an extension', () => {
+  for (const path of ['src/auth', 'src/auth/a.ts', 'src/auth/deep/b.ts', 'src/auth.ts']) {
+    assert.ok(matchesPattern(path, 'src/auth'), path);
+  }
+  assert.ok(!matchesPattern('src/authz/a.ts', 'src/auth'));
+
+  assert.ok(matchesPattern('src/auth/a.ts', 'src/auth/'));
+  assert.ok(!matchesPattern('src/auth.ts', 'src/auth/'));
+});
+
+test('* and ? stay within one segment, ** spans directories', () => {
+  assert.ok(matchesPattern('src/a.ts', 'src/*'));
+  assert.ok(matchesPattern('src/lib', 'src/*'));
+  assert.ok(!matchesPattern('src/lib/a.ts', 'src/*'));
+  assert.ok(matchesPattern('src/lib/a.ts', 'src/*/'));
+  assert.ok(matchesPattern('src/lib/a.ts', 'src/**'));
+
+  assert.ok(matchesPattern('src/v1/a.ts', 'src/v?/'));
+  assert.ok(!matchesPattern('src/v10/a.ts', 'src/v?/'));
+
+  assert.ok(matchesPattern('src/legacy/a.ts', 'src/**/legacy/**'));
+  assert.ok(matchesPattern('src/x/y/legacy/a.ts', 'src/**/legacy/**'));
+  assert.ok(matchesPattern('lib/a.generated.ts', '**/*.generated.ts'));
+});
+
+test('braces expand to alternatives and paths are normalized', () => {
+  assert.ok(matchesPattern('src/ui/a.ts', 'src/{ui,api}/'));
+  assert.ok(matchesPattern('src/api/v2/a.ts', 'src/{ui,api/{v1,v2}}/'));
+  assert.ok(!matchesPattern('src/db/a.ts', 'src/{ui,api}/'));
+
+  assert.equal(normalizePath('.\\src\\auth//a.ts'), 'src/auth/a.ts');
+  assert.ok(matchesPattern('./src/auth/a.ts', 'src/auth/'));
+});
+
+test('module IDs match without the extension suffix', () => {
+  assert.ok(matchesPattern('api/user', 'api/user', { ids: true }));
+  assert.ok(matchesPattern('api/user/admin', 'api/user', { ids: true }));
+  assert.ok(!matchesPattern('api/user.v2', 'api/user', { ids: true }));
+  assert.ok(matchesPattern('api/user.v2', 'api/user'));
+  assert.ok(matchesPattern('ui/user-admin', 'ui/*', { ids: true }));
+});
+
+test('the most specific entry wins and a negation only excludes when as specific', () => {
+  const patterns = ['src/**', '!src/legacy/', 'src/legacy/keep/'];
+
+  assert.equal(matchList('src/a.ts', patterns).match.pattern, 'src/**');
+  assert.deepEqual(matchList('src/legacy/old.ts', patterns), {
+    match: null,
+    excludedBy: { pattern: '!src/legacy/', index: 1, specificity: 10 }
+  });
+  assert.equal(matchList('src/legacy/keep/a.ts', patterns).match.pattern, 'src/legacy/keep/');
+
+  assert.equal(patternSpecificity('src/auth/a.ts', 'src/**'), 4);
+  assert.equal(patternSpecificity('lib/a.ts', 'src/**'), null);
+});
+
+test('ownership goes to the most specific claim, ties to the owner listed first', () => {
+  const owners = [
+    { owner: 'app', patterns: ['src/'] },
+    { owner: 'auth', patterns: ['src/auth/', '!src/auth/legacy/'] },
+    { owner: 'auth-copy', patterns: ['src/auth/'] }
+  ];
+
+  const ownership = resolveOwner('src/auth/a.ts', owners);
+  assert.equal(ownership.winner.owner, 'auth');
+  assert.deepEqual(
+    ownership.claims.map((claim) => claim.owner),
+    ['auth', 'auth-copy', 'app']
+  );
+
+  const legacy = resolveOwner('src/auth/legacy/a.ts', owners);
+  assert.equal(legacy.winner.owner, 'auth-copy');
+  assert.deepEqual(
+    legacy.excluded.map((claim) => claim.owner),
+    ['auth']
+  );
+
+  assert.equal(resolveOwner('lib/a.ts', owners).winner, null);
+});
+
+test('two patterns overlap when some path matches both', () => {
+  const cases = [
+    ['src/**/*.ts', 'src/legacy/', 'src/legacy/x.ts'],
+    ['src/*', 'src/auth.ts', 'src/auth.ts'],
+    ['src/auth', 'src/auth.ts', 'src/auth.ts'],
+    ['**/*.test.ts', 'src/{ui,api}/', 'src/ui/x.test.ts'],
+    ['src/*/x', 'src/legacy/**/keep', 'src/legacy/x/keep'],
+    ['src/*', 'src/lib/a.ts', null],
+    ['src/legacy/', 'src/{ui,api}/*.ts', null],
+    ['docs/**/*.md', '**/*.test.ts', null]
+  ];
+  for (const [a, b, shared] of cases) {
+    assert.equal(sharedPath(a, b), shared, `${a} / ${b}`);
+    assert.equal(sharedPath(b, a), shared, `${b} / ${a}`);
+    if (shared) assert.ok(matchesPattern(shared, a) && matchesPattern(shared, b));
+  }
+
+  assert.equal(sharedPath('api/user', 'api/user.v2'), 'api/user.v2');
+  assert.equal(sharedPath('api/user', 'api/user.v2', { ids: true }), null);
+});
@@ -0,0 +1,247 @@
+// Policy composition: extends chains, sibling merges and package policies
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { dirname, join } from 'path';
+import {
+  findPackagePolicies,
+  pnpmWorkspacePackages,
+  resolvePolicyFile,
+  workspacePackageDirs
+} from '../src/policy-compose.ts';
+
+function fixture(files) {
+  const root = mkdtempSync(join(tmpdir(), 'lexmap-compose-'));
+  for (const [file, content] of Object.entries(files)) {
+    mkdirSync(dirname(join(root, file)), { recursive: true });
+    writeFileSync(join(root, file), typeof content === 'string' ? content : JSON.stringify(content));
+  }
+  return root;
+}
+
+function withFixture(files, run) {
+  const root = fixture(files);
+  try {
+    run(root);
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+}
+
+test('the extending file overrides its parents; siblings concatenate', () => {
+  withFixture(
+    {
+      'base.json': {
+        determinism_target: 0.9,
+        layers: ['ui', 'api'],
+        modules: { core: { owns_paths: ['src/core/'], exposes: ['Core'] } }
+      },
+      'platform.json': { modules: { api: { owns_paths: ['src/api/'] } }, layers: ['api', 'core'] },
+      'lexmap.policy.json': {
+        extends: ['./base.json', './platform.json'],
+        determinism_target: 0.95,
+        modules: { core: { exposes: ['CoreService'] } }
+      }
+    },
+    (root) => {
+      const { policy, sources, errors } = resolvePolicyFile(join(root, 'lexmap.policy.json'));
+
+      assert.deepEqual(errors, []);
+      assert.equal(policy.determinism_target, 0.95);
+      assert.deepEqual(policy.modules.core, { owns_paths: ['src/core/'], exposes: ['CoreService'] });
+      assert.deepEqual(policy.modules.api, { owns_paths: ['src/api/'] });
+      assert.deepEqual(policy.layers, ['ui', 'api', 'core']);
+      assert.equal('extends' in policy, false);
+      assert.deepEqual(
+        sources.map((source) => source.slice(root.length + 1)),
+        ['lexmap.policy.json', 'base.json', 'platform.json']
+      );
+    }
+  );
+});
+
+test('conflicting siblings, cycles and missing files are errors with a JSON path', () => {
+  withFixture(
+    {
+      'a.json': { determinism_target: 0.9, modules: { core: { owns_paths: ['a/'] } } },
+      'b.json': { determinism_target: 0.8, modules: { core: { owns_paths: ['b/'] } } },
+      'lexmap.policy.json': { extends: ['./a.json', './b.json'] },
+      'cycle.json': { extends: './cycle-parent.json' },
+      'cycle-parent.json': { extends: './cycle.json' },
+      'missing.json': { extends: './nowhere.json' }
+    },
+    (root) => {
+      const conflicts = resolvePolicyFile(join(root, 'lexmap.policy.json'), { packages: false });
+      assert.deepEqual(
+        conflicts.errors.map((error) => error.path),
+        ['$.determinism_target', '$.modules.core']
+      );
+      assert.match(conflicts.errors[1].message, /module core is defined by both .*a\.json and .*b\.json/);
+
+      const cycle = resolvePolicyFile(join(root, 'cycle.json'), { packages: false });
+      assert.equal(cycle.errors[0].path, '$.extends');
+      assert.match(cycle.errors[0].message, /^extends cycle: /);
+
+      const missing = resolvePolicyFile(join(root, 'missing.json'), { packages: false });
+      assert.match(missing.errors[0].message, /nowhere\.json: file not found/);
+    }
+  );
+});
+
+test('package policies are namespaced and their paths rebased', () => {
+  withFixture(
+    {
+      'lexmap.policy.json': { modules: { 'ui/admin': { owns_paths: ['ui/admin/'] } } },
+      'packages/billing/package.json': '{}',
+      'packages/billing/lexmap.policy.json': {
+        modules: {
+          core: {
+            owns_paths: ['src/core/', '!src/core/legacy/'],
+            allowed_callers: ['api', '/ui/admin']
+          }
+        }
+      },
+      'packages/orders/package.json': '{}',
+      'packages/orders/lexmap.policy.json': { namespace: 'orders', modules: { api: { owns_paths: ['./src/'] } } },
+      // Not a package: no package.json
+      'docs/lexmap.policy.json': { modules: { docs: {} } }
+    },
+    (root) => {
+      const { policy, errors } = resolvePolicyFile(join(root, 'lexmap.policy.json'));
+
+      assert.deepEqual(errors, []);
+      assert.deepEqual(Object.keys(policy.modules), ['ui/admin', 'packages/billing/core', 'orders/api']);
+      assert.deepEqual(policy.modules['packages/billing/core'], {
+        owns_paths: ['packages/billing/src/core/', '!packages/billing/src/core/legacy/'],
+        allowed_callers: ['packages/billing/api', 'ui/admin']
+      });
+      assert.deepEqual(policy.modules['orders/api'].owns_paths, ['packages/orders/src/']);
+      assert.equal('namespace' in policy, false);
+    }
+  );
+});
+
+test('package entry points, namespaces, layers and kill rules are rebased too', () => {
+  withFixture(
+    {
+      'lexmap.policy.json': { modules: {}, layers: ['ui/**'] },
+      'packages/billing/package.json': '{}',
+      'packages/billing/lexmap.policy.json': {
+        layers: ['api', { name: 'core', modules: ['core', '/shared'] }],
+        modules: {
+          core: {
+            owns_paths: ['src/core/'],
+            owns_namespaces: ['App\\Billing\\', 'src/core/', '@billing/core'],
+            exposes: ['Ledger', 'src/core/public/'],
+            kill_patterns: [
+              'legacy_name',
+              { pattern: 'no_adapter', rule: { kind: 'import', from: ['api'], module: '/vendor/auth' } }
+            ]
+          }
+        },
+        global_kill_patterns: [
+          'documented_only',
+          { pattern: 'no_eval', rule: { kind: 'source_regex', regex: 'eval', paths: ['src/', '!src/legacy/'] } },
+          { pattern: 'own_ledger', scope: 'core', rule: { kind: 'declaration', name: 'Ledger', owner: 'core' } }
+        ]
+      }
+    },
+    (root) => {
+      const { policy, errors } = resolvePolicyFile(join(root, 'lexmap.policy.json'));
+
+      assert.deepEqual(errors, []);
+      const core = policy.modules['packages/billing/core'];
+      assert.deepEqual(core.owns_namespaces, ['App\\Billing\\', 'packages/billing/src/core/', '@billing/core']);
+      assert.deepEqual(core.exposes, ['Ledger', 'packages/billing/src/core/public/']);
+      assert.deepEqual(core.kill_patterns, [
+        'legacy_name',
+        {
+          pattern: 'no_adapter',
+          rule: { kind: 'import', from: ['packages/billing/api'], module: 'vendor/auth' }
+        }
+      ]);
+      assert.deepEqual(policy.layers, [
+        'ui/**',
+        'packages/billing/api',
+        { name: 'core', modules: ['packages/billing/core', 'shared'] }
+      ]);
+      // Global patterns of a package stay within the package
+      assert.deepEqual(policy.global_kill_patterns, [
+        'documented_only',
+        {
+          pattern: 'no_eval',
+          rule: { kind: 'source_regex', regex: 'eval', paths: ['packages/billing/src/', '!packages/billing/src/legacy/'] },
+          scope: 'packages/billing'
+        },
+        {
+          pattern: 'own_ledger',
+          scope: 'packages/billing/core',
+          rule: { kind: 'declaration', name: 'Ledger', owner: 'packages/billing/core' }
+        }
+      ]);
+    }
+  );
+});
+
+test('a declared workspace limits where package policies are found', () => {
+  const packagePolicy = { modules: { core: {} } };
+  withFixture(
+    {
+      'pnpm-workspace.yaml': "packages:\n  - 'packages/*'\n  - 'apps/**'\n  - '!packages/skipped'\n",
+      'package.json': JSON.stringify({ workspaces: ['tools/cli'] }),
+      'packages/billing/package.json': '{}',
+      'packages/billing/lexmap.policy.json': packagePolicy,
+      'packages/skipped/package.json': '{}',
+      'packages/skipped/lexmap.policy.json': packagePolicy,
+      'apps/web/admin/package.json': '{}',
+      'apps/web/admin/lexmap.policy.json': packagePolicy,
+      'tools/cli/package.json': '{}',
+      'tools/cli/lexmap.policy.json': packagePolicy,
+      'examples/demo/package.json': '{}',
+      'examples/demo/lexmap.policy.json': packagePolicy
+    },
+    (root) => {
+      assert.ok(workspacePackageDirs(root).includes(join(root, 'apps/web/admin')));
+      assert.deepEqual(
+        findPackagePolicies(root).map((file) => file.slice(root.length + 1)),
+        ['apps/web/admin/lexmap.policy.json', 'packages/billing/lexmap.policy.json', 'tools/cli/lexmap.policy.json']
+      );
+    }
+  );
+
+  withFixture(
+    {
+      'examples/demo/package.json': '{}',
+      'examples/demo/lexmap.policy.json': packagePolicy,
+      'node_modules/dep/package.json': '{}',
+      'node_modules/dep/lexmap.policy.json': packagePolicy
+    },
+    (root) => {
+      assert.equal(workspacePackageDirs(root), null);
+      assert.deepEqual(
+        findPackagePolicies(root).map((file) => file.slice(root.length + 1)),
+        ['examples/demo/lexmap.policy.json']
+      );
+    }
+  );
+});
+
+test('pnpm-workspace.yaml packages are read from the top-level packages key only', () => {
+  assert.deepEqual(
+    pnpmWorkspacePackages(
+      [
+        '# workspace',
+        'packages:',
+        "  - 'packages/*'",
+        '  - "apps/*" # apps',
+        'catalog:',
+        '  - not-a-package',
+        'onlyBuiltDependencies:',
+        '  - esbuild'
+      ].join('\n')
+    ),
+    ['packages/*', 'apps/*']
+  );
+  assert.deepEqual(pnpmWorkspacePackages("packages: ['packages/*', tools]\n"), ['packages/*', 'tools']);
+});
@@ -0,0 +1,130 @@
+// HTTP server: request validation and the Prometheus metrics endpoint
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatPrometheus } from '../src/metrics.ts';
+import { startServer } from '../src/server.ts';
+
+const graph = {
+  symbols: [
+    { id: 'a', fqname: 'App\\A::run', kind: 'method', file: 'src/A.php', span: { start: 1, end: 5 } },
+    { id: 'b', fqname: 'App\\B::help', kind: 'method', file: 'src/B.php', span: { start: 1, end: 3 } }
+  ],
+  calls: [{ from: 'a', to: 'b', site: { file: 'src/A.php', line: 3, col: 5 }, kind: 'direct' }],
+  modules: []
+};
+
+const metrics = {
+  det_ratio: 0.75,
+  edges_static: 3,
+  edges_total: 4,
+  frames_written: 2,
+  wall_ms: 1500,
+  peak_ram_mb: 64,
+  put_p95_ms: 120
+};
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = await startServer({ port: 0, graph, metrics, putTimes: [4, 30, 120] });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+async function post(path, body) {
+  const res = await fetch(baseUrl + path, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+test('slice requests are validated before the graph is read', async () => {
+  assert.deepEqual(await post('/slice', { radius: 2 }), {
+    status: 400,
+    body: { error: 'Invalid request: symbol: Required' }
+  });
+  assert.deepEqual(await post('/slice', { symbol: '' }), {
+    status: 400,
+    body: { error: 'Invalid request: symbol: String must contain at least 1 character(s)' }
+  });
+
+  const tooWide = await post('/slice', { symbol: 'a', radius: 11 });
+  assert.equal(tooWide.status, 400);
+  assert.match(tooWide.body.error, /^Invalid request: radius: Number must be less than or equal to 10$/);
+
+  const missing = await post('/slice', { symbol: 'App\\Missing' });
+  assert.deepEqual(missing, { status: 404, body: { error: 'Symbol not found: App\\Missing' } });
+
+  // radius defaults to 2
+  assert.equal((await post('/slice', { symbol: 'App\\A::run' })).status, 200);
+});
+
+test('query requests need a known type and the arguments it requires', async () => {
+  const unknown = await post('/query', { type: 'recent_patterns' });
+  assert.equal(unknown.status, 400);
+  assert.match(unknown.body.error, /^Invalid request: type: Invalid enum value\./);
+
+  assert.deepEqual(await post('/query', { type: 'callers', args: 'b' }), {
+    status: 400,
+    body: { error: 'Invalid request: args: Expected object, received string' }
+  });
+  assert.deepEqual(await post('/query', { type: 'callers' }), {
+    status: 400,
+    body: { error: 'callers query requires args.symbol' }
+  });
+
+  assert.deepEqual(await post('/query', { type: 'callers', args: { symbol: 'b' } }), {
+    status: 200,
+    body: { type: 'callers', args: { symbol: 'b' }, results: graph.calls }
+  });
+});
+
+test('malformed bodies, unknown paths and wrong methods are rejected', async () => {
+  const malformed = await post('/query', '{"type":');
+  assert.equal(malformed.status, 400);
+  assert.match(malformed.body.error, /^Invalid JSON body: /);
+
+  assert.equal((await post('/nothing', {})).status, 404);
+  assert.equal((await fetch(`${baseUrl}/slice`)).status, 405);
+});
+
+test('/metrics serves the index metrics in the Prometheus text format', async () => {
+  const res = await fetch(`${baseUrl}/metrics`);
+  const text = await res.text();
+
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get('content-type'), 'text/plain; version=0.0.4');
+  assert.equal(text, formatPrometheus(metrics, [4, 30, 120]));
+
+  const lines = text.split('\n');
+  assert.ok(lines.includes('# TYPE lexmap_det_ratio gauge'));
+  assert.ok(lines.includes('lexmap_det_ratio 0.75'));
+  assert.ok(lines.includes('lexmap_index_wall_seconds 1.5'));
+  assert.ok(lines.includes('lexmap_put_p95_seconds 0.12'));
+  assert.ok(text.endsWith('\n'));
+});
+
+test('PUT latencies are bucketed cumulatively in seconds', () => {
+  const lines = formatPrometheus(metrics, [4, 30, 120, 6000]).split('\n');
+  const histogram = lines.filter(line => line.startsWith('lexmap_put_latency_seconds'));
+
+  assert.deepEqual(histogram, [
+    'lexmap_put_latency_seconds_bucket{le="0.005"} 1',
+    'lexmap_put_latency_seconds_bucket{le="0.01"} 1',
+    'lexmap_put_latency_seconds_bucket{le="0.025"} 1',
+    'lexmap_put_latency_seconds_bucket{le="0.05"} 2',
+    'lexmap_put_latency_seconds_bucket{le="0.1"} 2',
+    'lexmap_put_latency_seconds_bucket{le="0.25"} 3',
+    'lexmap_put_latency_seconds_bucket{le="0.5"} 3',
+    'lexmap_put_latency_seconds_bucket{le="1"} 3',
+    'lexmap_put_latency_seconds_bucket{le="2.5"} 3',
+    'lexmap_put_latency_seconds_bucket{le="5"} 3',
+    'lexmap_put_latency_seconds_bucket{le="+Inf"} 4',
+    'lexmap_put_latency_seconds_sum 6.154',
+    'lexmap_put_latency_seconds_count 4'
+  ]);
+});
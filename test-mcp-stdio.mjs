@@ -32,7 +32,11 @@ function fail(testName, error) {
   console.error(`  Error: ${error}`);
 }
 
+let nextId = 1;
+
 async function sendRequest(proc, request) {
+  const id = nextId++;
+
   return new Promise((resolve, reject) => {
     const timeout = setTimeout(() => {
       reject(new Error("Request timeout (5s)"));
@@ -52,9 +56,11 @@ async function sendRequest(proc, request) {
 
         try {
           const response = JSON.parse(line);
+          if (!Array.isArray(response) && response.id !== id) continue;
           clearTimeout(timeout);
           proc.stdout.off("data", onData);
-          resolve(response);
+          // Unwrap JSON-RPC results; errors are returned as-is
+          resolve(response.result || response);
           return;
         } catch (e) {
           // Not JSON, might be stderr output - ignore
@@ -63,7 +69,10 @@ async function sendRequest(proc, request) {
     };
 
     proc.stdout.on("data", onData);
-    proc.stdin.write(JSON.stringify(request) + "\n");
+    const message = Array.isArray(request)
+      ? request
+      : { jsonrpc: "2.0", id, ...request };
+    proc.stdin.write(JSON.stringify(message) + "\n");
   });
 }
 
@@ -96,8 +105,8 @@ async function runTests() {
       throw new Error("Response missing tools array");
     }
 
-    if (listResponse.tools.length !== 4) {
-      throw new Error(`Expected 4 tools, got ${listResponse.tools.length}`);
+    if (listResponse.tools.length !== 8) {
+      throw new Error(`Expected 8 tools, got ${listResponse.tools.length}`);
     }
 
     const expectedTools = [
@@ -105,6 +114,10 @@ async function runTests() {
       "lexmap.slice",
       "lexmap.query",
       "lexmap.policy_check",
+      "lexmap.explain_file",
+      "lexmap.suggest_route",
+      "lexmap.job_status",
+      "lexmap.policy_status",
     ];
     for (const toolName of expectedTools) {
       const tool = listResponse.tools.find((t) => t.name === toolName);
@@ -119,7 +132,7 @@ async function runTests() {
       }
     }
 
-    pass("tools/list returns all 4 tools with schemas");
+    pass("tools/list returns all 8 tools with schemas");
 
     // Test 2: Call lexmap.policy_check
     log("Test 2: tools/call - lexmap.policy_check");
@@ -206,8 +219,12 @@ async function runTests() {
       throw new Error("Response missing content array");
     }
 
-    if (!sliceResponse.content[0].text.includes("slice")) {
-      throw new Error("Response does not mention slice");
+    // Without a reachable LexBrain the slice comes back as a tool error
+    if (
+      !sliceResponse.isError &&
+      !JSON.parse(sliceResponse.content[0].text).target
+    ) {
+      throw new Error("Slice result has no target and is not an error");
     }
 
     pass("lexmap.slice returns valid MCP response");
@@ -231,8 +248,9 @@ async function runTests() {
       throw new Error("Response missing content array");
     }
 
-    if (!queryResponse.content[0].text.includes("query")) {
-      throw new Error("Response does not mention query");
+    // Tool errors (e.g. indexer not built) are valid MCP responses too
+    if (!queryResponse.isError && !queryResponse.structuredContent?.results) {
+      throw new Error("Query result missing structured results");
     }
 
     pass("lexmap.query returns valid MCP response");
@@ -270,6 +288,50 @@ async function runTests() {
 
     pass("Server handles invalid tool names gracefully");
 
+    // Test 8: Resources and prompts
+    log("Test 8: resources/list and prompts/list");
+    const resourcesResponse = await sendRequest(proc, {
+      method: "resources/list",
+      params: {},
+    });
+
+    if (!Array.isArray(resourcesResponse.resources)) {
+      throw new Error("Response missing resources array");
+    }
+
+    const promptsResponse = await sendRequest(proc, {
+      method: "prompts/list",
+      params: {},
+    });
+
+    if (
+      !promptsResponse.prompts?.some(
+        (p) => p.name === "lexmap.explain_boundaries"
+      )
+    ) {
+      throw new Error("Missing prompt: lexmap.explain_boundaries");
+    }
+
+    pass("resources/list and prompts/list return policy context");
+
+    // Test 9: Batch requests
+    log("Test 9: JSON-RPC batch");
+    const batchResponse = await sendRequest(proc, [
+      { jsonrpc: "2.0", id: "b1", method: "ping" },
+      { jsonrpc: "2.0", method: "notifications/initialized" },
+      { jsonrpc: "2.0", id: "b2", method: "tools/list" },
+    ]);
+
+    if (!Array.isArray(batchResponse) || batchResponse.length !== 2) {
+      throw new Error("Expected one response per request in the batch");
+    }
+
+    if (!batchResponse.find((r) => r.id === "b2")?.result?.tools) {
+      throw new Error("Batch response missing tools/list result");
+    }
+
+    pass("Batches return one response per request");
+
     // Clean up
     proc.kill();
     await new Promise((resolve) => setTimeout(resolve, 100));
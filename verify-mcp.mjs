@@ -39,12 +39,9 @@ try {
   );
   const parsed = JSON.parse(output.trim());
 
-  if (
-    parsed.jsonrpc === "2.0" &&
-    parsed.result?.protocolVersion === "2024-11-05"
-  ) {
+  if (parsed.jsonrpc === "2.0" && parsed.result?.protocolVersion) {
     console.log("  ✅ Initialize handshake works");
-    console.log("  ✅ Protocol version: 2024-11-05");
+    console.log(`  ✅ Protocol version: ${parsed.result.protocolVersion}`);
     checks.push(true);
   } else {
     console.log("  ❌ Initialize response malformed");
@@ -55,7 +52,7 @@ try {
   checks.push(false);
 }
 
-// Check 3: All 4 tools available
+// Check 3: All tools available
 console.log("\n🛠️  Available Tools:");
 try {
   const output = execSync(
@@ -70,6 +67,10 @@ try {
     "lexmap.slice",
     "lexmap.query",
     "lexmap.policy_check",
+    "lexmap.explain_file",
+    "lexmap.suggest_route",
+    "lexmap.job_status",
+    "lexmap.policy_status",
   ];
 
   for (const tool of expectedTools) {
@@ -80,7 +81,7 @@ try {
   }
 } catch (e) {
   console.log("  ❌ Tools list failed:", e.message.split("\n")[0]);
-  for (let i = 0; i < 4; i++) checks.push(false);
+  for (let i = 0; i < 8; i++) checks.push(false);
 }
 
 // Check 4: Policy check tool works